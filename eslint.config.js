@@ -26,4 +26,25 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    files: ['functions/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+      sourceType: 'commonjs',
+    },
+  },
+  {
+    // Rules suites, run by node --test against the Firestore emulator
+    files: ['tests/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    // ES modules imported by the app and required (require(esm), Node 22) by the functions
+    files: ['functions/shared/**/*.js'],
+    languageOptions: {
+      sourceType: 'module',
+    },
+  },
 ])
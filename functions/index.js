@@ -1,88 +1,1847 @@
-const { onDocumentCreated } = require("firebase-functions/v2/firestore");
+const { onDocumentWritten, onDocumentCreated } = require("firebase-functions/v2/firestore");
+const { onCall, onRequest, HttpsError } = require("firebase-functions/v2/https");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const { defineString, defineInt } = require("firebase-functions/params");
 const { initializeApp } = require("firebase-admin/app");
-const { getFirestore } = require("firebase-admin/firestore");
-const { getMessaging } = require("firebase-admin/messaging");
+const { getAuth } = require("firebase-admin/auth");
+const { getFirestore, FieldValue } = require("firebase-admin/firestore");
+const { geohashQueryBounds } = require("geofire-common");
+const {
+  DEFAULT_COMPONENT,
+  getCompatibleDonorTypes,
+  getServableRecipientTypes,
+  findWatchlistMatch,
+} = require("./shared/bloodCompatibility.js");
+const { DEFAULT_SEARCH_RADIUS_KM, isValidLocation, isWithinArea } = require("./shared/geo.js");
+const { getNextEligibleDate, getNextEligibleDates, DEFAULT_DONATION_TYPE } = require("./shared/donationEligibility.js");
+const {
+  DEFAULT_QUESTIONNAIRE,
+  DEFAULT_REGION,
+  QUESTIONNAIRE_STATUS,
+  SCREENING_RESULT,
+  SCREENING_TIERS,
+  evaluateQuestionnaire,
+  getBaselineExpiry,
+  getRegionOptions,
+  getTierQuestionnaire,
+  isAnswered,
+  isScreeningCurrent,
+} = require("./shared/questionnaire.js");
+const { getDueReminder, isDayOfCheckOpen, parseTimeSlot, getSlotId } = require("./shared/appointments.js");
+const { buildCalendar, getAppointmentEvent } = require("./shared/calendar.js");
+const {
+  BADGE_INFO,
+  computeRewards,
+  getNewBadges,
+  getLeaderboardName,
+  getLeaderboardKey,
+} = require("./shared/rewards.js");
+const {
+  EMERGENCY_STATUS,
+  RESPONSE_STATUS,
+  RADIUS_RINGS_KM,
+  getNextEscalationAt,
+} = require("./shared/emergency.js");
+const { UNIT_STATUS, LEDGER_REASONS } = require("./shared/bloodUnits.js");
+const { REQUEST_STATUS, SYSTEM_ACTOR, canTransition, isRequestClosed } = require("./shared/requestLifecycle.js");
+const { CASE_STATUS, getCaseCounts, CASE_CLOSED_NOTES } = require("./shared/cases.js");
+const { TRANSFER_STATUS, RESERVING_STATUSES, getTransferMessage } = require("./shared/transfers.js");
+const { sendPushToUser } = require("./lib/push");
+const { MAIL_STATUS, smtpPassword, enqueueMail, deliverMail, getDueMail } = require("./lib/mail");
+const { findDonorsInRing } = require("./lib/emergency");
+const { getJourneyStep, JOURNEY_MESSAGES } = require("./lib/journey");
+const { RELAY_STATUS, telephonyWebhookSecret, getTelephonyProvider, routeContact } = require("./lib/telephony");
 
 initializeApp();
 const db = getFirestore();
 
-// Trigger when a new user (donor) is created or updated
-// For this example, let's assume we listen to a new 'inventory' collection
-// or when a user updates their profile to be a donor.
-// Here is a function that triggers when a new item is added to 'inventory'
-exports.onInventoryAdded = onDocumentCreated("inventory/{inventoryId}", async (event) => {
-  const snapshot = event.data;
-  if (!snapshot) {
+// Comma separated emails allowed to assign roles before any admin claim exists
+const adminEmails = defineString("ADMIN_EMAILS", { default: "" });
+
+// Best effort, a failed push never blocks the write that caused it
+const notifyUser = async (uid, notification, data) => {
+  try {
+    await sendPushToUser(uid, notification, data);
+  } catch (error) {
+    console.error(`Error sending push to ${uid}:`, error);
+  }
+};
+
+// Watchlist Matching
+// Seekers save watchlists from /search. Matching runs here whenever hospital
+// stock or donor availability changes, so alerts go out even while they are offline.
+
+const isActiveDonor = (user) =>
+  !!user && user.isDonor === true && user.isEligible === true && !!user.donorProfile?.bloodType &&
+  isScreeningCurrent(user);
+
+// Blood groups whose count went up or down between two bloodStock maps
+const getChangedBloodTypes = (before = {}, after = {}) => {
+  const types = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...types].filter((type) => (before[type] || 0) !== (after[type] || 0));
+};
+
+const sendWatchlistAlert = async (item, match) => {
+  const matchSuffix = match.matchLabel ? ` (${match.matchLabel})` : "";
+  try {
+    await sendPushToUser(item.userId, {
+      title: "Blood Type Match Found!",
+      body: `${item.bloodType} blood is now available in ${item.location || "your area"}${matchSuffix}.`,
+    }, { watchlistId: item.id, type: "watchlist_match" });
+  } catch (error) {
+    console.error(`Error sending watchlist alert to ${item.userId}:`, error);
+  }
+};
+
+const activeDonorsQuery = () => db.collection("users")
+  .where("isDonor", "==", true)
+  .where("isEligible", "==", true);
+
+// Hospitals and donors that could serve one watchlist: those inside its radius when
+// it has a center, otherwise (area given as text only) those holding a compatible group
+const getWatchlistCandidates = async (item) => {
+  if (isValidLocation(item.center)) {
+    const radiusM = (item.radiusKm || DEFAULT_SEARCH_RADIUS_KM) * 1000;
+    const bounds = geohashQueryBounds([item.center.lat, item.center.lng], radiusM);
+    const [inventorySnaps, donorSnaps] = await Promise.all([
+      Promise.all(bounds.map(([start, end]) => db.collection("inventory")
+        .where("status", "==", "active")
+        .orderBy("geohash").startAt(start).endAt(end)
+        .get())),
+      Promise.all(bounds.map(([start, end]) => activeDonorsQuery()
+        .orderBy("donorProfile.geohash").startAt(start).endAt(end)
+        .get())),
+    ]);
+    return {
+      hospitals: inventorySnaps.flatMap((snap) => snap.docs.map((d) => d.data())),
+      donors: donorSnaps.flatMap((snap) => snap.docs.map((d) => d.data())).filter(isActiveDonor),
+    };
+  }
+
+  const donorTypes = getCompatibleDonorTypes(item.bloodType, item.component || DEFAULT_COMPONENT);
+  if (donorTypes.length === 0) return { hospitals: [], donors: [] };
+  const [inventorySnaps, donorSnap] = await Promise.all([
+    Promise.all(donorTypes.map((type) => db.collection("inventory").where(`bloodStock.${type}`, ">", 0).get())),
+    activeDonorsQuery().where("donorProfile.bloodType", "in", donorTypes).get(),
+  ]);
+  return {
+    hospitals: inventorySnaps.flatMap((snap) => snap.docs.map((d) => d.data())).filter((h) => h.status === "active"),
+    donors: donorSnap.docs.map((d) => d.data()).filter(isActiveDonor),
+  };
+};
+
+/**
+ * Re-evaluates the active watchlists that ask for one of the given groups and whose
+ * area holds the hospital or donor that changed (before or after the write), and
+ * moves each through the same states the seeker dashboard uses:
+ * match -> matchFound + hasNotified (alert sent once), no match -> reset both.
+ * @param {Array<{location: Object, texts: Array<string>}>} places - Where the changed hospital/donor was and is
+ */
+const evaluateWatchlists = async (recipientTypes, places) => {
+  if (recipientTypes.length === 0 || places.length === 0) return;
+
+  const watchlistSnap = await db.collection("watchlists")
+    .where("status", "==", "active")
+    .where("bloodType", "in", recipientTypes)
+    .get();
+  const affected = watchlistSnap.docs.filter((watchlistDoc) =>
+    places.some(({ location, texts }) => isWithinArea(watchlistDoc.data(), location, texts)));
+
+  await Promise.all(affected.map(async (watchlistDoc) => {
+    const { hospitals, donors } = await getWatchlistCandidates(watchlistDoc.data());
+    const match = findWatchlistMatch(watchlistDoc.data(), hospitals, donors);
+
+    // Transaction so two triggers firing together only alert the seeker once
+    const shouldAlert = await db.runTransaction(async (transaction) => {
+      const snap = await transaction.get(watchlistDoc.ref);
+      if (!snap.exists || snap.data().status !== "active") return false;
+      const item = snap.data();
+      const now = new Date().toISOString();
+
+      if (!match) {
+        if (item.matchFound || item.hasNotified) {
+          transaction.update(watchlistDoc.ref, { matchFound: false, hasNotified: false, lastResetAt: now });
+        }
+        return false;
+      }
+
+      const updates = {};
+      if (!item.matchFound) {
+        Object.assign(updates, { matchFound: true, lastMatchedAt: now });
+      }
+      if (!item.hasNotified) {
+        Object.assign(updates, { hasNotified: true, lastNotifiedAt: now });
+      }
+      if (Object.keys(updates).length > 0) {
+        transaction.update(watchlistDoc.ref, {
+          ...updates,
+          matchedBloodType: match.matchedBloodType,
+          matchLabel: match.matchLabel,
+        });
+      }
+      return !item.hasNotified;
+    });
+
+    if (shouldAlert) {
+      await sendWatchlistAlert({ id: watchlistDoc.id, ...watchlistDoc.data() }, match);
+    }
+  }));
+};
+
+// Hospital stock changed (unit registered, issued, expired...) or the hospital moved
+exports.onInventoryWritten = onDocumentWritten("inventory/{hospitalId}", async (event) => {
+  const before = event.data?.before?.exists ? event.data.before.data() : null;
+  const after = event.data?.after?.exists ? event.data.after.data() : null;
+
+  // Only stock, position and visibility matter to watchlists (not lastUpdated etc.).
+  // A group's total can stay put while one component runs out and another comes in.
+  const components = Object.keys({ ...before?.componentStock, ...after?.componentStock });
+  const changedTypes = [...new Set([
+    ...getChangedBloodTypes(before?.bloodStock, after?.bloodStock),
+    ...components.flatMap((component) =>
+      getChangedBloodTypes(before?.componentStock?.[component], after?.componentStock?.[component])),
+  ])];
+  const movedOrToggled = before?.geohash !== after?.geohash || before?.status !== after?.status;
+  if (changedTypes.length === 0 && !movedOrToggled) return;
+
+  const affectedTypes = movedOrToggled ?
+    Object.keys({ ...before?.bloodStock, ...after?.bloodStock }) :
+    changedTypes;
+  const places = [before, after].filter(Boolean).map((hospital) => ({
+    location: hospital.location,
+    texts: [hospital.address, hospital.hospitalName],
+  }));
+
+  try {
+    await evaluateWatchlists(getServableRecipientTypes(affectedTypes), places);
+  } catch (error) {
+    console.error(`Error matching watchlists for inventory ${event.params.hospitalId}:`, error);
+  }
+});
+
+// A donor registered, became (in)eligible, changed blood group or moved
+exports.onDonorWritten = onDocumentWritten("users/{uid}", async (event) => {
+  const before = event.data?.before?.exists ? event.data.before.data() : null;
+  const after = event.data?.after?.exists ? event.data.after.data() : null;
+
+  const wasActive = isActiveDonor(before);
+  const isActive = isActiveDonor(after);
+  if (!wasActive && !isActive) return;
+
+  const beforeProfile = before?.donorProfile || {};
+  const afterProfile = after?.donorProfile || {};
+  const unchanged = wasActive === isActive &&
+    beforeProfile.bloodType === afterProfile.bloodType &&
+    beforeProfile.geohash === afterProfile.geohash &&
+    beforeProfile.city === afterProfile.city;
+  if (unchanged) return;
+
+  const donorTypes = [beforeProfile.bloodType, afterProfile.bloodType].filter(Boolean);
+  const places = [wasActive && beforeProfile, isActive && afterProfile].filter(Boolean).map((profile) => ({
+    location: profile.location,
+    texts: [profile.city],
+  }));
+  try {
+    await evaluateWatchlists(getServableRecipientTypes([...new Set(donorTypes)]), places);
+  } catch (error) {
+    console.error(`Error matching watchlists for donor ${event.params.uid}:`, error);
+  }
+});
+
+// Donation Eligibility
+// A donation switches isEligible off until the whole-blood interval has passed
+// (eligibilityDeferred marks who was switched off for that reason). The dates are
+// recomputed from donationHistory, which only venues append to, on every profile
+// write. A deferral that ends after the baseline screening has expired does not
+// switch the donor back on.
+
+const sameDates = (a = {}, b = {}) =>
+  Object.keys({ ...a, ...b }).every((type) => (a[type] || null) === (b[type] || null));
+
+exports.onDonorHistoryWritten = onDocumentWritten("users/{uid}", async (event) => {
+  const after = event.data?.after?.exists ? event.data.after.data() : null;
+  if (!after?.isDonor || !after.donorProfile) return;
+
+  const nextEligibleDates = getNextEligibleDates(after.donationHistory || [], after.donorProfile.sex || null);
+  const nextEligibleDate = nextEligibleDates[DEFAULT_DONATION_TYPE];
+  const deferred = !!nextEligibleDate && new Date(nextEligibleDate) > new Date();
+
+  const updates = {};
+  if (!sameDates(after.donorProfile.nextEligibleDates, nextEligibleDates) ||
+    (after.donorProfile.nextEligibleDate || null) !== nextEligibleDate) {
+    updates["donorProfile.nextEligibleDates"] = nextEligibleDates;
+    updates["donorProfile.nextEligibleDate"] = nextEligibleDate;
+  }
+  if (deferred && after.isEligible) {
+    Object.assign(updates, { isEligible: false, eligibilityDeferred: true });
+  } else if (!deferred && after.eligibilityDeferred) {
+    const current = isScreeningCurrent(after);
+    Object.assign(updates, { isEligible: current, eligibilityDeferred: false, screeningExpired: !current });
+  }
+  if (Object.keys(updates).length === 0) return;
+
+  try {
+    await event.data.after.ref.update(updates);
+  } catch (error) {
+    console.error(`Error updating donation eligibility for ${event.params.uid}:`, error);
+  }
+});
+
+// Donors whose waiting period ended become searchable again
+exports.restoreDonorEligibility = onSchedule("every day 00:30", async () => {
+  const snapshot = await db.collection("users")
+    .where("eligibilityDeferred", "==", true)
+    .where("donorProfile.nextEligibleDate", "<=", new Date().toISOString())
+    .get();
+
+  // Donors whose screening lapsed meanwhile wait for the questionnaire instead
+  const restored = snapshot.docs.filter((d) => isScreeningCurrent(d.data()));
+  for (let i = 0; i < snapshot.docs.length; i += 500) {
+    const batch = db.batch();
+    snapshot.docs.slice(i, i + 500).forEach((d) => {
+      const current = restored.includes(d);
+      batch.update(d.ref, { isEligible: current, eligibilityDeferred: false, screeningExpired: !current });
+    });
+    await batch.commit();
+  }
+
+  await Promise.all(restored.map((d) => notifyUser(d.id, {
+    title: "You can donate again!",
+    body: "Your waiting period since your last donation is over. Book your next donation on LifeLine.",
+  }, { type: "eligibility_restored" })));
+  console.log(`Restored eligibility for ${restored.length} of ${snapshot.size} donor(s)`);
+});
+
+// Baseline screenings expire (questionnaire baselineValidDays). Expired donors drop
+// out of search and matching until they answer the questionnaire again.
+exports.expireDonorScreenings = onSchedule("every day 01:00", async () => {
+  const snapshot = await db.collection("users")
+    .where("isDonor", "==", true)
+    .where("isEligible", "==", true)
+    .get();
+  const expired = snapshot.docs.filter((d) => !isScreeningCurrent(d.data()));
+
+  for (let i = 0; i < expired.length; i += 500) {
+    const batch = db.batch();
+    expired.slice(i, i + 500).forEach((d) => batch.update(d.ref, { isEligible: false, screeningExpired: true }));
+    await batch.commit();
+  }
+
+  await Promise.all(expired.map((d) => notifyUser(d.id, {
+    title: "Time to renew your donor screening",
+    body: "Your eligibility answers have expired. Re-check your eligibility on LifeLine to keep helping patients.",
+  }, { type: "screening_expired" })));
+  console.log(`Expired screening for ${expired.length} donor(s)`);
+});
+
+// Eligibility Screening
+// Donors only send their answers. The outcome is worked out here against the active
+// questionnaire, so a browser cannot mark itself eligible or skip its deferral.
+
+const getActiveQuestionnaire = async () => {
+  const snapshot = await db.collection("questionnaires")
+    .where("status", "==", QUESTIONNAIRE_STATUS.ACTIVE)
+    .orderBy("version", "desc")
+    .limit(1)
+    .get();
+  if (snapshot.empty) return DEFAULT_QUESTIONNAIRE;
+  return { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+};
+
+// Every question of the tier answered (optional ones may be null)
+const isComplete = (questionnaire, answers) =>
+  !!answers && typeof answers === "object" &&
+  questionnaire.questions.every((question) => isAnswered(question, answers[question.key]));
+
+exports.submitEligibilityQuestionnaire = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Sign in to check your eligibility.");
+  }
+  const uid = request.auth.uid;
+  const { questionnaireId, region = DEFAULT_REGION, answers } = request.data || {};
+
+  const active = await getActiveQuestionnaire();
+  if (questionnaireId !== active.id) {
+    throw new HttpsError("failed-precondition", "The questionnaire was just updated. Please answer it again.");
+  }
+  const questionnaire = getTierQuestionnaire(active, SCREENING_TIERS.BASELINE);
+  if (!getRegionOptions(questionnaire).some((option) => option.value === region)) {
+    throw new HttpsError("invalid-argument", "Unknown region.");
+  }
+  if (!isComplete(questionnaire, answers)) {
+    throw new HttpsError("invalid-argument", "Please answer every question.");
+  }
+
+  const evaluation = evaluateQuestionnaire(questionnaire, answers, region);
+  const userRef = db.collection("users").doc(uid);
+  const userSnap = await userRef.get();
+  const user = userSnap.exists ? userSnap.data() : {};
+  const nextEligibleDate = getNextEligibleDate(user.donationHistory || [], DEFAULT_DONATION_TYPE, user.donorProfile?.sex || null);
+  const deferred = !!nextEligibleDate && new Date(nextEligibleDate) > new Date();
+  const quizPassed = evaluation.status === SCREENING_RESULT.ELIGIBLE;
+  const now = new Date().toISOString();
+
+  // The answers are kept unchanged for audit next to the outcome
+  const submissionRef = userRef.collection("eligibilitySubmissions").doc();
+  const batch = db.batch();
+  batch.set(submissionRef, {
+    tier: SCREENING_TIERS.BASELINE,
+    questionnaireId: active.id,
+    questionnaireVersion: active.version,
+    region,
+    answers,
+    result: evaluation.status,
+    deferredUntil: evaluation.deferredUntil,
+    outcomes: evaluation.outcomes,
+    submittedAt: now,
+  });
+  // Passing does not make a donor eligible while their last donation is still within
+  // its interval; onDonorHistoryWritten and restoreDonorEligibility switch them on later
+  batch.set(userRef, {
+    isEligible: quizPassed && !deferred,
+    eligibilityDeferred: quizPassed && deferred,
+    quizPassed,
+    questionnaireStatus: evaluation.status,
+    questionnaireDeferredUntil: evaluation.deferredUntil,
+    lastQuestionnaire: { id: active.id, version: active.version, submissionId: submissionRef.id },
+    donorProfile: { region },
+    screeningExpiresAt: getBaselineExpiry(active, now),
+    screeningExpired: false,
+    lastChecked: now,
+  }, { merge: true });
+  await batch.commit();
+
+  return {
+    ...evaluation,
+    isEligible: quizPassed && !deferred,
+    nextEligibleDate: quizPassed && deferred ? nextEligibleDate : null,
+  };
+});
+
+// Roles
+// firestore.rules trusts the `role` custom claim, never the self-written users/{uid}.role.
+// Admins assign claims here once they have verified a hospital or organizer.
+
+const ROLES = ["user", "organizer", "hospital", "admin"];
+
+const isAdminCaller = (auth) => {
+  if (auth.token.role === "admin") return true;
+  const bootstrapAdmins = adminEmails.value().split(",").map((e) => e.trim().toLowerCase()).filter(Boolean);
+  return auth.token.email_verified === true && bootstrapAdmins.includes((auth.token.email || "").toLowerCase());
+};
+
+const assertAdmin = (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Sign in to manage roles.");
+  }
+  if (!isAdminCaller(request.auth)) {
+    throw new HttpsError("permission-denied", "Only admins can assign roles.");
+  }
+};
+
+/**
+ * Sets (or with role null, removes) the role claim and mirrors it on users/{uid}.
+ * The user picks the new claim up on their next token refresh.
+ */
+const applyRoleClaim = async (uid, role, reviewerId) => {
+  let user;
+  try {
+    user = await getAuth().getUser(uid);
+  } catch {
+    throw new HttpsError("not-found", "No account exists with that user ID.");
+  }
+
+  const { role: previousRole, ...otherClaims } = user.customClaims || {};
+  await getAuth().setCustomUserClaims(uid, role ? { ...otherClaims, role } : otherClaims);
+  await db.collection("users").doc(uid).set({
+    ...(role ? { role } : {}),
+    roleVerified: !!role,
+    roleVerifiedAt: new Date().toISOString(),
+    roleVerifiedBy: reviewerId,
+  }, { merge: true });
+
+  return previousRole || null;
+};
+
+exports.setUserRole = onCall(async (request) => {
+  assertAdmin(request);
+
+  const { uid, role } = request.data || {};
+  if (typeof uid !== "string" || !uid) {
+    throw new HttpsError("invalid-argument", "A user ID is required.");
+  }
+  if (!ROLES.includes(role)) {
+    throw new HttpsError("invalid-argument", `Role must be one of: ${ROLES.join(", ")}.`);
+  }
+
+  await applyRoleClaim(uid, role, request.auth.uid);
+  return { uid, role };
+});
+
+// Verification
+// Hospitals and organizers queue a verifications/{uid} doc at signup. Approving
+// grants the role claim and publishes the hospital's inventory; rejecting keeps
+// it hidden and records the admin's notes for the applicant.
+
+const VERIFICATION_DECISIONS = ["approved", "rejected"];
+
+exports.reviewVerification = onCall(async (request) => {
+  assertAdmin(request);
+
+  const { uid, decision, notes = "" } = request.data || {};
+  if (typeof uid !== "string" || !uid) {
+    throw new HttpsError("invalid-argument", "A user ID is required.");
+  }
+  if (!VERIFICATION_DECISIONS.includes(decision)) {
+    throw new HttpsError("invalid-argument", "Decision must be 'approved' or 'rejected'.");
+  }
+  if (decision === "rejected" && !notes.trim()) {
+    throw new HttpsError("invalid-argument", "Please explain why the request was rejected.");
+  }
+
+  const verificationRef = db.collection("verifications").doc(uid);
+  const verificationSnap = await verificationRef.get();
+  if (!verificationSnap.exists) {
+    throw new HttpsError("not-found", "No verification request for that user.");
+  }
+  const verification = verificationSnap.data();
+  const approved = decision === "approved";
+  const now = new Date().toISOString();
+
+  await applyRoleClaim(uid, approved ? verification.type : null, request.auth.uid);
+
+  if (verification.type === "hospital") {
+    const inventoryRef = db.collection("inventory").doc(uid);
+    if ((await inventoryRef.get()).exists) {
+      await inventoryRef.update({
+        status: approved ? "active" : "rejected",
+        verifiedAt: approved ? now : null,
+      });
+    }
+  }
+
+  await verificationRef.update({
+    status: decision,
+    reviewNotes: notes.trim() || null,
+    reviewedAt: now,
+    reviewedBy: request.auth.uid,
+  });
+
+  try {
+    await sendPushToUser(uid, {
+      title: approved ? "Your account is verified" : "Verification needs attention",
+      body: approved ?
+        "You can now manage your venue on LifeLine." :
+        `Your verification was not approved: ${notes.trim()}`,
+    }, { type: "verification_review", decision });
+  } catch (error) {
+    console.error(`Error notifying ${uid} about verification:`, error);
+  }
+
+  return { uid, decision };
+});
+
+// Emergency Requests
+// Seekers open emergencyRequests/{id} from /search, and hospitals running low post
+// shortage appeals (origin "hospital") from their dashboard. Compatible donors are asked
+// ring by ring around the hospital until enough units are pledged; the request
+// then closes itself and everyone still waiting is told they are not needed.
+
+// Fan-out mails per seeker per hour; well above one request's worth of rings
+const EMERGENCY_MAIL_LIMIT = 300;
+
+/**
+ * Notifies the next radius ring if it is due. Rings that turn up no new donors
+ * are skipped straight away instead of waiting out the escalation delay.
+ */
+const escalateEmergencyRequest = async (requestRef) => {
+  const respondedSnap = await requestRef.collection("responses").get();
+  const askedIds = new Set(respondedSnap.docs.map((d) => d.id));
+
+  for (;;) {
+    const now = new Date();
+    // Claim the ring in a transaction so the create trigger and the scheduler
+    // never notify the same ring twice
+    const claim = await db.runTransaction(async (transaction) => {
+      const snap = await transaction.get(requestRef);
+      if (!snap.exists) return null;
+      const request = snap.data();
+      const ringIndex = request.ringIndex + 1;
+      if (request.status !== EMERGENCY_STATUS.OPEN || ringIndex >= RADIUS_RINGS_KM.length) return null;
+      if (!request.nextEscalationAt || new Date(request.nextEscalationAt) > now) return null;
+
+      transaction.update(requestRef, {
+        ringIndex,
+        radiusKm: RADIUS_RINGS_KM[ringIndex],
+        nextEscalationAt: getNextEscalationAt(request, ringIndex, now),
+        lastEscalatedAt: now.toISOString(),
+      });
+      return { request, ringIndex };
+    });
+    if (!claim) return;
+
+    const { request, ringIndex } = claim;
+    const radiusKm = RADIUS_RINGS_KM[ringIndex];
+    const donors = await findDonorsInRing(db, request, radiusKm, new Set([...askedIds, request.seekerId]));
+
+    // Batches are capped at 500 writes
+    for (let i = 0; i < donors.length; i += 500) {
+      const batch = db.batch();
+      donors.slice(i, i + 500).forEach((donor) => {
+        batch.set(requestRef.collection("responses").doc(donor.id), {
+          donorId: donor.id,
+          donorName: donor.name,
+          donorBloodType: donor.bloodType,
+          matchLabel: donor.matchLabel,
+          distanceKm: donor.distanceKm,
+          ringKm: radiusKm,
+          units: 1,
+          status: RESPONSE_STATUS.NOTIFIED,
+          notifiedAt: now.toISOString(),
+          // Copied so the donor dashboard can list requests without reading each parent
+          request: {
+            bloodType: request.bloodType,
+            component: request.component,
+            unitsNeeded: request.unitsNeeded,
+            hospitalName: request.hospital?.name || null,
+            hospitalAddress: request.hospital?.address || null,
+            deadline: request.deadline,
+            urgency: request.urgency,
+            seekerName: request.seekerName,
+            status: EMERGENCY_STATUS.OPEN,
+          },
+        });
+      });
+      await batch.commit();
+    }
+    if (donors.length > 0) {
+      await requestRef.update({ notifiedCount: FieldValue.increment(donors.length) });
+    }
+    donors.forEach((donor) => askedIds.add(donor.id));
+
+    await Promise.all(donors.map((donor) => Promise.all([
+      notifyUser(donor.id, {
+        title: `Urgent: ${request.bloodType} blood needed`,
+        body: `${request.hospital?.name || "A hospital"} needs ${request.unitsNeeded} unit(s), ` +
+          `${donor.distanceKm.toFixed(1)} km from you. Can you help?`,
+      }, { type: "emergency_request", requestId: requestRef.id }),
+      enqueueMail({
+        to: donor.email,
+        template: "emergency_request",
+        data: {
+          donorName: donor.name,
+          bloodType: request.bloodType,
+          unitsNeeded: request.unitsNeeded,
+          hospitalName: request.hospital?.name || "A hospital",
+          hospitalAddress: request.hospital?.address || null,
+          distanceKm: donor.distanceKm.toFixed(1),
+          deadline: request.deadline,
+          urgency: request.urgency,
+        },
+        sourcePath: requestRef.collection("responses").doc(donor.id).path,
+        rateLimitKey: `emergency_${request.seekerId}`,
+        rateLimit: EMERGENCY_MAIL_LIMIT,
+      }).catch((error) => console.error(`Error queueing emergency mail for ${donor.id}:`, error)),
+    ])));
+
+    console.log(`Emergency request ${requestRef.id}: ring ${radiusKm} km notified ${donors.length} donor(s)`);
+    if (donors.length > 0 || ringIndex >= RADIUS_RINGS_KM.length - 1) return;
+
+    // Nobody new in this ring, so the next one is due right away
+    await requestRef.update({ nextEscalationAt: new Date().toISOString() });
+  }
+};
+
+const CLOSED_MESSAGES = {
+  [EMERGENCY_STATUS.FULFILLED]: {
+    seeker: "Enough donors have pledged for your request.",
+    pledged: "Enough donors have pledged. Thank you, please head to the hospital as agreed.",
+    waiting: "Enough donors have pledged, so you are no longer needed for this request. Thank you!",
+  },
+  [EMERGENCY_STATUS.EXPIRED]: {
+    seeker: "Your emergency request reached its deadline and was closed.",
+    pledged: "This emergency request reached its deadline and was closed.",
+    waiting: "This emergency request has closed, you are no longer needed. Thank you!",
+  },
+  [EMERGENCY_STATUS.CANCELLED]: {
+    // Also sent for hospitals' shortage appeals, so the requester is not named
+    pledged: "This emergency request was cancelled. Thank you for pledging.",
+    waiting: "This emergency request was cancelled, you are no longer needed.",
+  },
+};
+
+// Releases donors who never answered and tells everyone involved the request is closed
+const closeEmergencyRequest = async (requestRef, request) => {
+  const messages = CLOSED_MESSAGES[request.status] || CLOSED_MESSAGES[EMERGENCY_STATUS.EXPIRED];
+  const responsesSnap = await requestRef.collection("responses").get();
+  const open = responsesSnap.docs.filter((d) =>
+    [RESPONSE_STATUS.NOTIFIED, RESPONSE_STATUS.PLEDGED].includes(d.data().status));
+
+  for (let i = 0; i < open.length; i += 500) {
+    const batch = db.batch();
+    open.slice(i, i + 500).forEach((d) => batch.update(d.ref, {
+      "status": d.data().status === RESPONSE_STATUS.NOTIFIED ? RESPONSE_STATUS.RELEASED : d.data().status,
+      "request.status": request.status,
+    }));
+    await batch.commit();
+  }
+
+  const title = `${request.bloodType} request closed`;
+  const data = { type: "emergency_closed", requestId: requestRef.id, status: request.status };
+  await Promise.all([
+    ...open.map((d) => notifyUser(d.id, {
+      title,
+      body: d.data().status === RESPONSE_STATUS.PLEDGED ? messages.pledged : messages.waiting,
+    }, data)),
+    messages.seeker ? notifyUser(request.seekerId, { title, body: messages.seeker }, data) : null,
+  ]);
+};
+
+// New request: notify the first ring. Closed (fulfilled/expired/cancelled): release donors.
+exports.onEmergencyRequestWritten = onDocumentWritten("emergencyRequests/{requestId}", async (event) => {
+  const before = event.data?.before?.exists ? event.data.before.data() : null;
+  const after = event.data?.after?.exists ? event.data.after.data() : null;
+  if (!after) return;
+  const requestRef = event.data.after.ref;
+
+  try {
+    if (!before) {
+      await escalateEmergencyRequest(requestRef);
+    } else if (before.status === EMERGENCY_STATUS.OPEN && after.status !== EMERGENCY_STATUS.OPEN) {
+      await closeEmergencyRequest(requestRef, after);
+    }
+  } catch (error) {
+    console.error(`Error processing emergency request ${event.params.requestId}:`, error);
+  }
+});
+
+// A donor pledged, withdrew or declined: recount pledges and close once covered
+exports.onEmergencyResponseWritten = onDocumentWritten(
+  "emergencyRequests/{requestId}/responses/{donorId}",
+  async (event) => {
+    const before = event.data?.before?.exists ? event.data.before.data() : null;
+    const after = event.data?.after?.exists ? event.data.after.data() : null;
+    const wasPledged = before?.status === RESPONSE_STATUS.PLEDGED;
+    const isPledged = after?.status === RESPONSE_STATUS.PLEDGED;
+    if (wasPledged === isPledged) return;
+
+    const requestRef = db.collection("emergencyRequests").doc(event.params.requestId);
+    try {
+      await db.runTransaction(async (transaction) => {
+        const snap = await transaction.get(requestRef);
+        if (!snap.exists || snap.data().status !== EMERGENCY_STATUS.OPEN) return;
+        const pledgedSnap = await transaction.get(
+          requestRef.collection("responses").where("status", "==", RESPONSE_STATUS.PLEDGED),
+        );
+        const unitsPledged = pledgedSnap.docs.reduce((sum, d) => sum + (d.data().units || 1), 0);
+        const fulfilled = unitsPledged >= snap.data().unitsNeeded;
+
+        transaction.update(requestRef, {
+          unitsPledged,
+          ...(fulfilled && {
+            status: EMERGENCY_STATUS.FULFILLED,
+            nextEscalationAt: null,
+            closedAt: new Date().toISOString(),
+          }),
+        });
+      });
+    } catch (error) {
+      console.error(`Error counting pledges for emergency request ${event.params.requestId}:`, error);
+    }
+  },
+);
+
+// Widens the search for open requests and expires those past their deadline
+exports.escalateEmergencyRequests = onSchedule("every 5 minutes", async () => {
+  const now = new Date();
+  const snapshot = await db.collection("emergencyRequests")
+    .where("status", "==", EMERGENCY_STATUS.OPEN)
+    .get();
+
+  for (const requestDoc of snapshot.docs) {
+    const request = requestDoc.data();
+    try {
+      if (request.deadline && new Date(request.deadline) <= now) {
+        // onEmergencyRequestWritten releases the donors
+        await requestDoc.ref.update({
+          status: EMERGENCY_STATUS.EXPIRED,
+          nextEscalationAt: null,
+          closedAt: now.toISOString(),
+        });
+      } else if (request.nextEscalationAt && new Date(request.nextEscalationAt) <= now) {
+        await escalateEmergencyRequest(requestDoc.ref);
+      }
+    } catch (error) {
+      console.error(`Error escalating emergency request ${requestDoc.id}:`, error);
+    }
+  }
+});
+
+// Email
+// Mail is only ever queued here, never from the browser. See functions/lib/mail.js.
+
+exports.onMailCreated = onDocumentCreated({ document: "mail/{mailId}", secrets: [smtpPassword] }, async (event) => {
+  if (event.data?.data()?.status !== MAIL_STATUS.PENDING) return;
+  await deliverMail(event.data.ref);
+});
+
+exports.retryMail = onSchedule({ schedule: "every 5 minutes", secrets: [smtpPassword] }, async () => {
+  const due = await getDueMail();
+  for (const mailRef of due) {
+    await deliverMail(mailRef);
+  }
+  if (due.length > 0) console.log(`Retried ${due.length} queued mail(s)`);
+});
+
+const getUserEmail = async (uid) => {
+  const snap = await db.collection("users").doc(uid).get();
+  return snap.exists ? snap.data().email || null : null;
+};
+
+// Donor requests (blood_requests/{requestId}) and their chat
+// Statuses follow functions/shared/requestLifecycle.js. Mail goes to the donor when
+// asked and to the seeker once the donor accepts. Every status change is also
+// posted to the request's chat as a system message.
+// Accepting also gives the pair a masked phone relay (functions/lib/telephony.js):
+// the proxy number is kept on the request as contactRelay, while the real numbers
+// stay in proxySessions/{requestId}, which only functions can read.
+
+// Pending requests nobody answered within this many hours expire
+const requestExpiryHours = defineInt("REQUEST_EXPIRY_HOURS", { default: 48 });
+
+// Numbers live in users/{uid}/private/contact, which only the owner and functions
+// read. Profiles saved before that kept it on users/{uid} (donorProfile.phone for
+// donors, phone for seekers).
+const getUserPhone = async (uid) => {
+  const userRef = db.collection("users").doc(uid);
+  const [contactSnap, userSnap] = await Promise.all([userRef.collection("private").doc("contact").get(), userRef.get()]);
+  const user = userSnap.data();
+  return contactSnap.data()?.phone || user?.donorProfile?.phone || user?.phone || null;
+};
+
+const assignContactRelay = async (requestRef, request) => {
+  const [donorPhone, seekerPhone] = await Promise.all([getUserPhone(request.donorId), getUserPhone(request.seekerId)]);
+  const now = new Date().toISOString();
+  if (!donorPhone || !seekerPhone) {
+    await requestRef.update({
+      contactRelay: {
+        proxyNumber: null,
+        status: RELAY_STATUS.UNAVAILABLE,
+        reason: !donorPhone ? "donor_phone_missing" : "seeker_phone_missing",
+        updatedAt: now,
+      },
+    });
     return;
   }
-  const inventoryItem = snapshot.data();
-  const bloodType = inventoryItem.bloodType;
-  const location = inventoryItem.location;
 
-  console.log(`New inventory added: ${bloodType} in ${location}`);
+  const participants = [
+    { role: "donor", uid: request.donorId, phone: donorPhone },
+    { role: "seeker", uid: request.seekerId, phone: seekerPhone },
+  ];
+  const provider = getTelephonyProvider();
+  try {
+    const { proxyNumber, providerSessionId } = await provider.allocate({ sessionId: requestRef.id, participants });
+    await db.collection("proxySessions").doc(requestRef.id).set({
+      requestId: requestRef.id,
+      provider: provider.name,
+      providerSessionId,
+      proxyNumber,
+      participants,
+      status: RELAY_STATUS.ACTIVE,
+      createdAt: now,
+      releasedAt: null,
+    });
+    await requestRef.update({
+      contactRelay: { proxyNumber, status: RELAY_STATUS.ACTIVE, reason: null, assignedAt: now, updatedAt: now },
+    });
+  } catch (error) {
+    console.error(`Error allocating a proxy number for blood request ${requestRef.id}:`, error);
+    await requestRef.update({
+      contactRelay: { proxyNumber: null, status: RELAY_STATUS.UNAVAILABLE, reason: "provider_error", updatedAt: now },
+    });
+  }
+};
+
+// The proxy number stops forwarding; the request keeps its contact log
+const releaseContactRelay = async (requestRef) => {
+  const sessionRef = db.collection("proxySessions").doc(requestRef.id);
+  const sessionSnap = await sessionRef.get();
+  if (!sessionSnap.exists || sessionSnap.data().status !== RELAY_STATUS.ACTIVE) return;
+  const session = sessionSnap.data();
+  const now = new Date().toISOString();
 
-  // Query the watchlists collection for matching requests
-  // We want to find users who are watching for this blood type
-  // and are in the same location (or no location specified)
   try {
-    const watchlistsRef = db.collection('watchlists');
-    
-    // Complex queries might require composite indexes
-    // For simplicity, let's query by bloodType and filter in code for location if needed
-    // or assume exact match on location
-    const q = watchlistsRef
-      .where('bloodType', '==', bloodType)
-      .where('status', '==', 'active');
+    await getTelephonyProvider().release({ providerSessionId: session.providerSessionId });
+  } catch (error) {
+    // Still expired here, so the webhook stops forwarding even if the provider keeps the number
+    console.error(`Error releasing proxy session ${session.providerSessionId}:`, error);
+  }
+  await sessionRef.update({ status: RELAY_STATUS.EXPIRED, releasedAt: now });
+  await requestRef.update({ "contactRelay.status": RELAY_STATUS.EXPIRED, "contactRelay.updatedAt": now });
+};
 
-    const querySnapshot = await q.get();
+// System message for a status change, null if there is nothing to say
+const getRequestStatusMessage = (request, isNew) => {
+  if (isNew) return `${request.seekerName || "A seeker"} asked ${request.donorName || "you"} for ${request.bloodType} blood.`;
+  const note = request.statusHistory?.[request.statusHistory.length - 1]?.note;
+  switch (request.status) {
+    case REQUEST_STATUS.ACCEPTED:
+      return `${request.donorName || "The donor"} accepted the request. Use this chat to arrange the donation.`;
+    case REQUEST_STATUS.DECLINED:
+      return `${request.donorName || "The donor"} declined the request. This conversation is now closed.`;
+    case REQUEST_STATUS.EXPIRED:
+      return "Nobody answered the request in time, so it expired. This conversation is now closed.";
+    case REQUEST_STATUS.CANCELLED:
+      return `The request was cancelled${note ? ` (${note})` : ""}. This conversation is now closed.`;
+    case REQUEST_STATUS.DONATED:
+      return "The donation was recorded. Thank you both! This conversation is now read-only.";
+    case REQUEST_STATUS.NO_SHOW:
+      return `${request.seekerName || "The seeker"} reported that the donation did not happen. This conversation is now closed.`;
+    default: return null;
+  }
+};
+
+exports.onBloodRequestWritten = onDocumentWritten("blood_requests/{requestId}", async (event) => {
+  const before = event.data?.before?.exists ? event.data.before.data() : null;
+  const after = event.data?.after?.exists ? event.data.after.data() : null;
+  if (!after || before?.status === after.status) return;
+  const requestRef = event.data.after.ref;
+  const sourcePath = requestRef.path;
+
+  // Our own undo below, not a participant's change
+  if (before && after.statusReverted?.at !== before.statusReverted?.at) return;
 
-    if (querySnapshot.empty) {
-      console.log('No matching watchlists found.');
+  try {
+    // Rules only allow lifecycle transitions; anything else (console or admin
+    // edits) is undone, including the step it added to statusHistory
+    if (before && !canTransition(before.status, after.status)) {
+      console.warn(`Blood request ${event.params.requestId}: undoing ${before.status} -> ${after.status}`);
+      await requestRef.update({
+        status: before.status,
+        statusHistory: before.statusHistory || FieldValue.delete(),
+        statusReverted: { status: after.status, at: new Date().toISOString() },
+      });
       return;
     }
 
-    const notifications = [];
-    querySnapshot.forEach((doc) => {
-      const watchlist = doc.data();
-      
-      // Check location match (if watchlist has location, it must match)
-      if (watchlist.location && 
-          (!location || !location.toLowerCase().includes(watchlist.location.toLowerCase()))) {
-        return; 
+    const text = getRequestStatusMessage(after, !before);
+    if (text) {
+      await requestRef.collection("messages").add({
+        senderId: "system",
+        senderName: null,
+        type: "system",
+        text,
+        createdAt: new Date().toISOString(),
+      });
+    }
+
+    if (!before && after.status === "pending") {
+      await enqueueMail({
+        to: await getUserEmail(after.donorId),
+        template: "blood_request",
+        data: {
+          donorName: after.donorName,
+          seekerName: after.seekerName,
+          bloodType: after.bloodType,
+          location: after.seekerLocation || null,
+        },
+        sourcePath,
+        rateLimitKey: after.seekerId,
+      });
+    } else if (after.status === REQUEST_STATUS.ACCEPTED) {
+      await assignContactRelay(requestRef, after);
+      await enqueueMail({
+        to: after.seekerEmail || await getUserEmail(after.seekerId),
+        template: "request_accepted",
+        data: {
+          seekerName: after.seekerName,
+          donorName: after.donorName || "A donor",
+          bloodType: after.bloodType,
+        },
+        sourcePath,
+        rateLimitKey: after.donorId,
+      });
+    } else if (isRequestClosed(after.status)) {
+      await releaseContactRelay(requestRef);
+      if (after.status === REQUEST_STATUS.EXPIRED) {
+        await notifyUser(after.seekerId, {
+          title: "Request expired",
+          body: `${after.donorName || "The donor"} did not answer your ${after.bloodType} request. Try another donor.`,
+        }, { type: "blood_request_expired", requestId: event.params.requestId });
       }
+    }
+
+    if (after.caseId) await updateCaseCounts(after.caseId);
+  } catch (error) {
+    console.error(`Error handling blood request ${event.params.requestId}:`, error);
+  }
+});
 
-      // Prepare notification
-      // Note: You need to store the user's FCM token in their user profile to send notifications
-      // Let's assume we can look up the user's FCM token
-      const promise = db.collection('users').doc(watchlist.userId).get()
-        .then(userDoc => {
-          if (userDoc.exists && userDoc.data().fcmToken) {
-            const token = userDoc.data().fcmToken;
-            
-            const message = {
-              notification: {
-                title: 'Blood Type Match Found!',
-                body: `${bloodType} blood is now available in ${location}. Contact the hospital immediately.`
-              },
-              token: token
-            };
-
-            return getMessaging().send(message)
-              .then((response) => {
-                console.log('Successfully sent message:', response);
-              })
-              .catch((error) => {
-                console.log('Error sending message:', error);
-              });
-          }
+// Pending requests older than REQUEST_EXPIRY_HOURS expire. Goes by createdAt, so
+// requests made before the lifecycle existed time out as well.
+exports.expireBloodRequests = onSchedule("every 15 minutes", async () => {
+  const cutoff = new Date(Date.now() - requestExpiryHours.value() * 60 * 60 * 1000).toISOString();
+  const snap = await db.collection("blood_requests")
+    .where("status", "==", REQUEST_STATUS.PENDING)
+    .where("createdAt", "<=", cutoff)
+    .get();
+
+  for (const requestDoc of snap.docs) {
+    try {
+      await db.runTransaction(async (tx) => {
+        const current = await tx.get(requestDoc.ref);
+        // Answered since the query ran
+        if (!canTransition(current.data()?.status, REQUEST_STATUS.EXPIRED)) return;
+        const now = new Date().toISOString();
+        tx.update(requestDoc.ref, {
+          status: REQUEST_STATUS.EXPIRED,
+          updatedAt: now,
+          statusHistory: FieldValue.arrayUnion({ status: REQUEST_STATUS.EXPIRED, at: now, by: SYSTEM_ACTOR, note: null }),
+        });
+      });
+    } catch (error) {
+      console.error(`Error expiring blood request ${requestDoc.id}:`, error);
+    }
+  }
+});
+
+// New chat message: shown as the latest on the request and pushed to the other side
+exports.onRequestMessageCreated = onDocumentCreated("blood_requests/{requestId}/messages/{messageId}", async (event) => {
+  const message = event.data?.data();
+  if (!message) return;
+  const requestRef = db.collection("blood_requests").doc(event.params.requestId);
+
+  try {
+    await requestRef.update({
+      lastMessage: {
+        senderId: message.senderId,
+        type: message.type,
+        createdAt: message.createdAt,
+      },
+    });
+    if (message.type === "system") return;
+
+    const requestSnap = await requestRef.get();
+    const request = requestSnap.data();
+    const recipientId = message.senderId === request.donorId ? request.seekerId : request.donorId;
+    const senderName = message.senderId === request.donorId ? request.donorName : request.seekerName;
+    await notifyUser(recipientId, {
+      title: senderName || "New message",
+      body: message.text.slice(0, 140),
+    }, { type: "request_message", requestId: event.params.requestId });
+  } catch (error) {
+    console.error(`Error handling message on blood request ${event.params.requestId}:`, error);
+  }
+});
+
+// A participant added or changed their number: accepted requests get a relay
+// with the new number (the proxy number may change)
+exports.onContactPhoneWritten = onDocumentWritten("users/{uid}/private/contact", async (event) => {
+  const before = event.data?.before?.exists ? event.data.before.data() : null;
+  const after = event.data?.after?.exists ? event.data.after.data() : null;
+  if (!after?.phone || before?.phone === after.phone) return;
+
+  try {
+    const uid = event.params.uid;
+    const [asDonor, asSeeker] = await Promise.all([
+      db.collection("blood_requests").where("donorId", "==", uid).where("status", "==", "accepted").get(),
+      db.collection("blood_requests").where("seekerId", "==", uid).where("status", "==", "accepted").get(),
+    ]);
+    for (const requestSnap of [...asDonor.docs, ...asSeeker.docs]) {
+      await releaseContactRelay(requestSnap.ref);
+      await assignContactRelay(requestSnap.ref, requestSnap.data());
+    }
+  } catch (error) {
+    console.error(`Error updating contact relays for ${event.params.uid}:`, error);
+  }
+});
+
+// Calls and texts through the proxy number. The provider asks where to forward
+// each one; it is logged on the request as blood_requests/{id}/contactEvents,
+// which records who contacted whom and when, never the numbers or SMS text.
+exports.telephonyWebhook = onRequest({ secrets: [telephonyWebhookSecret] }, async (req, res) => {
+  const provider = getTelephonyProvider();
+  if (req.method !== "POST" || !provider.verify(req, telephonyWebhookSecret.value())) {
+    res.status(403).send("Forbidden");
+    return;
+  }
+  const contact = provider.parseEvent(req);
+  if (!contact) {
+    res.status(400).send("Unrecognized event");
+    return;
+  }
+
+  try {
+    const sessionSnap = await db.collection("proxySessions")
+      .where("providerSessionId", "==", contact.providerSessionId)
+      .limit(1)
+      .get();
+    const session = sessionSnap.empty ? null : sessionSnap.docs[0].data();
+    const { from, to } = session ? routeContact(session.participants, contact.fromNumber) : {};
+    if (!session || session.status !== RELAY_STATUS.ACTIVE || !from || !to) {
+      // Expired relays and strangers who found the number are not forwarded
+      provider.reply(res, { forwardTo: null });
+      return;
+    }
+
+    await db.collection("blood_requests").doc(session.requestId).collection("contactEvents").add({
+      channel: contact.channel,
+      from: from.role,
+      status: contact.status,
+      durationSeconds: contact.durationSeconds,
+      createdAt: new Date().toISOString(),
+    });
+    provider.reply(res, { forwardTo: to.phone });
+  } catch (error) {
+    console.error("Error handling telephony event:", error);
+    res.status(500).send("Relay unavailable");
+  }
+});
+
+// Request Cases
+// Seekers group donor requests by patient in cases/{caseId} (see
+// functions/shared/cases.js). A case is fulfilled by the seeker, or here once enough
+// units were donated; closing it cancels only its own pending requests and tells
+// those donors they are no longer needed.
+
+const updateCaseCounts = async (caseId) => {
+  const caseRef = db.collection("cases").doc(caseId);
+  const [caseSnap, requestsSnap] = await Promise.all([
+    caseRef.get(),
+    db.collection("blood_requests").where("caseId", "==", caseId).get(),
+  ]);
+  if (!caseSnap.exists) return;
+  const needCase = caseSnap.data();
+  const counts = getCaseCounts(requestsSnap.docs.map((d) => d.data()));
+  const isMet = needCase.status === CASE_STATUS.OPEN && counts.unitsReceived >= needCase.unitsNeeded;
+  const now = new Date().toISOString();
+  await caseRef.update({
+    ...counts,
+    updatedAt: now,
+    ...(isMet && { status: CASE_STATUS.FULFILLED, closedAt: now, closedBy: SYSTEM_ACTOR }),
+  });
+};
+
+exports.onCaseWritten = onDocumentWritten("cases/{caseId}", async (event) => {
+  const before = event.data?.before?.exists ? event.data.before.data() : null;
+  const after = event.data?.after?.exists ? event.data.after.data() : null;
+  if (!before || !after || before.status !== CASE_STATUS.OPEN || after.status === CASE_STATUS.OPEN) return;
+  const note = CASE_CLOSED_NOTES[after.status] || null;
+
+  try {
+    const pendingSnap = await db.collection("blood_requests")
+      .where("caseId", "==", event.params.caseId)
+      .where("status", "==", REQUEST_STATUS.PENDING)
+      .get();
+
+    for (const requestDoc of pendingSnap.docs) {
+      const cancelled = await db.runTransaction(async (tx) => {
+        const current = await tx.get(requestDoc.ref);
+        // Answered since the query ran
+        if (!canTransition(current.data()?.status, REQUEST_STATUS.CANCELLED)) return false;
+        const now = new Date().toISOString();
+        tx.update(requestDoc.ref, {
+          status: REQUEST_STATUS.CANCELLED,
+          updatedAt: now,
+          statusHistory: FieldValue.arrayUnion({ status: REQUEST_STATUS.CANCELLED, at: now, by: SYSTEM_ACTOR, note }),
+        });
+        return true;
+      });
+      if (!cancelled) continue;
+
+      const request = requestDoc.data();
+      await notifyUser(request.donorId, {
+        title: "No longer needed",
+        body: `${request.seekerName || "The seeker"} no longer needs your ${request.bloodType} blood: ${note}. Thank you for being ready to help!`,
+      }, { type: "blood_request_cancelled", requestId: requestDoc.id });
+    }
+  } catch (error) {
+    console.error(`Error closing requests for case ${event.params.caseId}:`, error);
+  }
+});
+
+// Appointments
+// Donors get a reminder a day and two hours before their slot, by push and email.
+// Venues record no-shows; each one is counted on the donor's profile
+// (users/{uid}.noShowCount) and the venue can send a follow-up with a link that
+// reopens the booking form for the same venue. Venues cannot read donor profiles,
+// so the count is copied onto the donor's scheduled appointments (donorNoShowCount).
+
+// Appointment days and slots are the venues' local time
+const appTimeZone = defineString("APP_TIME_ZONE", { default: "Asia/Kolkata" });
+
+const REMINDER_WHEN = {
+  day_before: "tomorrow",
+  two_hours: "in two hours",
+};
+
+const sendAppointmentReminder = async (apptRef, reminder) => {
+  // Claim it first so overlapping runs never send the same reminder twice
+  const appt = await db.runTransaction(async (transaction) => {
+    const snap = await transaction.get(apptRef);
+    const data = snap.data();
+    if (data?.status !== "scheduled" || data.remindersSent?.[reminder.key]) return null;
+    transaction.update(apptRef, { [`remindersSent.${reminder.key}`]: new Date().toISOString() });
+    return data;
+  });
+  if (!appt) return;
+
+  const when = REMINDER_WHEN[reminder.key];
+  await Promise.all([
+    notifyUser(appt.donorId, {
+      title: `Blood donation ${when}`,
+      body: `${appt.venueName} at ${appt.timeSlot}. Remember your pre-donation check before you go.`,
+    }, { type: "appointment_reminder", appointmentId: apptRef.id }),
+    enqueueMail({
+      to: await getUserEmail(appt.donorId),
+      template: "appointment_reminder",
+      data: {
+        donorName: appt.donorName,
+        venueName: appt.venueName,
+        date: appt.date,
+        timeSlot: appt.timeSlot,
+        when,
+      },
+      sourcePath: apptRef.path,
+      rateLimitKey: `appointment_${appt.donorId}`,
+    }).catch((error) => console.error(`Error queueing reminder mail for ${apptRef.id}:`, error)),
+  ]);
+};
+
+exports.sendAppointmentReminders = onSchedule("every 15 minutes", async () => {
+  const now = new Date();
+  const dayMs = 24 * 60 * 60 * 1000;
+  // Local dates can be a day either side of the UTC one
+  const from = new Date(now.getTime() - dayMs).toISOString().split("T")[0];
+  const to = new Date(now.getTime() + 2 * dayMs).toISOString().split("T")[0];
+
+  const snapshot = await db.collection("appointments")
+    .where("status", "==", "scheduled")
+    .where("date", ">=", from)
+    .where("date", "<=", to)
+    .get();
+
+  let sent = 0;
+  for (const apptDoc of snapshot.docs) {
+    const reminder = getDueReminder(apptDoc.data(), now, appTimeZone.value());
+    if (!reminder) continue;
+    try {
+      await sendAppointmentReminder(apptDoc.ref, reminder);
+      sent++;
+    } catch (error) {
+      console.error(`Error sending reminder for appointment ${apptDoc.id}:`, error);
+    }
+  }
+  if (sent > 0) console.log(`Sent ${sent} appointment reminder(s)`);
+});
+
+// Seats
+// Donors can only create a slot doc with their own seat in it, so appointments booked
+// before slot docs existed are added to the counts here, and then carry their slotId.
+
+// Beds per slot when a venue has no schedule (as in venueSchedule.js and firestore.rules)
+const DEFAULT_BEDS_PER_SLOT = 2;
+
+exports.backfillAppointmentSlots = onSchedule("every 60 minutes", async () => {
+  // Local dates can be a day behind the UTC one
+  const from = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split("T")[0];
+  const snapshot = await db.collection("appointments")
+    .where("status", "==", "scheduled")
+    .where("date", ">=", from)
+    .get();
+  const unslotted = snapshot.docs.filter((d) => !d.data().slotId && parseTimeSlot(d.data().timeSlot) !== null);
+
+  let backfilled = 0;
+  for (const apptDoc of unslotted) {
+    const { venueId, venueType, date, timeSlot } = apptDoc.data();
+    const slotId = getSlotId(venueId, date, timeSlot);
+    const slotRef = db.collection("appointmentSlots").doc(slotId);
+    const venueRef = db.collection(venueType === "camp" ? "donationCamps" : "inventory").doc(venueId);
+    try {
+      await db.runTransaction(async (transaction) => {
+        const [appt, slot, venue] = await Promise.all([
+          transaction.get(apptDoc.ref),
+          transaction.get(slotRef),
+          transaction.get(venueRef),
+        ]);
+        if (appt.data()?.status !== "scheduled" || appt.data().slotId) return;
+        transaction.set(slotRef, {
+          venueId,
+          venueType,
+          date,
+          timeSlot,
+          capacity: slot.exists ? slot.data().capacity : (venue.data()?.schedule?.bedsPerSlot || DEFAULT_BEDS_PER_SLOT),
+          booked: (slot.exists ? slot.data().booked : 0) + 1,
+          lastAppointmentId: apptDoc.id,
+          updatedAt: new Date().toISOString(),
         });
-      
-      notifications.push(promise);
+        transaction.update(apptDoc.ref, { slotId });
+      });
+      backfilled++;
+    } catch (error) {
+      console.error(`Error backfilling the slot of appointment ${apptDoc.id}:`, error);
+    }
+  }
+  if (backfilled > 0) console.log(`Counted ${backfilled} older appointment(s) into their slots`);
+});
+
+// Copies the donor's no-show count onto their scheduled appointments
+const syncDonorNoShowCount = async (donorId) => {
+  const [userSnap, apptSnaps] = await Promise.all([
+    db.collection("users").doc(donorId).get(),
+    db.collection("appointments").where("donorId", "==", donorId).where("status", "==", "scheduled").get(),
+  ]);
+  const donorNoShowCount = userSnap.data()?.noShowCount || 0;
+  const stale = apptSnaps.docs.filter((d) => d.data().donorNoShowCount !== donorNoShowCount);
+  for (let i = 0; i < stale.length; i += 500) {
+    const batch = db.batch();
+    stale.slice(i, i + 500).forEach((d) => batch.update(d.ref, { donorNoShowCount }));
+    await batch.commit();
+  }
+};
+
+exports.onAppointmentWritten = onDocumentWritten("appointments/{appointmentId}", async (event) => {
+  const before = event.data?.before?.exists ? event.data.before.data() : null;
+  const after = event.data?.after?.exists ? event.data.after.data() : null;
+  if (!after) return;
+  const apptRef = event.data.after.ref;
+
+  // New booking: show the venue the donor's record
+  if (!before) {
+    try {
+      await syncDonorNoShowCount(after.donorId);
+    } catch (error) {
+      console.error(`Error copying the no-show count onto appointment ${apptRef.id}:`, error);
+    }
+    return;
+  }
+
+  try {
+    // Moved by the donor: confirm the new time
+    if (before.status === "scheduled" && after.status === "scheduled" &&
+      (before.date !== after.date || before.timeSlot !== after.timeSlot)) {
+      await Promise.all([
+        notifyUser(after.donorId, {
+          title: "Appointment rescheduled",
+          body: `${after.venueName} on ${after.date} at ${after.timeSlot}.`,
+        }, { type: "appointment_rescheduled", appointmentId: apptRef.id }),
+        enqueueMail({
+          to: await getUserEmail(after.donorId),
+          template: "appointment_rescheduled",
+          data: {
+            donorName: after.donorName,
+            venueName: after.venueName,
+            date: after.date,
+            timeSlot: after.timeSlot,
+            previous: `${before.date} ${before.timeSlot}`,
+          },
+          sourcePath: apptRef.path,
+          rateLimitKey: `appointment_${after.donorId}`,
+        }),
+      ]);
+    }
+
+    if (before.status === "scheduled" && after.status === "no-show") {
+      await db.collection("users").doc(after.donorId).update({
+        noShowCount: FieldValue.increment(1),
+        lastNoShowAt: new Date().toISOString(),
+      });
+      await syncDonorNoShowCount(after.donorId);
+    }
+
+    // Venue offered the donor a new booking
+    if (!before.followUp && after.followUp && after.status === "no-show") {
+      await Promise.all([
+        notifyUser(after.donorId, {
+          title: `We missed you at ${after.venueName}`,
+          body: "Your donation is still needed. Tap to pick a new time.",
+        }, { type: "no_show_follow_up", appointmentId: apptRef.id }),
+        enqueueMail({
+          to: await getUserEmail(after.donorId),
+          template: "no_show_follow_up",
+          data: {
+            donorName: after.donorName,
+            venueName: after.venueName,
+            date: after.date,
+            timeSlot: after.timeSlot,
+            appointmentId: apptRef.id,
+          },
+          sourcePath: apptRef.path,
+          rateLimitKey: `appointment_${after.donorId}`,
+        }),
+      ]);
+      await apptRef.update({ "followUp.sentAt": new Date().toISOString() });
+    }
+  } catch (error) {
+    console.error(`Error handling appointment ${event.params.appointmentId}:`, error);
+  }
+});
+
+// Day-of Checks
+// The donor saves their answers and the appointment names the submission. The result
+// the venue relies on is worked out here; answers sent outside the window or to an
+// outdated questionnaire are turned down and the donor can answer again.
+const DAY_OF_REJECTIONS = {
+  OUTSIDE_WINDOW: "outside_window",
+  INCOMPLETE: "incomplete",
+};
+
+exports.onDayOfCheckSubmitted = onDocumentCreated("users/{uid}/eligibilitySubmissions/{submissionId}", async (event) => {
+  const submission = event.data.data();
+  if (submission.tier !== SCREENING_TIERS.DAY_OF) return;
+  const { uid, submissionId } = event.params;
+  const apptRef = db.collection("appointments").doc(submission.appointmentId);
+
+  try {
+    const apptSnap = await apptRef.get();
+    const appt = apptSnap.exists ? apptSnap.data() : null;
+    if (appt?.donorId !== uid || appt.dayOfCheck?.submissionId !== submissionId) return;
+
+    const active = await getActiveQuestionnaire();
+    const questionnaire = getTierQuestionnaire(active, SCREENING_TIERS.DAY_OF);
+    let rejected = null;
+    if (!isDayOfCheckOpen(appt, event.data.createTime.toDate(), appTimeZone.value())) {
+      rejected = DAY_OF_REJECTIONS.OUTSIDE_WINDOW;
+    } else if (submission.questionnaireId !== active.id || !isComplete(questionnaire, submission.answers)) {
+      rejected = DAY_OF_REJECTIONS.INCOMPLETE;
+    }
+
+    if (rejected) {
+      await Promise.all([
+        event.data.ref.update({ rejected }),
+        apptRef.update({ dayOfCheck: FieldValue.delete(), updatedAt: new Date().toISOString() }),
+      ]);
+      return;
+    }
+
+    const evaluation = evaluateQuestionnaire(questionnaire, submission.answers);
+    await Promise.all([
+      event.data.ref.update({
+        result: evaluation.status,
+        deferredUntil: evaluation.deferredUntil,
+        outcomes: evaluation.outcomes,
+      }),
+      apptRef.update({
+        "dayOfCheck.result": evaluation.status,
+        "dayOfCheck.reasons": evaluation.outcomes.map((o) => o.message),
+        "updatedAt": new Date().toISOString(),
+      }),
+    ]);
+  } catch (error) {
+    console.error(`Error evaluating day-of check ${submissionId} for ${uid}:`, error);
+  }
+});
+
+// Calendar Feed
+// Donors subscribe to /calendarFeed?token=<token> from Apple Calendar, Outlook or
+// Google Calendar. The token is the id of a calendarFeeds doc the donor created in
+// Profile Settings; deleting it revokes the URL.
+
+// Cancelled appointments stay in the feed this long so subscribed calendars drop them
+const FEED_CANCELLED_DAYS = 60;
+
+exports.calendarFeed = onRequest(async (req, res) => {
+  const token = String(req.query.token || "");
+  if (!/^[a-f0-9]{32,}$/.test(token)) {
+    res.status(404).send("Calendar not found");
+    return;
+  }
+
+  try {
+    const feedSnap = await db.collection("calendarFeeds").doc(token).get();
+    if (!feedSnap.exists) {
+      res.status(404).send("Calendar not found");
+      return;
+    }
+
+    const cutoff = new Date(Date.now() - FEED_CANCELLED_DAYS * 24 * 60 * 60 * 1000).toISOString().split("T")[0];
+    const apptSnap = await db.collection("appointments").where("donorId", "==", feedSnap.data().uid).get();
+    const appointments = apptSnap.docs
+      .map((d) => ({ id: d.id, ...d.data() }))
+      .filter((appt) => appt.date && (appt.status !== "cancelled" || appt.date >= cutoff));
+
+    // Venue docs give the address and map pin
+    const venueKeys = [...new Set(appointments.map((appt) => `${appt.venueType}/${appt.venueId}`))];
+    const venueSnaps = await Promise.all(venueKeys.map((key) => {
+      const [venueType, venueId] = key.split("/");
+      return db.collection(venueType === "camp" ? "donationCamps" : "inventory").doc(venueId).get();
+    }));
+    const venues = Object.fromEntries(venueKeys.map((key, i) => [key, venueSnaps[i].data() || null]));
+
+    const ics = buildCalendar({
+      name: "LifeLine donations",
+      timeZone: appTimeZone.value(),
+      events: appointments.map((appt) => getAppointmentEvent(appt, venues[`${appt.venueType}/${appt.venueId}`])),
+    });
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Cache-Control", "private, max-age=900");
+    res.send(ics);
+  } catch (error) {
+    console.error("Error serving calendar feed:", error);
+    res.status(500).send("Calendar unavailable");
+  }
+});
+
+// Rewards
+// Badges, the donation count and streaks live in users/{uid}.rewards and are
+// recomputed here whenever one of the donor's certificates is issued or revoked
+// (see functions/shared/rewards.js). Donors who opt in from Profile Settings are
+// listed on the city and campus leaderboards through leaderboard/{uid}, which
+// only holds what the boards show.
+
+const updateDonorRewards = async (donorId) => {
+  const [certificatesSnap, pledgesSnap] = await Promise.all([
+    db.collection("certificates").where("donorId", "==", donorId).get(),
+    db.collectionGroup("responses")
+      .where("donorId", "==", donorId)
+      .where("status", "==", RESPONSE_STATUS.PLEDGED)
+      .get(),
+  ]);
+  const certificates = certificatesSnap.docs.map((d) => d.data()).filter((c) => c.status === "valid");
+  const requestSnaps = await Promise.all(pledgesSnap.docs.map((d) => d.ref.parent.parent.get()));
+  const pledges = pledgesSnap.docs.map((d, i) => ({
+    hospitalId: requestSnaps[i].data()?.hospital?.id || null,
+    pledgedAt: d.data().respondedAt,
+  })).filter((pledge) => pledge.hospitalId && pledge.pledgedAt);
+
+  const userRef = db.collection("users").doc(donorId);
+  const userSnap = await userRef.get();
+  if (!userSnap.exists) return;
+  const previous = userSnap.data().rewards || null;
+  const rewards = { ...computeRewards(certificates, pledges), updatedAt: new Date().toISOString() };
+  await userRef.update({ rewards });
+
+  await Promise.all(getNewBadges(previous, rewards).map((badge) => notifyUser(donorId, {
+    title: "New badge earned",
+    body: `You earned the ${BADGE_INFO[badge].label} badge. Thank you for donating!`,
+  }, { type: "badge_earned", badge })));
+};
+
+// A donation was recorded (certificate issued) or a certificate was revoked
+exports.onCertificateWritten = onDocumentWritten("certificates/{certificateId}", async (event) => {
+  const before = event.data?.before?.exists ? event.data.before.data() : null;
+  const after = event.data?.after?.exists ? event.data.after.data() : null;
+  if (before?.status === after?.status) return;
+
+  const donorId = after?.donorId || before?.donorId;
+  try {
+    await updateDonorRewards(donorId);
+  } catch (error) {
+    console.error(`Error updating rewards for donor ${donorId}:`, error);
+  }
+});
+
+// The parts of a profile the leaderboard shows
+const getLeaderboardEntry = (user) => {
+  if (!user?.isDonor || !user.donorProfile?.leaderboardOptIn || !user.rewards?.totalDonations) return null;
+  return {
+    displayName: getLeaderboardName(user.name),
+    city: user.donorProfile.city || null,
+    cityKey: getLeaderboardKey(user.donorProfile.city),
+    campus: user.donorProfile.campus || null,
+    campusKey: getLeaderboardKey(user.donorProfile.campus),
+    totalDonations: user.rewards.totalDonations,
+    badges: Object.keys(user.rewards.badges || {}),
+    streak: user.rewards.streak,
+  };
+};
+
+// Keeps leaderboard/{uid} in step with the donor's opt-in, name, city, campus and rewards
+exports.onLeaderboardProfileWritten = onDocumentWritten("users/{uid}", async (event) => {
+  const before = getLeaderboardEntry(event.data?.before?.exists ? event.data.before.data() : null);
+  const after = getLeaderboardEntry(event.data?.after?.exists ? event.data.after.data() : null);
+  if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+  const entryRef = db.collection("leaderboard").doc(event.params.uid);
+  try {
+    if (after) {
+      await entryRef.set({ ...after, updatedAt: new Date().toISOString() });
+    } else {
+      await entryRef.delete();
+    }
+  } catch (error) {
+    console.error(`Error updating leaderboard entry for ${event.params.uid}:`, error);
+  }
+});
+
+// Public Donor Profiles
+// Seekers search donors/{uid}, which holds only what a search result shows. The
+// number, email, history and no-shows stay on users/{uid}, which only the donor
+// (and admins) can read; seekers reach donors through requests and the call relay.
+const getPublicDonor = (user) => {
+  if (!isActiveDonor(user)) return null;
+  const { bloodType, city = null, location = null, geohash = null } = user.donorProfile;
+  return {
+    name: user.name || null,
+    // Nested like users/{uid}, so search results render the same
+    donorProfile: { bloodType, city, location, geohash },
+    // The client skips expired screenings before the nightly job drops them
+    screeningExpiresAt: user.screeningExpiresAt || null,
+    lastChecked: user.lastChecked || null,
+  };
+};
+
+// Keeps donors/{uid} in step with the donor being active and their search details
+exports.onPublicDonorProfileWritten = onDocumentWritten("users/{uid}", async (event) => {
+  const before = getPublicDonor(event.data?.before?.exists ? event.data.before.data() : null);
+  const after = getPublicDonor(event.data?.after?.exists ? event.data.after.data() : null);
+  if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+  const donorRef = db.collection("donors").doc(event.params.uid);
+  try {
+    if (after) {
+      await donorRef.set({ ...after, updatedAt: new Date().toISOString() });
+    } else {
+      await donorRef.delete();
+    }
+  } catch (error) {
+    console.error(`Error updating public donor profile for ${event.params.uid}:`, error);
+  }
+});
+
+// Fills in donors who were active before donors/{uid} existed, and drops any whose
+// update was missed
+exports.syncPublicDonors = onSchedule("every day 01:30", async () => {
+  const [userSnap, donorSnap] = await Promise.all([
+    db.collection("users").where("isDonor", "==", true).where("isEligible", "==", true).get(),
+    db.collection("donors").get(),
+  ]);
+  const active = new Map(userSnap.docs.map((d) => [d.id, getPublicDonor(d.data())]).filter(([, entry]) => entry));
+  const published = new Set(donorSnap.docs.map((d) => d.id));
+  const now = new Date().toISOString();
+  const writes = [
+    ...[...active].filter(([uid]) => !published.has(uid))
+      .map(([uid, entry]) => (batch) => batch.set(db.collection("donors").doc(uid), { ...entry, updatedAt: now })),
+    ...donorSnap.docs.filter((d) => !active.has(d.id)).map((d) => (batch) => batch.delete(d.ref)),
+  ];
+
+  for (let i = 0; i < writes.length; i += 500) {
+    const batch = db.batch();
+    writes.slice(i, i + 500).forEach((write) => write(batch));
+    await batch.commit();
+  }
+  if (writes.length > 0) console.log(`Synced ${writes.length} public donor profile(s)`);
+});
+
+// Donation Journeys
+// Hospitals move a donated bag from collected through tested and processed into
+// stock, then issue or discard it. Each step is copied to the donor's
+// donationJourneys/{appointmentId} doc, and the donor is told when their blood is
+// in stock and when it is issued to a patient.
+exports.onBloodUnitWritten = onDocumentWritten("inventory/{hospitalId}/units/{unitId}", async (event) => {
+  const before = event.data?.before?.exists ? event.data.before.data() : null;
+  const after = event.data?.after?.exists ? event.data.after.data() : null;
+  if (!after?.donorId || !after.appointmentId) return;
+
+  const step = getJourneyStep(after.status);
+  if (!step || (before && getJourneyStep(before.status) === step)) return;
+
+  const journeyRef = db.collection("donationJourneys").doc(after.appointmentId);
+  try {
+    const now = new Date().toISOString();
+    const journeySnap = await journeyRef.get();
+    let journey = journeySnap.exists ? journeySnap.data() : null;
+
+    // Registered at this hospital by a transfer: the journey moves with the bag, and
+    // only takes a step when the bag arrives in another state (discarded on arrival)
+    let moved = {};
+    if (!before && after.transferId && journey) {
+      const inventorySnap = await db.collection("inventory").doc(event.params.hospitalId).get();
+      moved = { hospitalId: event.params.hospitalId, hospitalName: inventorySnap.data()?.hospitalName || null };
+      journey = { ...journey, ...moved };
+      if (journey.status === step) {
+        await journeyRef.update({ ...moved, updatedAt: now });
+        return;
+      }
+    }
+
+    const updates = { ...moved, status: step, [`steps.${step}`]: now, updatedAt: now };
+    if (journey) {
+      await journeyRef.update(updates);
+    } else {
+      const inventorySnap = await db.collection("inventory").doc(event.params.hospitalId).get();
+      await journeyRef.set({
+        donorId: after.donorId,
+        appointmentId: after.appointmentId,
+        hospitalId: event.params.hospitalId,
+        hospitalName: inventorySnap.data()?.hospitalName || null,
+        bagId: after.bagId,
+        bloodType: after.bloodType,
+        componentType: after.componentType,
+        collectedAt: after.collectionDate || now,
+        status: step,
+        steps: { [step]: now },
+        updatedAt: now,
+      });
+    }
+
+    const message = JOURNEY_MESSAGES[step];
+    if (message) {
+      await notifyUser(after.donorId, message(journey || { hospitalName: null }), { type: "donation_journey", appointmentId: after.appointmentId });
+    }
+  } catch (error) {
+    console.error(`Error updating donation journey for unit ${event.params.unitId}:`, error);
+  }
+});
+
+// Stock Summary
+// bloodStock/componentStock on inventory/{hospitalId} count the 'available' units.
+// Only these functions write them (the rules refuse them from the browser), so
+// the map, search and watchlist matching always see what is really on the shelf.
+
+// Recounts one blood group from its available bags. The query is read inside the
+// transaction, so two bag writes landing together cannot leave a stale count behind.
+const recountBloodType = (hospitalId, bloodType) => db.runTransaction(async (tx) => {
+  const inventoryRef = db.collection("inventory").doc(hospitalId);
+  const [inventorySnap, unitsSnap] = await Promise.all([
+    tx.get(inventoryRef),
+    tx.get(inventoryRef.collection("units")
+      .where("bloodType", "==", bloodType)
+      .where("status", "==", UNIT_STATUS.AVAILABLE)
+      .select("componentType")),
+  ]);
+  // Legacy counts stay as they are until migrateLegacyStock has created every bag
+  if (!inventorySnap.exists || !inventorySnap.data().unitsTracked) return;
+
+  // Components that ran out are written as 0 rather than left at their old count
+  const counts = Object.fromEntries(
+    Object.keys(inventorySnap.data().componentStock || {}).map((component) => [component, 0])
+  );
+  unitsSnap.docs.forEach((unitDoc) => {
+    const component = unitDoc.get("componentType");
+    counts[component] = (counts[component] || 0) + 1;
+  });
+
+  tx.update(inventoryRef, {
+    [`bloodStock.${bloodType}`]: unitsSnap.size,
+    ...Object.fromEntries(Object.entries(counts).map(([component, count]) =>
+      [`componentStock.${component}.${bloodType}`, count])),
+  });
+});
+
+exports.onUnitStockWritten = onDocumentWritten("inventory/{hospitalId}/units/{unitId}", async (event) => {
+  const before = event.data?.before?.exists ? event.data.before.data() : null;
+  const after = event.data?.after?.exists ? event.data.after.data() : null;
+  const wasAvailable = before?.status === UNIT_STATUS.AVAILABLE;
+  const isAvailable = after?.status === UNIT_STATUS.AVAILABLE;
+  if (!wasAvailable && !isAvailable) return;
+  if (wasAvailable && isAvailable &&
+    before.bloodType === after.bloodType && before.componentType === after.componentType) return;
+
+  const bloodTypes = new Set([wasAvailable && before.bloodType, isAvailable && after.bloodType].filter(Boolean));
+  try {
+    for (const bloodType of bloodTypes) {
+      await recountBloodType(event.params.hospitalId, bloodType);
+    }
+  } catch (error) {
+    console.error(`Error recounting stock for unit ${event.params.unitId}:`, error);
+  }
+});
+
+// Legacy stock finished migrating: rebuild the whole summary from the placeholder bags
+exports.onUnitsTracked = onDocumentWritten("inventory/{hospitalId}", async (event) => {
+  const before = event.data?.before?.exists ? event.data.before.data() : null;
+  const after = event.data?.after?.exists ? event.data.after.data() : null;
+  if (!before || before.unitsTracked || !after?.unitsTracked) return;
+
+  try {
+    for (const bloodType of Object.keys({ ...before.bloodStock, ...after.bloodStock })) {
+      await recountBloodType(event.params.hospitalId, bloodType);
+    }
+  } catch (error) {
+    console.error(`Error rebuilding stock for inventory ${event.params.hospitalId}:`, error);
+  }
+});
+
+// Inter-hospital Transfers
+// A hospital asks another for units in transfers/{transferId} (functions/shared/transfers.js).
+// Both hospitals move their own units from the dashboard; here the other side
+// is told about each step, and bags reserved for an offer that is declined or
+// cancelled go back into the supplier's available stock.
+
+// Reserved -> available for every bag still held for the transfer, in one transaction
+// with a ledger entry per blood group and component (onUnitStockWritten recounts the summary)
+const releaseTransferUnits = async (transferId, transfer) => {
+  const inventoryRef = db.collection("inventory").doc(transfer.supplierId);
+  const reservedSnap = await inventoryRef.collection("units")
+    .where("reservedForTransfer", "==", transferId)
+    .where("status", "==", UNIT_STATUS.RESERVED)
+    .get();
+  if (reservedSnap.empty) return 0;
+
+  return db.runTransaction(async (tx) => {
+    const snaps = await Promise.all(reservedSnap.docs.map((d) => tx.get(d.ref)));
+    const units = snaps.filter((s) => s.data()?.status === UNIT_STATUS.RESERVED && s.data().reservedForTransfer === transferId);
+    if (units.length === 0) return 0;
+
+    const now = new Date().toISOString();
+    const entries = {};
+    units.forEach((unitSnap) => {
+      const unit = unitSnap.data();
+      tx.update(unitSnap.ref, { status: UNIT_STATUS.AVAILABLE, reservedForTransfer: FieldValue.delete(), updatedAt: now });
+      const key = `${unit.bloodType}|${unit.componentType}`;
+      entries[key] = entries[key] || { bloodType: unit.bloodType, componentType: unit.componentType, delta: 0, bagIds: [] };
+      entries[key].delta += 1;
+      entries[key].bagIds.push(unit.bagId);
     });
 
-    await Promise.all(notifications);
-    
+    tx.update(inventoryRef, { lastUpdated: now });
+    Object.values(entries).forEach((entry) => tx.set(inventoryRef.collection("ledger").doc(), {
+      ...entry,
+      reason: LEDGER_REASONS.TRANSFER_RELEASE,
+      actorId: SYSTEM_ACTOR,
+      actorName: null,
+      appointmentId: null,
+      requestId: null,
+      transferId,
+      createdAt: now,
+    }));
+    return units.length;
+  });
+};
+
+exports.onTransferWritten = onDocumentWritten("transfers/{transferId}", async (event) => {
+  const before = event.data?.before?.exists ? event.data.before.data() : null;
+  const after = event.data?.after?.exists ? event.data.after.data() : null;
+  if (!after || before?.status === after.status) return;
+  const { transferId } = event.params;
+
+  try {
+    const wasReserving = before && RESERVING_STATUSES.includes(before.status);
+    if (wasReserving && [TRANSFER_STATUS.DECLINED, TRANSFER_STATUS.CANCELLED].includes(after.status)) {
+      const released = await releaseTransferUnits(transferId, after);
+      console.log(`Transfer ${transferId}: released ${released} reserved unit(s)`);
+    }
+
+    const message = getTransferMessage(after);
+    if (message) {
+      await notifyUser(message.to, { title: message.title, body: message.body }, {
+        type: "transfer",
+        transferId,
+        status: after.status,
+      });
+    }
   } catch (error) {
-    console.error("Error processing inventory trigger:", error);
+    console.error(`Error processing transfer ${transferId}:`, error);
+  }
+});
+
+// Camps are archived two days after they run (this used to happen in the
+// browser of whoever opened /camps, which the rules no longer allow)
+exports.archiveOldCamps = onSchedule("every day 03:00", async () => {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - 2);
+
+  const snapshot = await db.collection("donationCamps")
+    .where("date", "<", cutoff.toISOString().split("T")[0])
+    .get();
+  const stale = snapshot.docs.filter((d) => d.data().status !== "archived");
+
+  // Batches are capped at 500 writes
+  for (let i = 0; i < stale.length; i += 500) {
+    const batch = db.batch();
+    stale.slice(i, i + 500).forEach((d) => batch.update(d.ref, { status: "archived" }));
+    await batch.commit();
   }
+  console.log(`Archived ${stale.length} old donation camp(s)`);
 });
@@ -0,0 +1,62 @@
+// Emergency Request Fan-out
+// Each escalation step notifies the compatible, eligible donors inside the next
+// radius ring who have not been asked yet; rings before it already had their
+// chance to answer. The statuses, rings and timings are in functions/shared/emergency.js.
+const { geohashQueryBounds, distanceBetween } = require("geofire-common");
+const {
+  getCompatibleDonorTypes,
+  getMatchLabel,
+  DEFAULT_COMPONENT,
+} = require("../shared/bloodCompatibility.js");
+const { isValidLocation } = require("../shared/geo.js");
+const { isScreeningCurrent } = require("../shared/questionnaire.js");
+
+/**
+ * Eligible donors who can give to the patient and live within radiusKm of the
+ * hospital, nearest first. Donors without a saved location cannot be placed in
+ * a ring and are skipped.
+ * @param {Set<string>} excludeIds - Donors already asked, and the seeker
+ * @return {Promise<Array<{id: string, name: string, email: string|null, bloodType: string, distanceKm: number, matchLabel: string|null}>>}
+ */
+const findDonorsInRing = async (db, request, radiusKm, excludeIds) => {
+  const center = request.hospital?.location;
+  if (!isValidLocation(center)) return [];
+
+  const compatibleTypes = getCompatibleDonorTypes(request.bloodType, request.component || DEFAULT_COMPONENT);
+  const baseQuery = db.collection("users")
+    .where("isDonor", "==", true)
+    .where("isEligible", "==", true);
+
+  const bounds = geohashQueryBounds([center.lat, center.lng], radiusKm * 1000);
+  const snapshots = await Promise.all(bounds.map(([start, end]) =>
+    baseQuery.orderBy("donorProfile.geohash").startAt(start).endAt(end).get(),
+  ));
+
+  const donors = new Map(); // Adjacent bounds can return the same donor twice
+  snapshots.forEach((snapshot) => snapshot.docs.forEach((docSnap) => {
+    if (excludeIds.has(docSnap.id) || donors.has(docSnap.id)) return;
+
+    const data = docSnap.data();
+    const profile = data.donorProfile || {};
+    if (!compatibleTypes.includes(profile.bloodType) || !isValidLocation(profile.location)) return;
+    if (!isScreeningCurrent(data)) return;
+
+    const distanceKm = distanceBetween([center.lat, center.lng], [profile.location.lat, profile.location.lng]);
+    if (distanceKm > radiusKm) return;
+
+    donors.set(docSnap.id, {
+      id: docSnap.id,
+      name: data.name || (data.email || "").split("@")[0] || "Donor",
+      email: data.email || null,
+      bloodType: profile.bloodType,
+      distanceKm,
+      matchLabel: getMatchLabel(profile.bloodType, request.bloodType),
+    });
+  }));
+
+  return [...donors.values()].sort((a, b) => a.distanceKm - b.distanceKm);
+};
+
+module.exports = {
+  findDonorsInRing,
+};
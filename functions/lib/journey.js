@@ -0,0 +1,30 @@
+// Donation Journeys
+// A bag registered for a donation (donorId and appointmentId set) is followed into
+// donationJourneys/{appointmentId}, which holds only what the donor sees: when
+// each step happened, never who received the blood.
+const { UNIT_STATUS } = require("../shared/bloodUnits.js");
+
+// A reserved bag is still in stock as far as the donor is concerned. A transferred
+// one is no step at all: the journey carries on at the hospital that receives it.
+const getJourneyStep = (status) => {
+  if (status === UNIT_STATUS.RESERVED) return UNIT_STATUS.AVAILABLE;
+  return status === UNIT_STATUS.TRANSFERRED ? null : status;
+};
+
+// Steps the donor is told about. Discarded bags are not announced: the reason may
+// be a screening result, which the blood bank has to give in person.
+const JOURNEY_MESSAGES = {
+  [UNIT_STATUS.AVAILABLE]: (journey) => ({
+    title: "Your donation is ready",
+    body: `Your blood passed its tests and is now in stock at ${journey.hospitalName || "the hospital"}.`,
+  }),
+  [UNIT_STATUS.ISSUED]: () => ({
+    title: "Your donation helped a patient today",
+    body: "The blood you gave has been issued to a patient. Thank you for saving a life!",
+  }),
+};
+
+module.exports = {
+  getJourneyStep,
+  JOURNEY_MESSAGES,
+};
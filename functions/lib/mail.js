@@ -0,0 +1,276 @@
+// Mail Outbox
+// Anything that needs to send email adds a doc to the `mail` collection through
+// enqueueMail; the onMailCreated trigger renders the template and hands it to the
+// configured transport. Failed sends are retried with exponential backoff by the
+// retryMail schedule, and every state change is copied back onto the doc that
+// caused the mail (source.path) as `emailDelivery`.
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { getFirestore, FieldValue } = require("firebase-admin/firestore");
+const { defineString, defineInt, defineSecret } = require("firebase-functions/params");
+const { renderTemplate } = require("./mailTemplates");
+
+const mailTransport = defineString("MAIL_TRANSPORT", { default: "console" }); // smtp | console | file
+const mailFrom = defineString("MAIL_FROM", { default: "LifeLine <no-reply@lifeline.app>" });
+const appUrl = defineString("APP_URL", { default: "https://life-line-two.vercel.app" });
+const smtpHost = defineString("SMTP_HOST", { default: "" });
+const smtpPort = defineInt("SMTP_PORT", { default: 587 });
+const smtpUser = defineString("SMTP_USER", { default: "" });
+const smtpPassword = defineSecret("SMTP_PASSWORD");
+const mailOutputDir = defineString("MAIL_OUTPUT_DIR", { default: path.join(os.tmpdir(), "lifeline-mail") });
+
+const MAIL_STATUS = {
+  PENDING: "pending",
+  SENDING: "sending",
+  RETRY: "retry",
+  SENT: "sent",
+  FAILED: "failed",
+  RATE_LIMITED: "rate_limited",
+};
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MINUTES = 1;
+const RETRY_MAX_MINUTES = 60;
+// A 'sending' claim older than this belongs to a function that died mid-send
+const SENDING_LEASE_MINUTES = 10;
+
+const RATE_LIMIT_WINDOW_MINUTES = 60;
+const DEFAULT_RATE_LIMIT = 30;
+
+// Transports
+// A transport is { name, send(message) -> Promise<{messageId}> }. Register more
+// with registerTransport(name, factory) and select one with MAIL_TRANSPORT.
+
+const createSmtpTransport = () => {
+  // Loaded lazily so dev setups using the console transport do not need SMTP config
+  const nodemailer = require("nodemailer");
+  const port = smtpPort.value();
+  const transporter = nodemailer.createTransport({
+    host: smtpHost.value(),
+    port,
+    secure: port === 465,
+    auth: smtpUser.value() ? { user: smtpUser.value(), pass: smtpPassword.value() } : undefined,
+  });
+  return {
+    name: "smtp",
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+// Dev/emulator: print the mail instead of sending it
+const createConsoleTransport = () => ({
+  name: "console",
+  send: async (message) => {
+    console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    return { messageId: `console-${Date.now()}` };
+  },
+});
+
+// Tests: write each mail as JSON so it can be inspected afterwards
+const createFileTransport = () => ({
+  name: "file",
+  send: async (message) => {
+    const dir = mailOutputDir.value();
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${message.mailId || Date.now()}.json`);
+    await fs.writeFile(file, JSON.stringify(message, null, 2));
+    return { messageId: `file://${file}` };
+  },
+});
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  console: createConsoleTransport,
+  file: createFileTransport,
+};
+
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+};
+
+let cachedTransport = null;
+const getTransport = () => {
+  const name = mailTransport.value();
+  if (cachedTransport?.name !== name) {
+    const factory = transportFactories[name];
+    if (!factory) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    cachedTransport = factory();
+  }
+  return cachedTransport;
+};
+
+// Outbox
+
+// 1, 2, 4, 8... minutes after each failed attempt, capped at an hour
+const getRetryDelayMinutes = (attempts) =>
+  Math.min(RETRY_BASE_MINUTES * 2 ** Math.max(0, attempts - 1), RETRY_MAX_MINUTES);
+
+// Copies the delivery state onto the doc that caused the mail
+const writeDeliveryStatus = async (mailId, mail) => {
+  if (!mail.source?.path) return;
+  try {
+    await getFirestore().doc(mail.source.path).set({
+      emailDelivery: {
+        mailId,
+        template: mail.template,
+        status: mail.status,
+        attempts: mail.attempts || 0,
+        error: mail.lastError || null,
+        updatedAt: new Date().toISOString(),
+      },
+    }, { merge: true });
+  } catch (error) {
+    console.error(`Error writing delivery status for mail ${mailId} to ${mail.source.path}:`, error);
+  }
+};
+
+/**
+ * Counts one mail against the sender's hourly allowance.
+ * @return {Promise<boolean>} False once the sender is over the limit
+ */
+const consumeRateLimit = async (key, limit) => {
+  const db = getFirestore();
+  const ref = db.collection("mailRateLimits").doc(key);
+  return db.runTransaction(async (transaction) => {
+    const snap = await transaction.get(ref);
+    const now = Date.now();
+    const windowMs = RATE_LIMIT_WINDOW_MINUTES * 60 * 1000;
+    const current = snap.exists ? snap.data() : null;
+
+    if (!current || now - new Date(current.windowStart).getTime() >= windowMs) {
+      transaction.set(ref, { windowStart: new Date(now).toISOString(), count: 1 });
+      return true;
+    }
+    if (current.count >= limit) return false;
+    transaction.update(ref, { count: FieldValue.increment(1) });
+    return true;
+  });
+};
+
+/**
+ * Queues a templated email. Nothing is sent if there is no address.
+ * @param {Object} options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.template - Key in mailTemplates.js
+ * @param {Object} options.data - Template values (appUrl is added automatically)
+ * @param {string} [options.sourcePath] - Doc that receives `emailDelivery` updates
+ * @param {string} [options.rateLimitKey] - e.g. the uid of the user who triggered it
+ * @param {number} [options.rateLimit] - Mails allowed per key per hour
+ * @return {Promise<string|null>} The mail doc ID
+ */
+const enqueueMail = async ({ to, template, data = {}, sourcePath = null, rateLimitKey = null, rateLimit = DEFAULT_RATE_LIMIT }) => {
+  if (!to) return null;
+
+  const allowed = rateLimitKey ? await consumeRateLimit(rateLimitKey, rateLimit) : true;
+  const now = new Date().toISOString();
+  const mail = {
+    to,
+    template,
+    data: { ...data, appUrl: appUrl.value() },
+    status: allowed ? MAIL_STATUS.PENDING : MAIL_STATUS.RATE_LIMITED,
+    attempts: 0,
+    nextAttemptAt: allowed ? now : null,
+    lastError: allowed ? null : "Hourly email limit reached",
+    source: sourcePath ? { path: sourcePath } : null,
+    rateLimitKey,
+    createdAt: now,
+  };
+
+  const ref = await getFirestore().collection("mail").add(mail);
+  if (!allowed) {
+    console.warn(`Mail ${ref.id} (${template}) rate limited for ${rateLimitKey}`);
+    await writeDeliveryStatus(ref.id, mail);
+  }
+  return ref.id;
+};
+
+/**
+ * Claims a queued mail and sends it once. On failure it is rescheduled with
+ * backoff, or marked failed after MAX_ATTEMPTS.
+ */
+const deliverMail = async (mailRef) => {
+  const db = getFirestore();
+  const now = new Date();
+
+  const mail = await db.runTransaction(async (transaction) => {
+    const snap = await transaction.get(mailRef);
+    if (!snap.exists) return null;
+    const data = snap.data();
+
+    const due = [MAIL_STATUS.PENDING, MAIL_STATUS.RETRY].includes(data.status) &&
+      new Date(data.nextAttemptAt) <= now;
+    const staleClaim = data.status === MAIL_STATUS.SENDING &&
+      now - new Date(data.lockedAt) >= SENDING_LEASE_MINUTES * 60 * 1000;
+    if (!due && !staleClaim) return null;
+
+    const claimed = { status: MAIL_STATUS.SENDING, attempts: (data.attempts || 0) + 1, lockedAt: now.toISOString() };
+    transaction.update(mailRef, claimed);
+    return { ...data, ...claimed };
+  });
+  if (!mail) return;
+
+  let result;
+  try {
+    const transport = getTransport();
+    const rendered = renderTemplate(mail.template, mail.data);
+    const { messageId } = await transport.send({
+      mailId: mailRef.id,
+      from: mailFrom.value(),
+      to: mail.to,
+      ...rendered,
+    });
+    result = {
+      status: MAIL_STATUS.SENT,
+      sentAt: new Date().toISOString(),
+      transport: transport.name,
+      messageId,
+      lastError: null,
+      nextAttemptAt: null,
+    };
+  } catch (error) {
+    const giveUp = mail.attempts >= MAX_ATTEMPTS;
+    const retryAt = new Date(Date.now() + getRetryDelayMinutes(mail.attempts) * 60 * 1000);
+    console.error(`Mail ${mailRef.id} attempt ${mail.attempts} failed:`, error);
+    result = {
+      status: giveUp ? MAIL_STATUS.FAILED : MAIL_STATUS.RETRY,
+      lastError: error.message || String(error),
+      nextAttemptAt: giveUp ? null : retryAt.toISOString(),
+    };
+  }
+
+  await mailRef.update({ ...result, lockedAt: null });
+  await writeDeliveryStatus(mailRef.id, { ...mail, ...result });
+};
+
+// Mails whose retry is due, plus claims abandoned by a crashed function
+const getDueMail = async () => {
+  const db = getFirestore();
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - SENDING_LEASE_MINUTES * 60 * 1000);
+
+  const [dueSnap, staleSnap] = await Promise.all([
+    db.collection("mail")
+      .where("status", "in", [MAIL_STATUS.PENDING, MAIL_STATUS.RETRY])
+      .where("nextAttemptAt", "<=", now.toISOString())
+      .get(),
+    db.collection("mail")
+      .where("status", "==", MAIL_STATUS.SENDING)
+      .where("lockedAt", "<=", staleBefore.toISOString())
+      .get(),
+  ]);
+  return [...dueSnap.docs, ...staleSnap.docs].map((d) => d.ref);
+};
+
+module.exports = {
+  MAIL_STATUS,
+  smtpPassword,
+  registerTransport,
+  enqueueMail,
+  deliverMail,
+  getDueMail,
+  getRetryDelayMinutes,
+};
@@ -0,0 +1,154 @@
+// Email Templates
+// Each template turns the `data` stored on a mail/{mailId} doc into a subject,
+// an HTML body and a plain-text body. Values are escaped before they reach HTML.
+
+const escapeHtml = (value) => String(value ?? "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&#39;");
+
+// Shared shell so every mail looks the same; `rows` are [label, value] pairs
+const renderLayout = ({ heading, intro, rows = [], action, footer }) => {
+  const rowsHtml = rows
+    .filter(([, value]) => value !== undefined && value !== null && value !== "")
+    .map(([label, value]) =>
+      `<tr><td style="padding:4px 12px 4px 0;color:#64748b">${escapeHtml(label)}</td>` +
+      `<td style="padding:4px 0;font-weight:bold;color:#0f172a">${escapeHtml(value)}</td></tr>`)
+    .join("");
+  const actionHtml = action ?
+    `<p style="margin:24px 0"><a href="${escapeHtml(action.url)}" style="background:#dc2626;color:#fff;` +
+      `padding:12px 20px;border-radius:8px;text-decoration:none;font-weight:bold">${escapeHtml(action.label)}</a></p>` :
+    "";
+
+  const html = `<!DOCTYPE html><html><body style="font-family:Arial,sans-serif;background:#f8fafc;padding:24px">
+<div style="max-width:560px;margin:0 auto;background:#fff;border-radius:12px;padding:24px;border:1px solid #e2e8f0">
+<h1 style="color:#dc2626;font-size:20px;margin:0 0 16px">${escapeHtml(heading)}</h1>
+<p style="color:#334155;line-height:1.5">${escapeHtml(intro)}</p>
+${rowsHtml ? `<table style="margin:16px 0">${rowsHtml}</table>` : ""}
+${actionHtml}
+<p style="color:#94a3b8;font-size:12px;margin-top:24px">${escapeHtml(footer || "LifeLine - Once a Blood-Donor, always a HERO!")}</p>
+</div></body></html>`;
+
+  const text = [
+    heading,
+    "",
+    intro,
+    "",
+    ...rows
+      .filter(([, value]) => value !== undefined && value !== null && value !== "")
+      .map(([label, value]) => `${label}: ${value}`),
+    ...(action ? ["", `${action.label}: ${action.url}`] : []),
+    "",
+    footer || "LifeLine - Once a Blood-Donor, always a HERO!",
+  ].join("\n");
+
+  return { html, text };
+};
+
+const TEMPLATES = {
+  // Seeker asked one donor for help (blood_requests/{id})
+  blood_request: (data) => ({
+    subject: `Urgent: ${data.bloodType} blood needed`,
+    ...renderLayout({
+      heading: `Hi ${data.donorName || "Hero"}, someone needs your help`,
+      intro: `${data.seekerName} needs ${data.bloodType} blood. Please open LifeLine to accept or decline the request.`,
+      rows: [
+        ["Blood group", data.bloodType],
+        ["Location", data.location],
+        ["Urgency", data.urgency || "High"],
+      ],
+      action: { label: "Respond to Request", url: `${data.appUrl}/dashboard` },
+    }),
+  }),
+
+  // Donor accepted a seeker's request
+  request_accepted: (data) => ({
+    subject: `${data.donorName} accepted your blood request`,
+    ...renderLayout({
+      heading: `Good news, ${data.seekerName || "there"}!`,
+      intro: "A donor accepted your request. Message them on LifeLine right away to coordinate the donation; " +
+        "they can share their phone number from the chat. Time is of the essence!",
+      rows: [
+        ["Donor", data.donorName],
+        ["Blood group", data.bloodType],
+      ],
+      action: { label: "Open LifeLine", url: `${data.appUrl}/search` },
+    }),
+  }),
+
+  // Emergency request fan-out (emergencyRequests/{id}/responses/{donorId})
+  emergency_request: (data) => ({
+    subject: `Emergency: ${data.unitsNeeded} unit(s) of ${data.bloodType} needed near you`,
+    ...renderLayout({
+      heading: `Hi ${data.donorName || "Hero"}, an emergency request needs donors`,
+      intro: `${data.hospitalName} needs ${data.unitsNeeded} unit(s) of ${data.bloodType} blood, ` +
+        `${data.distanceKm} km from you. Can you help?`,
+      rows: [
+        ["Hospital", data.hospitalName],
+        ["Address", data.hospitalAddress],
+        ["Needed by", data.deadline],
+        ["Urgency", data.urgency],
+      ],
+      action: { label: "Pledge to Donate", url: `${data.appUrl}/dashboard` },
+    }),
+  }),
+
+  // 24h / 2h before a scheduled appointment (appointments/{id})
+  appointment_reminder: (data) => ({
+    subject: `Reminder: blood donation ${data.when}`,
+    ...renderLayout({
+      heading: `Hi ${data.donorName || "Hero"}, see you ${data.when}`,
+      intro: "This is a reminder of your donation appointment. Please complete your pre-donation check " +
+        "on LifeLine before you go, and have a meal and plenty of water beforehand.",
+      rows: [
+        ["Venue", data.venueName],
+        ["Date", data.date],
+        ["Time", data.timeSlot],
+      ],
+      action: { label: "View Appointment", url: `${data.appUrl}/dashboard` },
+      footer: "Can't make it? Reschedule or cancel from your dashboard so someone else can take the slot.",
+    }),
+  }),
+
+  // Donor moved their appointment
+  appointment_rescheduled: (data) => ({
+    subject: `Your donation moved to ${data.date} at ${data.timeSlot}`,
+    ...renderLayout({
+      heading: `Hi ${data.donorName || "Hero"}, your appointment has moved`,
+      intro: `Your donation at ${data.venueName} is now on ${data.date} at ${data.timeSlot}.`,
+      rows: [
+        ["Venue", data.venueName],
+        ["New time", `${data.date} ${data.timeSlot}`],
+        ["Previous time", data.previous],
+      ],
+      action: { label: "View Appointment", url: `${data.appUrl}/dashboard` },
+    }),
+  }),
+
+  // Venue marked the donor as a no-show and offered a new booking
+  no_show_follow_up: (data) => ({
+    subject: `We missed you at ${data.venueName}`,
+    ...renderLayout({
+      heading: `Hi ${data.donorName || "Hero"}, we missed you`,
+      intro: `You had a donation booked at ${data.venueName} on ${data.date} at ${data.timeSlot}. ` +
+        "Plans change, and your donation is still needed. Pick a new time that works for you.",
+      rows: [
+        ["Venue", data.venueName],
+      ],
+      action: { label: "Book a New Time", url: `${data.appUrl}/dashboard?rebook=${encodeURIComponent(data.appointmentId)}` },
+    }),
+  }),
+};
+
+/**
+ * @return {{subject: string, html: string, text: string}}
+ */
+const renderTemplate = (name, data = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown mail template "${name}"`);
+  return template(data);
+};
+
+module.exports = { TEMPLATES, renderTemplate, escapeHtml };
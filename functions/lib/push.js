@@ -0,0 +1,52 @@
+// Push Delivery
+// Sends an FCM notification to every device registered under users/{uid}/devices
+// and deletes devices whose token FCM reports as invalid or unregistered.
+const { getFirestore } = require("firebase-admin/firestore");
+const { getMessaging } = require("firebase-admin/messaging");
+
+// Only errors that are about the token itself. invalid-argument also covers a bad
+// payload, which says nothing about the device and must not delete it.
+const INVALID_TOKEN_ERRORS = [
+  "messaging/invalid-registration-token",
+  "messaging/registration-token-not-registered",
+];
+
+/**
+ * @param {string} uid - Recipient user ID
+ * @param {{title: string, body: string}} notification
+ * @param {Object} data - String values only (FCM restriction)
+ * @return {Promise<number>} How many devices accepted the message
+ */
+const sendPushToUser = async (uid, notification, data = {}) => {
+  const db = getFirestore();
+  const devicesSnap = await db.collection("users").doc(uid).collection("devices").get();
+  const devices = devicesSnap.docs.filter((d) => !!d.data().token);
+  if (devices.length === 0) return 0;
+
+  const response = await getMessaging().sendEachForMulticast({
+    tokens: devices.map((d) => d.data().token),
+    notification,
+    data,
+  });
+
+  const staleDevices = [];
+  response.responses.forEach((result, i) => {
+    if (result.success) return;
+    if (INVALID_TOKEN_ERRORS.includes(result.error?.code)) {
+      staleDevices.push(devices[i].ref);
+    } else {
+      console.error(`Push to ${uid}/${devices[i].id} failed:`, result.error);
+    }
+  });
+
+  if (staleDevices.length > 0) {
+    const batch = db.batch();
+    staleDevices.forEach((ref) => batch.delete(ref));
+    await batch.commit();
+    console.log(`Pruned ${staleDevices.length} invalid push token(s) for ${uid}`);
+  }
+
+  return response.successCount;
+};
+
+module.exports = { sendPushToUser };
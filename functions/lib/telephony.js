@@ -0,0 +1,102 @@
+// Telephony (masked phone relay)
+// Donors and seekers never see each other's number. When a donor accepts a
+// blood request, the configured provider allocates a proxy number for the pair:
+// a call or SMS from one participant's phone to it is forwarded to the other.
+// The proxy is released when the request is closed, and the provider reports
+// every call/SMS to the telephonyWebhook function, which logs it on the request.
+const crypto = require("crypto");
+const { defineString, defineSecret } = require("firebase-functions/params");
+const { RELAY_STATUS } = require("../shared/chat.js");
+
+const telephonyProvider = defineString("TELEPHONY_PROVIDER", { default: "fake" });
+const telephonyWebhookSecret = defineSecret("TELEPHONY_WEBHOOK_SECRET");
+
+const CONTACT_CHANNELS = ["call", "sms"];
+
+// Providers
+// A provider is {
+//   name,
+//   allocate({ sessionId, participants: [{ role, phone }] }) -> Promise<{ proxyNumber, providerSessionId }>,
+//   release({ providerSessionId }) -> Promise,
+//   verify(req, secret) -> boolean, true if the webhook request really came from the provider,
+//   parseEvent(req) -> { providerSessionId, channel, fromNumber, status, durationSeconds } | null,
+//   reply(res, { forwardTo }) sends the provider's answer to an inbound call/SMS (forwardTo null rejects it),
+// }. Register more with registerTelephonyProvider(name, factory) and select one
+// with TELEPHONY_PROVIDER.
+
+// Dev/emulator: no calls are placed. Proxy numbers come from the 555-01xx range,
+// which is reserved for fiction, and events are posted to the webhook by hand:
+//   curl -X POST <telephonyWebhook url> -H "X-Telephony-Secret: <secret>" \
+//     -H "Content-Type: application/json" \
+//     -d '{"sessionId":"<providerSessionId>","channel":"call","from":"<donor phone>","durationSeconds":42}'
+const createFakeProvider = () => ({
+  name: "fake",
+  allocate: async ({ sessionId }) => {
+    const suffix = parseInt(crypto.createHash("sha1").update(sessionId).digest("hex").slice(0, 4), 16) % 100;
+    return {
+      proxyNumber: `+120255501${String(suffix).padStart(2, "0")}`,
+      providerSessionId: `fake-${sessionId}`,
+    };
+  },
+  release: async ({ providerSessionId }) => {
+    console.log(`[telephony] Released ${providerSessionId}`);
+  },
+  verify: (req, secret) => {
+    const given = Buffer.from(String(req.get("X-Telephony-Secret") || ""));
+    const expected = Buffer.from(secret || "");
+    return expected.length > 0 && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  },
+  parseEvent: (req) => {
+    const body = req.body || {};
+    if (!body.sessionId || !CONTACT_CHANNELS.includes(body.channel) || !body.from) return null;
+    return {
+      providerSessionId: String(body.sessionId),
+      channel: body.channel,
+      fromNumber: String(body.from),
+      status: body.status || "completed",
+      durationSeconds: Number(body.durationSeconds) || null,
+    };
+  },
+  reply: (res, { forwardTo }) => {
+    if (forwardTo) console.log(`[telephony] Forwarding to ${forwardTo}`);
+    res.json({ action: forwardTo ? "forward" : "reject" });
+  },
+});
+
+const providerFactories = {
+  fake: createFakeProvider,
+};
+
+const registerTelephonyProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+let cachedProvider = null;
+const getTelephonyProvider = () => {
+  const name = telephonyProvider.value();
+  if (cachedProvider?.name !== name) {
+    const factory = providerFactories[name];
+    if (!factory) throw new Error(`Unknown TELEPHONY_PROVIDER "${name}"`);
+    cachedProvider = factory();
+  }
+  return cachedProvider;
+};
+
+// Numbers are compared digits only, so "+1 (555) 010-0042" matches "+15550100042"
+const normalizePhone = (phone) => String(phone || "").replace(/[^\d]/g, "");
+
+// The participant the call/SMS came from, and the one it should be forwarded to
+const routeContact = (participants, fromNumber) => {
+  const from = participants.find((p) => normalizePhone(p.phone) === normalizePhone(fromNumber));
+  if (!from) return { from: null, to: null };
+  return { from, to: participants.find((p) => p !== from) || null };
+};
+
+module.exports = {
+  RELAY_STATUS,
+  telephonyWebhookSecret,
+  registerTelephonyProvider,
+  getTelephonyProvider,
+  normalizePhone,
+  routeContact,
+};
@@ -0,0 +1,89 @@
+// Appointment Helpers
+// Appointments store the venue's local day as 'YYYY-MM-DD' and the slot as a label
+// like '01:00 PM'. The browser is assumed to be in the venue's time zone; the
+// functions run in UTC, so they pass the venue time zone to find the real instant.
+
+// The day-of check opens this long before the appointment starts
+export const DAY_OF_CHECK_WINDOW_HOURS = 24;
+
+// Sent once each, the closest one due wins (a booking made 3 hours ahead only
+// gets the 2 hour reminder)
+export const REMINDERS = [
+  { key: 'day_before', hoursBefore: 24 },
+  { key: 'two_hours', hoursBefore: 2 }
+];
+
+// '01:00 PM' -> minutes since midnight, null if the label cannot be read
+export const parseTimeSlot = (timeSlot) => {
+  const match = /^(\d{1,2}):(\d{2})\s*(AM|PM)$/i.exec((timeSlot || '').trim());
+  if (!match) return null;
+  const hours = (Number(match[1]) % 12) + (match[3].toUpperCase() === 'PM' ? 12 : 0);
+  return hours * 60 + Number(match[2]);
+};
+
+// Minutes timeZone is ahead of UTC at the given instant
+export const getTimeZoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date).map(part => [part.type, Number(part.value)]));
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return Math.round((asUtc - date.getTime()) / 60000);
+};
+
+/**
+ * When an appointment starts.
+ * @param {{date: string, timeSlot: string}} appt
+ * @param {string} [timeZone] - IANA name, e.g. 'Asia/Kolkata'; the local zone if not given
+ * @returns {Date}
+ */
+export const getAppointmentStart = (appt, timeZone = null) => {
+  const [year, month, day] = appt.date.split('-').map(Number);
+  const minutes = parseTimeSlot(appt.timeSlot) ?? 0;
+  if (!timeZone) {
+    const start = new Date(year, month - 1, day);
+    start.setMinutes(minutes);
+    return start;
+  }
+  const wallClock = Date.UTC(year, month - 1, day) + minutes * 60000;
+  return new Date(wallClock - getTimeZoneOffset(new Date(wallClock), timeZone) * 60000);
+};
+
+// From 24 hours before the slot until the end of the appointment day
+export const isDayOfCheckOpen = (appt, now = new Date(), timeZone = null) => {
+  const start = getAppointmentStart(appt, timeZone);
+  const opens = new Date(start.getTime() - DAY_OF_CHECK_WINDOW_HOURS * 60 * 60 * 1000);
+  const closes = getAppointmentStart({ date: appt.date, timeSlot: '11:59 PM' }, timeZone);
+  closes.setSeconds(59, 999);
+  return now >= opens && now <= closes;
+};
+
+/**
+ * The reminder to send now, or null if none is due or it went out already.
+ * @returns {{key: string, hoursBefore: number}|null}
+ */
+export const getDueReminder = (appt, now, timeZone) => {
+  const start = getAppointmentStart(appt, timeZone);
+  if (now >= start) return null;
+  const due = REMINDERS
+    .filter(reminder => now >= new Date(start.getTime() - reminder.hoursBefore * 60 * 60 * 1000))
+    .sort((a, b) => a.hoursBefore - b.hoursBefore)[0];
+  if (!due || appt.remindersSent?.[due.key]) return null;
+  return due;
+};
+
+// Seats are counted on appointmentSlots/{slotId}, one doc per venue, day and slot:
+// ('hosp1', '2024-05-02', '01:30 PM') -> 'hosp1_2024-05-02_1330'
+export const getSlotId = (venueId, date, timeSlot) => {
+  const minutes = parseTimeSlot(timeSlot);
+  const hhmm = `${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`;
+  return `${venueId}_${date}_${hhmm}`;
+};
+
+// Venues see a warning on donors who missed this many appointments or more
+export const REPEATED_NO_SHOW_COUNT = 2;
@@ -0,0 +1,183 @@
+// Blood Compatibility Rules
+// Shared by donor search, hospital inventory filtering and watchlist matching,
+// in the browser and in the Cloud Functions alike, so every screen and every
+// alert agrees on which donor groups can serve a given patient.
+import { isWithinArea } from './geo.js';
+
+export const BLOOD_TYPES = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+export const BLOOD_COMPONENTS = {
+  WHOLE_BLOOD: 'whole_blood',
+  RED_CELLS: 'red_cells',
+  PLASMA: 'plasma',
+  PLATELETS: 'platelets'
+};
+
+export const COMPONENT_LABELS = {
+  [BLOOD_COMPONENTS.WHOLE_BLOOD]: 'Whole Blood',
+  [BLOOD_COMPONENTS.RED_CELLS]: 'Red Cells',
+  [BLOOD_COMPONENTS.PLASMA]: 'Plasma',
+  [BLOOD_COMPONENTS.PLATELETS]: 'Platelets'
+};
+
+// Seekers almost always need red cells, so that is the default everywhere
+export const DEFAULT_COMPONENT = BLOOD_COMPONENTS.RED_CELLS;
+
+const parseBloodType = (type) => {
+  if (!BLOOD_TYPES.includes(type)) return null;
+  const abo = type.slice(0, -1);
+  return {
+    antigens: abo === 'O' ? [] : abo.split(''), // 'AB' -> ['A', 'B']
+    abo,
+    rhPositive: type.endsWith('+')
+  };
+};
+
+// Donor red cells must not carry an antigen the patient lacks
+const redCellsCompatible = (donor, recipient) =>
+  donor.antigens.every(a => recipient.antigens.includes(a));
+
+// Donor plasma carries antibodies against every antigen the donor lacks
+const plasmaCompatible = (donor, recipient) =>
+  recipient.antigens.every(a => donor.antigens.includes(a));
+
+// Rh-negative patients should only receive Rh-negative cells
+const rhCompatible = (donor, recipient) => recipient.rhPositive || !donor.rhPositive;
+
+/**
+ * Checks whether a donor blood group can be given to a recipient.
+ * @param {string} donorType - e.g. 'O-'
+ * @param {string} recipientType - e.g. 'A+'
+ * @param {string} component - One of BLOOD_COMPONENTS
+ */
+export const isCompatible = (donorType, recipientType, component = DEFAULT_COMPONENT) => {
+  const donor = parseBloodType(donorType);
+  const recipient = parseBloodType(recipientType);
+  if (!donor || !recipient) return false;
+
+  switch (component) {
+    case BLOOD_COMPONENTS.WHOLE_BLOOD:
+      // Whole blood carries both cells and plasma, so ABO must be identical
+      return donor.abo === recipient.abo && rhCompatible(donor, recipient);
+    case BLOOD_COMPONENTS.PLASMA:
+      // Plasma has no red cells, Rh is irrelevant
+      return plasmaCompatible(donor, recipient);
+    case BLOOD_COMPONENTS.PLATELETS:
+      // Platelets are suspended in plasma but still carry trace red cells
+      return plasmaCompatible(donor, recipient) && rhCompatible(donor, recipient);
+    case BLOOD_COMPONENTS.RED_CELLS:
+    default:
+      return redCellsCompatible(donor, recipient) && rhCompatible(donor, recipient);
+  }
+};
+
+/**
+ * Lower rank = better match. Exact group first, then same ABO group,
+ * then everything else (universal groups are kept for last).
+ */
+export const getMatchRank = (donorType, recipientType) => {
+  if (donorType === recipientType) return 0;
+  const donor = parseBloodType(donorType);
+  const recipient = parseBloodType(recipientType);
+  if (donor && recipient && donor.abo === recipient.abo) return 1;
+  return 2;
+};
+
+/**
+ * Returns every donor group compatible with the recipient, best match first.
+ * An empty recipientType means "any group" and returns all of them.
+ */
+export const getCompatibleDonorTypes = (recipientType, component = DEFAULT_COMPONENT) => {
+  if (!recipientType) return [...BLOOD_TYPES];
+  return BLOOD_TYPES
+    .filter(type => isCompatible(type, recipientType, component))
+    .sort((a, b) => {
+      const rankDiff = getMatchRank(a, recipientType) - getMatchRank(b, recipientType);
+      return rankDiff !== 0 ? rankDiff : BLOOD_TYPES.indexOf(a) - BLOOD_TYPES.indexOf(b);
+    });
+};
+
+// Every recipient group that could be served by at least one of the donor groups
+export const getServableRecipientTypes = (donorTypes) =>
+  BLOOD_TYPES.filter(recipient =>
+    donorTypes.some(donor =>
+      Object.values(BLOOD_COMPONENTS).some(component => isCompatible(donor, recipient, component))
+    )
+  );
+
+// Human readable label for non-exact matches, e.g. "compatible via O-"
+export const getMatchLabel = (donorType, recipientType) => {
+  if (!recipientType || !donorType || donorType === recipientType) return null;
+  return `compatible via ${donorType}`;
+};
+
+/**
+ * The available bags of one component per blood group on an inventory doc.
+ * Hospitals that track units count each component in componentStock; legacy
+ * hospitals only have the bloodStock totals, which stand for any component.
+ * @returns {Object} { 'A+': 3, 'O-': 1, ... }
+ */
+export const getComponentStock = (inventory, component = DEFAULT_COMPONENT) => {
+  if (inventory?.unitsTracked || inventory?.componentStock?.[component]) {
+    return inventory.componentStock?.[component] || {};
+  }
+  return inventory?.bloodStock || {};
+};
+
+/**
+ * Picks the best compatible group a hospital actually has in stock.
+ * @param {Object} bloodStock - { 'A+': 3, 'O-': 1, ... }
+ * @returns {string|null} The blood group to issue, or null if nothing fits
+ */
+export const findBestAvailableType = (bloodStock, recipientType, component = DEFAULT_COMPONENT) => {
+  if (!bloodStock) return null;
+  return getCompatibleDonorTypes(recipientType, component)
+    .find(type => (bloodStock[type] || 0) > 0) || null;
+};
+
+/**
+ * Filters items down to compatible ones and sorts them exact-first.
+ * Each returned item gets `matchedBloodType` and `matchLabel` attached.
+ * @param {Array} items - Donors, inventory docs, etc.
+ * @param {string} recipientType - Group the patient needs
+ * @param {Function} getBloodType - Extracts the donor group from an item
+ */
+export const rankByCompatibility = (items, recipientType, getBloodType, component = DEFAULT_COMPONENT) => {
+  if (!recipientType) return items;
+  return items
+    .map(item => ({ item, type: getBloodType(item) }))
+    .filter(({ type }) => isCompatible(type, recipientType, component))
+    .sort((a, b) => getMatchRank(a.type, recipientType) - getMatchRank(b.type, recipientType))
+    .map(({ item, type }) => ({
+      ...item,
+      matchedBloodType: type,
+      matchLabel: getMatchLabel(type, recipientType)
+    }));
+};
+
+/**
+ * Looks for a hospital with compatible stock, or an eligible compatible donor,
+ * inside the watchlist's search area. Used by the watchlist functions, with the
+ * same compatibility and area checks the seeker's own search runs.
+ * @returns {{matchedBloodType: string, matchLabel: string|null}|null}
+ */
+export const findWatchlistMatch = (item, hospitals, donors) => {
+  const component = item.component || DEFAULT_COMPONENT;
+
+  for (const hospital of hospitals) {
+    const matchedType = findBestAvailableType(getComponentStock(hospital, component), item.bloodType, component);
+    if (matchedType && isWithinArea(item, hospital.location, [hospital.address, hospital.hospitalName])) {
+      return { matchedBloodType: matchedType, matchLabel: getMatchLabel(matchedType, item.bloodType) };
+    }
+  }
+
+  for (const donor of donors) {
+    const profile = donor.donorProfile;
+    if (profile && isCompatible(profile.bloodType, item.bloodType, component) &&
+      isWithinArea(item, profile.location, [profile.city])) {
+      return { matchedBloodType: profile.bloodType, matchLabel: getMatchLabel(profile.bloodType, item.bloodType) };
+    }
+  }
+
+  return null;
+};
@@ -0,0 +1,110 @@
+// Blood Unit Helpers
+// Individual bags live in inventory/{hospitalId}/units. The bloodStock map on the
+// inventory doc is only a summary of the units that are currently 'available',
+// recounted by the onUnitStockWritten function after every unit write.
+// Bags from donations recorded at the hospital start as 'collected' and go through
+// testing and processing before they are stocked; the onBloodUnitWritten function
+// follows them into the donor's donationJourneys/{appointmentId} timeline.
+// Bags sent to another hospital (transfers.js) are reserved while the
+// transfer is arranged, then leave as 'transferred' and are registered again,
+// under the same bag ID, at the hospital that receives them.
+import { BLOOD_COMPONENTS } from './bloodCompatibility.js';
+
+export const UNIT_STATUS = {
+  COLLECTED: 'collected',
+  TESTED: 'tested',
+  PROCESSED: 'processed',
+  AVAILABLE: 'available',
+  RESERVED: 'reserved',
+  ISSUED: 'issued',
+  TRANSFERRED: 'transferred',
+  DISCARDED: 'discarded'
+};
+
+// Issued, transferred and discarded are final, a bag never comes back from them
+export const UNIT_STATUS_TRANSITIONS = {
+  [UNIT_STATUS.COLLECTED]: [UNIT_STATUS.TESTED, UNIT_STATUS.DISCARDED],
+  [UNIT_STATUS.TESTED]: [UNIT_STATUS.PROCESSED, UNIT_STATUS.DISCARDED],
+  [UNIT_STATUS.PROCESSED]: [UNIT_STATUS.AVAILABLE, UNIT_STATUS.DISCARDED],
+  [UNIT_STATUS.AVAILABLE]: [UNIT_STATUS.RESERVED, UNIT_STATUS.ISSUED, UNIT_STATUS.DISCARDED],
+  [UNIT_STATUS.RESERVED]: [UNIT_STATUS.AVAILABLE, UNIT_STATUS.ISSUED, UNIT_STATUS.TRANSFERRED, UNIT_STATUS.DISCARDED],
+  [UNIT_STATUS.ISSUED]: [],
+  [UNIT_STATUS.TRANSFERRED]: [],
+  [UNIT_STATUS.DISCARDED]: []
+};
+
+export const UNIT_STATUS_LABELS = {
+  [UNIT_STATUS.COLLECTED]: 'Collected',
+  [UNIT_STATUS.TESTED]: 'Tested',
+  [UNIT_STATUS.PROCESSED]: 'Processed',
+  [UNIT_STATUS.AVAILABLE]: 'In Stock',
+  [UNIT_STATUS.RESERVED]: 'Reserved',
+  [UNIT_STATUS.ISSUED]: 'Issued',
+  [UNIT_STATUS.TRANSFERRED]: 'Transferred',
+  [UNIT_STATUS.DISCARDED]: 'Discarded'
+};
+
+// Not yet usable, and not counted in bloodStock
+export const PROCESSING_STATUSES = [UNIT_STATUS.COLLECTED, UNIT_STATUS.TESTED, UNIT_STATUS.PROCESSED];
+
+// On the shelf: counted (available) or set aside (reserved)
+export const SHELF_STATUSES = [UNIT_STATUS.AVAILABLE, UNIT_STATUS.RESERVED];
+
+// The next step for a bag in processing, null once it is stocked
+export const getNextProcessingStatus = (status) =>
+  PROCESSING_STATUSES.includes(status) ? UNIT_STATUS_TRANSITIONS[status][0] : null;
+
+// Standard storage limits per component
+export const SHELF_LIFE_DAYS = {
+  [BLOOD_COMPONENTS.WHOLE_BLOOD]: 35,
+  [BLOOD_COMPONENTS.RED_CELLS]: 42,
+  [BLOOD_COMPONENTS.PLASMA]: 365,
+  [BLOOD_COMPONENTS.PLATELETS]: 5
+};
+
+export const EXPIRY_WARNING_HOURS = 72;
+
+// Why a stock count changed, recorded on every inventory/{hospitalId}/ledger entry
+export const LEDGER_REASONS = {
+  DONATION: 'donation',
+  MANUAL_ADJUST: 'manual_adjust',
+  ISSUE: 'issue',
+  EXPIRY: 'expiry',
+  TRANSFER_OUT: 'transfer_out', // Reserved for another hospital
+  TRANSFER_RELEASE: 'transfer_release', // Back in stock after the offer was declined or cancelled
+  TRANSFER_IN: 'transfer_in'
+};
+
+export const LEDGER_REASON_LABELS = {
+  [LEDGER_REASONS.DONATION]: 'Donation',
+  [LEDGER_REASONS.MANUAL_ADJUST]: 'Manual Adjust',
+  [LEDGER_REASONS.ISSUE]: 'Issue',
+  [LEDGER_REASONS.EXPIRY]: 'Expiry',
+  [LEDGER_REASONS.TRANSFER_OUT]: 'Transfer Out',
+  [LEDGER_REASONS.TRANSFER_RELEASE]: 'Transfer Release',
+  [LEDGER_REASONS.TRANSFER_IN]: 'Transfer In'
+};
+
+export const canTransitionUnit = (fromStatus, toStatus) =>
+  (UNIT_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+export const getDefaultExpiryDate = (component, collectionDate = new Date().toISOString()) => {
+  const expiry = new Date(collectionDate);
+  expiry.setDate(expiry.getDate() + (SHELF_LIFE_DAYS[component] || SHELF_LIFE_DAYS[BLOOD_COMPONENTS.WHOLE_BLOOD]));
+  return expiry.toISOString();
+};
+
+export const getHoursUntilExpiry = (unit, now = new Date()) =>
+  (new Date(unit.expiryDate) - now) / (1000 * 60 * 60);
+
+export const isUnitExpired = (unit, now = new Date()) => getHoursUntilExpiry(unit, now) <= 0;
+
+// Still usable, but due to expire within the warning window
+export const isUnitExpiringSoon = (unit, hours = EXPIRY_WARNING_HOURS, now = new Date()) => {
+  const remaining = getHoursUntilExpiry(unit, now);
+  return remaining > 0 && remaining <= hours;
+};
+
+// Used when a bag has no printed label yet (e.g. donations recorded from the schedule)
+export const generateBagId = () =>
+  `BAG-${Date.now().toString(36).toUpperCase()}-${Math.random().toString(36).slice(2, 6).toUpperCase()}`;
@@ -0,0 +1,181 @@
+// Calendar Export
+// RFC 5545 .ics files for appointments and camps. Times are written in the venues'
+// time zone with a generated VTIMEZONE, so calendars show the right hour wherever
+// the donor is. Used for the downloads in src/lib/calendar.js and by the
+// calendarFeed function that calendar apps subscribe to.
+import { parseTimeSlot, getTimeZoneOffset } from './appointments.js';
+
+const PRODID = '-//LifeLine//Blood Donation//EN';
+const ORGANIZER = 'ORGANIZER;CN=LifeLine:mailto:no-reply@lifeline.app';
+export const DEFAULT_EVENT_MINUTES = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const encoder = new TextEncoder();
+
+// Text values escape backslashes, semicolons, commas and newlines
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line, indented by a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    if (size + charSize > 75) {
+      parts.push(current);
+      current = ' ';
+      size = 1;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+};
+
+// ('2024-05-02', 810) -> '20240502T133000', a floating local time
+export const formatLocal = (date, minutes) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + minutes * 60000)
+    .toISOString().replace(/[-:]/g, '').slice(0, 15);
+};
+
+const formatUtc = (date) => `${date.toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`;
+
+// 330 -> '+0530'
+const formatOffset = (minutes) => {
+  const abs = Math.abs(minutes);
+  return `${minutes < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+};
+
+// Offset changes (daylight saving) during the given years, to the minute
+const getOffsetTransitions = (timeZone, years) => {
+  const transitions = [];
+  years.forEach(year => {
+    const end = Date.UTC(year + 1, 0, 1);
+    let previous = getTimeZoneOffset(new Date(Date.UTC(year, 0, 1)), timeZone);
+    for (let time = Date.UTC(year, 0, 1) + DAY_MS; time <= end; time += DAY_MS) {
+      const offset = getTimeZoneOffset(new Date(time), timeZone);
+      if (offset === previous) continue;
+      let low = time - DAY_MS;
+      let high = time;
+      while (high - low > 60000) {
+        const mid = low + Math.floor((high - low) / 120000) * 60000;
+        if (getTimeZoneOffset(new Date(mid), timeZone) === previous) low = mid;
+        else high = mid;
+      }
+      transitions.push({ at: high, from: previous, to: offset });
+      previous = offset;
+    }
+  });
+  return transitions;
+};
+
+// One observance per offset change in the years the events fall in
+const buildTimezone = (timeZone, years) => {
+  const firstOffset = getTimeZoneOffset(new Date(Date.UTC(years[0], 0, 1)), timeZone);
+  const transitions = getOffsetTransitions(timeZone, years);
+  const observances = [{
+    // Before the first change; daylight time if the first change goes back
+    type: transitions[0] && transitions[0].to < transitions[0].from ? 'DAYLIGHT' : 'STANDARD',
+    start: transitions.length ? formatLocal(`${years[0]}-01-01`, 0) : '19700101T000000',
+    from: firstOffset,
+    to: firstOffset
+  }, ...transitions.map(({ at, from, to }) => ({
+    type: to > from ? 'DAYLIGHT' : 'STANDARD',
+    start: new Date(at + from * 60000).toISOString().replace(/[-:]/g, '').slice(0, 15),
+    from,
+    to
+  }))];
+
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    ...observances.flatMap(({ type, start, from, to }) => [
+      `BEGIN:${type}`,
+      `DTSTART:${start}`,
+      `TZOFFSETFROM:${formatOffset(from)}`,
+      `TZOFFSETTO:${formatOffset(to)}`,
+      `END:${type}`
+    ]),
+    'END:VTIMEZONE'
+  ];
+};
+
+const buildEvent = (event, timeZone, stamp) => [
+  'BEGIN:VEVENT',
+  `UID:${event.uid}`,
+  `DTSTAMP:${stamp}`,
+  `DTSTART;TZID=${timeZone}:${formatLocal(event.date, event.startMinutes)}`,
+  `DTEND;TZID=${timeZone}:${formatLocal(event.date, event.startMinutes + event.durationMinutes)}`,
+  `SUMMARY:${escapeText(event.summary)}`,
+  ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+  ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+  ...(event.geo ? [`GEO:${event.geo.lat};${event.geo.lng}`] : []),
+  `STATUS:${event.status || 'CONFIRMED'}`,
+  `SEQUENCE:${event.sequence || 0}`,
+  ORGANIZER,
+  'END:VEVENT'
+];
+
+/**
+ * A complete iCalendar object.
+ * @param {Object} options
+ * @param {Array<Object>} options.events - from getAppointmentEvent / getCampEvent
+ * @param {string} options.timeZone - IANA name the event times are in
+ * @param {string} [options.method] - PUBLISH, or CANCEL to remove the events
+ * @param {string} [options.name] - Calendar name shown by subscribing apps
+ * @returns {string}
+ */
+export const buildCalendar = ({ events, timeZone, method = 'PUBLISH', name = null }) => {
+  const eventYears = events.map(event => Number(event.date.slice(0, 4)));
+  const firstYear = eventYears.length ? Math.min(...eventYears) : new Date().getFullYear();
+  const lastYear = eventYears.length ? Math.max(...eventYears) : firstYear;
+  const years = Array.from({ length: lastYear - firstYear + 1 }, (_, i) => firstYear + i);
+  const stamp = formatUtc(new Date());
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`, `X-WR-TIMEZONE:${timeZone}`] : []),
+    ...buildTimezone(timeZone, years),
+    ...events.flatMap(event => buildEvent(
+      method === 'CANCEL' ? { ...event, status: 'CANCELLED', sequence: (event.sequence || 0) + 1 } : event,
+      timeZone,
+      stamp
+    )),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// Updates must carry a higher SEQUENCE; seconds since booking grow with every change
+const getSequence = (appt) => {
+  if (!appt.createdAt || !appt.updatedAt) return 0;
+  return Math.max(0, Math.floor((new Date(appt.updatedAt) - new Date(appt.createdAt)) / 1000));
+};
+
+/**
+ * @param {Object} appt - appointment with its id
+ * @param {Object} [venue] - entry from getVenues, or the inventory/donationCamps doc, for the address and map pin
+ */
+export const getAppointmentEvent = (appt, venue = null) => ({
+  uid: `appointment-${appt.id}@lifeline.app`,
+  date: appt.date,
+  startMinutes: parseTimeSlot(appt.timeSlot) ?? 0,
+  durationMinutes: appt.slotMinutes || DEFAULT_EVENT_MINUTES,
+  summary: `Blood donation at ${appt.venueName}`,
+  description: 'Complete your pre-donation check on LifeLine before you go, and have a meal and plenty of water beforehand.',
+  location: (typeof venue?.address === 'string' && venue.address) || appt.venueName,
+  geo: venue?.location?.lat !== undefined ? venue.location : null,
+  status: appt.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+  sequence: getSequence(appt)
+});
@@ -0,0 +1,41 @@
+// Request Cases
+// A case (cases/{caseId}) is one patient's need: a blood group and how many units
+// it takes. Seekers can run several at once; every donor request they send
+// belongs to one through its caseId. unitsPledged/unitsReceived are recounted by
+// the onBloodRequestWritten function. Closing a case (fulfilled or cancelled)
+// cancels only its own pending requests, see onCaseWritten.
+
+export const CASE_STATUS = {
+  OPEN: 'open',
+  FULFILLED: 'fulfilled',
+  CANCELLED: 'cancelled'
+};
+
+export const MAX_CASE_UNITS = 20;
+
+// Accepted donors have pledged a unit; donated ones have given it
+export const getCaseCounts = (requests) => ({
+  unitsPledged: requests.filter(r => r.status === 'accepted' || r.status === 'donated').length,
+  unitsReceived: requests.filter(r => r.status === 'donated').length,
+  pendingRequests: requests.filter(r => r.status === 'pending').length
+});
+
+// What pending requests are cancelled with when their case closes
+export const CASE_CLOSED_NOTES = {
+  [CASE_STATUS.FULFILLED]: "the patient's need was met",
+  [CASE_STATUS.CANCELLED]: 'the seeker closed this need'
+};
+
+// Donated units count towards the need first, then pledged ones still to come
+export const getCaseProgress = (needCase) => {
+  const needed = needCase.unitsNeeded || 1;
+  const received = needCase.unitsReceived || 0;
+  const pledged = Math.max(0, (needCase.unitsPledged || 0) - received);
+  const receivedPercent = Math.min(100, Math.round((received / needed) * 100));
+  const pledgedPercent = Math.min(100 - receivedPercent, Math.round((pledged / needed) * 100));
+  return { needed, received, pledged, receivedPercent, pledgedPercent };
+};
+
+// Shown on the case and on every request sent for it
+export const getCaseLabel = (needCase) =>
+  `${needCase.patientLabel || 'Patient'} · ${needCase.bloodType}`;
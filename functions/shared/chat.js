@@ -0,0 +1,44 @@
+// Request Chat
+// Each blood_requests/{requestId} has a messages subcollection the seeker and the
+// donor write to. Status changes are posted as system messages by the
+// onBloodRequestWritten function, which also keeps lastMessage on the request.
+// Phone numbers are never shared: once the donor accepts, both sides call or text
+// a proxy number (request.contactRelay) that forwards to the other.
+
+export const MESSAGE_TYPES = {
+  TEXT: 'text',
+  SYSTEM: 'system'
+};
+
+export const MAX_MESSAGE_LENGTH = 1000;
+
+// Once a request is answered no, cancelled, closed or archived its thread is read-only
+export const OPEN_REQUEST_STATUSES = ['pending', 'accepted'];
+
+export const isChatOpen = (request) => OPEN_REQUEST_STATUSES.includes(request?.status);
+
+// The other participant has opened the thread since the message was sent
+export const isReadBy = (request, uid, message) =>
+  !!request?.lastReadAt?.[uid] && request.lastReadAt[uid] >= message.createdAt;
+
+// Masked phone relay (functions/lib/telephony.js)
+export const RELAY_STATUS = {
+  ACTIVE: 'active',
+  EXPIRED: 'expired',
+  UNAVAILABLE: 'unavailable' // Allocation failed or a participant has no phone on file
+};
+
+// Why a request has no proxy number, as told to the donor or the seeker
+export const getRelayUnavailableMessage = (relay, isDonor) => {
+  const ownMissing = relay?.reason === (isDonor ? 'donor_phone_missing' : 'seeker_phone_missing');
+  if (ownMissing) return 'Add your phone number in Profile Settings to get a private number for calls.';
+  if (relay?.reason === 'provider_error') return 'Calling is unavailable right now. Keep using the chat.';
+  return `Calling starts once the ${isDonor ? 'seeker' : 'donor'} adds a phone number. Keep using the chat.`;
+};
+
+// New messages (including system messages) since the user last opened the thread
+export const hasUnreadMessages = (request, uid) => {
+  const last = request?.lastMessage;
+  if (!last || last.senderId === uid) return false;
+  return !request.lastReadAt?.[uid] || request.lastReadAt[uid] < last.createdAt;
+};
@@ -0,0 +1,91 @@
+// Donation Intervals
+// How long a donor must wait before giving again depends on what they gave last,
+// what they want to give next and, for whole blood, their sex. Dates are computed
+// from the recorded donationHistory, never from quiz answers. The
+// onDonorHistoryWritten function stores them on the profile from this same code.
+import { BLOOD_COMPONENTS } from './bloodCompatibility.js';
+
+export const DONATION_TYPES = {
+  WHOLE_BLOOD: BLOOD_COMPONENTS.WHOLE_BLOOD,
+  PLATELETS: BLOOD_COMPONENTS.PLATELETS,
+  PLASMA: BLOOD_COMPONENTS.PLASMA
+};
+
+export const DONATION_TYPE_LABELS = {
+  [DONATION_TYPES.WHOLE_BLOOD]: 'Whole Blood',
+  [DONATION_TYPES.PLATELETS]: 'Platelets',
+  [DONATION_TYPES.PLASMA]: 'Plasma'
+};
+
+export const DEFAULT_DONATION_TYPE = DONATION_TYPES.WHOLE_BLOOD;
+
+export const DONOR_SEX = {
+  MALE: 'male',
+  FEMALE: 'female'
+};
+
+// [previous donation][next donation] -> days, or { male, female } where it differs.
+// Apheresis (platelets/plasma) returns red cells, so it needs a much shorter break.
+export const DONATION_INTERVAL_DAYS = {
+  [DONATION_TYPES.WHOLE_BLOOD]: {
+    [DONATION_TYPES.WHOLE_BLOOD]: { [DONOR_SEX.MALE]: 90, [DONOR_SEX.FEMALE]: 120 },
+    [DONATION_TYPES.PLATELETS]: 28,
+    [DONATION_TYPES.PLASMA]: 28
+  },
+  [DONATION_TYPES.PLATELETS]: {
+    [DONATION_TYPES.WHOLE_BLOOD]: 28,
+    [DONATION_TYPES.PLATELETS]: 14,
+    [DONATION_TYPES.PLASMA]: 14
+  },
+  [DONATION_TYPES.PLASMA]: {
+    [DONATION_TYPES.WHOLE_BLOOD]: 28,
+    [DONATION_TYPES.PLATELETS]: 14,
+    [DONATION_TYPES.PLASMA]: 14
+  }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// History entries recorded before donation types existed were whole blood
+export const getDonationType = (entry) => entry?.donationType || DEFAULT_DONATION_TYPE;
+
+// Without a recorded sex the longer (safer) interval applies
+export const getIntervalDays = (previousType, nextType, sex) => {
+  const interval = DONATION_INTERVAL_DAYS[previousType]?.[nextType]
+    ?? DONATION_INTERVAL_DAYS[DEFAULT_DONATION_TYPE][nextType];
+  if (typeof interval === 'number') return interval;
+  return interval[sex] ?? Math.max(...Object.values(interval));
+};
+
+/**
+ * Earliest date the donor may give `nextType`, based on every recorded donation.
+ * @returns {string|null} ISO date, or null if the history does not restrict it
+ */
+export const getNextEligibleDate = (history = [], nextType = DEFAULT_DONATION_TYPE, sex = null) => {
+  let latest = null;
+  history.forEach(entry => {
+    if (!entry?.date) return;
+    const until = new Date(entry.date).getTime() + getIntervalDays(getDonationType(entry), nextType, sex) * DAY_MS;
+    if (latest === null || until > latest) latest = until;
+  });
+  return latest === null ? null : new Date(latest).toISOString();
+};
+
+// { whole_blood, platelets, plasma } -> ISO date or null
+export const getNextEligibleDates = (history = [], sex = null) =>
+  Object.fromEntries(Object.values(DONATION_TYPES).map(type => [type, getNextEligibleDate(history, type, sex)]));
+
+// Whole days left until an ISO date, 0 once it has passed
+export const getDaysUntil = (isoDate, now = new Date()) => {
+  if (!isoDate) return 0;
+  return Math.max(0, Math.ceil((new Date(isoDate) - now) / DAY_MS));
+};
+
+/**
+ * Whether the donor may give `donationType` on a calendar day (YYYY-MM-DD).
+ * @param {Object} user - users/{uid} doc with donationHistory and donorProfile.sex
+ */
+export const isEligibleOnDate = (user, date, donationType = DEFAULT_DONATION_TYPE) => {
+  const nextDate = getNextEligibleDate(user?.donationHistory, donationType, user?.donorProfile?.sex);
+  return !nextDate || date >= nextDate.split('T')[0];
+};
@@ -0,0 +1,63 @@
+// Emergency Requests
+// A seeker asks for a number of units for a patient at a hospital, or a hospital
+// short on a group appeals for donors itself (origin 'hospital'). The
+// escalateEmergencyRequests Cloud Function notifies compatible donors ring by
+// ring (RADIUS_RINGS_KM) until enough have pledged or the deadline passes;
+// functions/lib/emergency.js finds the donors in each ring.
+
+export const EMERGENCY_STATUS = {
+  OPEN: 'open',
+  FULFILLED: 'fulfilled',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled'
+};
+
+// emergencyRequests/{requestId}/responses/{donorId}
+export const RESPONSE_STATUS = {
+  NOTIFIED: 'notified',
+  PLEDGED: 'pledged',
+  DECLINED: 'declined',
+  RELEASED: 'released' // Request closed before the donor answered
+};
+
+export const URGENCY_LEVELS = {
+  CRITICAL: 'critical',
+  HIGH: 'high',
+  MODERATE: 'moderate'
+};
+
+export const URGENCY_LABELS = {
+  [URGENCY_LEVELS.CRITICAL]: 'Critical',
+  [URGENCY_LEVELS.HIGH]: 'High',
+  [URGENCY_LEVELS.MODERATE]: 'Moderate'
+};
+
+// Each ring reaches further out than the last
+export const RADIUS_RINGS_KM = [5, 10, 25, 50, 100];
+
+// How long a ring gets to answer before the next one is notified
+export const ESCALATION_MINUTES = {
+  [URGENCY_LEVELS.CRITICAL]: 10,
+  [URGENCY_LEVELS.HIGH]: 30,
+  [URGENCY_LEVELS.MODERATE]: 60
+};
+
+export const MAX_UNITS_PER_REQUEST = 10;
+
+export const isEmergencyOpen = (request) => request?.status === EMERGENCY_STATUS.OPEN;
+
+export const getCurrentRadiusKm = (request) =>
+  request?.ringIndex >= 0 ? RADIUS_RINGS_KM[request.ringIndex] : null;
+
+/**
+ * When the ring after `ringIndex` should go out, or null once the widest ring
+ * has been notified (the request then waits for pledges until its deadline).
+ * @returns {string|null} ISO timestamp
+ */
+export const getNextEscalationAt = (request, ringIndex, from = new Date()) => {
+  if (ringIndex >= RADIUS_RINGS_KM.length - 1) return null;
+  const minutes = ESCALATION_MINUTES[request.urgency] || ESCALATION_MINUTES[URGENCY_LEVELS.HIGH];
+  const next = new Date(from.getTime() + minutes * 60 * 1000);
+  if (request.deadline && next >= new Date(request.deadline)) return null;
+  return next.toISOString();
+};
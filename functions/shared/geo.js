@@ -0,0 +1,51 @@
+// Geo Helpers
+// Geohashes let Firestore answer "what is near me" with plain range queries,
+// see searchNearby in src/lib/firestore.js and the watchlist and emergency
+// functions. Geocoding a typed place name is browser-only, in src/lib/geo.js.
+import { geohashForLocation, geohashQueryBounds, distanceBetween } from 'geofire-common';
+
+export const DEFAULT_SEARCH_RADIUS_KM = 25;
+
+// True for {lat, lng} objects with numeric coordinates
+export const isValidLocation = (location) =>
+  !!location &&
+  typeof location.lat === 'number' &&
+  typeof location.lng === 'number' &&
+  !Number.isNaN(location.lat) &&
+  !Number.isNaN(location.lng);
+
+export const getGeohash = (location) => {
+  if (!isValidLocation(location)) return null;
+  return geohashForLocation([location.lat, location.lng]);
+};
+
+/**
+ * Great-circle distance between two {lat, lng} points.
+ * @returns {number|null} Distance in km, or null if either point is missing
+ */
+export const getDistanceKm = (from, to) => {
+  if (!isValidLocation(from) || !isValidLocation(to)) return null;
+  return distanceBetween([from.lat, from.lng], [to.lat, to.lng]);
+};
+
+export const formatDistance = (km) => (km === null || km === undefined ? null : km.toFixed(1));
+
+// [start, end] geohash ranges that together cover the search circle
+export const getGeohashBounds = (center, radiusKm) =>
+  geohashQueryBounds([center.lat, center.lng], radiusKm * 1000);
+
+/**
+ * Checks a point against a saved search area (e.g. a watchlist entry).
+ * Areas saved before radius search only have a place name, so those fall back
+ * to matching the name against the given address/city strings.
+ * @param {Object} area - { center: {lat, lng}, radiusKm, location: 'place name' }
+ */
+export const isWithinArea = (area, point, fallbackTexts = []) => {
+  if (isValidLocation(area.center)) {
+    const distanceKm = getDistanceKm(area.center, point);
+    return distanceKm !== null && distanceKm <= (area.radiusKm || DEFAULT_SEARCH_RADIUS_KM);
+  }
+  if (!area.location) return true;
+  const needle = area.location.toLowerCase();
+  return fallbackTexts.some(text => typeof text === 'string' && text.toLowerCase().includes(needle));
+};
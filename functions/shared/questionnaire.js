@@ -0,0 +1,358 @@
+// Eligibility Questionnaire
+// Questionnaires are versioned docs in questionnaires/{id}. Published versions are
+// never edited: an admin publishes a new version and the old one is retired, so
+// every saved submission still points at the exact questions the donor answered.
+// Each question carries deferral rules; a region can swap in its own rule set.
+//
+// Questions come in two tiers. Baseline answers (medical history) hold for
+// baselineValidDays, after which the donor drops out of search until they answer
+// again. Day-of questions (sleep, alcohol, feeling well) are answered per
+// appointment in the 24 hours before it.
+
+export const QUESTION_TYPES = {
+  BOOLEAN: 'boolean',
+  DATE: 'date',
+  NUMBER: 'number',
+  CHOICE: 'choice'
+};
+
+export const QUESTIONNAIRE_STATUS = {
+  ACTIVE: 'active',
+  RETIRED: 'retired'
+};
+
+export const DEFERRAL_TYPES = {
+  TEMPORARY: 'temporary',
+  PERMANENT: 'permanent'
+};
+
+// Overall outcome of one submission, stored on the user as questionnaireStatus
+export const SCREENING_RESULT = {
+  ELIGIBLE: 'eligible',
+  DEFERRED: 'deferred',
+  PERMANENT: 'permanently_deferred'
+};
+
+// Rule conditions. 'within_days' is for date answers: it matches when the date is
+// less than `value` days ago, and the deferral then runs from that date.
+export const RULE_OPERATORS = {
+  EQUALS: 'eq',
+  IN: 'in',
+  LESS_THAN: 'lt',
+  GREATER_THAN: 'gt',
+  WITHIN_DAYS: 'within_days'
+};
+
+export const SCREENING_TIERS = {
+  BASELINE: 'baseline',
+  DAY_OF: 'day_of'
+};
+
+export const DEFAULT_REGION = 'default';
+
+// Used when a questionnaire does not set baselineValidDays
+export const DEFAULT_BASELINE_VALID_DAYS = 180;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used until an admin publishes the first questionnaire
+export const DEFAULT_QUESTIONNAIRE = {
+  id: 'builtin',
+  version: 0,
+  title: 'Standard donor questionnaire',
+  baselineValidDays: DEFAULT_BASELINE_VALID_DAYS,
+  questions: [
+    {
+      key: 'permanent_conditions',
+      question: "Have you ever tested positive for HIV, hepatitis B or hepatitis C?",
+      type: QUESTION_TYPES.BOOLEAN,
+      explanation: "These infections can be passed on through donated blood, even years later.",
+      rules: [
+        { when: { op: RULE_OPERATORS.EQUALS, value: true }, deferral: DEFERRAL_TYPES.PERMANENT, message: "People who have had HIV or hepatitis B/C cannot donate blood." }
+      ]
+    },
+    {
+      key: 'age',
+      question: "How old are you?",
+      type: QUESTION_TYPES.NUMBER,
+      unit: 'years',
+      min: 1,
+      max: 120,
+      explanation: "This age range ensures you are legally able to consent and physically mature enough to donate safely.",
+      rules: [
+        { when: { op: RULE_OPERATORS.LESS_THAN, value: 18 }, deferral: DEFERRAL_TYPES.TEMPORARY, days: 365, message: "Donors must be at least 18 years old." },
+        { when: { op: RULE_OPERATORS.GREATER_THAN, value: 65 }, deferral: DEFERRAL_TYPES.PERMANENT, message: "Donors must be 65 or younger." }
+      ]
+    },
+    {
+      key: 'weight',
+      question: "What is your body weight?",
+      type: QUESTION_TYPES.NUMBER,
+      unit: 'kg',
+      min: 20,
+      max: 300,
+      explanation: "You need a certain body mass to safely lose 450ml of blood without health risks.",
+      rules: [
+        { when: { op: RULE_OPERATORS.LESS_THAN, value: 45 }, deferral: DEFERRAL_TYPES.TEMPORARY, days: 90, message: "Donors must weigh at least 45kg." }
+      ]
+    },
+    {
+      key: 'hemoglobin',
+      question: "If you know it, what was your latest hemoglobin level?",
+      type: QUESTION_TYPES.NUMBER,
+      unit: 'g/dL',
+      min: 3,
+      max: 25,
+      step: 0.1,
+      optional: true,
+      explanation: "Low hemoglobin means your body needs time to rebuild its red cells first. It is checked again at the venue.",
+      rules: [
+        { when: { op: RULE_OPERATORS.LESS_THAN, value: 12.5 }, deferral: DEFERRAL_TYPES.TEMPORARY, days: 90, message: "Hemoglobin must be at least 12.5 g/dL." }
+      ]
+    },
+    {
+      key: 'recent_donation',
+      // Donations made through LifeLine are checked against the recorded history instead
+      question: "When did you last donate blood anywhere other than LifeLine?",
+      type: QUESTION_TYPES.DATE,
+      optional: true,
+      explanation: "Your body needs this time to replenish its iron stores and red blood cells.",
+      rules: [
+        { when: { op: RULE_OPERATORS.WITHIN_DAYS, value: 90 }, deferral: DEFERRAL_TYPES.TEMPORARY, days: 90, message: "You must wait at least 3 months between blood donations." }
+      ]
+    },
+    {
+      key: 'medication',
+      question: "Are you currently taking any medication (e.g., antibiotics, blood thinners)?",
+      type: QUESTION_TYPES.BOOLEAN,
+      explanation: "Some medications can affect the recipient or your own health during donation.",
+      rules: [
+        { when: { op: RULE_OPERATORS.EQUALS, value: true }, deferral: DEFERRAL_TYPES.TEMPORARY, days: 14, message: "Certain medications (antibiotics, blood thinners) may prevent you from donating. Please consult a doctor." }
+      ]
+    },
+    {
+      key: 'health_today',
+      question: "Do you have any infection, fever, cold, cough, weakness, dizziness, or fatigue today?",
+      type: QUESTION_TYPES.BOOLEAN,
+      tier: SCREENING_TIERS.DAY_OF,
+      explanation: "Donating while sick can worsen your condition and transmit infections to the recipient.",
+      rules: [
+        { when: { op: RULE_OPERATORS.EQUALS, value: true }, deferral: DEFERRAL_TYPES.TEMPORARY, days: 7, message: "You must be in good health and symptom-free to donate." }
+      ]
+    },
+    {
+      key: 'surgery_dental',
+      question: "Have you had surgery or a dental procedure in the last 12 months?",
+      type: QUESTION_TYPES.CHOICE,
+      options: [
+        { value: 'none', label: 'No' },
+        { value: 'dental', label: 'Dental work (filling, extraction)' },
+        { value: 'minor_surgery', label: 'Minor surgery' },
+        { value: 'major_surgery', label: 'Major surgery' }
+      ],
+      explanation: "Surgery increases the risk of infection and your body needs energy to heal fully first.",
+      rules: [
+        { when: { op: RULE_OPERATORS.EQUALS, value: 'dental' }, deferral: DEFERRAL_TYPES.TEMPORARY, days: 30, message: "Dental procedures need a month of recovery before donating." },
+        { when: { op: RULE_OPERATORS.EQUALS, value: 'minor_surgery' }, deferral: DEFERRAL_TYPES.TEMPORARY, days: 180, message: "Minor surgery needs 6 months of recovery before donating." },
+        { when: { op: RULE_OPERATORS.EQUALS, value: 'major_surgery' }, deferral: DEFERRAL_TYPES.TEMPORARY, days: 365, message: "Major surgery needs 12 months of recovery before donating." }
+      ]
+    },
+    {
+      key: 'tattoo_piercing',
+      question: "When did you last get a tattoo, piercing or acupuncture?",
+      type: QUESTION_TYPES.DATE,
+      optional: true,
+      explanation: "Needles can introduce infections like Hepatitis, which may not show up in tests immediately.",
+      rules: [
+        { when: { op: RULE_OPERATORS.WITHIN_DAYS, value: 180 }, deferral: DEFERRAL_TYPES.TEMPORARY, days: 180, message: "There is a 6-month waiting period after tattoos, piercings, or acupuncture." }
+      ]
+    },
+    {
+      key: 'sleep',
+      question: "Did you have at least 6 hours of sleep last night?",
+      type: QUESTION_TYPES.BOOLEAN,
+      tier: SCREENING_TIERS.DAY_OF,
+      explanation: "Lack of sleep increases the risk of dizziness, fainting, and fatigue after donation.",
+      rules: [
+        { when: { op: RULE_OPERATORS.EQUALS, value: false }, deferral: DEFERRAL_TYPES.TEMPORARY, days: 1, message: "A minimum of 6 hours of sleep is required to ensure your safety during donation." }
+      ]
+    },
+    {
+      key: 'alcohol',
+      question: "Have you consumed alcohol in the last 24 hours?",
+      type: QUESTION_TYPES.BOOLEAN,
+      tier: SCREENING_TIERS.DAY_OF,
+      explanation: "Alcohol causes dehydration, which makes it harder for your body to recover after donating.",
+      rules: [
+        { when: { op: RULE_OPERATORS.EQUALS, value: true }, deferral: DEFERRAL_TYPES.TEMPORARY, days: 1, message: "You must avoid alcohol for at least 24 hours before donating." }
+      ]
+    },
+    {
+      key: 'meal',
+      question: "Will you eat a light (non-oily) meal 2–3 hours before donating?",
+      type: QUESTION_TYPES.BOOLEAN,
+      tier: SCREENING_TIERS.DAY_OF,
+      explanation: "Donating on an empty stomach can cause a drop in blood sugar and lead to fainting.",
+      rules: [
+        { when: { op: RULE_OPERATORS.EQUALS, value: false }, deferral: DEFERRAL_TYPES.TEMPORARY, days: 1, message: "Eating a light meal beforehand helps prevent dizziness and maintains blood sugar." }
+      ]
+    }
+  ],
+  // Region code -> label and replacement rules for some question keys
+  regions: {
+    US: {
+      label: 'United States',
+      rules: {
+        weight: [
+          { when: { op: RULE_OPERATORS.LESS_THAN, value: 50 }, deferral: DEFERRAL_TYPES.TEMPORARY, days: 90, message: "Donors must weigh at least 50kg (110 lb)." }
+        ],
+        tattoo_piercing: [
+          { when: { op: RULE_OPERATORS.WITHIN_DAYS, value: 90 }, deferral: DEFERRAL_TYPES.TEMPORARY, days: 90, message: "There is a 3-month waiting period after tattoos, piercings, or acupuncture." }
+        ]
+      }
+    },
+    IN: {
+      label: 'India',
+      rules: {
+        tattoo_piercing: [
+          { when: { op: RULE_OPERATORS.WITHIN_DAYS, value: 365 }, deferral: DEFERRAL_TYPES.TEMPORARY, days: 365, message: "There is a 12-month waiting period after tattoos, piercings, or acupuncture." }
+        ]
+      }
+    }
+  }
+};
+
+// [{ value, label }] for the region picker, default first
+export const getRegionOptions = (questionnaire) => [
+  { value: DEFAULT_REGION, label: 'Other / not listed' },
+  ...Object.entries(questionnaire?.regions || {}).map(([value, region]) => ({ value, label: region.label || value }))
+];
+
+export const getQuestionRules = (questionnaire, question, region = DEFAULT_REGION) =>
+  questionnaire?.regions?.[region]?.rules?.[question.key] || question.rules || [];
+
+export const getQuestionTier = (question) => question.tier || SCREENING_TIERS.BASELINE;
+
+// Same questionnaire, narrowed to one tier's questions
+export const getTierQuestionnaire = (questionnaire, tier) => ({
+  ...questionnaire,
+  questions: questionnaire.questions.filter(q => getQuestionTier(q) === tier)
+});
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+const matchesRule = (when, answer, now) => {
+  switch (when.op) {
+    case RULE_OPERATORS.EQUALS:
+      return answer === when.value;
+    case RULE_OPERATORS.IN:
+      return Array.isArray(when.value) && when.value.includes(answer);
+    case RULE_OPERATORS.LESS_THAN:
+      return typeof answer === 'number' && answer < when.value;
+    case RULE_OPERATORS.GREATER_THAN:
+      return typeof answer === 'number' && answer > when.value;
+    case RULE_OPERATORS.WITHIN_DAYS:
+      return !!answer && addDays(answer, when.value) > now;
+    default:
+      return false;
+  }
+};
+
+export const getBaselineExpiry = (questionnaire, submittedAt = new Date()) =>
+  addDays(submittedAt, questionnaire.baselineValidDays || DEFAULT_BASELINE_VALID_DAYS).toISOString();
+
+/**
+ * Whether the donor's baseline answers are still within their window. Donors
+ * screened before expiry dates existed fall back to lastChecked.
+ */
+export const isScreeningCurrent = (user, now = new Date()) => {
+  const expiresAt = user?.screeningExpiresAt
+    || (user?.lastChecked ? addDays(user.lastChecked, DEFAULT_BASELINE_VALID_DAYS).toISOString() : null);
+  return !!expiresAt && new Date(expiresAt) > now;
+};
+
+// Skipped optional questions are null; everything else must be answered
+export const isAnswered = (question, answer) => {
+  if (answer === undefined) return false;
+  if (answer === null || answer === '') return !!question.optional;
+  if (question.type === QUESTION_TYPES.NUMBER) return typeof answer === 'number' && !Number.isNaN(answer);
+  return true;
+};
+
+/**
+ * Runs every question's rules (or its region's replacement rules) against the answers.
+ * Permanent deferrals win; otherwise the latest temporary deferral sets deferredUntil.
+ * @returns {{status: string, deferredUntil: string|null, outcomes: Array<{key: string, deferral: string, until: string|null, message: string}>}}
+ */
+export const evaluateQuestionnaire = (questionnaire, answers, region = DEFAULT_REGION, now = new Date()) => {
+  const outcomes = [];
+
+  questionnaire.questions.forEach(question => {
+    const answer = answers[question.key];
+    if (answer === undefined || answer === null) return;
+
+    getQuestionRules(questionnaire, question, region).forEach(rule => {
+      if (!matchesRule(rule.when, answer, now)) return;
+
+      let until = null;
+      if (rule.deferral === DEFERRAL_TYPES.TEMPORARY) {
+        // Date answers defer from the event itself, everything else from today
+        const from = rule.when.op === RULE_OPERATORS.WITHIN_DAYS ? answer : now;
+        until = addDays(from, rule.days || 0).toISOString();
+      }
+      outcomes.push({ key: question.key, deferral: rule.deferral, until, message: rule.message });
+    });
+  });
+
+  if (outcomes.some(o => o.deferral === DEFERRAL_TYPES.PERMANENT)) {
+    return { status: SCREENING_RESULT.PERMANENT, deferredUntil: null, outcomes };
+  }
+
+  const deferredUntil = outcomes.reduce((latest, o) => (!latest || o.until > latest ? o.until : latest), null);
+  return {
+    status: outcomes.length > 0 ? SCREENING_RESULT.DEFERRED : SCREENING_RESULT.ELIGIBLE,
+    deferredUntil,
+    outcomes
+  };
+};
+
+const validateRules = (rules, where) => {
+  if (!Array.isArray(rules)) return `${where}: rules must be a list.`;
+  for (const rule of rules) {
+    if (!Object.values(RULE_OPERATORS).includes(rule?.when?.op)) return `${where}: unknown rule operator "${rule?.when?.op}".`;
+    if (!Object.values(DEFERRAL_TYPES).includes(rule.deferral)) return `${where}: deferral must be temporary or permanent.`;
+    if (rule.deferral === DEFERRAL_TYPES.TEMPORARY && !(rule.days > 0)) return `${where}: temporary deferrals need a number of days.`;
+    if (!rule.message) return `${where}: every rule needs a message for the donor.`;
+  }
+  return null;
+};
+
+// Returns an error message, or null if the questionnaire can be published
+export const validateQuestionnaire = (questionnaire) => {
+  if (!questionnaire?.title) return 'The questionnaire needs a title.';
+  if (!Array.isArray(questionnaire.questions) || questionnaire.questions.length === 0) return 'Add at least one question.';
+  if (questionnaire.baselineValidDays !== undefined && !(Number.isInteger(questionnaire.baselineValidDays) && questionnaire.baselineValidDays > 0)) {
+    return 'baselineValidDays must be a whole number of days.';
+  }
+
+  const keys = new Set();
+  for (const question of questionnaire.questions) {
+    if (!question.key || keys.has(question.key)) return `Question keys must be unique (check "${question.key}").`;
+    keys.add(question.key);
+    if (!question.question) return `Question "${question.key}" has no text.`;
+    if (!Object.values(QUESTION_TYPES).includes(question.type)) return `Question "${question.key}" has an unknown type.`;
+    if (!Object.values(SCREENING_TIERS).includes(getQuestionTier(question))) return `Question "${question.key}" has an unknown tier.`;
+    if (question.type === QUESTION_TYPES.CHOICE && !(question.options?.length > 0)) return `Question "${question.key}" needs options.`;
+    const error = validateRules(question.rules || [], `Question "${question.key}"`);
+    if (error) return error;
+  }
+
+  for (const [code, region] of Object.entries(questionnaire.regions || {})) {
+    for (const [key, rules] of Object.entries(region.rules || {})) {
+      if (!keys.has(key)) return `Region ${code} has rules for unknown question "${key}".`;
+      const error = validateRules(rules, `Region ${code}, question "${key}"`);
+      if (error) return error;
+    }
+  }
+  return null;
+};
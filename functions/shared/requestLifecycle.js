@@ -0,0 +1,69 @@
+// Donor Request Lifecycle
+// blood_requests/{requestId} moves through these statuses and nothing else:
+//   pending  -> accepted | declined | expired | cancelled
+//   accepted -> donated | no_show | cancelled
+// The donor answers and can confirm the donation, the seeker cancels or records
+// how it went, and the expireBloodRequests function expires unanswered requests.
+// Every step is appended to statusHistory as { status, at, by, note }; firestore.rules
+// checks the transition and the appended step, and onBloodRequestWritten undoes
+// anything else, for example an edit from the console.
+
+export const REQUEST_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled',
+  DONATED: 'donated',
+  NO_SHOW: 'no_show'
+};
+
+export const REQUEST_TRANSITIONS = {
+  [REQUEST_STATUS.PENDING]: [REQUEST_STATUS.ACCEPTED, REQUEST_STATUS.DECLINED, REQUEST_STATUS.EXPIRED, REQUEST_STATUS.CANCELLED],
+  [REQUEST_STATUS.ACCEPTED]: [REQUEST_STATUS.DONATED, REQUEST_STATUS.NO_SHOW, REQUEST_STATUS.CANCELLED]
+};
+
+// Requests from before the lifecycle may still carry rejected, closed or archived
+export const REQUEST_STATUS_LABELS = {
+  [REQUEST_STATUS.PENDING]: 'Pending',
+  [REQUEST_STATUS.ACCEPTED]: 'Accepted',
+  [REQUEST_STATUS.DECLINED]: 'Declined',
+  [REQUEST_STATUS.EXPIRED]: 'Expired',
+  [REQUEST_STATUS.CANCELLED]: 'Cancelled',
+  [REQUEST_STATUS.DONATED]: 'Donated',
+  [REQUEST_STATUS.NO_SHOW]: 'No-show',
+  rejected: 'Declined',
+  closed: 'Closed',
+  archived: 'Archived'
+};
+
+export const REQUEST_STATUS_STYLES = {
+  [REQUEST_STATUS.PENDING]: 'bg-yellow-100 text-yellow-700',
+  [REQUEST_STATUS.ACCEPTED]: 'bg-green-100 text-green-700',
+  [REQUEST_STATUS.DONATED]: 'bg-emerald-100 text-emerald-700',
+  [REQUEST_STATUS.DECLINED]: 'bg-red-100 text-red-700',
+  [REQUEST_STATUS.NO_SHOW]: 'bg-orange-100 text-orange-700',
+  rejected: 'bg-red-100 text-red-700'
+};
+
+// statusHistory steps written by functions rather than a participant
+export const SYSTEM_ACTOR = 'system';
+
+export const canTransition = (from, to) => (REQUEST_TRANSITIONS[from] || []).includes(to);
+
+// Terminal statuses, including rejected/closed/archived from before the lifecycle
+export const isRequestClosed = (status) => !REQUEST_TRANSITIONS[status];
+
+// Pending and accepted requests still need someone to act
+export const isRequestActive = (request) => !!REQUEST_TRANSITIONS[request?.status];
+
+// The recorded steps, or what can be pieced together for requests made before
+// statusHistory existed
+export const getStatusHistory = (request) => {
+  if (request.statusHistory?.length) return request.statusHistory;
+  const steps = [{ status: REQUEST_STATUS.PENDING, at: request.createdAt, by: request.seekerId }];
+  if (request.status !== REQUEST_STATUS.PENDING) {
+    steps.push({ status: request.status, at: request.updatedAt || request.respondedAt || null, by: null });
+  }
+  return steps;
+};
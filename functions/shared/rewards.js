@@ -0,0 +1,121 @@
+// Donor Rewards
+// Badges, donation streaks and leaderboards. users/{uid}.rewards is written only
+// by the onCertificateWritten function, from the donor's valid certificates, so a
+// badge cannot be earned by editing the profile and a revoked certificate takes
+// back whatever it earned. The badge images donors share are drawn in
+// src/lib/rewards.js.
+
+export const BADGES = {
+  FIRST_DONATION: 'first_donation',
+  FIVE_DONATIONS: 'five_donations',
+  TEN_DONATIONS: 'ten_donations',
+  TWENTY_FIVE_DONATIONS: 'twenty_five_donations',
+  RARE_TYPE: 'rare_type',
+  EMERGENCY_HERO: 'emergency_hero'
+};
+
+// In display order; color is the badge image accent
+export const BADGE_INFO = {
+  [BADGES.FIRST_DONATION]: { label: 'First Drop', description: 'Gave blood for the first time', color: '#ef4444' },
+  [BADGES.FIVE_DONATIONS]: { label: 'Lifesaver', description: '5 donations', color: '#f97316' },
+  [BADGES.TEN_DONATIONS]: { label: 'Guardian', description: '10 donations', color: '#8b5cf6' },
+  [BADGES.TWENTY_FIVE_DONATIONS]: { label: 'Legend', description: '25 donations', color: '#eab308' },
+  [BADGES.RARE_TYPE]: { label: 'Rare Gift', description: 'Donated a rare, Rh-negative blood group', color: '#0ea5e9' },
+  [BADGES.EMERGENCY_HERO]: { label: 'Emergency Hero', description: 'Answered an emergency request and donated', color: '#dc2626' }
+};
+
+const MILESTONES = [
+  { badge: BADGES.FIRST_DONATION, donations: 1 },
+  { badge: BADGES.FIVE_DONATIONS, donations: 5 },
+  { badge: BADGES.TEN_DONATIONS, donations: 10 },
+  { badge: BADGES.TWENTY_FIVE_DONATIONS, donations: 25 }
+];
+
+// Rh-negative groups, each under 7% of donors
+const RARE_BLOOD_TYPES = ['A-', 'B-', 'AB-', 'O-'];
+
+// A donation at the hospital of an emergency request the donor pledged to, this soon after pledging
+const HERO_WINDOW_DAYS = 3;
+
+// A streak continues while each donation follows the last one within this many days
+export const STREAK_GAP_DAYS = 180;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const LEADERBOARD_SCOPES = {
+  CITY: 'city',
+  CAMPUS: 'campus'
+};
+
+export const LEADERBOARD_SIZE = 20;
+
+// The next milestone badge and how many donations it still needs, null after the last one
+export const getNextMilestone = (totalDonations = 0) => {
+  const next = MILESTONES.find(milestone => milestone.donations > totalDonations);
+  return next ? { ...next, remaining: next.donations - totalDonations } : null;
+};
+
+// The stored streak only changes on a donation, so it lapses here once the gap has passed
+export const getActiveStreak = (streak) => {
+  if (!streak?.lastDonationAt) return 0;
+  const days = (Date.now() - new Date(streak.lastDonationAt)) / DAY_MS;
+  return days <= STREAK_GAP_DAYS ? streak.current : 0;
+};
+
+// Case and spacing differences still land on the same board
+export const getLeaderboardKey = (value) => (value || '').trim().toLowerCase().replace(/\s+/g, ' ') || null;
+
+/**
+ * @param {Array<Object>} certificates - the donor's valid certificates docs
+ * @param {Array<{hospitalId: string, pledgedAt: string}>} pledges - emergency
+ *   requests the donor pledged to
+ * @returns {{totalDonations: number, badges: Object<string, string>,
+ *   streak: {current: number, longest: number, lastDonationAt: string|null}}}
+ *   badges maps each earned badge to the donation date that earned it
+ */
+export const computeRewards = (certificates, pledges = []) => {
+  const donations = [...certificates].sort((a, b) => new Date(a.donatedAt) - new Date(b.donatedAt));
+  const badges = {};
+
+  MILESTONES.forEach(({ badge, donations: count }) => {
+    if (donations.length >= count) badges[badge] = donations[count - 1].donatedAt;
+  });
+
+  const rare = donations.find(donation => RARE_BLOOD_TYPES.includes(donation.bloodType));
+  if (rare) badges[BADGES.RARE_TYPE] = rare.donatedAt;
+
+  const hero = donations.find(donation => donation.venueType === 'hospital' && pledges.some(pledge => {
+    const sincePledge = new Date(donation.donatedAt) - new Date(pledge.pledgedAt);
+    return pledge.hospitalId === donation.venueId && sincePledge >= 0 && sincePledge <= HERO_WINDOW_DAYS * DAY_MS;
+  }));
+  if (hero) badges[BADGES.EMERGENCY_HERO] = hero.donatedAt;
+
+  let current = 0;
+  let longest = 0;
+  donations.forEach((donation, i) => {
+    const gap = i > 0 ? new Date(donation.donatedAt) - new Date(donations[i - 1].donatedAt) : null;
+    current = gap !== null && gap <= STREAK_GAP_DAYS * DAY_MS ? current + 1 : 1;
+    longest = Math.max(longest, current);
+  });
+
+  return {
+    totalDonations: donations.length,
+    badges,
+    streak: {
+      current,
+      longest,
+      lastDonationAt: donations.length ? donations[donations.length - 1].donatedAt : null
+    }
+  };
+};
+
+// Badges in `after` that `before` did not have
+export const getNewBadges = (before, after) =>
+  Object.keys(after?.badges || {}).filter(badge => !before?.badges?.[badge]);
+
+// 'Priya Sharma' -> 'Priya S.'
+export const getLeaderboardName = (name) => {
+  const [first, ...rest] = (name || 'Donor').trim().split(/\s+/);
+  const last = rest[rest.length - 1];
+  return last ? `${first} ${last[0].toUpperCase()}.` : first;
+};
@@ -0,0 +1,88 @@
+// Inter-hospital Transfers (transfers/{transferId})
+// A hospital short on a blood group asks another hospital for units:
+//   requested -> offered    supplier picks the bags, which are reserved for the transfer
+//   offered   -> accepted   requester agrees to the offered bags
+//   accepted  -> dispatched supplier sends them; the bags leave as 'transferred'
+//   dispatched -> received  requester registers them in its own stock
+// Until dispatch the supplier can decline and the requester can cancel. Each
+// hospital only ever writes its own units; bags reserved for an offer that is
+// declined or cancelled go back on the supplier's shelf via onTransferWritten.
+// Steps are appended to statusHistory as { status, at, by, note }.
+
+export const TRANSFER_STATUS = {
+  REQUESTED: 'requested',
+  OFFERED: 'offered',
+  ACCEPTED: 'accepted',
+  DISPATCHED: 'dispatched',
+  RECEIVED: 'received',
+  DECLINED: 'declined',
+  CANCELLED: 'cancelled'
+};
+
+export const TRANSFER_STATUS_LABELS = {
+  [TRANSFER_STATUS.REQUESTED]: 'Requested',
+  [TRANSFER_STATUS.OFFERED]: 'Offered',
+  [TRANSFER_STATUS.ACCEPTED]: 'Accepted',
+  [TRANSFER_STATUS.DISPATCHED]: 'Dispatched',
+  [TRANSFER_STATUS.RECEIVED]: 'Received',
+  [TRANSFER_STATUS.DECLINED]: 'Declined',
+  [TRANSFER_STATUS.CANCELLED]: 'Cancelled'
+};
+
+// Who moves a transfer from each status, and to what
+export const TRANSFER_ACTIONS = {
+  supplier: {
+    [TRANSFER_STATUS.REQUESTED]: [TRANSFER_STATUS.OFFERED, TRANSFER_STATUS.DECLINED],
+    [TRANSFER_STATUS.OFFERED]: [TRANSFER_STATUS.DECLINED],
+    [TRANSFER_STATUS.ACCEPTED]: [TRANSFER_STATUS.DISPATCHED, TRANSFER_STATUS.DECLINED]
+  },
+  requester: {
+    [TRANSFER_STATUS.REQUESTED]: [TRANSFER_STATUS.CANCELLED],
+    [TRANSFER_STATUS.OFFERED]: [TRANSFER_STATUS.ACCEPTED, TRANSFER_STATUS.CANCELLED],
+    [TRANSFER_STATUS.ACCEPTED]: [TRANSFER_STATUS.CANCELLED],
+    [TRANSFER_STATUS.DISPATCHED]: [TRANSFER_STATUS.RECEIVED]
+  }
+};
+
+// Offered bags are held in the supplier's stock until dispatch or release
+export const RESERVING_STATUSES = [TRANSFER_STATUS.OFFERED, TRANSFER_STATUS.ACCEPTED];
+
+export const MAX_TRANSFER_UNITS = 20;
+
+export const getTransferRole = (transfer, hospitalId) =>
+  transfer.supplierId === hospitalId ? 'supplier' : 'requester';
+
+export const getAllowedTransferActions = (transfer, hospitalId) =>
+  TRANSFER_ACTIONS[getTransferRole(transfer, hospitalId)][transfer.status] || [];
+
+export const isTransferOpen = (transfer) =>
+  transfer.status !== TRANSFER_STATUS.RECEIVED &&
+  transfer.status !== TRANSFER_STATUS.DECLINED &&
+  transfer.status !== TRANSFER_STATUS.CANCELLED;
+
+// Push for the hospital that did not make the change, null if there is nothing to say
+export const getTransferMessage = (transfer) => {
+  const units = `${transfer.unitsRequested} unit(s) of ${transfer.bloodType}`;
+  switch (transfer.status) {
+    case TRANSFER_STATUS.REQUESTED:
+      return { to: transfer.supplierId, title: 'Transfer request', body: `${transfer.requesterName} asks for ${units}.` };
+    case TRANSFER_STATUS.OFFERED:
+      return {
+        to: transfer.requesterId,
+        title: 'Transfer offered',
+        body: `${transfer.supplierName} offers ${transfer.offeredUnits.length} of the ${units} you asked for.`
+      };
+    case TRANSFER_STATUS.ACCEPTED:
+      return { to: transfer.supplierId, title: 'Offer accepted', body: `${transfer.requesterName} accepted your offer. Dispatch when ready.` };
+    case TRANSFER_STATUS.DISPATCHED:
+      return { to: transfer.requesterId, title: 'Units on the way', body: `${transfer.supplierName} dispatched your ${transfer.bloodType} units.` };
+    case TRANSFER_STATUS.RECEIVED:
+      return { to: transfer.supplierId, title: 'Transfer received', body: `${transfer.requesterName} received the ${transfer.bloodType} units.` };
+    case TRANSFER_STATUS.DECLINED:
+      return { to: transfer.requesterId, title: 'Transfer declined', body: `${transfer.supplierName} cannot supply ${units}.` };
+    case TRANSFER_STATUS.CANCELLED:
+      return { to: transfer.supplierId, title: 'Transfer cancelled', body: `${transfer.requesterName} no longer needs ${units}.` };
+    default:
+      return null;
+  }
+};
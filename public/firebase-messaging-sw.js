@@ -19,10 +19,11 @@ const messaging = firebase.messaging();
 messaging.onBackgroundMessage(function(payload) {
   console.log('[firebase-messaging-sw.js] Received background message ', payload);
   // Customize notification here
-  const notificationTitle = payload.notification.title;
+  const notificationTitle = payload.notification?.title || 'LifeLine';
   const notificationOptions = {
-    body: payload.notification.body,
-    icon: '/vite.svg'
+    body: payload.notification?.body,
+    icon: '/vite.svg',
+    data: payload.data
   };
 
   self.registration.showNotification(notificationTitle, notificationOptions);
@@ -5,12 +5,13 @@ import DonorDashboard from './pages/DonorDashboard';
 import SeekerDashboard from './pages/SeekerDashboard';
 import Login from './pages/Login';
 import Register from './pages/Register';
-import TestAdminPage from './pages/TestAdminPage';
 import OrganizerPortal from './pages/OrganizerPortal';
 import DonationCampsPage from './pages/DonationCampsPage';
 import HospitalSignup from './pages/HospitalSignup';
 import HospitalDashboard from './pages/HospitalDashboard';
 import ProfileSettings from './pages/ProfileSettings';
+import AdminConsole from './pages/AdminConsole';
+import VerifyCertificate from './pages/VerifyCertificate';
 import Chatbot from './components/Chatbot';
 import VoiceAssistant from './components/VoiceAssistant';
 import { AuthProvider } from './context/AuthContext';
@@ -30,10 +31,11 @@ function App() {
               <Route path="/login" element={<Login />} />
               <Route path="/register" element={<Register />} />
               <Route path="/settings" element={<ProfileSettings />} />
-              <Route path="/test-admin" element={<TestAdminPage />} />
               <Route path="/organizer" element={<OrganizerPortal />} />
               <Route path="/hospital-signup" element={<HospitalSignup />} />
               <Route path="/hospital-dashboard" element={<HospitalDashboard />} />
+              <Route path="/admin" element={<AdminConsole />} />
+              <Route path="/verify/:certificateId" element={<VerifyCertificate />} />
             </Routes>
           </main>
           <Chatbot />
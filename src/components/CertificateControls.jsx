@@ -0,0 +1,66 @@
+import React, { useState, useEffect } from 'react';
+import { Award, Ban } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { getCertificate, revokeCertificate } from '../lib/firestore';
+import { CERTIFICATE_STATUS } from '../lib/certificates';
+
+// Certificate issued for a completed appointment; the issuing venue can revoke it
+export default function CertificateControls({ appt }) {
+    const [status, setStatus] = useState(null);
+    const [revoking, setRevoking] = useState(false);
+
+    useEffect(() => {
+        if (!appt.certificateId) return;
+        let cancelled = false;
+        getCertificate(appt.certificateId)
+            .then(certificate => { if (!cancelled) setStatus(certificate?.status || null); })
+            .catch(() => {});
+        return () => { cancelled = true; };
+    }, [appt.certificateId]);
+
+    if (!appt.certificateId) return null;
+
+    const handleRevoke = async () => {
+        const reason = window.prompt(`Revoke certificate ${appt.certificateId}? Give a reason, it is shown on the verification page.`);
+        if (reason === null) return;
+        if (!reason.trim()) {
+            toast.error("A reason is required to revoke a certificate.");
+            return;
+        }
+        setRevoking(true);
+        try {
+            await revokeCertificate(appt.certificateId, reason.trim());
+            setStatus(CERTIFICATE_STATUS.REVOKED);
+            toast.success("Certificate revoked");
+        } catch (error) {
+            toast.error(error.message || "Failed to revoke certificate");
+        }
+        setRevoking(false);
+    };
+
+    return (
+        <div className="flex items-center gap-3 text-xs">
+            <a
+                href={`/verify/${appt.certificateId}`}
+                target="_blank"
+                rel="noreferrer"
+                className="flex items-center gap-1 font-mono text-slate-500 hover:text-brand-600"
+                title="Open the verification page"
+            >
+                <Award className="h-3 w-3" /> {appt.certificateId}
+            </a>
+            {status === CERTIFICATE_STATUS.REVOKED ? (
+                <span className="font-bold text-red-600">Revoked</span>
+            ) : status === CERTIFICATE_STATUS.VALID && (
+                <button
+                    onClick={handleRevoke}
+                    disabled={revoking}
+                    className="flex items-center gap-1 font-bold text-slate-400 hover:text-red-600 disabled:opacity-50"
+                >
+                    <Ban className="h-3 w-3" />
+                    {revoking ? 'Revoking...' : 'Revoke'}
+                </button>
+            )}
+        </div>
+    );
+}
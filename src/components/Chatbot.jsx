@@ -1,9 +1,8 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { MessageCircle, X, Send, Phone, MapPin, Activity, AlertCircle, Loader2, CheckCircle2, Bell } from 'lucide-react';
-import { collection, query, where, getDocs } from 'firebase/firestore';
-import { db } from '../lib/firebase';
+import { MessageCircle, X, Send, MapPin, Activity, AlertCircle, Loader2, CheckCircle2, Bell } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
-import { addToWatchlist } from '../lib/firestore'; // Assuming we can import this, or navigate to dashboard to handle it
+import { addToWatchlist, searchNearby } from '../lib/firestore'; // Assuming we can import this, or navigate to dashboard to handle it
+import { geocodePlace, formatDistance, DEFAULT_SEARCH_RADIUS_KM } from '../lib/geo';
 import { useAuth } from '../context/AuthContext'; // Import auth context
 
 const Chatbot = () => {
@@ -95,41 +94,31 @@ const Chatbot = () => {
       }]);
 
       try {
-        // Real Firestore Query - Filter only by Blood Group first
-        const q = query(
-          collection(db, "users"),
-          where("isDonor", "==", true),
-          where("isEligible", "==", true),
-          where("donorProfile.bloodType", "==", emergencyData.bloodGroup)
-        );
-
-        const querySnapshot = await getDocs(q);
-        const allDonors = [];
-
-        querySnapshot.forEach((doc) => {
-          const data = doc.data();
-          if (data.donorProfile) {
-            allDonors.push({
-              id: doc.id,
-              name: data.name || "Anonymous Hero",
-              phone: data.donorProfile.phone || "N/A",
-              bloodType: data.donorProfile.bloodType,
-              city: data.donorProfile.city || ""
-            });
-          }
-        });
-
-        // Client-side filtering for fuzzy city match
-        const matchedDonors = allDonors.filter(donor =>
-          donor.city.toLowerCase().includes(city.toLowerCase())
-        );
-
-        if (matchedDonors.length > 0) {
-          botResponseText = `Found ${matchedDonors.length} potential donor(s) matching "${city}"!`;
-          donorsFound = matchedDonors.slice(0, 3); // Top 3
-          shouldRedirect = '/search';
+        // Resolve the city to coordinates, then run a radius search around it
+        const place = await geocodePlace(city);
+        const matchedDonors = place
+          ? (await searchNearby({
+              lat: place.lat,
+              lng: place.lng,
+              radiusKm: DEFAULT_SEARCH_RADIUS_KM,
+              bloodType: emergencyData.bloodGroup,
+              types: ['donor']
+            })).map(donor => ({
+              id: donor.id,
+              name: donor.name || "Anonymous Hero",
+              bloodType: donor.donorProfile.bloodType,
+              city: `${donor.donorProfile.city || ""} · ${formatDistance(donor.distanceKm)} km`
+            }))
+          : [];
+
+        if (!place) {
+          botResponseText = `I couldn't locate "${city}" on the map. Please try a nearby city name.`;
+        } else if (matchedDonors.length > 0) {
+          botResponseText = `Found ${matchedDonors.length} compatible donor(s) within ${DEFAULT_SEARCH_RADIUS_KM} km of ${city}!`;
+          donorsFound = matchedDonors.slice(0, 3); // Nearest 3
+          shouldRedirect = `/search?group=${encodeURIComponent(emergencyData.bloodGroup)}&city=${encodeURIComponent(city)}`;
         } else {
-          botResponseText = `I couldn't find any registered donors for ${emergencyData.bloodGroup} in "${city}" right now.`;
+          botResponseText = `I couldn't find any registered donors for ${emergencyData.bloodGroup} near "${city}" right now.`;
           // Add Notify Me action
           nextActions = [{ label: 'Notify Me When Available 🔔', value: 'Notify Me' }];
         }
@@ -294,11 +283,6 @@ const Chatbot = () => {
                             <p className="text-[10px] text-slate-500">{donor.city}</p>
                           </div>
                         </div>
-                        {donor.phone && donor.phone !== "N/A" && (
-                          <a href={`tel:${donor.phone}`} className="p-2 bg-green-50 text-green-600 rounded-full hover:bg-green-100 transition-colors">
-                            <Phone size={14} />
-                          </a>
-                        )}
                       </div>
                     ))}
                     <button
@@ -0,0 +1,28 @@
+import React from 'react';
+import { ClipboardCheck, ClipboardX, Clock } from 'lucide-react';
+import { SCREENING_RESULT } from '../../functions/shared/questionnaire.js';
+
+// Outcome of the donor's pre-donation (day-of) check, shown on venue appointment lists
+export default function DayOfCheckBadge({ check }) {
+    if (!check?.result) {
+        return (
+            <span className="flex items-center gap-1 text-slate-500 font-bold bg-slate-100 px-2 py-0.5 rounded-full text-xs" title="The donor has not done their pre-donation check yet">
+                <Clock className="h-3 w-3" /> Pre-check pending
+            </span>
+        );
+    }
+
+    if (check.result === SCREENING_RESULT.ELIGIBLE) {
+        return (
+            <span className="flex items-center gap-1 text-green-600 font-bold bg-green-100 px-2 py-0.5 rounded-full text-xs">
+                <ClipboardCheck className="h-3 w-3" /> Pre-check passed
+            </span>
+        );
+    }
+
+    return (
+        <span className="flex items-center gap-1 text-red-600 font-bold bg-red-100 px-2 py-0.5 rounded-full text-xs" title={(check.reasons || []).join('\n')}>
+            <ClipboardX className="h-3 w-3" /> Not fit to donate today
+        </span>
+    );
+}
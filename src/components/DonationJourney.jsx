@@ -0,0 +1,81 @@
+import React, { useState, useEffect } from 'react';
+import { Route, Check, HeartHandshake } from 'lucide-react';
+import { subscribeToDonationJourneys } from '../lib/firestore';
+import { UNIT_STATUS } from '../../functions/shared/bloodUnits.js';
+import { COMPONENT_LABELS } from '../../functions/shared/bloodCompatibility.js';
+
+// The donor's view of the unit lifecycle in functions/shared/bloodUnits.js
+const JOURNEY_STEPS = [
+  { status: UNIT_STATUS.COLLECTED, label: 'Collected' },
+  { status: UNIT_STATUS.TESTED, label: 'Tested' },
+  { status: UNIT_STATUS.PROCESSED, label: 'Processed' },
+  { status: UNIT_STATUS.AVAILABLE, label: 'In stock' },
+  { status: UNIT_STATUS.ISSUED, label: 'Helped a patient' }
+];
+
+// "My donation journey": what happened to each bag donated at a hospital
+export default function DonationJourney({ donorId }) {
+  const [journeys, setJourneys] = useState([]);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToDonationJourneys(donorId, setJourneys);
+    return () => unsubscribe();
+  }, [donorId]);
+
+  if (journeys.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-100 overflow-hidden mb-8">
+      <div className="px-6 py-5 border-b border-slate-100">
+        <h2 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+          <Route className="h-5 w-5 text-brand-500" /> My Donation Journey
+        </h2>
+        <p className="text-sm text-slate-500 mt-1">Follow your blood from the donation chair to the patient.</p>
+      </div>
+
+      <div className="divide-y divide-slate-100">
+        {journeys.map(journey => (
+          <div key={journey.id} className="p-6">
+            <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+              <p className="font-bold text-slate-900">
+                {journey.hospitalName || 'Hospital'} · {new Date(journey.collectedAt).toLocaleDateString()}
+              </p>
+              <span className="text-xs text-slate-500">
+                {journey.bloodType} {COMPONENT_LABELS[journey.componentType] || ''}
+              </span>
+            </div>
+
+            {journey.status === UNIT_STATUS.DISCARDED ? (
+              <p className="text-sm text-slate-600 bg-slate-50 rounded-xl p-4">
+                This donation could not be used, for example because it expired or did not meet a quality check.
+                That happens to some donations and is no reflection on you. If anything needs your attention,
+                the blood bank will contact you directly.
+              </p>
+            ) : (
+              <ol className="flex flex-col sm:flex-row gap-3 sm:gap-0">
+                {JOURNEY_STEPS.map((step, index) => {
+                  const reachedAt = journey.steps?.[step.status];
+                  const isLast = index === JOURNEY_STEPS.length - 1;
+                  return (
+                    <li key={step.status} className="flex sm:flex-col items-center sm:flex-1 gap-3 sm:gap-2 relative">
+                      {!isLast && (
+                        <div className={`hidden sm:block absolute top-4 left-1/2 w-full h-0.5 ${journey.steps?.[JOURNEY_STEPS[index + 1].status] ? 'bg-emerald-400' : 'bg-slate-200'}`}></div>
+                      )}
+                      <div className={`relative z-10 h-8 w-8 rounded-full flex items-center justify-center ${reachedAt ? 'bg-emerald-500 text-white' : 'bg-slate-100 text-slate-300'}`}>
+                        {step.status === UNIT_STATUS.ISSUED ? <HeartHandshake className="h-4 w-4" /> : <Check className="h-4 w-4" />}
+                      </div>
+                      <div className="sm:text-center">
+                        <p className={`text-sm font-bold ${reachedAt ? 'text-slate-900' : 'text-slate-400'}`}>{step.label}</p>
+                        {reachedAt && <p className="text-xs text-slate-500">{new Date(reachedAt).toLocaleDateString()}</p>}
+                      </div>
+                    </li>
+                  );
+                })}
+              </ol>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
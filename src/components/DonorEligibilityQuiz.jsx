@@ -1,95 +1,51 @@
-import React, { useState } from 'react';
-import { updateDonorEligibility } from '../lib/firestore';
-import { CheckCircle, XCircle, ChevronRight, ChevronLeft, RefreshCw, Info } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { getActiveQuestionnaire, submitEligibilityQuestionnaire, submitDayOfCheck } from '../lib/firestore';
+import {
+    DEFAULT_QUESTIONNAIRE,
+    DEFAULT_REGION,
+    QUESTION_TYPES,
+    SCREENING_RESULT,
+    SCREENING_TIERS,
+    evaluateQuestionnaire,
+    getRegionOptions,
+    getTierQuestionnaire,
+    isAnswered
+} from '../../functions/shared/questionnaire.js';
+import { CheckCircle, XCircle, ChevronRight, ChevronLeft, RefreshCw, Info, Loader2 } from 'lucide-react';
 
-export default function DonorEligibilityQuiz({ userId, onComplete, onClose }) {
+// Baseline screening by default; pass an appointment to run its day-of check instead
+export default function DonorEligibilityQuiz({ userId, region: initialRegion, appointment, onComplete, onClose }) {
+    const [questionnaire, setQuestionnaire] = useState(null);
+    const [region, setRegion] = useState(initialRegion || DEFAULT_REGION);
     const [step, setStep] = useState(0);
     const [answers, setAnswers] = useState({});
-    const [result, setResult] = useState(null); // 'passed' | 'failed'
-    const [failReasons, setFailReasons] = useState([]);
+    const [result, setResult] = useState(null); // evaluateQuestionnaire() output
+    const [saving, setSaving] = useState(false);
+    const [saveError, setSaveError] = useState(null);
+    const [deferredUntil, setDeferredUntil] = useState(null); // From recorded donation history
 
-    const questions = [
-        {
-            key: 'medication',
-            question: "Are you currently taking any medication (e.g., antibiotics, blood thinners)?",
-            type: 'boolean',
-            correctAnswer: false,
-            failMessage: "Certain medications (antibiotics, blood thinners) may prevent you from donating. Please consult a doctor.",
-            explanation: "Some medications can affect the recipient or your own health during donation."
-        },
-        {
-            key: 'age_group',
-            question: "Are you between 18 to 65 years of age?",
-            type: 'boolean',
-            correctAnswer: true,
-            failMessage: "Donors must be between 18 and 65 years old.",
-            explanation: "This age range ensures you are legally able to consent and physically mature enough to donate safely."
-        },
-        {
-            key: 'weight_check',
-            question: "Is your body weight at least 45 kg?",
-            type: 'boolean',
-            correctAnswer: true,
-            failMessage: "Donors must weigh at least 45kg.",
-            explanation: "You need a certain body mass to safely lose 450ml of blood without health risks."
-        },
-        {
-            key: 'recent_donation',
-            question: "Have you donated blood in the last 3 months?",
-            type: 'boolean',
-            correctAnswer: false,
-            failMessage: "You must wait at least 3 months between blood donations.",
-            explanation: "Your body needs this time to replenish its iron stores and red blood cells."
-        },
-        {
-            key: 'health_today',
-            question: "Have you had any infection, fever, cold, cough, weakness, dizziness, or fatigue today?",
-            type: 'boolean',
-            correctAnswer: false,
-            failMessage: "You must be in good health and symptom-free to donate.",
-            explanation: "Donating while sick can worsen your condition and transmit infections to the recipient."
-        },
-        {
-            key: 'surgery_dental',
-            question: "Have you undergone any surgery or major dental procedure recently (last 6–12 months)?",
-            type: 'boolean',
-            correctAnswer: false,
-            failMessage: "Recent surgeries or major dental procedures require a recovery period before donating.",
-            explanation: "Surgery increases the risk of infection and your body needs energy to heal fully first."
-        },
-        {
-            key: 'sleep',
-            question: "Did you have at least 6 hours of sleep last night?",
-            type: 'boolean',
-            correctAnswer: true,
-            failMessage: "A minimum of 6 hours of sleep is required to ensure your safety during donation.",
-            explanation: "Lack of sleep increases the risk of dizziness, fainting, and fatigue after donation."
-        },
-        {
-            key: 'meal',
-            question: "Did you eat a light (non-oily) meal 2–3 hours before donating?",
-            type: 'boolean',
-            correctAnswer: true,
-            failMessage: "Eating a light meal beforehand helps prevent dizziness and maintains blood sugar.",
-            explanation: "Donating on an empty stomach can cause a drop in blood sugar and lead to fainting."
-        },
-        {
-            key: 'tattoo_piercing',
-            question: "Have you had any tattoos, piercings, or acupuncture in the last 6 months?",
-            type: 'boolean',
-            correctAnswer: false,
-            failMessage: "There is a 6-month waiting period after tattoos, piercings, or acupuncture.",
-            explanation: "Needles can introduce infections like Hepatitis, which may not show up in tests immediately."
-        },
-        {
-            key: 'alcohol',
-            question: "Have you consumed alcohol in the last 24 hours?",
-            type: 'boolean',
-            correctAnswer: false,
-            failMessage: "You must avoid alcohol for at least 24 hours before donating.",
-            explanation: "Alcohol causes dehydration, which makes it harder for your body to recover after donating."
-        }
-    ];
+    const isDayOf = !!appointment;
+
+    useEffect(() => {
+        const tier = isDayOf ? SCREENING_TIERS.DAY_OF : SCREENING_TIERS.BASELINE;
+        getActiveQuestionnaire()
+            .catch(() => DEFAULT_QUESTIONNAIRE)
+            .then(active => setQuestionnaire(getTierQuestionnaire(active, tier)));
+    }, [isDayOf]);
+
+    if (!questionnaire) {
+        return (
+            <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+                <div className="bg-white rounded-2xl p-8 shadow-xl flex items-center gap-3 text-slate-600">
+                    <Loader2 className="h-5 w-5 animate-spin" />
+                    Loading questionnaire...
+                </div>
+            </div>
+        );
+    }
+
+    const questions = questionnaire.questions;
+    const regionOptions = isDayOf ? [] : getRegionOptions(questionnaire);
 
     const handleAnswer = (val) => {
         setAnswers(prev => ({ ...prev, [questions[step].key]: val }));
@@ -104,22 +60,31 @@ export default function DonorEligibilityQuiz({ userId, onComplete, onClose }) {
     };
 
     const calculateResult = async () => {
-        let reasons = [];
-        
-        for (const q of questions) {
-            if (answers[q.key] !== q.correctAnswer) {
-                reasons.push(q.failMessage);
-            }
-        }
+        let evaluation = evaluateQuestionnaire(questionnaire, answers, region);
 
-        const isEligible = reasons.length === 0;
-        setFailReasons(reasons);
-        setResult(isEligible ? 'passed' : 'failed');
-
-        // Update Database
+        // Update Database (signed-in answers are evaluated by the server)
         if (userId) {
-            await updateDonorEligibility(userId, isEligible);
+            setSaving(true);
+            setSaveError(null);
+            try {
+                if (isDayOf) {
+                    evaluation = await submitDayOfCheck(userId, appointment.id, { questionnaire, answers });
+                } else {
+                    evaluation = await submitEligibilityQuestionnaire({ questionnaire, region, answers });
+                    setDeferredUntil(evaluation.nextEligibleDate);
+                }
+            } catch (error) {
+                // Our own messages (and the functions' precondition ones) are meant for the donor
+                setSaveError(!error.code || error.code === 'functions/failed-precondition'
+                    ? error.message
+                    : "Your answers could not be saved. Please try again.");
+                return;
+            } finally {
+                setSaving(false);
+            }
         }
+        const isEligible = evaluation.status === SCREENING_RESULT.ELIGIBLE;
+        setResult(evaluation);
 
         if (onComplete) onComplete(isEligible);
     };
@@ -128,20 +93,32 @@ export default function DonorEligibilityQuiz({ userId, onComplete, onClose }) {
         setStep(0);
         setAnswers({});
         setResult(null);
-        setFailReasons([]);
+        setDeferredUntil(null);
     };
 
     if (result) {
+        const isPermanent = result.status === SCREENING_RESULT.PERMANENT;
         return (
             <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
                 <div className="bg-white rounded-2xl p-8 max-w-md w-full text-center shadow-xl max-h-[90vh] overflow-y-auto">
-                    {result === 'passed' ? (
+                    {result.status === SCREENING_RESULT.ELIGIBLE ? (
                         <div className="space-y-4">
                             <div className="mx-auto w-16 h-16 bg-green-100 rounded-full flex items-center justify-center">
                                 <CheckCircle className="h-10 w-10 text-green-600" />
                             </div>
-                            <h2 className="text-2xl font-bold text-slate-900">You are Eligible!</h2>
-                            <p className="text-slate-600">Great news! You meet all the basic requirements to donate blood.</p>
+                            <h2 className="text-2xl font-bold text-slate-900">{isDayOf ? "You're all set!" : 'You are Eligible!'}</h2>
+                            <p className="text-slate-600">
+                                {isDayOf
+                                    ? `Your pre-donation check is done. See you at ${appointment.venueName}.`
+                                    : 'Great news! You meet all the basic requirements to donate blood.'}
+                            </p>
+
+                            {deferredUntil && (
+                                <div className="bg-amber-50 p-4 rounded-xl flex items-start gap-3 text-amber-800 text-sm text-left">
+                                    <Info className="h-5 w-5 shrink-0 mt-0.5" />
+                                    <p>Based on your last recorded donation, you can give whole blood again from <strong>{new Date(deferredUntil).toLocaleDateString()}</strong>.</p>
+                                </div>
+                            )}
                             
                             <div className="bg-blue-50 p-4 rounded-xl flex items-start gap-3 text-blue-800 text-sm text-left">
                                 <Info className="h-5 w-5 shrink-0 mt-0.5" />
@@ -160,29 +137,44 @@ export default function DonorEligibilityQuiz({ userId, onComplete, onClose }) {
                             <div className="mx-auto w-16 h-16 bg-red-100 rounded-full flex items-center justify-center">
                                 <XCircle className="h-10 w-10 text-red-600" />
                             </div>
-                            <h2 className="text-2xl font-bold text-slate-900">Not Eligible at this time</h2>
+                            <h2 className="text-2xl font-bold text-slate-900">
+                                {isDayOf ? 'Not fit to donate today' : isPermanent ? 'Unable to donate' : 'Not Eligible at this time'}
+                            </h2>
                             
                             <div className="text-left bg-red-50 p-4 rounded-xl space-y-2">
                                 <p className="font-bold text-red-800 mb-2">Reasons:</p>
                                 <ul className="list-disc list-inside space-y-1 text-sm text-red-700">
-                                    {failReasons.map((reason, idx) => (
-                                        <li key={idx}>{reason}</li>
+                                    {result.outcomes.map((outcome, idx) => (
+                                        <li key={idx}>{outcome.message}</li>
                                     ))}
                                 </ul>
                             </div>
 
-                            <p className="text-slate-500 text-sm">
-                                Don't worry! This is often temporary. Please check back later when you meet the criteria.
-                            </p>
+                            {isDayOf ? (
+                                <p className="text-slate-500 text-sm">
+                                    Please don't donate at this appointment. Cancel it from your dashboard and book a new slot from <strong>{new Date(result.deferredUntil || Date.now()).toLocaleDateString()}</strong>.
+                                </p>
+                            ) : isPermanent ? (
+                                <p className="text-slate-500 text-sm">
+                                    This is a permanent deferral. If you think an answer was wrong, retake the questionnaire or talk to a doctor at any venue.
+                                </p>
+                            ) : (
+                                <p className="text-slate-500 text-sm">
+                                    Don't worry, this is temporary. You can take the questionnaire again from <strong>{new Date(result.deferredUntil).toLocaleDateString()}</strong>.
+                                </p>
+                            )}
                             
                             <div className="flex gap-3">
-                                <button
-                                    onClick={handleRetake}
-                                    className="flex-1 py-3 bg-white border-2 border-slate-200 hover:bg-slate-50 text-slate-700 rounded-xl font-bold transition-colors flex items-center justify-center gap-2"
-                                >
-                                    <RefreshCw className="h-4 w-4" />
-                                    Retake Quiz
-                                </button>
+                                {/* A day-of check is final for its appointment */}
+                                {!isDayOf && (
+                                    <button
+                                        onClick={handleRetake}
+                                        className="flex-1 py-3 bg-white border-2 border-slate-200 hover:bg-slate-50 text-slate-700 rounded-xl font-bold transition-colors flex items-center justify-center gap-2"
+                                    >
+                                        <RefreshCw className="h-4 w-4" />
+                                        Retake Quiz
+                                    </button>
+                                )}
                                 <button
                                     onClick={onClose}
                                     className="flex-1 py-3 bg-slate-900 hover:bg-slate-800 text-white rounded-xl font-bold transition-colors"
@@ -197,12 +189,36 @@ export default function DonorEligibilityQuiz({ userId, onComplete, onClose }) {
         );
     }
 
+    // The live questionnaire may have no questions in this tier
+    if (questions.length === 0) {
+        return (
+            <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
+                <div className="bg-white rounded-2xl p-8 max-w-md w-full text-center shadow-xl space-y-4">
+                    <p className="text-slate-600">There are no questions to answer right now.</p>
+                    {saveError && <p className="text-sm text-red-600">{saveError}</p>}
+                    <button
+                        onClick={calculateResult}
+                        disabled={saving}
+                        className="w-full py-3 bg-brand-500 hover:bg-brand-600 disabled:opacity-50 text-white rounded-xl font-bold transition-colors"
+                    >
+                        {saving ? 'Saving...' : 'Continue'}
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
     const currentQ = questions[step];
-    const canProceed = answers[currentQ.key] !== undefined && answers[currentQ.key] !== null;
+    const currentAnswer = answers[currentQ.key];
+    const canProceed = isAnswered(currentQ, currentAnswer);
+    const optionClass = (selected) => `py-4 px-6 rounded-xl border-2 font-bold transition-all ${selected
+        ? 'border-brand-500 bg-brand-50 text-brand-700'
+        : 'border-slate-200 hover:border-slate-300 text-slate-600'
+        }`;
 
     return (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50">
-            <div className="bg-white rounded-2xl p-6 max-w-md w-full shadow-xl relative">
+            <div className="bg-white rounded-2xl p-6 max-w-md w-full shadow-xl relative max-h-[90vh] overflow-y-auto">
                 {/* Progress Bar */}
                 <div className="absolute top-0 left-0 right-0 h-2 bg-slate-100 rounded-t-2xl overflow-hidden">
                     <div
@@ -218,40 +234,106 @@ export default function DonorEligibilityQuiz({ userId, onComplete, onClose }) {
                     ✕
                 </button>
 
+                {/* Rules differ by region, so ask before the first question */}
+                {step === 0 && regionOptions.length > 1 && (
+                    <div className="mt-6">
+                        <label className="block text-xs font-bold text-slate-500 uppercase tracking-wider mb-1">Where will you donate?</label>
+                        <select
+                            value={region}
+                            onChange={(e) => setRegion(e.target.value)}
+                            className="w-full p-2.5 rounded-xl border border-slate-200 focus:border-brand-500 outline-none text-sm"
+                        >
+                            {regionOptions.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+
                 <div className="mt-6 mb-6">
+                    {isDayOf && (
+                        <p className="text-sm text-slate-500 mb-1">
+                            Pre-donation check for {appointment.venueName}, {new Date(appointment.date).toLocaleDateString()} @ {appointment.timeSlot}
+                        </p>
+                    )}
                     <span className="text-xs font-bold text-brand-600 tracking-wider uppercase">Question {step + 1} of {questions.length}</span>
                     <h2 className="text-xl font-bold text-slate-900 mt-2">{currentQ.question}</h2>
                     
                     {/* Explanation Box */}
-                    <div className="mt-4 bg-blue-50 p-3 rounded-lg flex items-start gap-3 text-blue-800 text-sm">
-                        <Info className="h-5 w-5 shrink-0 mt-0.5" />
-                        <p>{currentQ.explanation}</p>
-                    </div>
+                    {currentQ.explanation && (
+                        <div className="mt-4 bg-blue-50 p-3 rounded-lg flex items-start gap-3 text-blue-800 text-sm">
+                            <Info className="h-5 w-5 shrink-0 mt-0.5" />
+                            <p>{currentQ.explanation}</p>
+                        </div>
+                    )}
                 </div>
 
                 <div className="space-y-4 mb-8">
-                    <div className="grid grid-cols-2 gap-4">
-                        <button
-                            onClick={() => handleAnswer(true)}
-                            className={`py-4 px-6 rounded-xl border-2 font-bold transition-all ${answers[currentQ.key] === true
-                                    ? 'border-brand-500 bg-brand-50 text-brand-700'
-                                    : 'border-slate-200 hover:border-slate-300 text-slate-600'
-                                }`}
-                        >
-                            Yes
-                        </button>
+                    {currentQ.type === QUESTION_TYPES.BOOLEAN && (
+                        <div className="grid grid-cols-2 gap-4">
+                            <button onClick={() => handleAnswer(true)} className={optionClass(currentAnswer === true)}>
+                                Yes
+                            </button>
+                            <button onClick={() => handleAnswer(false)} className={optionClass(currentAnswer === false)}>
+                                No
+                            </button>
+                        </div>
+                    )}
+
+                    {currentQ.type === QUESTION_TYPES.CHOICE && (
+                        <div className="grid gap-2">
+                            {currentQ.options.map(option => (
+                                <button
+                                    key={option.value}
+                                    onClick={() => handleAnswer(option.value)}
+                                    className={`${optionClass(currentAnswer === option.value)} text-left`}
+                                >
+                                    {option.label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
+                    {currentQ.type === QUESTION_TYPES.NUMBER && (
+                        <div className="flex items-center gap-3">
+                            <input
+                                type="number"
+                                min={currentQ.min}
+                                max={currentQ.max}
+                                step={currentQ.step || 1}
+                                value={typeof currentAnswer === 'number' ? currentAnswer : ''}
+                                onChange={(e) => handleAnswer(e.target.value === '' ? undefined : Number(e.target.value))}
+                                className="flex-1 p-3 rounded-xl border border-slate-200 focus:border-brand-500 focus:ring-2 focus:ring-brand-200 outline-none"
+                            />
+                            {currentQ.unit && <span className="text-slate-500 font-medium">{currentQ.unit}</span>}
+                        </div>
+                    )}
+
+                    {currentQ.type === QUESTION_TYPES.DATE && (
+                        <input
+                            type="date"
+                            max={new Date().toISOString().split('T')[0]}
+                            value={currentAnswer || ''}
+                            onChange={(e) => handleAnswer(e.target.value || undefined)}
+                            className="w-full p-3 rounded-xl border border-slate-200 focus:border-brand-500 focus:ring-2 focus:ring-brand-200 outline-none"
+                        />
+                    )}
+
+                    {/* Skipped answers are saved as null */}
+                    {currentQ.optional && (
                         <button
-                            onClick={() => handleAnswer(false)}
-                            className={`py-4 px-6 rounded-xl border-2 font-bold transition-all ${answers[currentQ.key] === false
-                                    ? 'border-brand-500 bg-brand-50 text-brand-700'
-                                    : 'border-slate-200 hover:border-slate-300 text-slate-600'
-                                }`}
+                            onClick={() => handleAnswer(null)}
+                            className={`w-full ${optionClass(currentAnswer === null)}`}
                         >
-                            No
+                            {currentQ.type === QUESTION_TYPES.DATE ? 'Never' : "I don't know"}
                         </button>
-                    </div>
+                    )}
                 </div>
 
+                {saveError && (
+                    <p className="text-sm text-red-600 mb-4 text-center">{saveError}</p>
+                )}
+
                 <div className="flex justify-between items-center">
                     <button
                         onClick={() => setStep(step - 1)}
@@ -263,14 +345,14 @@ export default function DonorEligibilityQuiz({ userId, onComplete, onClose }) {
 
                     <button
                         onClick={handleNext}
-                        disabled={!canProceed}
+                        disabled={!canProceed || saving}
                         className="bg-brand-500 hover:bg-brand-600 disabled:opacity-50 disabled:cursor-not-allowed text-white px-6 py-3 rounded-xl font-bold shadow-md transition-all flex items-center gap-2"
                     >
-                        {step === questions.length - 1 ? 'Finish' : 'Next'}
+                        {saving ? 'Saving...' : step === questions.length - 1 ? 'Finish' : 'Next'}
                         <ChevronRight className="h-4 w-4" />
                     </button>
                 </div>
             </div>
         </div>
     );
-}
\ No newline at end of file
+}
@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { Award, Flame, Lock, Share2 } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { BADGE_INFO, getActiveStreak, getNextMilestone, shareBadge } from '../lib/rewards';
+
+// Badges and streak from users/{uid}.rewards, which only the functions write
+export default function DonorRewards({ profile }) {
+    const [sharing, setSharing] = useState(null);
+    const rewards = profile.rewards || {};
+    const earned = rewards.badges || {};
+    const streak = getActiveStreak(rewards.streak);
+    const nextMilestone = getNextMilestone(rewards.totalDonations || 0);
+
+    const handleShare = async (badge) => {
+        setSharing(badge);
+        try {
+            const shared = await shareBadge(badge, profile.name, earned[badge]);
+            if (!shared) toast.success("Badge image saved");
+        } catch (error) {
+            console.error("Error sharing badge:", error);
+            toast.error("Could not share the badge");
+        }
+        setSharing(null);
+    };
+
+    return (
+        <div className="bg-white rounded-2xl shadow-sm border border-slate-100 p-6">
+            <div className="flex flex-wrap justify-between items-center gap-3 mb-5">
+                <h2 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+                    <Award className="h-5 w-5 text-brand-500" /> Badges
+                </h2>
+                <div className="flex items-center gap-3 text-sm">
+                    <span
+                        className={`flex items-center gap-1 font-bold px-3 py-1 rounded-full ${streak > 1 ? 'bg-orange-100 text-orange-700' : 'bg-slate-100 text-slate-500'}`}
+                        title="Donations in a row, each within six months of the last"
+                    >
+                        <Flame className="h-4 w-4" /> {streak} donation streak
+                    </span>
+                    {rewards.streak?.longest > 1 && (
+                        <span className="text-slate-400">Best: {rewards.streak.longest}</span>
+                    )}
+                </div>
+            </div>
+
+            <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-3">
+                {Object.entries(BADGE_INFO).map(([badge, info]) => {
+                    const earnedAt = earned[badge];
+                    return (
+                        <div
+                            key={badge}
+                            className={`rounded-xl border p-3 text-center flex flex-col items-center ${earnedAt ? 'border-slate-200' : 'border-dashed border-slate-200 opacity-50'}`}
+                            title={info.description}
+                        >
+                            <div
+                                className="h-12 w-12 rounded-full flex items-center justify-center mb-2 text-white"
+                                style={{ backgroundColor: earnedAt ? info.color : '#cbd5e1' }}
+                            >
+                                {earnedAt ? <Award className="h-6 w-6" /> : <Lock className="h-5 w-5" />}
+                            </div>
+                            <p className="text-sm font-bold text-slate-900">{info.label}</p>
+                            <p className="text-xs text-slate-500 mb-2">{info.description}</p>
+                            {earnedAt && (
+                                <button
+                                    onClick={() => handleShare(badge)}
+                                    disabled={sharing === badge}
+                                    className="mt-auto flex items-center gap-1 text-xs font-bold text-brand-600 hover:text-brand-700 disabled:opacity-50"
+                                >
+                                    <Share2 className="h-3 w-3" /> Share
+                                </button>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            {nextMilestone && (
+                <p className="text-sm text-slate-500 mt-4">
+                    {nextMilestone.remaining} more donation{nextMilestone.remaining === 1 ? '' : 's'} to earn{' '}
+                    <strong>{BADGE_INFO[nextMilestone.badge].label}</strong>.
+                </p>
+            )}
+        </div>
+    );
+}
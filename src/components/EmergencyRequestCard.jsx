@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import { Clock } from 'lucide-react';
+import { subscribeToEmergencyResponses } from '../lib/firestore';
+import { formatDistance } from '../lib/geo';
+import { EMERGENCY_STATUS, RESPONSE_STATUS, URGENCY_LABELS, isEmergencyOpen, getCurrentRadiusKm } from '../../functions/shared/emergency.js';
+
+const EMERGENCY_STATUS_STYLES = {
+    [EMERGENCY_STATUS.OPEN]: 'bg-yellow-100 text-yellow-700',
+    [EMERGENCY_STATUS.FULFILLED]: 'bg-green-100 text-green-700',
+    [EMERGENCY_STATUS.EXPIRED]: 'bg-slate-200 text-slate-600',
+    [EMERGENCY_STATUS.CANCELLED]: 'bg-slate-200 text-slate-600'
+};
+
+// An emergency request or a hospital's shortage appeal, with its pledge progress
+export default function EmergencyRequestCard({ request, onCancel }) {
+    const [showDonors, setShowDonors] = useState(false);
+    const [responses, setResponses] = useState([]);
+    const isOpen = isEmergencyOpen(request);
+    const radiusKm = getCurrentRadiusKm(request);
+    const progress = Math.min(100, Math.round((request.unitsPledged / request.unitsNeeded) * 100));
+
+    useEffect(() => {
+        if (!showDonors) return;
+        return subscribeToEmergencyResponses(request.id, setResponses);
+    }, [showDonors, request.id]);
+
+    const pledged = responses.filter(r => r.status === RESPONSE_STATUS.PLEDGED);
+
+    return (
+        <div className={`p-5 rounded-xl border shadow-sm ${isOpen ? 'border-red-100 bg-white' : 'border-slate-100 bg-slate-50'}`}>
+            <div className="flex items-center gap-2 mb-2 flex-wrap">
+                <span className={`text-xs font-bold px-2 py-0.5 rounded-full ${EMERGENCY_STATUS_STYLES[request.status]}`}>
+                    {request.status.toUpperCase()}
+                </span>
+                <span className="text-xs font-bold px-2 py-0.5 rounded-full bg-red-50 text-red-600">
+                    {URGENCY_LABELS[request.urgency]}
+                </span>
+                <span className="text-slate-400 text-xs flex items-center gap-1">
+                    <Clock className="h-3 w-3" />
+                    Needed by {new Date(request.deadline).toLocaleString()}
+                </span>
+            </div>
+
+            <p className="font-bold text-slate-900">{request.unitsNeeded} unit(s) of {request.bloodType} at {request.hospital?.name}</p>
+
+            <div className="mt-3">
+                <div className="flex justify-between text-xs font-medium text-slate-500 mb-1">
+                    <span>{request.unitsPledged} of {request.unitsNeeded} pledged</span>
+                    <span>
+                        {request.notifiedCount} donor(s) asked{radiusKm ? ` within ${radiusKm} km` : ''}
+                    </span>
+                </div>
+                <div className="h-2 bg-slate-100 rounded-full overflow-hidden">
+                    <div className="h-full bg-green-500 transition-all" style={{ width: `${progress}%` }} />
+                </div>
+            </div>
+
+            <div className="flex items-center gap-2 pt-3 mt-3 border-t border-black/5">
+                <button
+                    onClick={() => setShowDonors(!showDonors)}
+                    className="flex-1 text-sm font-bold text-blue-600 hover:underline text-left"
+                >
+                    {showDonors ? 'Hide donors' : 'Show pledged donors'}
+                </button>
+                {isOpen && (
+                    <button
+                        onClick={onCancel}
+                        className="px-3 py-1.5 border border-red-200 text-red-600 rounded-lg text-xs font-bold hover:bg-red-50"
+                    >
+                        Cancel
+                    </button>
+                )}
+            </div>
+
+            {showDonors && (
+                <ul className="mt-3 space-y-2">
+                    {pledged.length === 0 ? (
+                        <li className="text-sm text-slate-400">No pledges yet.</li>
+                    ) : pledged.map(response => (
+                        <li key={response.id} className="flex justify-between text-sm">
+                            <span className="font-medium text-slate-700">{response.donorName} ({response.donorBloodType})</span>
+                            <span className="text-slate-400">{formatDistance(response.distanceKm)} km</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,169 @@
+import React, { useState } from 'react';
+import { X, Loader2, AlertCircle } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { BLOOD_TYPES, BLOOD_COMPONENTS, COMPONENT_LABELS, DEFAULT_COMPONENT } from '../../functions/shared/bloodCompatibility.js';
+import { getDistanceKm, formatDistance, isValidLocation } from '../lib/geo';
+import { createEmergencyRequest } from '../lib/firestore';
+import { URGENCY_LEVELS, URGENCY_LABELS, MAX_UNITS_PER_REQUEST, RADIUS_RINGS_KM } from '../../functions/shared/emergency.js';
+
+// datetime-local wants local time without seconds or zone
+const toLocalInputValue = (date) => {
+  const offsetMs = date.getTimezoneOffset() * 60 * 1000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+};
+
+/**
+ * Form for a new emergency request. The patient has to be at one of the listed
+ * (verified) hospitals, whose location is the centre of the donor search rings.
+ * @param {Array} props.hospitals - Verified inventory docs
+ * @param {Object} props.origin - {lat, lng} used to list nearby hospitals first
+ * @param {Object} props.appealFor - The hospital's own inventory doc for a shortage
+ *   appeal: donors are asked to come to that hospital, in its name
+ */
+export default function EmergencyRequestModal({ currentUser, hospitals, origin, defaultBloodType, defaultComponent, appealFor, onClose }) {
+  const [bloodType, setBloodType] = useState(defaultBloodType || '');
+  const [component, setComponent] = useState(defaultComponent || DEFAULT_COMPONENT);
+  const [unitsNeeded, setUnitsNeeded] = useState(1);
+  const [hospitalId, setHospitalId] = useState(appealFor?.id || '');
+  const [urgency, setUrgency] = useState(URGENCY_LEVELS.HIGH);
+  const [deadline, setDeadline] = useState(() => toLocalInputValue(new Date(Date.now() + 6 * 60 * 60 * 1000)));
+  const [submitting, setSubmitting] = useState(false);
+
+  const hospitalOptions = (appealFor ? [appealFor] : hospitals)
+    .filter(h => isValidLocation(h.location))
+    .map(h => ({ ...h, distanceKm: getDistanceKm(origin, h.location) }))
+    .sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const hospital = hospitalOptions.find(h => h.id === hospitalId);
+    if (!bloodType || !hospital) {
+      return toast.error(appealFor ? "The hospital location is missing, set it before appealing" : "Choose the patient's blood group and hospital");
+    }
+    if (new Date(deadline) <= new Date()) return toast.error("The deadline must be in the future");
+
+    setSubmitting(true);
+    try {
+      const requesterName = appealFor?.hospitalName || currentUser.displayName || currentUser.email.split('@')[0];
+      await createEmergencyRequest(currentUser.uid, requesterName, {
+        origin: appealFor ? 'hospital' : 'seeker',
+        bloodType,
+        component,
+        unitsNeeded: Number(unitsNeeded),
+        hospital: {
+          id: hospital.id,
+          name: hospital.hospitalName,
+          address: hospital.address || null,
+          location: hospital.location
+        },
+        deadline: new Date(deadline).toISOString(),
+        urgency
+      });
+      toast.success(`${appealFor ? 'Shortage appeal' : 'Emergency request'} sent. Donors within ${RADIUS_RINGS_KM[0]} km are being notified first.`);
+      onClose();
+    } catch (error) {
+      console.error("Error creating emergency request:", error);
+      toast.error("Failed to create emergency request");
+    }
+    setSubmitting(false);
+  };
+
+  const inputClass = "w-full p-3 rounded-xl border border-slate-200 focus:border-red-500 focus:ring-2 focus:ring-red-200 outline-none bg-white";
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex justify-between items-start mb-4">
+            <div>
+              <h3 className="text-xl font-bold text-slate-900 flex items-center gap-2">
+                <AlertCircle className="h-5 w-5 text-red-600" />
+                {appealFor ? 'Shortage Appeal' : 'Emergency Request'}
+              </h3>
+              <p className="text-sm text-slate-500 mt-1">
+                Compatible donors are asked in widening rings around {appealFor ? 'your hospital' : 'the hospital'} until enough units are pledged.
+              </p>
+            </div>
+            <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+              <X className="h-6 w-6" />
+            </button>
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">{appealFor ? 'Blood Group Needed' : 'Patient Blood Group'}</label>
+                <select required className={inputClass} value={bloodType} onChange={(e) => setBloodType(e.target.value)}>
+                  <option value="">Select</option>
+                  {BLOOD_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Component</label>
+                <select className={inputClass} value={component} onChange={(e) => setComponent(e.target.value)}>
+                  {Object.values(BLOOD_COMPONENTS).map(c => <option key={c} value={c}>{COMPONENT_LABELS[c]}</option>)}
+                </select>
+              </div>
+            </div>
+
+            {!appealFor && (
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Hospital</label>
+                <select required className={inputClass} value={hospitalId} onChange={(e) => setHospitalId(e.target.value)}>
+                  <option value="">Where is the patient?</option>
+                  {hospitalOptions.map(h => (
+                    <option key={h.id} value={h.id}>
+                      {h.hospitalName}{h.distanceKm !== null ? ` (${formatDistance(h.distanceKm)} km)` : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Units Needed</label>
+                <input
+                  type="number"
+                  min="1"
+                  max={MAX_UNITS_PER_REQUEST}
+                  required
+                  className={inputClass}
+                  value={unitsNeeded}
+                  onChange={(e) => setUnitsNeeded(e.target.value)}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Urgency</label>
+                <select className={inputClass} value={urgency} onChange={(e) => setUrgency(e.target.value)}>
+                  {Object.values(URGENCY_LEVELS).map(level => <option key={level} value={level}>{URGENCY_LABELS[level]}</option>)}
+                </select>
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Needed By</label>
+              <input
+                type="datetime-local"
+                required
+                className={inputClass}
+                value={deadline}
+                min={toLocalInputValue(new Date())}
+                onChange={(e) => setDeadline(e.target.value)}
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={submitting}
+              className="w-full bg-red-600 hover:bg-red-700 text-white font-bold py-3 rounded-xl shadow-lg shadow-red-200 transition-colors flex items-center justify-center gap-2 disabled:opacity-70"
+            >
+              {submitting && <Loader2 className="h-4 w-4 animate-spin" />}
+              {appealFor ? 'Send Shortage Appeal' : 'Send Emergency Request'}
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
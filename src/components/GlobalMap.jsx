@@ -1,6 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet';
-import { subscribeToAllInventory } from '../lib/firestore';
+import { isVerifiedVenue } from '../lib/verification';
 import { Building, MapPin, Navigation } from 'lucide-react';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
@@ -80,8 +80,8 @@ export default function GlobalMap({ hospitals = [], userLocation = null }) {
                 {/* Show User Location */}
                 <UserLocationMarker position={userLocation} />
 
-                {/* Show Hospitals */}
-                {hospitals.map(hospital => (
+                {/* Show Hospitals (never unverified ones, whatever the caller passes in) */}
+                {hospitals.filter(isVerifiedVenue).map(hospital => (
                     hospital.location && (
                         <Marker
                             key={hospital.id}
@@ -0,0 +1,368 @@
+import React, { useState, useEffect } from 'react';
+import { ArrowLeftRight, Building, Send, Truck, PackageCheck, History } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import {
+    subscribeToAllInventory,
+    subscribeToTransfers,
+    requestTransfer,
+    offerTransfer,
+    acceptTransfer,
+    declineTransfer,
+    cancelTransfer,
+    dispatchTransfer,
+    receiveTransfer
+} from '../lib/firestore';
+import { BLOOD_TYPES, BLOOD_COMPONENTS, COMPONENT_LABELS, DEFAULT_COMPONENT } from '../../functions/shared/bloodCompatibility.js';
+import { UNIT_STATUS, isUnitExpired } from '../../functions/shared/bloodUnits.js';
+import { getDistanceKm, formatDistance } from '../lib/geo';
+import {
+    TRANSFER_STATUS,
+    TRANSFER_STATUS_LABELS,
+    MAX_TRANSFER_UNITS,
+    getTransferRole,
+    getAllowedTransferActions,
+    isTransferOpen
+} from '../../functions/shared/transfers.js';
+
+const TRANSFER_STATUS_STYLES = {
+    [TRANSFER_STATUS.REQUESTED]: 'bg-yellow-100 text-yellow-700',
+    [TRANSFER_STATUS.OFFERED]: 'bg-blue-100 text-blue-700',
+    [TRANSFER_STATUS.ACCEPTED]: 'bg-indigo-100 text-indigo-700',
+    [TRANSFER_STATUS.DISPATCHED]: 'bg-purple-100 text-purple-700',
+    [TRANSFER_STATUS.RECEIVED]: 'bg-green-100 text-green-700',
+    [TRANSFER_STATUS.DECLINED]: 'bg-red-100 text-red-700',
+    [TRANSFER_STATUS.CANCELLED]: 'bg-slate-200 text-slate-600'
+};
+
+// Available bags of the exact group and component, as counted on the inventory doc
+const getStockCount = (inventory, bloodType, componentType) => {
+    const count = inventory.componentStock?.[componentType]?.[bloodType];
+    if (count !== undefined) return count;
+    return componentType === BLOOD_COMPONENTS.WHOLE_BLOOD ? inventory.bloodStock?.[bloodType] || 0 : 0;
+};
+
+/**
+ * Units asked from and by other hospitals. The supplier picks and reserves bags,
+ * the requester accepts, the supplier dispatches and the requester receives them
+ * into its own stock; see functions/shared/transfers.js.
+ * @param {Object} props.hospital - This hospital's inventory doc
+ * @param {Array} props.units - This hospital's units on the shelf, to offer from
+ */
+export default function HospitalTransfers({ hospital, units, defaultBloodType = '' }) {
+    const [hospitals, setHospitals] = useState([]);
+    const [transfers, setTransfers] = useState([]);
+    const [bloodType, setBloodType] = useState(defaultBloodType);
+    const [componentType, setComponentType] = useState(DEFAULT_COMPONENT);
+    const [unitsRequested, setUnitsRequested] = useState(1);
+    const [note, setNote] = useState('');
+    const [showClosed, setShowClosed] = useState(false);
+
+    useEffect(() => subscribeToAllInventory(setHospitals), []);
+    useEffect(() => subscribeToTransfers(hospital.id, setTransfers), [hospital.id]);
+
+    const suppliers = !bloodType ? [] : hospitals
+        .filter(h => h.id !== hospital.id && getStockCount(h, bloodType, componentType) > 0)
+        .map(h => ({ ...h, inStock: getStockCount(h, bloodType, componentType), distanceKm: getDistanceKm(hospital.location, h.location) }))
+        .sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity));
+
+    const openTransfers = transfers.filter(isTransferOpen);
+    const closedTransfers = transfers.filter(transfer => !isTransferOpen(transfer));
+
+    const handleRequest = async (supplier) => {
+        try {
+            await requestTransfer(
+                { id: hospital.id, name: hospital.hospitalName },
+                { id: supplier.id, name: supplier.hospitalName },
+                { bloodType, componentType, unitsRequested, note }
+            );
+            setNote('');
+            toast.success(`Transfer requested from ${supplier.hospitalName}.`);
+        } catch (error) {
+            console.error("Error requesting transfer:", error);
+            toast.error("Failed to request transfer.");
+        }
+    };
+
+    return (
+        <div className="space-y-8">
+            <div className="bg-white rounded-2xl shadow-sm border border-slate-100 p-6">
+                <h2 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+                    <ArrowLeftRight className="h-5 w-5 text-blue-600" />
+                    Request Units from Another Hospital
+                </h2>
+                <p className="text-sm text-slate-500 mt-1 mb-4">
+                    The other hospital chooses the bags to offer. They count in your stock once you receive them.
+                </p>
+
+                <div className="grid sm:grid-cols-4 gap-3 mb-4">
+                    <select
+                        value={bloodType}
+                        onChange={(e) => setBloodType(e.target.value)}
+                        className="p-2 rounded-lg border border-slate-200 text-sm outline-none bg-white"
+                    >
+                        <option value="">Blood group</option>
+                        {BLOOD_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                    </select>
+                    <select
+                        value={componentType}
+                        onChange={(e) => setComponentType(e.target.value)}
+                        className="p-2 rounded-lg border border-slate-200 text-sm outline-none bg-white"
+                    >
+                        {Object.values(BLOOD_COMPONENTS).map(c => <option key={c} value={c}>{COMPONENT_LABELS[c]}</option>)}
+                    </select>
+                    <input
+                        type="number"
+                        min={1}
+                        max={MAX_TRANSFER_UNITS}
+                        value={unitsRequested}
+                        onChange={(e) => setUnitsRequested(e.target.value)}
+                        className="p-2 rounded-lg border border-slate-200 text-sm outline-none"
+                        title="Units needed"
+                    />
+                    <input
+                        type="text"
+                        value={note}
+                        onChange={(e) => setNote(e.target.value)}
+                        maxLength={200}
+                        placeholder="Note (optional)"
+                        className="p-2 rounded-lg border border-slate-200 text-sm outline-none"
+                    />
+                </div>
+
+                {!bloodType ? (
+                    <p className="text-sm text-slate-400">Choose a blood group to see which hospitals have it in stock.</p>
+                ) : suppliers.length === 0 ? (
+                    <p className="text-sm text-slate-400">No other hospital has {bloodType} {COMPONENT_LABELS[componentType]} in stock right now.</p>
+                ) : (
+                    <ul className="divide-y divide-slate-100">
+                        {suppliers.map(supplier => (
+                            <li key={supplier.id} className="py-3 flex justify-between items-center gap-4">
+                                <div className="min-w-0">
+                                    <p className="font-bold text-slate-900 truncate flex items-center gap-2">
+                                        <Building className="h-4 w-4 text-slate-400 shrink-0" />
+                                        {supplier.hospitalName}
+                                    </p>
+                                    <p className="text-xs text-slate-500">
+                                        {supplier.inStock} in stock
+                                        {supplier.distanceKm !== null && ` · ${formatDistance(supplier.distanceKm)} km away`}
+                                    </p>
+                                </div>
+                                <button
+                                    onClick={() => handleRequest(supplier)}
+                                    className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-xs font-bold hover:bg-blue-700 flex items-center gap-1 shrink-0"
+                                >
+                                    <Send className="h-3 w-3" /> Request
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            <div className="bg-white rounded-2xl shadow-sm border border-slate-100 p-6">
+                <h2 className="text-lg font-bold text-slate-900 mb-4">Transfers in Progress ({openTransfers.length})</h2>
+                {openTransfers.length === 0 ? (
+                    <p className="text-sm text-slate-400">No transfers in progress.</p>
+                ) : (
+                    <div className="grid md:grid-cols-2 gap-4">
+                        {openTransfers.map(transfer => (
+                            <TransferCard key={transfer.id} transfer={transfer} hospitalId={hospital.id} units={units} />
+                        ))}
+                    </div>
+                )}
+
+                {closedTransfers.length > 0 && (
+                    <div className="mt-6">
+                        <button
+                            onClick={() => setShowClosed(!showClosed)}
+                            className="text-sm font-bold text-blue-600 hover:underline"
+                        >
+                            {showClosed ? 'Hide' : 'Show'} {closedTransfers.length} finished transfer{closedTransfers.length === 1 ? '' : 's'}
+                        </button>
+                        {showClosed && (
+                            <div className="grid md:grid-cols-2 gap-4 mt-4">
+                                {closedTransfers.map(transfer => (
+                                    <TransferCard key={transfer.id} transfer={transfer} hospitalId={hospital.id} units={units} />
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+function TransferCard({ transfer, hospitalId, units }) {
+    const [selectedUnitIds, setSelectedUnitIds] = useState([]);
+    const [busy, setBusy] = useState(false);
+    const isSupplier = getTransferRole(transfer, hospitalId) === 'supplier';
+    const actions = getAllowedTransferActions(transfer, hospitalId);
+    const otherName = isSupplier ? transfer.requesterName : transfer.supplierName;
+
+    // Bags this hospital could offer: same group and component, on the shelf and in date
+    const offerable = actions.includes(TRANSFER_STATUS.OFFERED)
+        ? units.filter(unit =>
+            unit.status === UNIT_STATUS.AVAILABLE &&
+            unit.bloodType === transfer.bloodType &&
+            unit.componentType === transfer.componentType &&
+            !isUnitExpired(unit))
+        : [];
+
+    const toggleUnit = (unitId) => {
+        if (selectedUnitIds.includes(unitId)) {
+            setSelectedUnitIds(selectedUnitIds.filter(id => id !== unitId));
+        } else if (selectedUnitIds.length < transfer.unitsRequested) {
+            setSelectedUnitIds([...selectedUnitIds, unitId]);
+        }
+    };
+
+    const run = async (action, successMessage) => {
+        setBusy(true);
+        try {
+            await action();
+            toast.success(successMessage);
+        } catch (error) {
+            console.error("Error updating transfer:", error);
+            toast.error(error.message || "Failed to update transfer.");
+        }
+        setBusy(false);
+    };
+
+    const handleOffer = () => run(
+        () => offerTransfer(hospitalId, transfer.id, selectedUnitIds),
+        `${selectedUnitIds.length} bag(s) reserved and offered to ${transfer.requesterName}.`
+    );
+    const handleDecline = () => {
+        if (!window.confirm(`Decline ${transfer.requesterName}'s request? Any bags you reserved for it go back on your shelf.`)) return;
+        run(() => declineTransfer(transfer.id), "Transfer declined.");
+    };
+    const handleCancel = () => {
+        if (!window.confirm(`Cancel this request to ${transfer.supplierName}?`)) return;
+        run(() => cancelTransfer(transfer.id), "Transfer cancelled.");
+    };
+
+    return (
+        <div className="p-4 rounded-xl border border-slate-100 bg-slate-50/50">
+            <div className="flex items-center gap-2 flex-wrap mb-2">
+                <span className={`text-xs font-bold px-2 py-0.5 rounded-full ${TRANSFER_STATUS_STYLES[transfer.status]}`}>
+                    {TRANSFER_STATUS_LABELS[transfer.status].toUpperCase()}
+                </span>
+                <span className="text-xs font-bold text-slate-500">{isSupplier ? 'Incoming request' : 'Your request'}</span>
+            </div>
+            <p className="font-bold text-slate-900">
+                {transfer.unitsRequested} × <span className="text-red-600">{transfer.bloodType}</span> {COMPONENT_LABELS[transfer.componentType]}
+                <span className="font-normal text-slate-500"> {isSupplier ? 'for' : 'from'} {otherName}</span>
+            </p>
+            {transfer.note && <p className="text-sm text-slate-600 mt-1 italic">"{transfer.note}"</p>}
+
+            {transfer.offeredUnits?.length > 0 && (
+                <p className="text-xs text-slate-500 mt-2">
+                    Offered: <span className="font-mono">{transfer.offeredUnits.map(unit => unit.bagId).join(', ')}</span>
+                </p>
+            )}
+
+            {actions.includes(TRANSFER_STATUS.OFFERED) && (
+                <div className="mt-3">
+                    <p className="text-xs font-bold text-slate-600 mb-1">
+                        Choose up to {transfer.unitsRequested} bag(s) to offer ({selectedUnitIds.length} selected)
+                    </p>
+                    {offerable.length === 0 ? (
+                        <p className="text-xs text-slate-400">No matching bags on your shelf.</p>
+                    ) : (
+                        <div className="max-h-40 overflow-y-auto space-y-1">
+                            {offerable.map(unit => (
+                                <label key={unit.id} className="flex items-center gap-2 text-xs text-slate-700 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={selectedUnitIds.includes(unit.id)}
+                                        onChange={() => toggleUnit(unit.id)}
+                                        className="accent-blue-600"
+                                    />
+                                    <span className="font-mono">{unit.bagId}</span>
+                                    <span className="text-slate-400">expires {new Date(unit.expiryDate).toLocaleDateString()}</span>
+                                </label>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {actions.length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-3">
+                    {actions.includes(TRANSFER_STATUS.OFFERED) && (
+                        <button
+                            onClick={handleOffer}
+                            disabled={busy || selectedUnitIds.length === 0}
+                            className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-xs font-bold hover:bg-blue-700 disabled:opacity-50"
+                        >
+                            Offer {selectedUnitIds.length || ''} Bag(s)
+                        </button>
+                    )}
+                    {actions.includes(TRANSFER_STATUS.ACCEPTED) && (
+                        <button
+                            onClick={() => run(() => acceptTransfer(transfer.id), `Offer accepted. ${transfer.supplierName} will dispatch the bags.`)}
+                            disabled={busy}
+                            className="px-3 py-1.5 bg-green-600 text-white rounded-lg text-xs font-bold hover:bg-green-700 disabled:opacity-50"
+                        >
+                            Accept Offer
+                        </button>
+                    )}
+                    {actions.includes(TRANSFER_STATUS.DISPATCHED) && (
+                        <button
+                            onClick={() => run(() => dispatchTransfer(hospitalId, transfer.id), "Bags dispatched.")}
+                            disabled={busy}
+                            className="px-3 py-1.5 bg-purple-600 text-white rounded-lg text-xs font-bold hover:bg-purple-700 disabled:opacity-50 flex items-center gap-1"
+                        >
+                            <Truck className="h-3 w-3" /> Dispatch
+                        </button>
+                    )}
+                    {actions.includes(TRANSFER_STATUS.RECEIVED) && (
+                        <button
+                            onClick={() => run(() => receiveTransfer(hospitalId, transfer.id), "Bags received and added to your stock.")}
+                            disabled={busy}
+                            className="px-3 py-1.5 bg-green-600 text-white rounded-lg text-xs font-bold hover:bg-green-700 disabled:opacity-50 flex items-center gap-1"
+                        >
+                            <PackageCheck className="h-3 w-3" /> Mark Received
+                        </button>
+                    )}
+                    {actions.includes(TRANSFER_STATUS.DECLINED) && (
+                        <button
+                            onClick={handleDecline}
+                            disabled={busy}
+                            className="px-3 py-1.5 border border-red-200 text-red-600 rounded-lg text-xs font-bold hover:bg-red-50 disabled:opacity-50"
+                        >
+                            Decline
+                        </button>
+                    )}
+                    {actions.includes(TRANSFER_STATUS.CANCELLED) && (
+                        <button
+                            onClick={handleCancel}
+                            disabled={busy}
+                            className="px-3 py-1.5 border border-slate-200 text-slate-600 rounded-lg text-xs font-bold hover:bg-slate-50 disabled:opacity-50"
+                        >
+                            Cancel
+                        </button>
+                    )}
+                </div>
+            )}
+
+            <details className="text-xs text-slate-500 mt-3">
+                <summary className="cursor-pointer select-none flex items-center gap-1 font-bold text-slate-600">
+                    <History className="h-3 w-3" /> Timeline
+                </summary>
+                <ol className="mt-2 ml-1 border-l border-slate-200 space-y-2">
+                    {transfer.statusHistory.map((step, index) => (
+                        <li key={`${step.status}-${index}`} className="relative pl-4">
+                            <span className="absolute -left-1 top-1 h-2 w-2 rounded-full bg-slate-400"></span>
+                            <span className="font-bold text-slate-700">{TRANSFER_STATUS_LABELS[step.status] || step.status}</span>
+                            {` by ${step.by === hospitalId ? 'you' : otherName}`}
+                            {step.note && ` (${step.note})`}
+                            <span className="block text-slate-400">{new Date(step.at).toLocaleString()}</span>
+                        </li>
+                    ))}
+                </ol>
+            </details>
+        </div>
+    );
+}
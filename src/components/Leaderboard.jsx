@@ -0,0 +1,81 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Trophy, Flame } from 'lucide-react';
+import { getLeaderboard } from '../lib/firestore';
+import { LEADERBOARD_SCOPES, getActiveStreak } from '../lib/rewards';
+
+// Top donors in the donor's own city or campus. Only donors who opted in are listed.
+export default function Leaderboard({ uid, donorProfile }) {
+    const [scope, setScope] = useState(LEADERBOARD_SCOPES.CITY);
+    const place = scope === LEADERBOARD_SCOPES.CAMPUS ? donorProfile.campus : donorProfile.city;
+    const requestKey = `${scope}:${place || ''}`;
+    // Keyed by board so switching tabs shows as loading without resetting state in the effect
+    const [board, setBoard] = useState({ key: null, entries: [] });
+
+    useEffect(() => {
+        if (!place) return;
+        let cancelled = false;
+        getLeaderboard(scope, place)
+            .then(entries => { if (!cancelled) setBoard({ key: requestKey, entries }); })
+            .catch(() => { if (!cancelled) setBoard({ key: requestKey, entries: [] }); });
+        return () => { cancelled = true; };
+    }, [scope, place, requestKey]);
+
+    const loading = !!place && board.key !== requestKey;
+    const entries = board.key === requestKey ? board.entries : [];
+
+    return (
+        <div className="bg-white rounded-2xl shadow-sm border border-slate-100 p-6">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+                    <Trophy className="h-5 w-5 text-yellow-500" /> Leaderboard
+                </h2>
+                <div className="flex bg-slate-100 rounded-lg p-1 text-sm">
+                    {[[LEADERBOARD_SCOPES.CITY, 'City'], [LEADERBOARD_SCOPES.CAMPUS, 'Campus']].map(([value, label]) => (
+                        <button
+                            key={value}
+                            onClick={() => setScope(value)}
+                            className={`px-3 py-1 rounded-md font-bold transition-colors ${scope === value ? 'bg-white text-slate-900 shadow-sm' : 'text-slate-500'}`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {!donorProfile.leaderboardOptIn && (
+                <p className="text-xs text-slate-500 bg-slate-50 rounded-lg p-3 mb-4">
+                    You are not listed. <Link to="/settings" className="font-bold text-brand-600">Join the leaderboard</Link> in
+                    Profile Settings; only your first name and last initial are shown.
+                </p>
+            )}
+
+            {!place ? (
+                <p className="text-sm text-slate-500">
+                    {scope === LEADERBOARD_SCOPES.CAMPUS
+                        ? 'Add your campus or college in Profile Settings to see its leaderboard.'
+                        : 'Add your city in Profile Settings to see its leaderboard.'}
+                </p>
+            ) : loading ? (
+                <p className="text-sm text-slate-500">Loading...</p>
+            ) : entries.length === 0 ? (
+                <p className="text-sm text-slate-500">Nobody in {place} has joined the leaderboard yet.</p>
+            ) : (
+                <ol className="divide-y divide-slate-100">
+                    {entries.map((entry, index) => (
+                        <li key={entry.id} className={`flex items-center gap-3 py-2 ${entry.id === uid ? 'font-bold text-brand-700' : 'text-slate-700'}`}>
+                            <span className="w-6 text-right text-slate-400">{index + 1}</span>
+                            <span className="flex-1">{entry.displayName}{entry.id === uid ? ' (you)' : ''}</span>
+                            {getActiveStreak(entry.streak) > 1 && (
+                                <span className="flex items-center text-xs text-orange-600" title="Donation streak">
+                                    <Flame className="h-3 w-3" /> {getActiveStreak(entry.streak)}
+                                </span>
+                            )}
+                            <span className="text-sm">{entry.totalDonations} donation{entry.totalDonations === 1 ? '' : 's'}</span>
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+}
@@ -6,7 +6,7 @@ import { getUserProfile } from '../lib/firestore';
 
 export default function Navbar() {
   const [isOpen, setIsOpen] = useState(false);
-  const { currentUser, logout } = useAuth();
+  const { currentUser, verifiedRole, logout } = useAuth();
   const navigate = useNavigate();
   const [userRole, setUserRole] = useState(null);
 
@@ -69,6 +69,9 @@ export default function Navbar() {
                 ) : (
                   <Link to="/dashboard" className="text-slate-600 hover:text-brand-600 font-medium transition-colors">Dashboard</Link>
                 )}
+                {verifiedRole === 'admin' && (
+                  <Link to="/admin" className="text-slate-600 hover:text-brand-600 font-medium transition-colors">Admin</Link>
+                )}
 
                 <div className="flex items-center gap-4 pl-4 border-l border-slate-200">
                   <Link
@@ -124,6 +127,9 @@ export default function Navbar() {
                 ) : (
                   <Link to="/dashboard" onClick={() => setIsOpen(false)} className="block px-3 py-3 rounded-md text-base font-medium text-slate-700 hover:text-brand-600 hover:bg-brand-50 transition-colors">Dashboard</Link>
                 )}
+                {verifiedRole === 'admin' && (
+                  <Link to="/admin" onClick={() => setIsOpen(false)} className="block px-3 py-3 rounded-md text-base font-medium text-slate-700 hover:text-brand-600 hover:bg-brand-50 transition-colors">Admin Console</Link>
+                )}
 
                 <div className="px-3 py-3 border-t border-slate-100 mt-2">
                   <Link
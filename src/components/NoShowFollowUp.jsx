@@ -0,0 +1,52 @@
+import React, { useState } from 'react';
+import { Send, UserX } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { sendNoShowFollowUp } from '../lib/firestore';
+import { REPEATED_NO_SHOW_COUNT } from '../../functions/shared/appointments.js';
+
+// How many appointments the donor has missed before, shown on venue appointment lists
+export function NoShowHistoryBadge({ count }) {
+    if (!count) return null;
+    const isRepeated = count >= REPEATED_NO_SHOW_COUNT;
+    return (
+        <span
+            className={`flex items-center gap-1 font-bold px-2 py-0.5 rounded-full text-xs ${isRepeated ? 'text-red-700 bg-red-100' : 'text-amber-700 bg-amber-100'}`}
+            title="Appointments this donor did not turn up for"
+        >
+            <UserX className="h-3 w-3" /> {count} no-show{count > 1 ? 's' : ''}
+        </span>
+    );
+}
+
+// Offers a donor who did not turn up a link to book again (once per appointment)
+export default function NoShowFollowUp({ appt }) {
+    const [sent, setSent] = useState(!!appt.followUp);
+    const [sending, setSending] = useState(false);
+
+    if (sent) {
+        return <span className="text-xs font-bold text-slate-400">Rebooking link sent</span>;
+    }
+
+    const handleSend = async () => {
+        setSending(true);
+        try {
+            await sendNoShowFollowUp(appt.id);
+            setSent(true);
+            toast.success(`Rebooking link sent to ${appt.donorName}`);
+        } catch (error) {
+            toast.error(error.message || "Failed to send follow-up");
+        }
+        setSending(false);
+    };
+
+    return (
+        <button
+            onClick={handleSend}
+            disabled={sending}
+            className="flex items-center gap-2 px-3 py-2 bg-white border border-slate-200 hover:border-brand-300 text-slate-700 rounded-lg text-sm font-bold transition-colors disabled:opacity-50"
+        >
+            <Send className="h-4 w-4" />
+            {sending ? 'Sending...' : 'Offer Rebooking'}
+        </button>
+    );
+}
@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import { ClipboardList, Plus, CheckCircle, X } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { createCase, closeCase } from '../lib/firestore';
+import { BLOOD_TYPES } from '../../functions/shared/bloodCompatibility.js';
+import { CASE_STATUS, MAX_CASE_UNITS, getCaseProgress, getCaseLabel } from '../../functions/shared/cases.js';
+
+// The seeker's patient needs. Requests sent from the donor search go to the
+// selected open case; closing a case only cancels that case's pending requests.
+export default function RequestCases({ seekerId, cases, selectedCaseId, onSelect, defaultBloodType = '' }) {
+    const [showForm, setShowForm] = useState(false);
+    const [patientLabel, setPatientLabel] = useState('');
+    const [caseBloodType, setCaseBloodType] = useState(defaultBloodType);
+    const [unitsNeeded, setUnitsNeeded] = useState(1);
+    const [saving, setSaving] = useState(false);
+
+    const openCases = cases.filter(c => c.status === CASE_STATUS.OPEN);
+    const closedCount = cases.length - openCases.length;
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        if (!caseBloodType) {
+            toast.error("Choose the patient's blood group.");
+            return;
+        }
+        setSaving(true);
+        try {
+            const caseId = await createCase(seekerId, { patientLabel, bloodType: caseBloodType, unitsNeeded });
+            onSelect(caseId);
+            setShowForm(false);
+            setPatientLabel('');
+            setUnitsNeeded(1);
+            toast.success("Case created. Requests you send now go to it.");
+        } catch (error) {
+            console.error("Error creating case:", error);
+            toast.error("Failed to create case.");
+        }
+        setSaving(false);
+    };
+
+    const handleClose = async (needCase, status) => {
+        const question = status === CASE_STATUS.FULFILLED
+            ? `Mark "${getCaseLabel(needCase)}" as fulfilled? Donors still waiting to answer will be told they are no longer needed.`
+            : `Cancel "${getCaseLabel(needCase)}"? Donors still waiting to answer will be told they are no longer needed.`;
+        if (!window.confirm(question)) return;
+        try {
+            await closeCase(needCase.id, status);
+            toast.success(status === CASE_STATUS.FULFILLED ? "Case fulfilled. Glad you found help!" : "Case cancelled.");
+        } catch (error) {
+            console.error("Error closing case:", error);
+            toast.error("Failed to update case.");
+        }
+    };
+
+    return (
+        <div className="mb-8 bg-white rounded-2xl shadow-sm border border-slate-100 p-6">
+            <div className="flex justify-between items-start gap-4 mb-4">
+                <div>
+                    <h2 className="text-xl font-bold text-slate-900 flex items-center gap-2">
+                        <ClipboardList className="h-5 w-5 text-red-600" />
+                        My Cases
+                    </h2>
+                    <p className="text-sm text-slate-500 mt-1">
+                        One case per patient. Donor requests you send go to the selected case.
+                    </p>
+                </div>
+                <button
+                    onClick={() => setShowForm(!showForm)}
+                    className="px-3 py-2 bg-red-600 text-white rounded-lg text-sm font-bold hover:bg-red-700 flex items-center gap-1 shrink-0"
+                >
+                    {showForm ? <X className="h-4 w-4" /> : <Plus className="h-4 w-4" />}
+                    {showForm ? 'Close' : 'New Case'}
+                </button>
+            </div>
+
+            {showForm && (
+                <form onSubmit={handleCreate} className="grid sm:grid-cols-4 gap-3 mb-4 p-4 bg-slate-50 rounded-xl">
+                    <input
+                        type="text"
+                        value={patientLabel}
+                        onChange={(e) => setPatientLabel(e.target.value)}
+                        maxLength={60}
+                        placeholder="Patient (e.g. Dad, Ward 4)"
+                        className="sm:col-span-2 px-3 py-2 border border-slate-200 rounded-lg outline-none focus:ring-2 focus:ring-red-500"
+                    />
+                    <select
+                        value={caseBloodType}
+                        onChange={(e) => setCaseBloodType(e.target.value)}
+                        className="px-3 py-2 border border-slate-200 rounded-lg outline-none focus:ring-2 focus:ring-red-500"
+                    >
+                        <option value="">Blood group</option>
+                        {BLOOD_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                    </select>
+                    <div className="flex gap-2">
+                        <input
+                            type="number"
+                            min={1}
+                            max={MAX_CASE_UNITS}
+                            value={unitsNeeded}
+                            onChange={(e) => setUnitsNeeded(e.target.value)}
+                            className="w-20 px-3 py-2 border border-slate-200 rounded-lg outline-none focus:ring-2 focus:ring-red-500"
+                            title="Units needed"
+                        />
+                        <button
+                            type="submit"
+                            disabled={saving}
+                            className="flex-1 px-3 py-2 bg-slate-900 text-white rounded-lg text-sm font-bold hover:bg-slate-800 disabled:opacity-50"
+                        >
+                            Create
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            {openCases.length === 0 ? (
+                <p className="text-sm text-slate-500">
+                    No open cases. Create one, or one is started for you when you request blood from a donor.
+                </p>
+            ) : (
+                <div className="grid md:grid-cols-2 gap-4">
+                    {openCases.map(needCase => {
+                        const progress = getCaseProgress(needCase);
+                        const selected = needCase.id === selectedCaseId;
+                        return (
+                            <div
+                                key={needCase.id}
+                                className={`p-4 rounded-xl border-2 transition-colors ${selected ? 'border-red-500 bg-red-50/40' : 'border-slate-100'}`}
+                            >
+                                <label className="flex items-center gap-2 cursor-pointer">
+                                    <input
+                                        type="radio"
+                                        name="selectedCase"
+                                        checked={selected}
+                                        onChange={() => onSelect(needCase.id)}
+                                        className="accent-red-600"
+                                    />
+                                    <span className="font-bold text-slate-900">{getCaseLabel(needCase)}</span>
+                                </label>
+                                <div className="mt-3 h-2 rounded-full bg-slate-100 overflow-hidden flex">
+                                    <div className="bg-green-500" style={{ width: `${progress.receivedPercent}%` }}></div>
+                                    <div className="bg-green-200" style={{ width: `${progress.pledgedPercent}%` }}></div>
+                                </div>
+                                <p className="text-xs text-slate-500 mt-1">
+                                    {progress.received} received · {progress.pledged} pledged · {progress.needed} needed
+                                    {needCase.pendingRequests > 0 && ` · ${needCase.pendingRequests} waiting for an answer`}
+                                </p>
+                                <div className="flex gap-2 mt-3">
+                                    <button
+                                        onClick={() => handleClose(needCase, CASE_STATUS.FULFILLED)}
+                                        className="flex-1 px-3 py-1.5 bg-green-100 text-green-700 rounded-lg text-xs font-bold hover:bg-green-200 flex items-center justify-center gap-1"
+                                    >
+                                        <CheckCircle className="h-3 w-3" /> Mark Fulfilled
+                                    </button>
+                                    <button
+                                        onClick={() => handleClose(needCase, CASE_STATUS.CANCELLED)}
+                                        className="px-3 py-1.5 border border-slate-200 text-slate-600 rounded-lg text-xs font-bold hover:bg-slate-50"
+                                    >
+                                        Cancel
+                                    </button>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            {closedCount > 0 && (
+                <p className="text-xs text-slate-400 mt-4">{closedCount} closed case{closedCount === 1 ? '' : 's'}</p>
+            )}
+        </div>
+    );
+}
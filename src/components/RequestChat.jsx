@@ -0,0 +1,207 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, Send, Phone, PhoneOff, Lock, CheckCheck, MessageCircle, MessageSquare } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import {
+    subscribeToBloodRequest,
+    subscribeToRequestMessages,
+    sendRequestMessage,
+    subscribeToContactEvents,
+    markRequestRead
+} from '../lib/firestore';
+import {
+    MESSAGE_TYPES,
+    MAX_MESSAGE_LENGTH,
+    RELAY_STATUS,
+    isChatOpen,
+    isReadBy,
+    hasUnreadMessages,
+    getRelayUnavailableMessage
+} from '../../functions/shared/chat.js';
+
+// Opens a request's chat, with a dot while there are unread messages
+export function ChatButton({ request, uid, onOpen }) {
+    return (
+        <button
+            onClick={() => onOpen(request.id)}
+            className="relative px-3 py-2 border border-slate-200 text-slate-600 rounded-lg text-sm font-bold hover:bg-slate-50 transition-colors flex items-center justify-center gap-2"
+            title="Message"
+        >
+            <MessageCircle className="h-4 w-4" />
+            Message
+            {hasUnreadMessages(request, uid) && (
+                <span className="absolute -top-1 -right-1 h-3 w-3 rounded-full bg-red-500 border-2 border-white"></span>
+            )}
+        </button>
+    );
+}
+
+// Call/text button for the request's proxy number, or why there is none yet
+export function RelayContact({ request, isDonor }) {
+    const relay = request.contactRelay;
+    if (request.status !== 'accepted' || !relay) return null;
+    if (relay.status !== RELAY_STATUS.ACTIVE) {
+        return (
+            <p className="text-xs text-slate-500 flex items-center gap-1">
+                <PhoneOff className="h-3 w-3 shrink-0" />
+                {relay.status === RELAY_STATUS.EXPIRED ? 'The private number has expired.' : getRelayUnavailableMessage(relay, isDonor)}
+            </p>
+        );
+    }
+    return (
+        <a
+            href={`tel:${relay.proxyNumber}`}
+            className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-bold hover:bg-green-700 shadow-sm flex items-center justify-center gap-2"
+            title="Private number: your own number stays hidden"
+        >
+            <Phone className="h-4 w-4" />
+            Call {isDonor ? 'Seeker' : 'Donor'}
+        </a>
+    );
+}
+
+const CONTACT_LABELS = { call: 'called', sms: 'texted' };
+
+// Chat between a seeker and the donor they asked, one thread per blood request.
+// Calls and texts go through the masked relay and are listed with the thread.
+export default function RequestChat({ requestId, onClose }) {
+    const { currentUser } = useAuth();
+    const [request, setRequest] = useState(null);
+    const [messages, setMessages] = useState([]);
+    const [contactEvents, setContactEvents] = useState([]);
+    const [text, setText] = useState('');
+    const [sending, setSending] = useState(false);
+    const endRef = useRef(null);
+
+    useEffect(() => {
+        const unsubscribeRequest = subscribeToBloodRequest(requestId, setRequest);
+        const unsubscribeMessages = subscribeToRequestMessages(requestId, setMessages);
+        const unsubscribeContacts = subscribeToContactEvents(requestId, setContactEvents);
+        markRequestRead(requestId, currentUser.uid);
+        return () => {
+            unsubscribeRequest();
+            unsubscribeMessages();
+            unsubscribeContacts();
+        };
+    }, [requestId, currentUser.uid]);
+
+    // Anything the other side (or the system) posts while the thread is open counts as read
+    const lastMessage = messages[messages.length - 1];
+    useEffect(() => {
+        endRef.current?.scrollIntoView({ behavior: 'smooth' });
+        if (lastMessage && lastMessage.senderId !== currentUser.uid) {
+            markRequestRead(requestId, currentUser.uid);
+        }
+    }, [lastMessage, requestId, currentUser.uid]);
+
+    if (!request) return null;
+
+    const isDonor = request.donorId === currentUser.uid;
+    const otherId = isDonor ? request.seekerId : request.donorId;
+    const otherName = isDonor ? request.seekerName : request.donorName;
+    const open = isChatOpen(request);
+    const myRole = isDonor ? 'donor' : 'seeker';
+    // Receipt goes under the newest of my messages the other side has seen
+    const lastReadOwn = [...messages].reverse()
+        .find(message => message.senderId === currentUser.uid && isReadBy(request, otherId, message));
+
+    const handleSend = async (e) => {
+        e.preventDefault();
+        if (!text.trim()) return;
+        setSending(true);
+        try {
+            await sendRequestMessage(requestId, text);
+            setText('');
+        } catch (error) {
+            toast.error(error.message || "Failed to send message");
+        }
+        setSending(false);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-lg flex flex-col h-[80vh] animate-in zoom-in-95">
+                <div className="px-5 py-4 border-b border-slate-100 flex justify-between items-center">
+                    <div>
+                        <h3 className="font-bold text-slate-900">{otherName || (isDonor ? 'Seeker' : 'Donor')}</h3>
+                        <p className="text-xs text-slate-500">{request.bloodType} request · {request.status}</p>
+                    </div>
+                    <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+                        <X className="h-6 w-6" />
+                    </button>
+                </div>
+
+                {(request.contactRelay || contactEvents.length > 0) && (
+                    <div className="px-5 py-3 border-b border-slate-100 space-y-2">
+                        <RelayContact request={request} isDonor={isDonor} />
+                        {contactEvents.length > 0 && (
+                            <ul className="text-xs text-slate-500 space-y-0.5 max-h-20 overflow-y-auto">
+                                {contactEvents.map(contact => (
+                                    <li key={contact.id} className="flex items-center gap-1">
+                                        {contact.channel === 'sms' ? <MessageSquare className="h-3 w-3" /> : <Phone className="h-3 w-3" />}
+                                        {contact.from === myRole ? 'You' : otherName || 'They'} {CONTACT_LABELS[contact.channel]}
+                                        {contact.durationSeconds ? ` (${Math.ceil(contact.durationSeconds / 60)} min)` : ''}
+                                        {' · '}{new Date(contact.createdAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                )}
+
+                <div className="flex-1 overflow-y-auto p-4 space-y-3 bg-slate-50">
+                    {messages.map(message => {
+                        if (message.type === MESSAGE_TYPES.SYSTEM) {
+                            return (
+                                <p key={message.id} className="text-center text-xs text-slate-500 px-6">
+                                    {message.text}
+                                </p>
+                            );
+                        }
+                        const mine = message.senderId === currentUser.uid;
+                        return (
+                            <div key={message.id} className={`flex flex-col ${mine ? 'items-end' : 'items-start'}`}>
+                                <div className={`max-w-[80%] rounded-2xl px-4 py-2 text-sm ${mine ? 'bg-red-600 text-white rounded-br-sm' : 'bg-white border border-slate-200 text-slate-800 rounded-bl-sm'}`}>
+                                    <p className="whitespace-pre-wrap break-words">{message.text}</p>
+                                </div>
+                                <span className="text-[10px] text-slate-400 mt-0.5 flex items-center gap-1">
+                                    {new Date(message.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                    {lastReadOwn?.id === message.id && (
+                                        <><CheckCheck className="h-3 w-3 text-blue-500" /> Seen</>
+                                    )}
+                                </span>
+                            </div>
+                        );
+                    })}
+                    <div ref={endRef} />
+                </div>
+
+                {open ? (
+                    <div className="border-t border-slate-100 p-3">
+                        <form onSubmit={handleSend} className="flex gap-2">
+                            <input
+                                type="text"
+                                value={text}
+                                onChange={(e) => setText(e.target.value)}
+                                maxLength={MAX_MESSAGE_LENGTH}
+                                placeholder="Type a message..."
+                                className="flex-1 px-4 py-2 border border-slate-200 rounded-xl outline-none focus:ring-2 focus:ring-red-500"
+                            />
+                            <button
+                                type="submit"
+                                disabled={sending || !text.trim()}
+                                className="bg-red-600 hover:bg-red-700 text-white p-2.5 rounded-xl disabled:opacity-50"
+                            >
+                                <Send className="h-5 w-5" />
+                            </button>
+                        </form>
+                    </div>
+                ) : (
+                    <p className="border-t border-slate-100 p-4 text-center text-sm text-slate-500 flex items-center justify-center gap-2">
+                        <Lock className="h-4 w-4" /> This request is {request.status}, so the conversation is read-only.
+                    </p>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,33 @@
+import React from 'react';
+import { History } from 'lucide-react';
+import { REQUEST_STATUS_LABELS, getStatusHistory } from '../../functions/shared/requestLifecycle.js';
+
+// Every status a donor request went through, oldest first, folded away by default
+export default function RequestTimeline({ request, uid }) {
+    const steps = getStatusHistory(request);
+    const getActor = (by) => {
+        if (!by) return null;
+        if (by === 'system') return 'automatically';
+        if (by === uid) return 'by you';
+        return `by ${by === request.donorId ? request.donorName || 'the donor' : request.seekerName || 'the seeker'}`;
+    };
+
+    return (
+        <details className="text-xs text-slate-500">
+            <summary className="cursor-pointer select-none flex items-center gap-1 font-bold text-slate-600">
+                <History className="h-3 w-3" /> Timeline
+            </summary>
+            <ol className="mt-2 ml-1 border-l border-slate-200 space-y-2">
+                {steps.map((step, index) => (
+                    <li key={`${step.status}-${index}`} className="relative pl-4">
+                        <span className="absolute -left-1 top-1 h-2 w-2 rounded-full bg-slate-400"></span>
+                        <span className="font-bold text-slate-700">{REQUEST_STATUS_LABELS[step.status] || step.status}</span>
+                        {getActor(step.by) && ` ${getActor(step.by)}`}
+                        {step.note && ` (${step.note})`}
+                        {step.at && <span className="block text-slate-400">{new Date(step.at).toLocaleString()}</span>}
+                    </li>
+                ))}
+            </ol>
+        </details>
+    );
+}
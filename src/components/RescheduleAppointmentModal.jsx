@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from 'react';
+import { Calendar, X } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { getSlotAvailability, rescheduleAppointment } from '../lib/firestore';
+
+// Moves a scheduled appointment to another day or time at the same venue.
+// `venue` is the entry from getVenues; camps only run on one day, so only the time changes.
+export default function RescheduleAppointmentModal({ appointment, venue, minDate, onClose, onRescheduled }) {
+    const [date, setDate] = useState(appointment.date);
+    const [timeSlot, setTimeSlot] = useState('');
+    const [loaded, setLoaded] = useState(null); // { key, closedReason, slots }
+    const [refresh, setRefresh] = useState(0);
+    const [saving, setSaving] = useState(false);
+
+    const key = `${date}|${refresh}`;
+    useEffect(() => {
+        if (!venue || !date) return;
+        let cancelled = false;
+        const requestKey = `${date}|${refresh}`;
+        getSlotAvailability(venue, date)
+            .then(result => { if (!cancelled) setLoaded({ key: requestKey, ...result }); })
+            .catch(() => { if (!cancelled) setLoaded({ key: requestKey, closedReason: 'Could not load times for this day.', slots: [] }); });
+        return () => { cancelled = true; };
+    }, [venue, date, refresh]);
+    const availability = loaded?.key === key ? loaded : null;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            await rescheduleAppointment(appointment.id, { date, timeSlot });
+            toast.success(`Moved to ${new Date(date).toLocaleDateString()} @ ${timeSlot}`);
+            onRescheduled();
+        } catch (error) {
+            toast.error(error.message || "Failed to reschedule");
+            setTimeSlot('');
+            setRefresh(n => n + 1);
+        }
+        setSaving(false);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
+            <div className="bg-white rounded-2xl w-full max-w-lg p-6 relative max-h-[90vh] overflow-y-auto">
+                <button onClick={onClose} className="absolute top-4 right-4 text-slate-400 hover:text-slate-600">
+                    <X className="h-6 w-6" />
+                </button>
+
+                <h2 className="text-xl font-bold text-slate-900 mb-2 flex items-center gap-2">
+                    <Calendar className="h-6 w-6 text-brand-500" />
+                    Reschedule Appointment
+                </h2>
+                <p className="text-sm text-slate-500 mb-6">
+                    {appointment.venueName} · currently {new Date(appointment.date).toLocaleDateString()} @ {appointment.timeSlot}
+                </p>
+
+                {!venue ? (
+                    <p className="text-sm text-red-600 bg-red-50 p-3 rounded-xl">
+                        This venue is not taking bookings right now. You can still cancel the appointment.
+                    </p>
+                ) : (
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">Date</label>
+                            <input
+                                type="date"
+                                required
+                                min={minDate}
+                                readOnly={venue.type === 'camp'}
+                                className="w-full p-2.5 rounded-xl border border-slate-200 focus:border-brand-500 outline-none text-sm"
+                                value={date}
+                                onChange={(e) => { setDate(e.target.value); setTimeSlot(''); }}
+                            />
+                        </div>
+
+                        {availability && (
+                            <div>
+                                <label className="block text-sm font-medium text-slate-700 mb-1">Time Slot</label>
+                                {availability.closedReason ? (
+                                    <p className="text-sm text-red-600 bg-red-50 p-3 rounded-xl">{availability.closedReason}</p>
+                                ) : availability.slots.length === 0 ? (
+                                    <p className="text-sm text-slate-500 bg-slate-50 p-3 rounded-xl">No more slots on this day.</p>
+                                ) : (
+                                    <div className="grid grid-cols-3 gap-2 max-h-[180px] overflow-y-auto pr-1">
+                                        {availability.slots.map(slot => {
+                                            const isCurrent = date === appointment.date && slot.timeSlot === appointment.timeSlot;
+                                            return (
+                                                <button
+                                                    key={slot.timeSlot}
+                                                    type="button"
+                                                    disabled={isCurrent || slot.remaining === 0}
+                                                    onClick={() => setTimeSlot(slot.timeSlot)}
+                                                    className={`py-2 rounded-xl border text-sm transition-all disabled:opacity-40 disabled:cursor-not-allowed ${timeSlot === slot.timeSlot
+                                                        ? 'border-brand-500 bg-brand-50 text-brand-700'
+                                                        : 'border-slate-200 text-slate-600 hover:border-brand-300'
+                                                        }`}
+                                                >
+                                                    <span className="block font-bold">{slot.timeSlot}</span>
+                                                    <span className="block text-xs">
+                                                        {isCurrent ? 'Current' : slot.remaining === 0 ? 'Full' : `${slot.remaining} left`}
+                                                    </span>
+                                                </button>
+                                            );
+                                        })}
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
+                        {appointment.dayOfCheck && (
+                            <p className="text-xs text-amber-600">Your pre-donation check will have to be done again for the new time.</p>
+                        )}
+
+                        <button
+                            type="submit"
+                            disabled={saving || !timeSlot}
+                            className="w-full py-3 bg-brand-500 hover:bg-brand-600 text-white rounded-xl font-bold shadow-md transition-all disabled:opacity-70"
+                        >
+                            {saving ? 'Moving...' : 'Confirm New Time'}
+                        </button>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+}
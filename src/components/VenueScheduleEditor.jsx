@@ -0,0 +1,215 @@
+import React, { useState } from 'react';
+import { Clock, Save, Plus, Trash2, CalendarOff, PartyPopper } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { updateVenueSchedule } from '../lib/firestore';
+import {
+    WEEKDAYS,
+    WEEKDAY_LABELS,
+    SLOT_MINUTE_OPTIONS,
+    getVenueSchedule,
+    getSlotsForDate,
+    validateSchedule
+} from '../lib/venueSchedule';
+
+// Opening hours, slot length, beds, closures and holidays for a hospital
+export default function VenueScheduleEditor({ hospitalId, inventory }) {
+    const [schedule, setSchedule] = useState(() => getVenueSchedule(inventory, 'hospital'));
+    const [closure, setClosure] = useState({ from: '', to: '', reason: '' });
+    const [holiday, setHoliday] = useState({ date: '', name: '' });
+    const [saving, setSaving] = useState(false);
+
+    const setDayHours = (day, hours) => {
+        setSchedule({ ...schedule, weeklyHours: { ...schedule.weeklyHours, [day]: hours } });
+    };
+
+    const handleAddClosure = () => {
+        if (!closure.from) return toast.error("Pick the first closed day");
+        setSchedule({
+            ...schedule,
+            blackoutDates: [...schedule.blackoutDates, { from: closure.from, to: closure.to || closure.from, reason: closure.reason.trim() }]
+        });
+        setClosure({ from: '', to: '', reason: '' });
+    };
+
+    const handleAddHoliday = () => {
+        if (!holiday.date || !holiday.name.trim()) return toast.error("Holidays need a date and a name");
+        // Only month and day are kept, so the holiday repeats every year
+        setSchedule({
+            ...schedule,
+            holidays: [...schedule.holidays, { date: holiday.date.slice(5), name: holiday.name.trim() }]
+        });
+        setHoliday({ date: '', name: '' });
+    };
+
+    const handleSave = async () => {
+        const error = validateSchedule(schedule);
+        if (error) return toast.error(error);
+        setSaving(true);
+        try {
+            await updateVenueSchedule('hospital', hospitalId, schedule);
+            toast.success("Schedule saved");
+        } catch (err) {
+            toast.error(err.message || "Failed to save schedule");
+        }
+        setSaving(false);
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white rounded-2xl shadow-sm border border-slate-100 p-6">
+                <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6">
+                    <h2 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+                        <Clock className="h-5 w-5 text-blue-600" />
+                        Opening Hours
+                    </h2>
+                    <div className="flex gap-4">
+                        <label className="text-sm text-slate-600 flex items-center gap-2">
+                            Slot length
+                            <select
+                                value={schedule.slotMinutes}
+                                onChange={(e) => setSchedule({ ...schedule, slotMinutes: Number(e.target.value) })}
+                                className="p-2 rounded-lg border border-slate-200 text-sm outline-none focus:border-blue-500"
+                            >
+                                {SLOT_MINUTE_OPTIONS.map(m => <option key={m} value={m}>{m} min</option>)}
+                            </select>
+                        </label>
+                        <label className="text-sm text-slate-600 flex items-center gap-2">
+                            Beds per slot
+                            <input
+                                type="number"
+                                min={1}
+                                value={schedule.bedsPerSlot}
+                                onChange={(e) => setSchedule({ ...schedule, bedsPerSlot: Number(e.target.value) })}
+                                className="w-20 p-2 rounded-lg border border-slate-200 text-sm outline-none focus:border-blue-500"
+                            />
+                        </label>
+                    </div>
+                </div>
+
+                <div className="divide-y divide-slate-100">
+                    {WEEKDAYS.map(day => {
+                        const hours = schedule.weeklyHours[day] || [];
+                        const isOpen = hours.length > 0;
+                        return (
+                            <div key={day} className="py-3 flex flex-col sm:flex-row sm:items-center gap-3">
+                                <label className="w-36 flex items-center gap-2 font-medium text-slate-700">
+                                    <input
+                                        type="checkbox"
+                                        checked={isOpen}
+                                        onChange={(e) => setDayHours(day, e.target.checked ? [{ open: '09:00', close: '17:00' }] : [])}
+                                    />
+                                    {WEEKDAY_LABELS[day]}
+                                </label>
+                                {isOpen ? (
+                                    <div className="flex items-center gap-2 text-sm">
+                                        <input
+                                            type="time"
+                                            value={hours[0].open}
+                                            onChange={(e) => setDayHours(day, [{ ...hours[0], open: e.target.value }, ...hours.slice(1)])}
+                                            className="p-2 rounded-lg border border-slate-200 outline-none focus:border-blue-500"
+                                        />
+                                        <span className="text-slate-400">to</span>
+                                        <input
+                                            type="time"
+                                            value={hours[0].close}
+                                            onChange={(e) => setDayHours(day, [{ ...hours[0], close: e.target.value }, ...hours.slice(1)])}
+                                            className="p-2 rounded-lg border border-slate-200 outline-none focus:border-blue-500"
+                                        />
+                                    </div>
+                                ) : (
+                                    <span className="text-sm text-slate-400">Closed</span>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+
+            <div className="grid md:grid-cols-2 gap-6">
+                <div className="bg-white rounded-2xl shadow-sm border border-slate-100 p-6">
+                    <h2 className="text-lg font-bold text-slate-900 flex items-center gap-2 mb-4">
+                        <CalendarOff className="h-5 w-5 text-red-500" />
+                        Closures
+                    </h2>
+                    <div className="grid grid-cols-2 gap-2 mb-2">
+                        <input type="date" value={closure.from} onChange={(e) => setClosure({ ...closure, from: e.target.value })} className="p-2 rounded-lg border border-slate-200 text-sm outline-none" />
+                        <input type="date" value={closure.to} min={closure.from} onChange={(e) => setClosure({ ...closure, to: e.target.value })} className="p-2 rounded-lg border border-slate-200 text-sm outline-none" />
+                    </div>
+                    <div className="flex gap-2 mb-4">
+                        <input
+                            type="text"
+                            value={closure.reason}
+                            onChange={(e) => setClosure({ ...closure, reason: e.target.value })}
+                            placeholder="Reason (e.g. Staff training)"
+                            className="flex-1 p-2 rounded-lg border border-slate-200 text-sm outline-none"
+                        />
+                        <button onClick={handleAddClosure} className="p-2 bg-slate-900 text-white rounded-lg" title="Add closure">
+                            <Plus className="h-4 w-4" />
+                        </button>
+                    </div>
+                    <ScheduleExceptionList
+                        items={schedule.blackoutDates.map(b => `${b.from}${b.to !== b.from ? ` – ${b.to}` : ''}${b.reason ? ` · ${b.reason}` : ''}`)}
+                        emptyText="No closures planned."
+                        onRemove={(idx) => setSchedule({ ...schedule, blackoutDates: schedule.blackoutDates.filter((_, i) => i !== idx) })}
+                    />
+                </div>
+
+                <div className="bg-white rounded-2xl shadow-sm border border-slate-100 p-6">
+                    <h2 className="text-lg font-bold text-slate-900 flex items-center gap-2 mb-4">
+                        <PartyPopper className="h-5 w-5 text-amber-500" />
+                        Yearly Holidays
+                    </h2>
+                    <div className="flex gap-2 mb-4">
+                        <input type="date" value={holiday.date} onChange={(e) => setHoliday({ ...holiday, date: e.target.value })} className="p-2 rounded-lg border border-slate-200 text-sm outline-none" />
+                        <input
+                            type="text"
+                            value={holiday.name}
+                            onChange={(e) => setHoliday({ ...holiday, name: e.target.value })}
+                            placeholder="Holiday name"
+                            className="flex-1 p-2 rounded-lg border border-slate-200 text-sm outline-none"
+                        />
+                        <button onClick={handleAddHoliday} className="p-2 bg-slate-900 text-white rounded-lg" title="Add holiday">
+                            <Plus className="h-4 w-4" />
+                        </button>
+                    </div>
+                    <ScheduleExceptionList
+                        items={schedule.holidays.map(h => `${h.date} · ${h.name}`)}
+                        emptyText="No holidays added."
+                        onRemove={(idx) => setSchedule({ ...schedule, holidays: schedule.holidays.filter((_, i) => i !== idx) })}
+                    />
+                </div>
+            </div>
+
+            <div className="flex flex-col sm:flex-row justify-between items-center gap-4">
+                <p className="text-sm text-slate-500">
+                    A typical {WEEKDAY_LABELS.mon} offers {getSlotsForDate({ ...schedule, blackoutDates: [], holidays: [] }, '2024-01-01').length} slots
+                    of {schedule.slotMinutes} minutes with {schedule.bedsPerSlot} bed(s) each.
+                </p>
+                <button
+                    onClick={handleSave}
+                    disabled={saving}
+                    className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2.5 rounded-xl font-bold shadow-md transition-colors flex items-center gap-2 disabled:opacity-50"
+                >
+                    <Save className="h-4 w-4" />
+                    {saving ? 'Saving...' : 'Save Schedule'}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+function ScheduleExceptionList({ items, emptyText, onRemove }) {
+    if (items.length === 0) return <p className="text-sm text-slate-400">{emptyText}</p>;
+    return (
+        <ul className="divide-y divide-slate-100">
+            {items.map((label, idx) => (
+                <li key={idx} className="py-2 flex justify-between items-center text-sm text-slate-700">
+                    {label}
+                    <button onClick={() => onRemove(idx)} className="text-slate-400 hover:text-red-600" title="Remove">
+                        <Trash2 className="h-4 w-4" />
+                    </button>
+                </li>
+            ))}
+        </ul>
+    );
+}
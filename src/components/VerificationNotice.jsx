@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react';
+import { Clock, XCircle, ShieldCheck, Loader2, FileText } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { subscribeToVerification, submitVerificationRequest } from '../lib/firestore';
+import {
+    VERIFICATION_STATUS,
+    uploadLicenseDocument,
+    validateLicenseFile,
+    LICENSE_CONTENT_TYPES
+} from '../lib/verification';
+
+/**
+ * Shown instead of the hospital dashboard / organizer portal until an admin
+ * has verified the account. Rejected applicants see the admin's notes and can resubmit.
+ * @param {Object} props.details - Request fields used when (re)submitting, e.g. { name, email, licenseId }
+ * @param {Function} props.onApproved - Called once the request is approved, to pick up the new role claim
+ */
+export default function VerificationNotice({ uid, type, details = {}, onApproved }) {
+    const [verification, setVerification] = useState(undefined); // undefined = loading
+    const [licenseFile, setLicenseFile] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+    const needsDocument = type === 'hospital';
+
+    useEffect(() => {
+        return subscribeToVerification(uid, setVerification);
+    }, [uid]);
+
+    const approved = verification?.status === VERIFICATION_STATUS.APPROVED;
+    useEffect(() => {
+        if (approved && onApproved) onApproved();
+    }, [approved, onApproved]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (needsDocument) {
+            const fileError = validateLicenseFile(licenseFile);
+            if (fileError) return toast.error(fileError);
+        }
+
+        setSubmitting(true);
+        try {
+            const licenseDocument = needsDocument ? await uploadLicenseDocument(uid, licenseFile) : undefined;
+            await submitVerificationRequest(uid, {
+                type,
+                ...details,
+                ...(licenseDocument && { licenseDocument })
+            });
+            toast.success("Submitted for review");
+            setLicenseFile(null);
+        } catch (error) {
+            console.error("Error submitting verification:", error);
+            toast.error(error.message || "Failed to submit for review");
+        }
+        setSubmitting(false);
+    };
+
+    if (verification === undefined || approved) {
+        return (
+            <div className="flex justify-center p-12">
+                <Loader2 className="h-8 w-8 text-slate-400 animate-spin" />
+            </div>
+        );
+    }
+
+    const pending = verification?.status === VERIFICATION_STATUS.PENDING;
+    const rejected = verification?.status === VERIFICATION_STATUS.REJECTED;
+
+    return (
+        <div className="max-w-xl mx-auto bg-white rounded-2xl shadow-sm border border-slate-100 p-8 text-center">
+            {pending ? (
+                <>
+                    <Clock className="h-12 w-12 text-amber-500 mx-auto mb-4" />
+                    <h2 className="text-2xl font-bold text-slate-900">Verification in progress</h2>
+                    <p className="text-slate-500 mt-2">
+                        An admin is reviewing your {type === 'hospital' ? 'license' : 'organization'}.
+                        {type === 'hospital'
+                            ? ' Your hospital will appear on the map and in search once it is approved.'
+                            : ' You can publish donation camps once it is approved.'}
+                    </p>
+                    <p className="text-xs text-slate-400 mt-4">Submitted {new Date(verification.submittedAt).toLocaleString()}</p>
+                </>
+            ) : (
+                <>
+                    {rejected ? (
+                        <>
+                            <XCircle className="h-12 w-12 text-red-500 mx-auto mb-4" />
+                            <h2 className="text-2xl font-bold text-slate-900">Verification not approved</h2>
+                            {verification.reviewNotes && (
+                                <p className="mt-4 p-4 bg-red-50 border border-red-100 rounded-xl text-sm text-red-700 text-left">
+                                    {verification.reviewNotes}
+                                </p>
+                            )}
+                        </>
+                    ) : (
+                        <>
+                            <ShieldCheck className="h-12 w-12 text-blue-500 mx-auto mb-4" />
+                            <h2 className="text-2xl font-bold text-slate-900">Verify your account</h2>
+                            <p className="text-slate-500 mt-2">Accounts need to be verified by an admin before they go live.</p>
+                        </>
+                    )}
+
+                    <form onSubmit={handleSubmit} className="mt-6 space-y-4 text-left">
+                        {needsDocument && (
+                            <div>
+                                <label className="block text-sm font-medium text-slate-700 mb-1 flex items-center gap-1">
+                                    <FileText className="h-4 w-4" /> License Proof
+                                </label>
+                                <input
+                                    type="file"
+                                    required
+                                    accept={LICENSE_CONTENT_TYPES.join(',')}
+                                    onChange={(e) => setLicenseFile(e.target.files[0] || null)}
+                                    className="block w-full text-sm border border-slate-200 rounded-xl py-2 px-3"
+                                />
+                            </div>
+                        )}
+                        <button
+                            type="submit"
+                            disabled={submitting}
+                            className="w-full bg-slate-900 hover:bg-slate-800 text-white font-bold py-3 rounded-xl flex items-center justify-center gap-2 disabled:opacity-70"
+                        >
+                            {submitting && <Loader2 className="h-4 w-4 animate-spin" />}
+                            {rejected ? 'Resubmit for Review' : 'Submit for Review'}
+                        </button>
+                    </form>
+                </>
+            )}
+        </div>
+    );
+}
@@ -6,8 +6,11 @@ import {
     onAuthStateChanged,
     updateProfile
 } from 'firebase/auth';
+import { toast } from 'react-hot-toast';
 import { auth } from '../lib/firebase';
 import { getUserProfile } from '../lib/firestore'; // Assuming this import exists or will be added
+import { syncPushToken, unregisterDevice, listenForForegroundMessages } from '../lib/notifications';
+import { getVerifiedRole } from '../lib/roles';
 
 const AuthContext = createContext();
 
@@ -19,6 +22,7 @@ export function AuthProvider({ children }) {
     const [currentUser, setCurrentUser] = useState(null);
     const [loading, setLoading] = useState(true);
     const [userRole, setUserRole] = useState(null);
+    const [verifiedRole, setVerifiedRole] = useState(null); // From custom claims
 
     function signup(email, password, fullName) {
         return createUserWithEmailAndPassword(auth, email, password).then(async (userCredential) => {
@@ -33,10 +37,20 @@ export function AuthProvider({ children }) {
         return signInWithEmailAndPassword(auth, email, password);
     }
 
-    function logout() {
+    async function logout() {
+        // Has to happen while still signed in
+        if (auth.currentUser) await unregisterDevice(auth.currentUser.uid);
         return signOut(auth);
     }
 
+    // Claims only change on token refresh, e.g. right after an admin approves the account
+    async function refreshVerifiedRole() {
+        if (!auth.currentUser) return null;
+        const role = await getVerifiedRole(auth.currentUser, true);
+        setVerifiedRole(role);
+        return role;
+    }
+
     useEffect(() => {
         const unsubscribe = onAuthStateChanged(auth, async (user) => {
             if (user) {
@@ -46,14 +60,19 @@ export function AuthProvider({ children }) {
                     // This is a safeguard, though awaiting createUserProfile in Register should handle it
                     const profile = await getUserProfile(user.uid);
                     setUserRole(profile?.role);
+                    setVerifiedRole(await getVerifiedRole(user, true));
                 } catch (error) {
                     console.error("Error fetching user role:", error);
                     setUserRole(null);
+                    setVerifiedRole(null);
                 }
                 setCurrentUser(user);
+                // Refresh this device's push token if the user already allowed notifications
+                syncPushToken(user.uid);
             } else {
                 setCurrentUser(null);
                 setUserRole(null);
+                setVerifiedRole(null);
             }
             setLoading(false);
         });
@@ -61,9 +80,23 @@ export function AuthProvider({ children }) {
         return unsubscribe;
     }, []);
 
+    // Show pushes as toasts while the app is in the foreground. The search page
+    // announces watchlist matches itself, so those are skipped there.
+    useEffect(() => {
+        return listenForForegroundMessages((payload) => {
+            if (payload.data?.type === 'watchlist_match' && window.location.pathname === '/search') return;
+            const { title, body } = payload.notification || {};
+            if (title || body) {
+                toast(`${title ? `${title}: ` : ''}${body || ''}`, { icon: '🔔', duration: 8000 });
+            }
+        });
+    }, []);
+
     const value = {
         currentUser,
         userRole,
+        verifiedRole,
+        refreshVerifiedRole,
         signup,
         login,
         logout
@@ -0,0 +1,67 @@
+// Calendar Export
+// .ics downloads, the Google Calendar link and the donor's feed URL. The
+// iCalendar builder itself is shared with the calendarFeed function, see
+// functions/shared/calendar.js.
+import {
+  DEFAULT_EVENT_MINUTES,
+  formatLocal,
+  buildCalendar as buildVenueCalendar
+} from '../../functions/shared/calendar.js';
+import { toMinutes } from './venueSchedule';
+
+export { getAppointmentEvent } from '../../functions/shared/calendar.js';
+
+// Appointment days and slots are the venues' local time (APP_TIME_ZONE on the functions)
+export const APP_TIME_ZONE = import.meta.env.VITE_APP_TIME_ZONE || 'Asia/Kolkata';
+
+// Subscribable feed served by the calendarFeed function
+export const CALENDAR_FEED_URL = import.meta.env.VITE_CALENDAR_FEED_URL
+  || `https://us-central1-${import.meta.env.VITE_FIREBASE_PROJECT_ID}.cloudfunctions.net/calendarFeed`;
+
+// Same options as the shared builder, in the venues' time zone unless told otherwise
+export const buildCalendar = (options) => buildVenueCalendar({ timeZone: APP_TIME_ZONE, ...options });
+
+// camp is a donationCamps doc with its id
+export const getCampEvent = (camp) => {
+  const start = toMinutes(camp.startTime) ?? 9 * 60;
+  const end = toMinutes(camp.endTime) ?? start + DEFAULT_EVENT_MINUTES;
+  return {
+    uid: `camp-${camp.id}@lifeline.app`,
+    date: camp.date,
+    startMinutes: start,
+    durationMinutes: Math.max(end - start, DEFAULT_EVENT_MINUTES),
+    summary: `Blood donation camp: ${camp.campName || camp.organizerName}`,
+    description: camp.description || `Organised by ${camp.organizerName || 'LifeLine'}.`,
+    location: camp.address || (typeof camp.location === 'string' ? camp.location : ''),
+    geo: camp.location?.lat !== undefined ? camp.location : null
+  };
+};
+
+// Saves an .ics file through the browser
+export const downloadCalendar = (filename, content) => {
+  const url = URL.createObjectURL(new Blob([content], { type: 'text/calendar;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Google Calendar cannot import a file from a link, so it gets a prefilled event instead
+export const getGoogleCalendarUrl = (event, timeZone = APP_TIME_ZONE) => {
+  const params = new URLSearchParams({
+    action: 'TEMPLATE',
+    text: event.summary,
+    dates: `${formatLocal(event.date, event.startMinutes)}/${formatLocal(event.date, event.startMinutes + event.durationMinutes)}`,
+    ctz: timeZone,
+    details: event.description || '',
+    location: event.location || ''
+  });
+  return `https://calendar.google.com/calendar/render?${params}`;
+};
+
+// Subscribing with webcal:// lets Apple Calendar and Outlook refresh the feed
+export const getCalendarFeedUrls = (token) => {
+  const https = `${CALENDAR_FEED_URL}?token=${token}`;
+  return { https, webcal: https.replace(/^https?:/, 'webcal:') };
+};
@@ -0,0 +1,102 @@
+// Donation Certificates (certificates/{certificateId})
+// Issued by completeAppointment when a venue records a donation. The ID is printed
+// on the PDF with a QR code for /verify/:certificateId, which reads the record, so a
+// certificate only counts if it exists there and the venue has not revoked it.
+import QRCode from 'qrcode';
+import { DONATION_TYPE_LABELS, DEFAULT_DONATION_TYPE } from '../../functions/shared/donationEligibility.js';
+
+export const CERTIFICATE_STATUS = {
+  VALID: 'valid',
+  REVOKED: 'revoked'
+};
+
+// No 0/O or 1/I, so IDs read back from paper are unambiguous
+const ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// 'LF-' and 10 random characters, e.g. 'LF-7KQ2M9XH4C'
+export const generateCertificateId = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(10));
+  return `LF-${Array.from(bytes, b => ID_ALPHABET[b % ID_ALPHABET.length]).join('')}`;
+};
+
+export const getVerifyUrl = (certificateId) => `${window.location.origin}/verify/${encodeURIComponent(certificateId)}`;
+
+export const getCertificateQrCode = (certificateId) =>
+  QRCode.toDataURL(getVerifyUrl(certificateId), { margin: 1, width: 240, errorCorrectionLevel: 'M' });
+
+/**
+ * Renders the certificate to an A4 landscape PDF and saves it.
+ * jsPDF is only loaded when a certificate is downloaded.
+ * @param {Object} certificate - certificates doc with its id
+ */
+export const downloadCertificatePdf = async (certificate) => {
+  const [{ jsPDF }, qrCode] = await Promise.all([import('jspdf'), getCertificateQrCode(certificate.id)]);
+  const pdf = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+  const width = pdf.internal.pageSize.getWidth();
+  const height = pdf.internal.pageSize.getHeight();
+  const center = width / 2;
+
+  // Frame
+  pdf.setDrawColor(15, 23, 42);
+  pdf.setLineWidth(1.2);
+  pdf.rect(10, 10, width - 20, height - 20);
+  pdf.setDrawColor(220, 38, 38);
+  pdf.setLineWidth(0.6);
+  pdf.rect(14, 14, width - 28, height - 28);
+
+  pdf.setFont('times', 'bold');
+  pdf.setFontSize(36);
+  pdf.setTextColor(15, 23, 42);
+  pdf.text('CERTIFICATE', center, 45, { align: 'center' });
+  pdf.setFont('times', 'normal');
+  pdf.setFontSize(16);
+  pdf.setTextColor(71, 85, 105);
+  pdf.text('OF APPRECIATION', center, 55, { align: 'center' });
+
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(13);
+  pdf.text('This certificate is proudly presented to', center, 75, { align: 'center' });
+  pdf.setFont('times', 'bolditalic');
+  pdf.setFontSize(30);
+  pdf.setTextColor(220, 38, 38);
+  pdf.text(certificate.donorName || 'Blood Donor', center, 92, { align: 'center' });
+
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(13);
+  pdf.setTextColor(71, 85, 105);
+  const donationType = DONATION_TYPE_LABELS[certificate.donationType || DEFAULT_DONATION_TYPE].toLowerCase();
+  const body = `For the selfless act of donating ${donationType} (${certificate.bloodType}) at ${certificate.venueName} ` +
+    `on ${new Date(certificate.donatedAt).toLocaleDateString()}. Your contribution has helped save lives.`;
+  pdf.text(pdf.splitTextToSize(body, 190), center, 106, { align: 'center' });
+
+  // Certificate ID and verification
+  pdf.setFontSize(9);
+  pdf.setTextColor(148, 163, 184);
+  pdf.text('CERTIFICATE ID', 30, 150);
+  pdf.text('DATE OF ISSUE', 30, 166);
+  pdf.setFont('courier', 'normal');
+  pdf.setFontSize(12);
+  pdf.setTextColor(15, 23, 42);
+  pdf.text(certificate.id, 30, 156);
+  pdf.text(new Date(certificate.issuedAt).toLocaleDateString(), 30, 172);
+
+  pdf.addImage(qrCode, 'PNG', center - 20, 140, 40, 40);
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(8);
+  pdf.setTextColor(100, 116, 139);
+  pdf.text('Scan to verify', center, 184, { align: 'center' });
+
+  pdf.setDrawColor(148, 163, 184);
+  pdf.setLineWidth(0.3);
+  pdf.line(width - 100, 165, width - 30, 165);
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(10);
+  pdf.setTextColor(15, 23, 42);
+  pdf.text(certificate.venueName, width - 65, 171, { align: 'center', maxWidth: 70 });
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(8);
+  pdf.setTextColor(100, 116, 139);
+  pdf.text('ISSUING VENUE', width - 65, 176, { align: 'center' });
+
+  pdf.save(`certificate-${certificate.id}.pdf`);
+};
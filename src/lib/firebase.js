@@ -2,6 +2,8 @@ import { initializeApp } from "firebase/app";
 import { getAuth } from "firebase/auth";
 import { getFirestore } from "firebase/firestore";
 import { getMessaging } from "firebase/messaging";
+import { getFunctions } from "firebase/functions";
+import { getStorage } from "firebase/storage";
 
 // Your web app's Firebase configuration
 const firebaseConfig = {
@@ -18,6 +20,8 @@ let app;
 let auth;
 let db;
 let messaging;
+let functions;
+let storage;
 
 try {
   // Check if config is present
@@ -29,6 +33,8 @@ try {
   auth = getAuth(app);
   db = getFirestore(app);
   messaging = getMessaging(app);
+  functions = getFunctions(app);
+  storage = getStorage(app);
 } catch (error) {
   console.error("Firebase Initialization Error:", error);
   // Show visible error on screen since React might not mount
@@ -46,5 +52,5 @@ try {
   }
 }
 
-export { auth, db, messaging };
+export { auth, db, messaging, functions, storage };
 export default app;
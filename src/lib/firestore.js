@@ -1,4 +1,5 @@
-import { db } from './firebase';
+import { db, auth, functions } from './firebase';
+import { httpsCallable } from 'firebase/functions';
 import { 
   collection, 
   doc, 
@@ -10,8 +11,63 @@ import {
   where, 
   getDocs,
   onSnapshot,
-  arrayUnion
+  collectionGroup,
+  arrayUnion,
+  orderBy,
+  startAt,
+  endAt,
+  limit,
+  runTransaction,
+  writeBatch,
+  deleteField,
+  increment
 } from 'firebase/firestore';
+import {
+  BLOOD_TYPES,
+  BLOOD_COMPONENTS,
+  DEFAULT_COMPONENT,
+  getCompatibleDonorTypes,
+  findBestAvailableType,
+  getComponentStock,
+  isCompatible,
+  getMatchLabel,
+  rankByCompatibility,
+  getMatchRank
+} from '../../functions/shared/bloodCompatibility.js';
+import {
+  UNIT_STATUS,
+  PROCESSING_STATUSES,
+  SHELF_STATUSES,
+  LEDGER_REASONS,
+  canTransitionUnit,
+  getDefaultExpiryDate,
+  isUnitExpired,
+  generateBagId
+} from '../../functions/shared/bloodUnits.js';
+import { getGeohash, getGeohashBounds, getDistanceKm, isValidLocation, DEFAULT_SEARCH_RADIUS_KM } from './geo';
+import { VERIFICATION_STATUS, VENUE_STATUS } from './verification';
+import { EMERGENCY_STATUS, RESPONSE_STATUS } from '../../functions/shared/emergency.js';
+import {
+  DONATION_TYPE_LABELS,
+  DEFAULT_DONATION_TYPE,
+  getNextEligibleDate,
+  isEligibleOnDate
+} from '../../functions/shared/donationEligibility.js';
+import {
+  DEFAULT_QUESTIONNAIRE,
+  QUESTIONNAIRE_STATUS,
+  SCREENING_RESULT,
+  SCREENING_TIERS,
+  isScreeningCurrent
+} from '../../functions/shared/questionnaire.js';
+import { parseTimeSlot, getSlotId } from '../../functions/shared/appointments.js';
+import { getVenueSchedule, getSlotsForDate, findSlot, getClosureReason } from './venueSchedule';
+import { CERTIFICATE_STATUS, generateCertificateId } from './certificates';
+import { LEADERBOARD_SCOPES, LEADERBOARD_SIZE, getLeaderboardKey } from './rewards';
+import { MESSAGE_TYPES, MAX_MESSAGE_LENGTH } from '../../functions/shared/chat.js';
+import { REQUEST_STATUS } from '../../functions/shared/requestLifecycle.js';
+import { CASE_STATUS, MAX_CASE_UNITS } from '../../functions/shared/cases.js';
+import { TRANSFER_STATUS, MAX_TRANSFER_UNITS } from '../../functions/shared/transfers.js';
 
 
 
@@ -53,16 +109,47 @@ export const subscribeToUserProfile = (uid, callback) => {
   });
 };
 
+// Contact Number (users/{uid}/private/contact)
+// Only the owner and the call relay functions read it; nobody else ever sees it.
+const contactRef = (uid) => doc(db, 'users', uid, 'private', 'contact');
+
+// Profiles saved before the number moved here still have it on the users doc
+export const getContactPhone = async (uid, profile = null) => {
+  try {
+    const snap = await getDoc(contactRef(uid));
+    return snap.data()?.phone || profile?.donorProfile?.phone || profile?.phone || '';
+  } catch (error) {
+    console.error("Error getting contact number:", error);
+    throw error;
+  }
+};
+
+export const saveContactPhone = async (uid, phone) => {
+  try {
+    await setDoc(contactRef(uid), {
+      phone: phone?.trim() || null,
+      updatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error("Error saving contact number:", error);
+    throw error;
+  }
+};
+
 export const updateDonorStatus = async (uid, donorData) => {
   try {
+    const { bloodType, phone, city, sex, location } = donorData;
     const userRef = doc(db, 'users', uid);
+    await saveContactPhone(uid, phone);
+    // Field by field, so the counters and dates the venues and functions keep survive
     await updateDoc(userRef, {
       isDonor: true,
-      donorProfile: {
-        ...donorData,
-        lastDonation: null,
-        totalDonations: 0
-      }
+      'donorProfile.bloodType': bloodType,
+      'donorProfile.city': city,
+      'donorProfile.sex': sex || null,
+      // Coordinates + geohash make the donor visible to searchNearby
+      'donorProfile.location': isValidLocation(location) ? { lat: location.lat, lng: location.lng } : null,
+      'donorProfile.geohash': getGeohash(location)
     });
   } catch (error) {
     console.error("Error updating donor status:", error);
@@ -70,37 +157,278 @@ export const updateDonorStatus = async (uid, donorData) => {
   }
 };
 
-export const updateDonorEligibility = async (uid, isEligible) => {
+export const updateDonorLocation = async (uid, location) => {
   try {
-    const userRef = doc(db, 'users', uid);
-    await updateDoc(userRef, {
-      isEligible: isEligible,
-      lastChecked: new Date().toISOString()
+    if (!isValidLocation(location)) return;
+    await updateDoc(doc(db, 'users', uid), {
+      'donorProfile.location': { lat: location.lat, lng: location.lng },
+      'donorProfile.geohash': getGeohash(location)
+    });
+  } catch (error) {
+    console.error("Error updating donor location:", error);
+    throw error;
+  }
+};
+
+// Eligibility Questionnaires (questionnaires/{id})
+// Published versions are frozen; see functions/shared/questionnaire.js for the rule format.
+// Falls back to the bundled questionnaire until an admin publishes one.
+export const getActiveQuestionnaire = async () => {
+  try {
+    const q = query(
+      collection(db, 'questionnaires'),
+      where('status', '==', QUESTIONNAIRE_STATUS.ACTIVE),
+      orderBy('version', 'desc'),
+      limit(1)
+    );
+    const snapshot = await getDocs(q);
+    if (snapshot.empty) return DEFAULT_QUESTIONNAIRE;
+    const latest = snapshot.docs[0];
+    return { id: latest.id, ...latest.data() };
+  } catch (error) {
+    console.error("Error fetching questionnaire:", error);
+    throw error;
+  }
+};
+
+// Admin console list, newest version first
+export const subscribeToQuestionnaires = (callback) => {
+  const q = query(collection(db, 'questionnaires'), orderBy('version', 'desc'));
+  return onSnapshot(q, (snapshot) => {
+    callback(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+  }, (error) => {
+    console.error("Error subscribing to questionnaires:", error);
+  });
+};
+
+/**
+ * Publishes a questionnaire as the next version and retires the active one.
+ * The doc ID is the version ('v3'), so two admins publishing at once cannot
+ * both create the same version.
+ * @returns {Promise<number>} The new version number
+ */
+export const publishQuestionnaire = async ({ title, questions, regions = {} }) => {
+  try {
+    const existing = await getDocs(collection(db, 'questionnaires'));
+    const version = existing.docs.reduce((max, d) => Math.max(max, d.data().version || 0), DEFAULT_QUESTIONNAIRE.version) + 1;
+    const now = new Date().toISOString();
+
+    await runTransaction(db, async (transaction) => {
+      const ref = doc(db, 'questionnaires', `v${version}`);
+      if ((await transaction.get(ref)).exists()) {
+        throw new Error(`Version ${version} was just published by someone else. Please try again.`);
+      }
+      existing.docs
+        .filter(d => d.data().status === QUESTIONNAIRE_STATUS.ACTIVE)
+        .forEach(d => transaction.update(d.ref, { status: QUESTIONNAIRE_STATUS.RETIRED, retiredAt: now }));
+      transaction.set(ref, {
+        version,
+        title,
+        questions,
+        regions,
+        status: QUESTIONNAIRE_STATUS.ACTIVE,
+        publishedBy: auth.currentUser?.uid || null,
+        publishedAt: now
+      });
+    });
+    return version;
+  } catch (error) {
+    console.error("Error publishing questionnaire:", error);
+    throw error;
+  }
+};
+
+/**
+ * Sends the donor's baseline answers to the submitEligibilityQuestionnaire function,
+ * which evaluates them against the active questionnaire, keeps them in
+ * users/{uid}/eligibilitySubmissions for audit and updates the donor's eligibility
+ * until screeningExpiresAt. Passing does not make a donor eligible while their last
+ * recorded donation is still within its interval.
+ * @returns {Promise<{status: string, deferredUntil: string|null, outcomes: Array, isEligible: boolean, nextEligibleDate: string|null}>}
+ */
+export const submitEligibilityQuestionnaire = async ({ questionnaire, region, answers }) => {
+  try {
+    const submit = httpsCallable(functions, 'submitEligibilityQuestionnaire');
+    const { data } = await submit({ questionnaireId: questionnaire.id, region, answers });
+    return data;
+  } catch (error) {
+    console.error("Error saving questionnaire:", error);
+    throw error;
+  }
+};
+
+// Day-of rejections, see onDayOfCheckSubmitted
+const DAY_OF_REJECTION_MESSAGES = {
+  outside_window: "The pre-donation check is not open for this appointment right now.",
+  incomplete: "The questionnaire was just updated. Please answer it again."
+};
+
+const DAY_OF_CHECK_TIMEOUT_MS = 30 * 1000;
+
+// Resolves with the server's evaluation of a day-of submission
+const waitForDayOfCheck = (submissionRef) => new Promise((resolve, reject) => {
+  let unsubscribe = () => {};
+  const timer = setTimeout(() => {
+    unsubscribe();
+    reject(new Error("Your answers were saved but are still being checked. Please look again in a minute."));
+  }, DAY_OF_CHECK_TIMEOUT_MS);
+  unsubscribe = onSnapshot(submissionRef, (snapshot) => {
+    const data = snapshot.data();
+    if (!data?.result && !data?.rejected) return;
+    clearTimeout(timer);
+    unsubscribe();
+    if (data.rejected) {
+      reject(new Error(DAY_OF_REJECTION_MESSAGES[data.rejected]));
+    } else {
+      resolve({ status: data.result, deferredUntil: data.deferredUntil, outcomes: data.outcomes });
+    }
+  }, (error) => {
+    clearTimeout(timer);
+    reject(error);
+  });
+});
+
+/**
+ * Saves a day-of check for one appointment. The answers go to the same audit
+ * trail as baseline screenings and the appointment names the submission; the
+ * onDayOfCheckSubmitted function then copies the outcome onto the appointment,
+ * where the venue needs to see it before taking blood.
+ * @returns {Promise<{status: string, deferredUntil: string|null, outcomes: Array}>} once evaluated
+ */
+export const submitDayOfCheck = async (uid, appointmentId, { questionnaire, answers }) => {
+  try {
+    const now = new Date().toISOString();
+    const submissionRef = doc(collection(db, 'users', uid, 'eligibilitySubmissions'));
+    const batch = writeBatch(db);
+    batch.set(submissionRef, {
+      tier: SCREENING_TIERS.DAY_OF,
+      appointmentId,
+      questionnaireId: questionnaire.id,
+      questionnaireVersion: questionnaire.version,
+      answers,
+      submittedAt: now
     });
+    batch.update(doc(db, 'appointments', appointmentId), {
+      dayOfCheck: { submissionId: submissionRef.id, submittedAt: now },
+      updatedAt: now
+    });
+    await batch.commit();
+    return await waitForDayOfCheck(submissionRef);
+  } catch (error) {
+    console.error("Error saving day-of check:", error);
+    throw error;
+  }
+};
+
+// Push Devices (users/{uid}/devices/{deviceId})
+// One doc per browser install. The FCM token lives here so a user can get pushes
+// on every device they use; see src/lib/notifications.js.
+const devicesCollection = (uid) => collection(db, 'users', uid, 'devices');
+
+export const saveDevice = async (uid, deviceId, deviceData) => {
+  try {
+    const deviceRef = doc(devicesCollection(uid), deviceId);
+    const now = new Date().toISOString();
+    const existing = await getDoc(deviceRef);
+    await setDoc(deviceRef, {
+      ...deviceData,
+      ...(existing.exists() ? {} : { createdAt: now }),
+      tokenUpdatedAt: now,
+      lastSeenAt: now
+    }, { merge: true });
   } catch (error) {
-    console.error("Error updating eligibility:", error);
+    console.error("Error saving device:", error);
     throw error;
   }
 };
 
+export const touchDevice = async (uid, deviceId) => {
+  try {
+    await updateDoc(doc(devicesCollection(uid), deviceId), {
+      lastSeenAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error("Error updating device last seen:", error);
+  }
+};
+
+export const removeDevice = async (uid, deviceId) => {
+  try {
+    await deleteDoc(doc(devicesCollection(uid), deviceId));
+  } catch (error) {
+    console.error("Error removing device:", error);
+    throw error;
+  }
+};
+
+export const subscribeToDevices = (uid, callback) => {
+  const q = query(devicesCollection(uid), orderBy('lastSeenAt', 'desc'));
+  return onSnapshot(q, (snapshot) => {
+    callback(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+  }, (error) => {
+    console.error("Error subscribing to devices:", error);
+  });
+};
+
+
+// Calendar Feeds (calendarFeeds/{token})
+// The token in a donor's subscribable calendar URL; served by the calendarFeed function.
+export const getCalendarFeedToken = async (uid) => {
+  try {
+    const q = query(collection(db, 'calendarFeeds'), where('uid', '==', uid), limit(1));
+    const snapshot = await getDocs(q);
+    return snapshot.empty ? null : snapshot.docs[0].id;
+  } catch (error) {
+    console.error("Error getting calendar feed:", error);
+    throw error;
+  }
+};
+
+export const createCalendarFeed = async (uid) => {
+  try {
+    const bytes = crypto.getRandomValues(new Uint8Array(20));
+    const token = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    await setDoc(doc(db, 'calendarFeeds', token), {
+      uid,
+      createdAt: new Date().toISOString()
+    });
+    return token;
+  } catch (error) {
+    console.error("Error creating calendar feed:", error);
+    throw error;
+  }
+};
+
+// Calendars already subscribed to the URL stop updating
+export const revokeCalendarFeed = async (token) => {
+  try {
+    await deleteDoc(doc(db, 'calendarFeeds', token));
+  } catch (error) {
+    console.error("Error revoking calendar feed:", error);
+    throw error;
+  }
+};
 
 // Search Functionality : Preetika
-export const searchDonors = async (bloodType, location) => {
+// bloodType is the group the patient needs; compatible donor groups are included
+// and results come back ranked exact-first with a matchLabel for the rest.
+export const searchDonors = async (bloodType, location, component = DEFAULT_COMPONENT) => {
   try {
     let results = [];
+    const compatibleTypes = getCompatibleDonorTypes(bloodType, component);
     
-    // 1. Search Individual Donors
-    const usersRef = collection(db, 'users');
-    // Filter for donors who are both registered (isDonor) and eligible (isEligible)
-    let qUsers = query(usersRef, where("isDonor", "==", true), where("isEligible", "==", true));
+    // 1. Search Individual Donors (donors/{uid} only lists registered, eligible donors)
+    let qUsers = collection(db, 'donors');
     
     if (bloodType) {
-      qUsers = query(qUsers, where("donorProfile.bloodType", "==", bloodType));
+      qUsers = query(qUsers, where("donorProfile.bloodType", "in", compatibleTypes));
     }
 
     const userSnapshot = await getDocs(qUsers);
     userSnapshot.forEach((doc) => {
       const data = doc.data();
+      // Baseline answers past their window no longer count, even before the nightly job flips isEligible
+      if (!isScreeningCurrent(data)) return;
       if (!location || (data.donorProfile.city && data.donorProfile.city.toLowerCase().includes(location.toLowerCase()))) {
         results.push({ 
           id: doc.id, 
@@ -112,23 +440,26 @@ export const searchDonors = async (bloodType, location) => {
 
     // 2. Search Hospital Inventory
     const inventoryRef = collection(db, 'inventory');
-    let qInventory = query(inventoryRef, where("status", "==", "available"));
-
-    if (bloodType) {
-      qInventory = query(qInventory, where("bloodType", "==", bloodType));
-    }
+    const qInventory = query(inventoryRef, where("status", "==", VENUE_STATUS.ACTIVE));
 
     const inventorySnapshot = await getDocs(qInventory);
     inventorySnapshot.forEach((doc) => {
       const data = doc.data();
-      if (!location || (data.location && data.location.toLowerCase().includes(location.toLowerCase()))) {
+      // 'location' holds {lat, lng} on hospital docs, so match on the address text
+      const address = typeof data.location === 'string' ? data.location : data.address;
+      const stock = getComponentStock(data, component);
+      const availableType = bloodType
+        ? findBestAvailableType(stock, bloodType, component)
+        : Object.keys(stock).find(type => stock[type] > 0);
+
+      if (availableType && (!location || (address && address.toLowerCase().includes(location.toLowerCase())))) {
         results.push({ 
           id: doc.id, 
           type: 'hospital',
           // Normalizing structure to match UI expectation
           donorProfile: {
-            bloodType: data.bloodType,
-            city: data.location,
+            bloodType: availableType,
+            city: address,
             phone: data.phoneNumber || '', // Include phone number from inventory
           },
           email: 'Hospital Inventory', // Placeholder
@@ -139,21 +470,135 @@ export const searchDonors = async (bloodType, location) => {
       }
     });
     
-    return results;
+    return rankByCompatibility(results, bloodType, r => r.donorProfile.bloodType, component);
   } catch (error) {
     console.error("Error searching:", error);
     throw error;
   }
 };
 
+// Radius Search
+// Each geohash bound becomes one range query; the bounds over-cover the circle,
+// so every hit is re-checked against the real distance before it is returned.
+const queryByGeohash = async (baseQuery, field, center, radiusKm) => {
+  const bounds = getGeohashBounds(center, radiusKm);
+  const snapshots = await Promise.all(bounds.map(([start, end]) =>
+    getDocs(query(baseQuery, orderBy(field), startAt(start), endAt(end)))
+  ));
+
+  const docs = new Map(); // Adjacent bounds can return the same doc twice
+  snapshots.forEach(snapshot => snapshot.docs.forEach(d => docs.set(d.id, d)));
+  return [...docs.values()];
+};
+
+/**
+ * Finds donors, hospitals and (optionally) camps within radiusKm of a point.
+ * @param {Object} params - { lat, lng, radiusKm, bloodType, component, types }
+ * @returns {Promise<Array>} Results with `type` and `distanceKm`, nearest first
+ */
+export const searchNearby = async ({
+  lat,
+  lng,
+  radiusKm = DEFAULT_SEARCH_RADIUS_KM,
+  bloodType = '',
+  component = DEFAULT_COMPONENT,
+  types = ['donor', 'hospital']
+}) => {
+  try {
+    const center = { lat, lng };
+    if (!isValidLocation(center)) {
+      throw new Error("searchNearby needs a valid lat/lng.");
+    }
+
+    const results = [];
+    const withinRadius = (location) => {
+      const distanceKm = getDistanceKm(center, location);
+      return distanceKm !== null && distanceKm <= radiusKm ? distanceKm : null;
+    };
+
+    // 1. Individual Donors
+    if (types.includes('donor')) {
+      const userDocs = await queryByGeohash(collection(db, 'donors'), 'donorProfile.geohash', center, radiusKm);
+      userDocs.forEach((docSnap) => {
+        const data = docSnap.data();
+        if (!isScreeningCurrent(data)) return;
+        const donorType = data.donorProfile?.bloodType;
+        if (bloodType && !isCompatible(donorType, bloodType, component)) return;
+
+        const distanceKm = withinRadius(data.donorProfile?.location);
+        if (distanceKm === null) return;
+
+        results.push({
+          id: docSnap.id,
+          type: 'donor',
+          ...data,
+          distanceKm,
+          matchedBloodType: donorType,
+          matchLabel: getMatchLabel(donorType, bloodType)
+        });
+      });
+    }
+
+    // 2. Hospital Inventory
+    if (types.includes('hospital')) {
+      const qInventory = query(collection(db, 'inventory'), where("status", "==", VENUE_STATUS.ACTIVE));
+      const inventoryDocs = await queryByGeohash(qInventory, 'geohash', center, radiusKm);
+      inventoryDocs.forEach((docSnap) => {
+        const data = docSnap.data();
+        const availableType = bloodType ? findBestAvailableType(getComponentStock(data, component), bloodType, component) : null;
+        if (bloodType && !availableType) return;
+
+        const distanceKm = withinRadius(data.location);
+        if (distanceKm === null) return;
+
+        results.push({
+          id: docSnap.id,
+          type: 'hospital',
+          ...data,
+          distanceKm,
+          matchedBloodType: availableType,
+          matchLabel: getMatchLabel(availableType, bloodType)
+        });
+      });
+    }
+
+    // 3. Donation Camps (blood type does not apply)
+    if (types.includes('camp')) {
+      const qCamps = query(collection(db, 'donationCamps'), where("status", "==", "upcoming"));
+      const campDocs = await queryByGeohash(qCamps, 'geohash', center, radiusKm);
+      campDocs.forEach((docSnap) => {
+        const data = docSnap.data();
+        const distanceKm = withinRadius(data.location);
+        if (distanceKm === null) return;
+        results.push({ id: docSnap.id, type: 'camp', ...data, distanceKm });
+      });
+    }
+
+    // Nearest first; at equal distance an exact blood group beats a substitute
+    return results.sort((a, b) => {
+      if (a.distanceKm !== b.distanceKm) return a.distanceKm - b.distanceKm;
+      if (!bloodType) return 0;
+      return getMatchRank(a.matchedBloodType, bloodType) - getMatchRank(b.matchedBloodType, bloodType);
+    });
+  } catch (error) {
+    console.error("Error searching nearby:", error);
+    throw error;
+  }
+};
+
 // Watchlist Functionality
-export const addToWatchlist = async (uid, bloodType, location) => {
+// center is the resolved {lat, lng} of the search; without it matching falls back to the place name
+export const addToWatchlist = async (uid, bloodType, location, component = DEFAULT_COMPONENT, center = null) => {
   try {
     const watchlistRef = doc(collection(db, 'watchlists'));
     await setDoc(watchlistRef, {
       userId: uid,
       bloodType,
+      component,
       location,
+      center: isValidLocation(center) ? { lat: center.lat, lng: center.lng } : null,
+      geohash: getGeohash(center),
+      radiusKm: DEFAULT_SEARCH_RADIUS_KM,
       createdAt: new Date().toISOString(),
       status: 'active',
       matchFound: false, // Default to false
@@ -185,6 +630,20 @@ export const getWatchlist = async (uid) => {
   }
 };
 
+// Live watchlist for a seeker. matchFound/hasNotified are maintained server-side.
+export const subscribeToWatchlist = (uid, callback) => {
+  const q = query(
+    collection(db, 'watchlists'),
+    where("userId", "==", uid),
+    where("status", "==", "active")
+  );
+  return onSnapshot(q, (snapshot) => {
+    callback(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+  }, (error) => {
+    console.error("Error subscribing to watchlist:", error);
+  });
+};
+
 //   ======= Preetika start =======
 export const deleteWatchlistItem = async (itemId) => {
     try {
@@ -195,53 +654,15 @@ export const deleteWatchlistItem = async (itemId) => {
     }
 };
 
-export const markWatchlistNotified = async (itemId) => {
-    try {
-        await updateDoc(doc(db, 'watchlists', itemId), {
-            hasNotified: true,
-            lastNotifiedAt: new Date().toISOString()
-        });
-    } catch (error) {
-        console.error("Error marking watchlist notified:", error);
-        // Silent fail ok
-    }
-};
-
 export const subscribeToActiveDonors = (callback) => {
-    const q = query(
-        collection(db, 'users'),
-        where('isDonor', '==', true),
-        where('isEligible', '==', true)
-    );
-    return onSnapshot(q, (snapshot) => {
-        const donors = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    return onSnapshot(collection(db, 'donors'), (snapshot) => {
+        const donors = snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(donor => isScreeningCurrent(donor));
         callback(donors);
     });
 };
 
-export const resetWatchlistMatch = async (itemId) => {
-    try {
-        await updateDoc(doc(db, 'watchlists', itemId), {
-            matchFound: false,
-            hasNotified: false,
-            lastResetAt: new Date().toISOString()
-        });
-    } catch (error) {
-        console.error("Error resetting watchlist match:", error);
-    }
-};
-
-export const markWatchlistMatchFound = async (itemId) => {
-    try {
-        await updateDoc(doc(db, 'watchlists', itemId), {
-            matchFound: true,
-            lastMatchedAt: new Date().toISOString()
-        });
-    } catch (error) {
-        console.error("Error marking watchlist match found:", error);
-    }
-};
-
 // === Preetika end =======
 
 export const createHospitalProfile = async (uid, hospitalData) => {
@@ -255,22 +676,35 @@ export const createHospitalProfile = async (uid, hospitalData) => {
       createdAt: new Date().toISOString()
     });
 
-    // 2. Initialize Inventory Document
+    // 2. Initialize Inventory Document (hidden until an admin verifies the license)
     await setDoc(doc(db, 'inventory', uid), {
       hospitalId: uid,
       hospitalName: hospitalData.hospitalName,
       licenseId: hospitalData.licenseId,
       address: hospitalData.address,
+      email: hospitalData.email,
       phoneNumber: hospitalData.phoneNumber, // Added phone number to inventory as well for easy access
       location: hospitalData.location, // { lat: ..., lng: ... }
+      geohash: getGeohash(hospitalData.location),
       bloodStock: {
         'A+': 0, 'A-': 0,
         'B+': 0, 'B-': 0,
         'AB+': 0, 'AB-': 0,
         'O+': 0, 'O-': 0
       },
+      componentStock: {}, // { [component]: { [bloodType]: count } }, derived from units
+      unitsTracked: true,
       lastUpdated: new Date().toISOString(),
-      status: 'active'
+      status: VENUE_STATUS.PENDING
+    });
+
+    // 3. Queue the license for review
+    await submitVerificationRequest(uid, {
+      type: 'hospital',
+      name: hospitalData.hospitalName,
+      email: hospitalData.email,
+      licenseId: hospitalData.licenseId,
+      licenseDocument: hospitalData.licenseDocument || null
     });
   } catch (error) {
     console.error("Error creating hospital profile:", error);
@@ -278,59 +712,365 @@ export const createHospitalProfile = async (uid, hospitalData) => {
   }
 };
 
-export const updateHospitalStock = async (hospitalId, bloodType, change) => {
+// Verification Requests (verifications/{uid})
+// One per hospital/organizer account, reviewed from the admin console.
+export const submitVerificationRequest = async (uid, requestData) => {
+  try {
+    await setDoc(doc(db, 'verifications', uid), {
+      ...requestData,
+      uid,
+      status: VERIFICATION_STATUS.PENDING,
+      reviewNotes: null,
+      submittedAt: new Date().toISOString()
+    }, { merge: true });
+  } catch (error) {
+    console.error("Error submitting verification request:", error);
+    throw error;
+  }
+};
+
+export const subscribeToVerification = (uid, callback) => {
+  return onSnapshot(doc(db, 'verifications', uid), (snapshot) => {
+    callback(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+  }, (error) => {
+    console.error("Error subscribing to verification:", error);
+  });
+};
+
+// Admin console queue, oldest request first
+export const subscribeToVerificationRequests = (status, callback) => {
+  const q = query(
+    collection(db, 'verifications'),
+    where('status', '==', status),
+    orderBy('submittedAt')
+  );
+  return onSnapshot(q, (snapshot) => {
+    callback(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+  }, (error) => {
+    console.error("Error subscribing to verification requests:", error);
+  });
+};
+
+// Blood Units (inventory/{hospitalId}/units)
+// bloodStock/componentStock on the inventory doc count the 'available' units. The
+// onUnitStockWritten function recounts them after every unit write (the rules keep
+// them out of reach of the browser); each change here appends to
+// inventory/{hospitalId}/ledger in the same transaction so it has an audit trail.
+const unitsCollection = (hospitalId) => collection(db, 'inventory', hospitalId, 'units');
+const ledgerCollection = (hospitalId) => collection(db, 'inventory', hospitalId, 'ledger');
+
+// Whoever is signed in made the change
+const getActor = () => ({
+  actorId: auth?.currentUser?.uid || null,
+  actorName: auth?.currentUser?.displayName || auth?.currentUser?.email || null
+});
+
+/**
+ * Records a set of per-unit stock changes inside a transaction: one ledger entry
+ * per blood group/component/reason. The summary itself is recounted by a function.
+ * @param {Array} changes - [{ unit, delta, reason }]
+ * @param {Object} context - { appointmentId, requestId, transferId } the change relates to
+ */
+const recordStockChanges = (transaction, hospitalId, changes, context = {}) => {
+  if (changes.length === 0) return;
+  const now = new Date().toISOString();
+
+  const entries = {};
+  changes.forEach(({ unit, delta, reason }) => {
+    const key = `${unit.bloodType}|${unit.componentType}|${reason}`;
+    if (!entries[key]) {
+      entries[key] = { bloodType: unit.bloodType, componentType: unit.componentType, reason, delta: 0, bagIds: [] };
+    }
+    entries[key].delta += delta;
+    entries[key].bagIds.push(unit.bagId);
+  });
+
+  transaction.update(doc(db, 'inventory', hospitalId), { lastUpdated: now });
+
+  const actor = getActor();
+  Object.values(entries).forEach(entry => {
+    transaction.set(doc(ledgerCollection(hospitalId)), {
+      ...entry,
+      ...actor,
+      appointmentId: context.appointmentId || null,
+      requestId: context.requestId || null,
+      transferId: context.transferId || null,
+      createdAt: now
+    });
+  });
+};
+
+// Ledger reason for a status change when the caller did not give one
+const getStatusChangeReason = (unit, newStatus) => {
+  if (newStatus === UNIT_STATUS.AVAILABLE && unit.status === UNIT_STATUS.PROCESSED) return LEDGER_REASONS.DONATION;
+  if (newStatus === UNIT_STATUS.ISSUED) return LEDGER_REASONS.ISSUE;
+  if (newStatus === UNIT_STATUS.DISCARDED && isUnitExpired(unit)) return LEDGER_REASONS.EXPIRY;
+  return LEDGER_REASONS.MANUAL_ADJUST;
+};
+
+const buildUnit = (unitData) => {
+  const now = new Date().toISOString();
+  const componentType = unitData.componentType || BLOOD_COMPONENTS.WHOLE_BLOOD;
+  const collectionDate = unitData.collectionDate || now;
+  const unit = {
+    bagId: (unitData.bagId || generateBagId()).trim(),
+    bloodType: unitData.bloodType,
+    componentType,
+    collectionDate,
+    expiryDate: unitData.expiryDate || getDefaultExpiryDate(componentType, collectionDate),
+    // Donations start in processing; bags registered by hand go straight on the shelf
+    status: unitData.status === UNIT_STATUS.COLLECTED ? UNIT_STATUS.COLLECTED : UNIT_STATUS.AVAILABLE,
+    donorId: unitData.donorId || null,
+    appointmentId: unitData.appointmentId || null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  if (!BLOOD_TYPES.includes(unit.bloodType)) {
+    throw new Error(`Unknown blood type: ${unit.bloodType}`);
+  }
+  if (!unit.bagId || unit.bagId.includes('/')) {
+    throw new Error("Bag ID is required and cannot contain '/'.");
+  }
+  if (isUnitExpired(unit)) {
+    throw new Error(`Bag ${unit.bagId} is already past its expiry date.`);
+  }
+  return unit;
+};
+
+/**
+ * Registers several new bags in one transaction (bag ID doubles as the doc ID).
+ * @param {Object} context - { reason, appointmentId, requestId } for the ledger
+ */
+const registerUnits = async (hospitalId, unitsData, context = {}) => {
+  const units = unitsData.map(buildUnit);
+  const inventoryRef = doc(db, 'inventory', hospitalId);
+  const reason = context.reason || LEDGER_REASONS.MANUAL_ADJUST;
+  await migrateLegacyStock(hospitalId); // No-op once the hospital tracks units
+
+  await runTransaction(db, async (transaction) => {
+    const inventorySnap = await transaction.get(inventoryRef);
+    if (!inventorySnap.exists()) throw new Error("Hospital inventory not found.");
+
+    const unitRefs = units.map(unit => doc(unitsCollection(hospitalId), unit.bagId));
+    const existing = await Promise.all(unitRefs.map(ref => transaction.get(ref)));
+    const duplicate = existing.find(snap => snap.exists());
+    if (duplicate) throw new Error(`Bag ${duplicate.id} is already registered.`);
+
+    units.forEach((unit, i) => transaction.set(unitRefs[i], unit));
+    // Bags still in processing are not stock yet, they count once moved to available
+    const stocked = units.filter(unit => unit.status === UNIT_STATUS.AVAILABLE);
+    recordStockChanges(transaction, hospitalId, stocked.map(unit => ({ unit, delta: 1, reason })), context);
+  });
+
+  return units.map(unit => unit.bagId);
+};
+
+/**
+ * Moves several bags to a new status in one transaction. Every bag is re-read
+ * inside the transaction, so two people issuing the same bag cannot both succeed.
+ * @param {Object} context - { reason, appointmentId, requestId } for the ledger
+ */
+const changeUnitsStatus = async (hospitalId, unitIds, newStatus, context = {}) => {
+  const unitRefs = unitIds.map(id => doc(unitsCollection(hospitalId), id));
+
+  await runTransaction(db, async (transaction) => {
+    const snaps = await Promise.all(unitRefs.map(ref => transaction.get(ref)));
+    const now = new Date().toISOString();
+    const changes = [];
+
+    snaps.forEach((unitSnap, i) => {
+      if (!unitSnap.exists()) throw new Error("Blood unit not found.");
+
+      const unit = unitSnap.data();
+      if (!canTransitionUnit(unit.status, newStatus)) {
+        throw new Error(`Cannot change a ${unit.status} unit to ${newStatus}.`);
+      }
+      if (newStatus !== UNIT_STATUS.DISCARDED && isUnitExpired(unit)) {
+        throw new Error(`Bag ${unit.bagId} has expired and can only be discarded.`);
+      }
+
+      transaction.update(unitRefs[i], { status: newStatus, updatedAt: now, [`${newStatus}At`]: now });
+
+      // Only moves into or out of 'available' change the summary
+      const delta = (newStatus === UNIT_STATUS.AVAILABLE ? 1 : 0) - (unit.status === UNIT_STATUS.AVAILABLE ? 1 : 0);
+      if (delta !== 0) {
+        changes.push({ unit, delta, reason: context.reason || getStatusChangeReason(unit, newStatus) });
+      }
+    });
+
+    recordStockChanges(transaction, hospitalId, changes, context);
+  });
+};
+
+export const addBloodUnit = async (hospitalId, unitData, context = {}) => {
+  try {
+    const [bagId] = await registerUnits(hospitalId, [unitData], context);
+    return bagId;
+  } catch (error) {
+    console.error("Error adding blood unit:", error);
+    throw error;
+  }
+};
+
+export const updateBloodUnitStatus = async (hospitalId, unitId, newStatus, context = {}) => {
+  try {
+    await changeUnitsStatus(hospitalId, [unitId], newStatus, context);
+  } catch (error) {
+    console.error("Error updating blood unit:", error);
+    throw error;
+  }
+};
+
+/**
+ * Units still on the shelf (available or reserved), soonest expiry first.
+ * @param {Array<string>} statuses - PROCESSING_STATUSES for donated bags not yet stocked
+ */
+export const subscribeToBloodUnits = (hospitalId, callback, statuses = SHELF_STATUSES) => {
+  const q = query(
+    unitsCollection(hospitalId),
+    where('status', 'in', statuses),
+    orderBy('expiryDate')
+  );
+  return onSnapshot(q, (snapshot) => {
+    callback(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+  });
+};
+
+// Marks every unit past its expiry date as discarded, including bags still in processing
+export const discardExpiredUnits = async (hospitalId) => {
+  try {
+    const q = query(
+      unitsCollection(hospitalId),
+      where('status', 'in', [...PROCESSING_STATUSES, ...SHELF_STATUSES]),
+      where('expiryDate', '<=', new Date().toISOString())
+    );
+    const snapshot = await getDocs(q);
+    if (snapshot.empty) return 0;
+    await changeUnitsStatus(hospitalId, snapshot.docs.map(d => d.id), UNIT_STATUS.DISCARDED, {
+      reason: LEDGER_REASONS.EXPIRY
+    });
+    return snapshot.size;
+  } catch (error) {
+    console.error("Error discarding expired units:", error);
+    throw error;
+  }
+};
+
+// Hospitals created before unit tracking only have bare counts in bloodStock.
+// Turn each counted unit into a placeholder bag once so the summary stays derived.
+// A big bank can hold more bags than one transaction may write (500), so the bags
+// go out in batches between freezing the counts and switching to unit tracking.
+const MIGRATION_BATCH_SIZE = 450;
+
+export const migrateLegacyStock = async (hospitalId) => {
   try {
     const inventoryRef = doc(db, 'inventory', hospitalId);
-    const docSnap = await getDoc(inventoryRef);
-    
-    if (docSnap.exists()) {
-      const currentStock = docSnap.data().bloodStock || {};
-      const currentAmount = currentStock[bloodType] || 0;
-      const newAmount = Math.max(0, currentAmount + change); // Prevent negative stock
 
-      await updateDoc(inventoryRef, {
-        [`bloodStock.${bloodType}`]: newAmount,
+    // 1. Freeze the counts being migrated so a retry after a partial run creates the same bags
+    const legacyStock = await runTransaction(db, async (transaction) => {
+      const inventorySnap = await transaction.get(inventoryRef);
+      if (!inventorySnap.exists() || inventorySnap.data().unitsTracked) return null;
+
+      const inventory = inventorySnap.data();
+      if (inventory.legacyStock) return inventory.legacyStock;
+      const counts = inventory.bloodStock || {};
+      transaction.update(inventoryRef, { legacyStock: counts });
+      return counts;
+    });
+    if (!legacyStock) return;
+
+    // 2. Placeholder bags; the IDs are fixed so a second run overwrites instead of duplicating
+    const units = Object.entries(legacyStock).flatMap(([bloodType, count]) =>
+      Array.from({ length: count }, (_, i) => ({
+        ...buildUnit({ bloodType, bagId: `LEGACY-${bloodType}-${i + 1}` }),
+        collectionDate: null, // Unknown for migrated stock
+        legacy: true
+      }))
+    );
+    for (let start = 0; start < units.length; start += MIGRATION_BATCH_SIZE) {
+      const batch = writeBatch(db);
+      units.slice(start, start + MIGRATION_BATCH_SIZE).forEach(unit => {
+        batch.set(doc(unitsCollection(hospitalId), unit.bagId), unit);
+      });
+      await batch.commit();
+    }
+
+    // 3. Switch to unit tracking once every bag exists (unless a parallel run got there first).
+    // The onUnitsTracked function then rebuilds the summary from the bags.
+    await runTransaction(db, async (transaction) => {
+      const inventorySnap = await transaction.get(inventoryRef);
+      if (!inventorySnap.exists() || inventorySnap.data().unitsTracked) return;
+
+      transaction.update(inventoryRef, {
+        unitsTracked: true,
+        legacyStock: deleteField(),
         lastUpdated: new Date().toISOString()
       });
+    });
+  } catch (error) {
+    console.error("Error migrating legacy stock:", error);
+    throw error;
+  }
+};
+
+// Quick +/- from the stock cards. Adding registers unlabelled whole-blood bags,
+// removing issues the bags closest to expiry first.
+export const updateHospitalStock = async (hospitalId, bloodType, change, context = { reason: LEDGER_REASONS.MANUAL_ADJUST }) => {
+  try {
+    if (change > 0) {
+      await registerUnits(hospitalId, Array.from({ length: change }, () => ({ bloodType })), context);
+      return;
+    }
+
+    await migrateLegacyStock(hospitalId);
+    const q = query(
+      unitsCollection(hospitalId),
+      where('bloodType', '==', bloodType),
+      where('status', '==', UNIT_STATUS.AVAILABLE),
+      orderBy('expiryDate'),
+      limit(Math.abs(change))
+    );
+    const snapshot = await getDocs(q);
+    if (snapshot.empty) {
+      throw new Error(`No available ${bloodType} units to remove.`);
     }
+    await changeUnitsStatus(hospitalId, snapshot.docs.map(d => d.id), UNIT_STATUS.ISSUED, context);
   } catch (error) {
     console.error("Error updating stock:", error);
     throw error;
   }
 };
 
-// Kept for backward compatibility with TestAdminPage, but using new inventory structure
-export const addInventoryItem = async (hospitalId, bloodType, location, quantity) => {
+/**
+ * Live stock history for a hospital, newest first.
+ * @param {string|null} bloodType - Only entries for this group, or null for all
+ */
+export const subscribeToInventoryLedger = (hospitalId, callback, bloodType = null, maxEntries = 100) => {
+  const constraints = bloodType ? [where('bloodType', '==', bloodType)] : [];
+  const q = query(
+    ledgerCollection(hospitalId),
+    ...constraints,
+    orderBy('createdAt', 'desc'),
+    limit(maxEntries)
+  );
+  return onSnapshot(q, (snapshot) => {
+    callback(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+  }, (error) => {
+    console.error("Error subscribing to inventory ledger:", error);
+  });
+};
+
+// Used to backfill the geohash on inventory docs created before radius search
+export const updateInventoryLocation = async (hospitalId, location) => {
   try {
-    // This is a bit hacky for the test page, as it tries to simulate adding stock 
-    // to a hospital. In the real app, hospitals have fixed IDs.
-    // For testing, we'll try to find an existing inventory with this ID or create a dummy one.
-    
-    const inventoryRef = doc(db, 'inventory', hospitalId);
-    const docSnap = await getDoc(inventoryRef);
-    
-    if (!docSnap.exists()) {
-        // Create dummy hospital inventory if it doesn't exist
-        await setDoc(inventoryRef, {
-            hospitalName: "Test Hospital",
-            address: location,
-            location: { lat: 40.7128, lng: -74.0060 }, // Default to NY
-            bloodStock: { [bloodType]: Number(quantity) },
-            lastUpdated: new Date().toISOString(),
-            status: 'active'
-        });
-    } else {
-        // Update existing
-        const currentStock = docSnap.data().bloodStock || {};
-        const currentAmount = currentStock[bloodType] || 0;
-        
-        await updateDoc(inventoryRef, {
-            [`bloodStock.${bloodType}`]: currentAmount + Number(quantity),
-            lastUpdated: new Date().toISOString()
-        });
-    }
+    if (!isValidLocation(location)) return;
+    await updateDoc(doc(db, 'inventory', hospitalId), {
+      location: { lat: location.lat, lng: location.lng },
+      geohash: getGeohash(location)
+    });
   } catch (error) {
-    console.error("Error adding inventory:", error);
+    console.error("Error updating inventory location:", error);
     throw error;
   }
 };
@@ -344,15 +1084,18 @@ export const subscribeToHospitalInventory = (hospitalId, callback) => {
 };
 
 export const subscribeToAllInventory = (callback) => {
-  const q = query(collection(db, 'inventory'), where('status', '==', 'active'));
+  // Only verified hospitals are public
+  const q = query(collection(db, 'inventory'), where('status', '==', VENUE_STATUS.ACTIVE));
   return onSnapshot(q, async (snapshot) => {
     const items = [];
     // Process all docs in parallel
     const promises = snapshot.docs.map(async (docSnapshot) => {
       const data = docSnapshot.data();
       const item = { id: docSnapshot.id, ...data };
-      
-      // Try to fetch email from users collection using the hospital ID (which matches user ID)
+      if (item.email) return item;
+
+      // Hospitals created before the email was copied onto inventory:
+      // try to fetch email from users collection using the hospital ID (which matches user ID)
       try {
         if (data.hospitalId) {
              const userRef = doc(db, 'users', data.hospitalId);
@@ -387,13 +1130,15 @@ export const subscribeToAllInventory = (callback) => {
 //   });
 // };
 
-export const subscribeToMatchingInventory = (bloodTypes, callback) => {
+// bloodTypes are the groups being watched for; a hit on any compatible group
+// fires the callback with matchedBloodType/matchLabel describing the substitute.
+export const subscribeToMatchingInventory = (bloodTypes, callback, component = DEFAULT_COMPONENT) => {
   if (!bloodTypes || bloodTypes.length === 0) return () => {};
 
   // 1. Hospital Inventory Listener
   const qInventory = query(
     collection(db, 'inventory'),
-    where('status', '==', 'active')
+    where('status', '==', VENUE_STATUS.ACTIVE)
   );
 
   const unsubInventory = onSnapshot(qInventory, (snapshot) => {
@@ -401,13 +1146,16 @@ export const subscribeToMatchingInventory = (bloodTypes, callback) => {
       if (change.type === "modified" || change.type === "added") {
          const data = change.doc.data();
          bloodTypes.forEach(type => {
-             if (data.bloodStock && data.bloodStock[type] > 0) {
+             const matchedBloodType = findBestAvailableType(getComponentStock(data, component), type, component);
+             if (matchedBloodType) {
                  // Use address for location matching since 'location' might be coordinates
                  const locationString = typeof data.location === 'string' ? data.location : data.address;
                  
                  callback({
                      id: change.doc.id,
                      bloodType: type,
+                     matchedBloodType,
+                     matchLabel: getMatchLabel(matchedBloodType, type),
                      location: locationString || '', 
                      type: 'hospital',
                      ...data
@@ -418,28 +1166,27 @@ export const subscribeToMatchingInventory = (bloodTypes, callback) => {
     });
   });
 
-  // 2. Donor Listener
-  const qDonors = query(
-      collection(db, 'users'),
-      where('isDonor', '==', true),
-      where('isEligible', '==', true)
-  );
-
-  const unsubDonors = onSnapshot(qDonors, (snapshot) => {
+  // 2. Donor Listener (public donor profiles, see onPublicDonorProfileWritten)
+  const unsubDonors = onSnapshot(collection(db, 'donors'), (snapshot) => {
       snapshot.docChanges().forEach((change) => {
           if (change.type === "modified" || change.type === "added") {
               const data = change.doc.data();
               const donorBloodType = data.donorProfile?.bloodType;
-              
-              if (donorBloodType && bloodTypes.includes(donorBloodType)) {
-                  callback({
-                      id: change.doc.id,
-                      bloodType: donorBloodType,
-                      location: data.donorProfile?.city || '', 
-                      type: 'donor',
-                      ...data
+              if (!donorBloodType || !isScreeningCurrent(data)) return;
+
+              bloodTypes
+                  .filter(type => isCompatible(donorBloodType, type, component))
+                  .forEach(type => {
+                      callback({
+                          id: change.doc.id,
+                          bloodType: type,
+                          matchedBloodType: donorBloodType,
+                          matchLabel: getMatchLabel(donorBloodType, type),
+                          location: data.donorProfile?.city || '', 
+                          type: 'donor',
+                          ...data
+                      });
                   });
-              }
           }
       });
   });
@@ -451,120 +1198,308 @@ export const subscribeToMatchingInventory = (bloodTypes, callback) => {
 };
 
 // Blood Request System (Seeker -> Donor)
-export const requestBlood = async (seekerId, seekerName, donorId, bloodType, donorName) => {
+// Statuses and who may change them: functions/shared/requestLifecycle.js
+// seekerLocation is shown in the email the onBloodRequestWritten function sends the donor;
+// caseId is the seeker's open case (patient need) the request is for
+export const requestBlood = async (seekerId, seekerName, donorId, bloodType, donorName, seekerLocation = null, caseId = null) => {
   try {
     const requestRef = doc(collection(db, 'blood_requests'));
+    const now = new Date().toISOString();
     await setDoc(requestRef, {
       seekerId,
       seekerName,
       donorId,
       donorName, // Added donorName for better seeker visibility
+      // The donor cannot read the seeker's profile, so the acceptance email uses this
+      seekerEmail: auth?.currentUser?.email || null,
       bloodType,
-      status: 'pending', // pending, accepted, rejected
+      seekerLocation,
+      caseId,
+      status: REQUEST_STATUS.PENDING,
+      statusHistory: [{ status: REQUEST_STATUS.PENDING, at: now, by: seekerId, note: null }],
+      createdAt: now
+    });
+    return requestRef.id;
+  } catch (error) {
+    console.error("Error creating blood request:", error);
+    throw error;
+  }
+};
+
+// Pending requests by default; ['accepted'] lists the donor's ongoing conversations
+export const subscribeToBloodRequests = (donorId, callback, statuses = [REQUEST_STATUS.PENDING]) => {
+  const q = query(
+    collection(db, 'blood_requests'),
+    where('donorId', '==', donorId),
+    where('status', 'in', statuses)
+  );
+
+  return onSnapshot(q, (snapshot) => {
+    const requests = [];
+    snapshot.forEach((doc) => {
+      requests.push({ id: doc.id, ...doc.data() });
+    });
+    // Sort by newest first
+    requests.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    callback(requests);
+  });
+};
+
+export const subscribeToSentRequests = (seekerId, callback) => {
+  const q = query(
+    collection(db, 'blood_requests'),
+    where('seekerId', '==', seekerId)
+  );
+
+  return onSnapshot(q, (snapshot) => {
+    const requests = [];
+    snapshot.forEach((doc) => {
+      requests.push({ id: doc.id, ...doc.data() });
+    });
+    // Sort by newest first
+    requests.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    callback(requests);
+  });
+};
+
+// Moves a request one step through its lifecycle and records the step.
+// Phone numbers are never copied onto the request; onBloodRequestWritten assigns
+// a proxy number on accept (see src/lib/chat.js)
+export const updateRequestStatus = async (requestId, status, note = null) => {
+  try {
+    const now = new Date().toISOString();
+    const isAnswer = status === REQUEST_STATUS.ACCEPTED || status === REQUEST_STATUS.DECLINED;
+    await updateDoc(doc(db, 'blood_requests', requestId), {
+      status,
+      updatedAt: now,
+      ...(isAnswer && { respondedAt: now }),
+      statusHistory: arrayUnion({ status, at: now, by: auth.currentUser.uid, note })
+    });
+  } catch (error) {
+    console.error("Error updating request status:", error);
+    throw error;
+  }
+};
+
+// Request Chat (blood_requests/{requestId}/messages); see src/lib/chat.js
+const messagesCollection = (requestId) => collection(db, 'blood_requests', requestId, 'messages');
+
+export const subscribeToBloodRequest = (requestId, callback) => {
+  return onSnapshot(doc(db, 'blood_requests', requestId), (snap) => {
+    callback(snap.exists() ? { id: snap.id, ...snap.data() } : null);
+  }, (error) => {
+    console.error("Error subscribing to blood request:", error);
+  });
+};
+
+export const subscribeToRequestMessages = (requestId, callback) => {
+  const q = query(messagesCollection(requestId), orderBy('createdAt'));
+  return onSnapshot(q, (snapshot) => {
+    callback(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+  }, (error) => {
+    console.error("Error subscribing to request messages:", error);
+  });
+};
+
+export const sendRequestMessage = async (requestId, text) => {
+  try {
+    await setDoc(doc(messagesCollection(requestId)), {
+      senderId: auth.currentUser.uid,
+      senderName: auth.currentUser.displayName || null,
+      type: MESSAGE_TYPES.TEXT,
+      text: text.trim().slice(0, MAX_MESSAGE_LENGTH),
+      createdAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error("Error sending message:", error);
+    throw error;
+  }
+};
+
+// Calls and texts through the request's proxy number, newest first
+export const subscribeToContactEvents = (requestId, callback) => {
+  const q = query(collection(db, 'blood_requests', requestId, 'contactEvents'), orderBy('createdAt', 'desc'));
+  return onSnapshot(q, (snapshot) => {
+    callback(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+  }, (error) => {
+    console.error("Error subscribing to contact events:", error);
+  });
+};
+
+// Read receipt: the other participant sees messages up to now as read
+export const markRequestRead = async (requestId, uid) => {
+  try {
+    await updateDoc(doc(db, 'blood_requests', requestId), {
+      [`lastReadAt.${uid}`]: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error("Error marking messages read:", error);
+  }
+};
+
+export const cancelRequest = async (requestId, note = null) => {
+  try {
+    await updateRequestStatus(requestId, REQUEST_STATUS.CANCELLED, note);
+  } catch (error) {
+    console.error("Error cancelling request:", error);
+    throw error;
+  }
+};
+
+// Request Cases (cases/{caseId}); see functions/shared/cases.js
+
+/**
+ * @param {Object} caseData - { patientLabel, bloodType, unitsNeeded }
+ * @returns {Promise<string>} The new case ID
+ */
+export const createCase = async (seekerId, caseData) => {
+  try {
+    const caseRef = doc(collection(db, 'cases'));
+    await setDoc(caseRef, {
+      seekerId,
+      patientLabel: caseData.patientLabel?.trim() || null,
+      bloodType: caseData.bloodType,
+      unitsNeeded: Math.min(MAX_CASE_UNITS, Math.max(1, parseInt(caseData.unitsNeeded, 10) || 1)),
+      status: CASE_STATUS.OPEN,
       createdAt: new Date().toISOString()
     });
+    return caseRef.id;
+  } catch (error) {
+    console.error("Error creating case:", error);
+    throw error;
+  }
+};
+
+export const subscribeToCases = (seekerId, callback) => {
+  const q = query(collection(db, 'cases'), where('seekerId', '==', seekerId));
+  return onSnapshot(q, (snapshot) => {
+    const cases = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+    cases.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    callback(cases);
+  }, (error) => {
+    console.error("Error subscribing to cases:", error);
+  });
+};
+
+// Fulfilled or cancelled. The onCaseWritten function then cancels the case's
+// pending requests and tells those donors; accepted ones are left to the seeker.
+export const closeCase = async (caseId, status) => {
+  try {
+    const now = new Date().toISOString();
+    await updateDoc(doc(db, 'cases', caseId), { status, closedAt: now, closedBy: auth.currentUser.uid, updatedAt: now });
+  } catch (error) {
+    console.error("Error closing case:", error);
+    throw error;
+  }
+};
+
+// Emergency Requests (emergencyRequests/{requestId})
+// One request per patient need, answered by many donors. Who gets asked and when
+// is decided by the escalateEmergencyRequests Cloud Function; each donor it
+// notifies gets a row in the responses subcollection keyed by their uid.
+
+/**
+ * @param {Object} requestData - { bloodType, component, unitsNeeded, hospital: {id, name, address, location}, deadline, urgency }
+ *   plus origin 'hospital' for a hospital's shortage appeal (hospital is then its own blood bank)
+ * @returns {Promise<string>} The new request ID
+ */
+export const createEmergencyRequest = async (seekerId, seekerName, requestData) => {
+  try {
+    const requestRef = doc(collection(db, 'emergencyRequests'));
+    const now = new Date().toISOString();
+    await setDoc(requestRef, {
+      seekerId,
+      seekerName,
+      seekerEmail: auth?.currentUser?.email || null,
+      origin: requestData.origin || 'seeker',
+      bloodType: requestData.bloodType,
+      component: requestData.component || DEFAULT_COMPONENT,
+      unitsNeeded: Number(requestData.unitsNeeded),
+      unitsPledged: 0,
+      hospital: requestData.hospital,
+      deadline: requestData.deadline,
+      urgency: requestData.urgency,
+      status: EMERGENCY_STATUS.OPEN,
+      ringIndex: -1, // No donors notified yet
+      notifiedCount: 0,
+      nextEscalationAt: now,
+      createdAt: now
+    });
     return requestRef.id;
   } catch (error) {
-    console.error("Error creating blood request:", error);
+    console.error("Error creating emergency request:", error);
     throw error;
   }
 };
 
-export const subscribeToBloodRequests = (donorId, callback) => {
-  const q = query(
-    collection(db, 'blood_requests'),
-    where('donorId', '==', donorId),
-    where('status', '==', 'pending')
-  );
-
-  return onSnapshot(q, (snapshot) => {
-    const requests = [];
-    snapshot.forEach((doc) => {
-      requests.push({ id: doc.id, ...doc.data() });
-    });
-    // Sort by newest first
-    requests.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    callback(requests);
-  });
-};
-
-export const subscribeToSentRequests = (seekerId, callback) => {
+export const subscribeToEmergencyRequests = (seekerId, callback) => {
   const q = query(
-    collection(db, 'blood_requests'),
+    collection(db, 'emergencyRequests'),
     where('seekerId', '==', seekerId)
   );
 
   return onSnapshot(q, (snapshot) => {
-    const requests = [];
-    snapshot.forEach((doc) => {
-      requests.push({ id: doc.id, ...doc.data() });
-    });
-    // Sort by newest first
+    const requests = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
     requests.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
     callback(requests);
+  }, (error) => {
+    console.error("Error subscribing to emergency requests:", error);
   });
 };
 
-export const updateRequestStatus = async (requestId, status, donorPhone = null) => {
-  try {
-    const requestRef = doc(db, 'blood_requests', requestId);
-    const updateData = {
-      status,
-      respondedAt: new Date().toISOString()
-    };
-    
-    if (donorPhone) {
-        updateData.donorPhone = donorPhone;
-    }
-    
-    await updateDoc(requestRef, updateData);
-  } catch (error) {
-    console.error("Error updating request status:", error);
-    throw error;
-  }
+// Donors asked so far, nearest ring first (seeker view)
+export const subscribeToEmergencyResponses = (requestId, callback) => {
+  return onSnapshot(collection(db, 'emergencyRequests', requestId, 'responses'), (snapshot) => {
+    const responses = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+    responses.sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity));
+    callback(responses);
+  }, (error) => {
+    console.error("Error subscribing to emergency responses:", error);
+  });
 };
 
-export const cancelRequest = async (requestId) => {
+export const cancelEmergencyRequest = async (requestId) => {
   try {
-    await updateDoc(doc(db, 'blood_requests', requestId), {
-      status: 'cancelled',
+    await updateDoc(doc(db, 'emergencyRequests', requestId), {
+      status: EMERGENCY_STATUS.CANCELLED,
       updatedAt: new Date().toISOString()
     });
   } catch (error) {
-    console.error("Error cancelling request:", error);
+    console.error("Error cancelling emergency request:", error);
     throw error;
   }
 };
 
-export const archiveRequest = async (requestId) => {
-  try {
-    await updateDoc(doc(db, 'blood_requests', requestId), {
-      status: 'archived',
-      updatedAt: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error("Error archiving request:", error);
-    throw error;
-  }
+// Emergency requests this donor has been asked to help with and not yet declined
+export const subscribeToDonorEmergencyResponses = (donorId, callback) => {
+  const q = query(
+    collectionGroup(db, 'responses'),
+    where('donorId', '==', donorId),
+    where('status', 'in', [RESPONSE_STATUS.NOTIFIED, RESPONSE_STATUS.PLEDGED])
+  );
+
+  return onSnapshot(q, (snapshot) => {
+    const responses = snapshot.docs.map(d => ({ id: d.id, requestId: d.ref.parent.parent.id, ...d.data() }));
+    responses.sort((a, b) => new Date(b.notifiedAt) - new Date(a.notifiedAt));
+    callback(responses);
+  }, (error) => {
+    console.error("Error subscribing to emergency responses:", error);
+  });
 };
 
-export const markRequestsFulfilled = async (seekerId) => {
+/**
+ * Donor pledges (or withdraws / declines). The request's unitsPledged count and
+ * auto-close are handled by the onEmergencyResponseWritten Cloud Function.
+ * @param {'pledged'|'declined'} status
+ */
+export const respondToEmergencyRequest = async (requestId, donorId, status) => {
   try {
-    const q = query(
-      collection(db, 'blood_requests'),
-      where('seekerId', '==', seekerId),
-      where('status', '==', 'pending')
-    );
-    const snapshot = await getDocs(q);
-    const batchPromises = snapshot.docs.map(doc => 
-      updateDoc(doc.ref, { 
-        status: 'closed',
-        updatedAt: new Date().toISOString()
-      })
-    );
-    await Promise.all(batchPromises);
+    await updateDoc(doc(db, 'emergencyRequests', requestId, 'responses', donorId), {
+      status,
+      respondedAt: new Date().toISOString()
+    });
   } catch (error) {
-    console.error("Error marking requests fulfilled:", error);
+    console.error("Error responding to emergency request:", error);
     throw error;
   }
 };
@@ -576,6 +1511,7 @@ export const addDonationCamp = async (organizerId, campData) => {
     await setDoc(campRef, {
       organizerId,
       ...campData,
+      geohash: getGeohash(campData.location),
       createdAt: new Date().toISOString(),
       status: 'upcoming'
     });
@@ -617,59 +1553,147 @@ export const getOrganizerCamps = async (organizerId) => {
   }
 };
 
-export const deleteOldCamps = async () => {
-    try {
-        const today = new Date();
-        const twoDaysAgo = new Date(today);
-        twoDaysAgo.setDate(today.getDate() - 2);
-        const dateString = twoDaysAgo.toISOString().split('T')[0];
-
-        // Query camps where date is older than 2 days
-        const q = query(
-            collection(db, 'donationCamps'),
-            where("date", "<", dateString)
-        );
-
-        const snapshot = await getDocs(q);
-        const batchPromises = snapshot.docs.map(doc => 
-            // In a real app we might archive instead of delete
-            // deleteDoc(doc.ref) 
-            updateDoc(doc.ref, { status: 'archived' }) // For safety, let's archive first
-        );
-        await Promise.all(batchPromises);
-    } catch (error) {
-        console.error("Error deleting old camps:", error);
-        // Don't throw here to avoid blocking UI rendering
-    }
-};
-
 // Appointment System
-export const bookAppointment = async (appointmentData) => {
+const venueRef = (venueType, venueId) =>
+  doc(db, venueType === 'camp' ? 'donationCamps' : 'inventory', venueId);
+
+/**
+ * Slots a venue offers on a date with how many seats are left in each.
+ * `venue` is an entry from getVenues (it carries its schedule).
+ * @returns {Promise<{closedReason: string|null, slots: Array<{timeSlot: string, capacity: number, booked: number, remaining: number}>}>}
+ */
+export const getSlotAvailability = async (venue, date) => {
   try {
-    const { venueId, date, timeSlot } = appointmentData;
-    
-    // 1. Check Capacity (Max 2)
+    const closedReason = getClosureReason(venue.schedule, date);
+    if (closedReason) return { closedReason, slots: [] };
+
     const q = query(
-      collection(db, 'appointments'),
-      where('venueId', '==', venueId),
-      where('date', '==', date),
-      where('timeSlot', '==', timeSlot),
-      where('status', '==', 'scheduled')
+      collection(db, 'appointmentSlots'),
+      where('venueId', '==', venue.id),
+      where('date', '==', date)
     );
-    
     const snapshot = await getDocs(q);
-    if (snapshot.size >= 2) {
-      throw new Error("This time slot is fully booked. Please choose another.");
-    }
+    const booked = {};
+    snapshot.docs.forEach(d => {
+      booked[d.data().timeSlot] = d.data().booked;
+    });
+
+    // Slots that started already cannot be booked today
+    const now = new Date();
+    const isToday = date === `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    const nowMinutes = now.getHours() * 60 + now.getMinutes();
+
+    const slots = getSlotsForDate(venue.schedule, date)
+      .filter(slot => !isToday || slot.startMinutes > nowMinutes)
+      .map(slot => ({
+        ...slot,
+        booked: booked[slot.timeSlot] || 0,
+        remaining: Math.max(0, slot.capacity - (booked[slot.timeSlot] || 0))
+      }));
+    return { closedReason: null, slots };
+  } catch (error) {
+    console.error("Error getting slot availability:", error);
+    throw error;
+  }
+};
+
+// Hospitals save their weekly schedule; camps only their slot length and beds
+export const updateVenueSchedule = async (venueType, venueId, schedule) => {
+  try {
+    await updateDoc(venueRef(venueType, venueId), {
+      schedule,
+      scheduleUpdatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error("Error updating venue schedule:", error);
+    throw error;
+  }
+};
+
+// Seat counts (appointmentSlots/{slotId})
+// Every scheduled appointment holds one seat on its slot doc. Booking, cancelling
+// and rescheduling change the appointment and the seat count in one transaction,
+// so two donors racing for the last seat cannot both get it.
+const slotRef = (slotId) => doc(db, 'appointmentSlots', slotId);
+
+const SLOT_FULL_MESSAGE = "This time slot is fully booked. Please choose another.";
+
+// Queues the write taking one seat on a slot. Call after all transaction reads.
+// The first booking creates the slot doc; older appointments are counted in by the
+// backfillAppointmentSlots function.
+const takeSeat = (transaction, slotSnap, { slotId, venueId, venueType, date, timeSlot, capacity }, appointmentId) => {
+  const booked = slotSnap.exists() ? slotSnap.data().booked : 0;
+  if (booked >= capacity) throw new Error(SLOT_FULL_MESSAGE);
+  transaction.set(slotRef(slotId), {
+    venueId,
+    venueType,
+    date,
+    timeSlot,
+    capacity,
+    booked: booked + 1,
+    lastAppointmentId: appointmentId,
+    updatedAt: new Date().toISOString()
+  });
+};
+
+// Queues the write giving back the seat an appointment held. The slot is written even
+// when its count is already 0, since the rules look for the release on it.
+const releaseSeat = (transaction, slotSnap, appointmentId) => {
+  if (!slotSnap?.exists()) return;
+  transaction.update(slotSnap.ref, {
+    booked: Math.max(slotSnap.data().booked - 1, 0),
+    lastAppointmentId: appointmentId,
+    updatedAt: new Date().toISOString()
+  });
+};
 
-    // 2. Create Appointment
+/**
+ * Checks the donor may give blood on the date and that the venue offers the slot.
+ * @returns {Promise<Object>} the slot from the venue's schedule, with its capacity
+ */
+const checkBooking = async ({ donorId, venueId, venueType, date, timeSlot, donationType = DEFAULT_DONATION_TYPE }) => {
+  // Respect the waiting period since the donor's last recorded donation
+  const donorSnap = await getDoc(doc(db, 'users', donorId));
+  const donor = donorSnap.exists() ? donorSnap.data() : null;
+  if (!isEligibleOnDate(donor, date, donationType)) {
+    const nextDate = getNextEligibleDate(donor.donationHistory, donationType, donor.donorProfile?.sex);
+    throw new Error(`You can donate ${DONATION_TYPE_LABELS[donationType].toLowerCase()} again from ${new Date(nextDate).toLocaleDateString()}.`);
+  }
+  if (!isScreeningCurrent(donor, new Date(`${date}T23:59:59`))) {
+    throw new Error("Your eligibility screening will have expired by then. Please re-check your eligibility first.");
+  }
+
+  // The slot has to exist in the venue's schedule, which also sets its capacity
+  const venueSnap = await getDoc(venueRef(venueType, venueId));
+  const schedule = getVenueSchedule(venueSnap.data(), venueType);
+  const slot = findSlot(schedule, date, timeSlot);
+  if (!slot) {
+    throw new Error(getClosureReason(schedule, date) || "This venue does not take bookings at that time.");
+  }
+  return { ...slot, slotMinutes: schedule.slotMinutes };
+};
+
+export const bookAppointment = async (appointmentData) => {
+  try {
+    const { venueId, venueType, date, timeSlot, donationType = DEFAULT_DONATION_TYPE } = appointmentData;
+    const { capacity, slotMinutes } = await checkBooking({ ...appointmentData, donationType });
+
+    const slotId = getSlotId(venueId, date, timeSlot);
     const apptRef = doc(collection(db, 'appointments'));
-    await setDoc(apptRef, {
-      ...appointmentData,
-      status: 'scheduled',
-      createdAt: new Date().toISOString()
+
+    await runTransaction(db, async (transaction) => {
+      const slotSnap = await transaction.get(slotRef(slotId));
+      takeSeat(transaction, slotSnap, { slotId, venueId, venueType, date, timeSlot, capacity }, apptRef.id);
+      transaction.set(apptRef, {
+        ...appointmentData,
+        donationType,
+        slotId,
+        slotMinutes, // Appointment length for calendar exports
+        status: 'scheduled',
+        createdAt: new Date().toISOString()
+      });
     });
-    
+
     return apptRef.id;
   } catch (error) {
     console.error("Error booking appointment:", error);
@@ -677,6 +1701,52 @@ export const bookAppointment = async (appointmentData) => {
   }
 };
 
+// Moves a scheduled appointment to another slot at the same venue. The old seat is
+// only given back once the new one is taken. The day-of check and sent reminders
+// were for the old time, so both start over.
+export const rescheduleAppointment = async (appointmentId, { date, timeSlot }) => {
+  try {
+    const apptRef = doc(db, 'appointments', appointmentId);
+    const apptSnap = await getDoc(apptRef);
+    const appt = apptSnap.data();
+    if (appt?.status !== 'scheduled') {
+      throw new Error("Only scheduled appointments can be rescheduled.");
+    }
+
+    const { capacity, slotMinutes } = await checkBooking({ ...appt, date, timeSlot });
+    const slotId = getSlotId(appt.venueId, date, timeSlot);
+    if (slotId === appt.slotId) {
+      throw new Error("The appointment is already in that slot.");
+    }
+    await runTransaction(db, async (transaction) => {
+      const current = await transaction.get(apptRef);
+      if (current.data()?.status !== 'scheduled' || current.data().slotId !== appt.slotId) {
+        throw new Error("This appointment changed in the meantime. Please refresh and try again.");
+      }
+      const oldSlotSnap = appt.slotId ? await transaction.get(slotRef(appt.slotId)) : null;
+      const newSlotSnap = await transaction.get(slotRef(slotId));
+
+      takeSeat(transaction, newSlotSnap, {
+        slotId, venueId: appt.venueId, venueType: appt.venueType, date, timeSlot, capacity
+      }, appointmentId);
+      releaseSeat(transaction, oldSlotSnap, appointmentId);
+      transaction.update(apptRef, {
+        date,
+        timeSlot,
+        slotId,
+        slotMinutes,
+        dayOfCheck: deleteField(),
+        remindersSent: deleteField(),
+        rescheduledFrom: { date: appt.date, timeSlot: appt.timeSlot },
+        updatedAt: new Date().toISOString()
+      });
+    });
+  } catch (error) {
+    console.error("Error rescheduling appointment:", error);
+    throw error;
+  }
+};
+
 export const getDonorAppointments = async (donorId) => {
   try {
     const q = query(
@@ -695,11 +1765,23 @@ export const getDonorAppointments = async (donorId) => {
   }
 };
 
+// Cancelling gives the seat back in the same transaction
 export const cancelAppointment = async (appointmentId) => {
   try {
-    await updateDoc(doc(db, 'appointments', appointmentId), {
-      status: 'cancelled',
-      updatedAt: new Date().toISOString()
+    const apptRef = doc(db, 'appointments', appointmentId);
+    await runTransaction(db, async (transaction) => {
+      const apptSnap = await transaction.get(apptRef);
+      const appt = apptSnap.data();
+      if (appt?.status !== 'scheduled') {
+        throw new Error("Only scheduled appointments can be cancelled.");
+      }
+      const slotSnap = appt.slotId ? await transaction.get(slotRef(appt.slotId)) : null;
+
+      releaseSeat(transaction, slotSnap, appointmentId);
+      transaction.update(apptRef, {
+        status: 'cancelled',
+        updatedAt: new Date().toISOString()
+      });
     });
   } catch (error) {
     console.error("Error cancelling appointment:", error);
@@ -710,14 +1792,16 @@ export const cancelAppointment = async (appointmentId) => {
 export const getVenues = async () => {
   try {
     // Fetch Hospitals
-    const hospQ = query(collection(db, 'inventory'), where('status', '==', 'active'));
+    // Unverified hospitals cannot take bookings
+    const hospQ = query(collection(db, 'inventory'), where('status', '==', VENUE_STATUS.ACTIVE));
     const hospSnap = await getDocs(hospQ);
     const hospitals = hospSnap.docs.map(doc => ({
       id: doc.id,
       name: doc.data().hospitalName,
       type: 'hospital',
       address: doc.data().address,
-      location: doc.data().location // {lat, lng}
+      location: doc.data().location, // {lat, lng}
+      schedule: getVenueSchedule(doc.data(), 'hospital')
     }));
 
     // Fetch Camps
@@ -727,12 +1811,11 @@ export const getVenues = async () => {
       id: doc.id,
       name: doc.data().campName || doc.data().organizerName, // Fallback
       type: 'camp',
-      address: doc.data().location,
-      // Camps might store address in 'location' string, or have coordinates if enhanced.
-      // Assuming simple string for now unless structure updated. 
-      // If coordinates exist, they should be returned too.
-      // Note: 'location' field in camps is often a string address in this schema.
-      // If we add lat/lng to camps later, add it here.
+      // Older camps stored the address string in 'location'; newer ones keep {lat, lng} there
+      address: doc.data().address || (typeof doc.data().location === 'string' ? doc.data().location : ''),
+      location: isValidLocation(doc.data().location) ? doc.data().location : null,
+      date: doc.data().date,
+      schedule: getVenueSchedule(doc.data(), 'camp')
     }));
 
     return [...hospitals, ...camps];
@@ -750,7 +1833,9 @@ export const getVenueAppointments = async (venueId) => {
       where('status', 'in', ['scheduled', 'completed', 'no-show'])
     );
     const snapshot = await getDocs(q);
-    const appointments = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    // donorNoShowCount (how often the donor missed appointments before) is copied
+    // onto scheduled appointments by the onAppointmentWritten function
+    const appointments = snapshot.docs.map(doc => ({ id: doc.id, donorNoShowCount: 0, ...doc.data() }));
     
     // Sort by Date then Time
     return appointments.sort((a, b) => {
@@ -758,13 +1843,8 @@ export const getVenueAppointments = async (venueId) => {
         const dateB = new Date(b.date);
         if (dateA - dateB !== 0) return dateA - dateB;
         
-        // Time sort helper
-        const timeToNum = (t) => {
-            if (t === '10:00 AM') return 1;
-            if (t === '01:00 PM') return 2;
-            if (t === '04:00 PM') return 3;
-            return 4;
-        };
+        // Unreadable slot labels go last
+        const timeToNum = (t) => parseTimeSlot(t) ?? Infinity;
         return timeToNum(a.timeSlot) - timeToNum(b.timeSlot);
     });
   } catch (error) {
@@ -773,55 +1853,75 @@ export const getVenueAppointments = async (venueId) => {
   }
 };
 
-export const completeAppointment = async (appointmentId, venueId, bloodType, donorId, venueName, venueType) => {
+export const completeAppointment = async (appointmentId, venueId, bloodType, donorId, venueName, venueType, donationType = DEFAULT_DONATION_TYPE) => {
     try {
-        // 1. Update Appointment Status
+        // 1. Update Appointment Status and issue the donor's certificate with it
+        // Nobody gives blood without a passing day-of check for this appointment
         const apptRef = doc(db, 'appointments', appointmentId);
-        await updateDoc(apptRef, {
+        const apptSnap = await getDoc(apptRef);
+        if (apptSnap.data()?.dayOfCheck?.result !== SCREENING_RESULT.ELIGIBLE) {
+            throw new Error("The donor has not passed their pre-donation check for this appointment.");
+        }
+        const completedAt = new Date().toISOString();
+        const certificateId = generateCertificateId();
+        const batch = writeBatch(db);
+        batch.update(apptRef, {
             status: 'completed',
-            completedAt: new Date().toISOString()
+            completedAt,
+            certificateId
+        });
+        batch.set(doc(db, 'certificates', certificateId), {
+            donorId,
+            donorName: apptSnap.data().donorName || null,
+            venueId,
+            venueName,
+            venueType,
+            bloodType,
+            donationType,
+            appointmentId,
+            donatedAt: completedAt,
+            issuedAt: completedAt,
+            issuedBy: auth.currentUser?.uid || null,
+            status: CERTIFICATE_STATUS.VALID
+        });
+
+        // 2. Update Donor History in the same write: the rules only let a venue add
+        // one entry, for the appointment it is completing
+        batch.update(doc(db, 'users', donorId), {
+            donationHistory: arrayUnion({
+                date: completedAt,
+                venueId,
+                venueName,
+                venueType,
+                bloodType,
+                donationType, // Drives the waiting period before the next donation
+                certificateId,
+                appointmentId, // Links the entry to its donationJourneys doc
+                status: 'Success'
+            }),
+            'donorProfile.totalDonations': increment(1),
+            'donorProfile.lastDonation': completedAt
         });
+        await batch.commit();
 
-        // 2. Increment Hospital Stock (Only if venue is a hospital)
+        // 3. Register the collected bag (Only if venue is a hospital)
         // If it's a camp, we might not update a specific stock immediately or logic differs.
-        // Assuming for now both might want to track, but stock is specifically for 'inventory' collection.
-        // We'll check if an inventory doc exists for this venueId.
+        // Stock is specifically for the 'inventory' collection, so check the doc exists first.
+        // The bag starts as collected and only counts as stock once tested and processed.
         if (venueType === 'hospital') {
-            const inventoryRef = doc(db, 'inventory', venueId);
-            const docSnap = await getDoc(inventoryRef);
+            const docSnap = await getDoc(doc(db, 'inventory', venueId));
             if (docSnap.exists()) {
-                const currentStock = docSnap.data().bloodStock || {};
-                const currentAmount = currentStock[bloodType] || 0;
-                await updateDoc(inventoryRef, {
-                    [`bloodStock.${bloodType}`]: currentAmount + 1,
-                    lastUpdated: new Date().toISOString()
-                });
+                await addBloodUnit(venueId, {
+                    bloodType,
+                    componentType: donationType,
+                    donorId,
+                    appointmentId,
+                    status: UNIT_STATUS.COLLECTED
+                }, { reason: LEDGER_REASONS.DONATION, appointmentId });
             }
         }
 
-        // 3. Update Donor History
-        const userRef = doc(db, 'users', donorId);
-        const userSnap = await getDoc(userRef);
-        if (userSnap.exists()) {
-            const userData = userSnap.data();
-            const currentHistory = userData.donationHistory || [];
-            const newHistoryItem = {
-                date: new Date().toISOString(),
-                venueName,
-                venueType,
-                bloodType,
-                status: 'Success'
-            };
-            
-            // Also update stats
-            const currentTotal = userData.donorProfile?.totalDonations || 0;
-            
-            await updateDoc(userRef, {
-                donationHistory: [...currentHistory, newHistoryItem],
-                'donorProfile.totalDonations': currentTotal + 1,
-                'donorProfile.lastDonation': new Date().toISOString()
-            });
-        }
+        return certificateId;
 
     } catch (error) {
         console.error("Error completing appointment:", error);
@@ -840,4 +1940,349 @@ export const markAppointmentNoShow = async (appointmentId) => {
         console.error("Error marking no-show:", error);
         throw error;
     }
-};
\ No newline at end of file
+};
+
+// The onAppointmentWritten function mails and pushes the donor a rebooking link
+export const sendNoShowFollowUp = async (appointmentId) => {
+    try {
+        await updateDoc(doc(db, 'appointments', appointmentId), {
+            followUp: {
+                requestedAt: new Date().toISOString(),
+                requestedBy: auth.currentUser?.uid || null
+            }
+        });
+    } catch (error) {
+        console.error("Error sending no-show follow-up:", error);
+        throw error;
+    }
+};
+
+// Donation Certificates (certificates/{certificateId})
+// Issued by completeAppointment; see src/lib/certificates.js.
+// Public, so /verify can confirm a certificate for anyone holding it
+export const getCertificate = async (certificateId) => {
+  try {
+    const snap = await getDoc(doc(db, 'certificates', certificateId));
+    return snap.exists() ? { id: snap.id, ...snap.data() } : null;
+  } catch (error) {
+    console.error("Error getting certificate:", error);
+    throw error;
+  }
+};
+
+// Issuing venue only, e.g. when the donation was recorded against the wrong donor
+export const revokeCertificate = async (certificateId, reason) => {
+  try {
+    await updateDoc(doc(db, 'certificates', certificateId), {
+      status: CERTIFICATE_STATUS.REVOKED,
+      revokedAt: new Date().toISOString(),
+      revokedBy: auth.currentUser?.uid || null,
+      revokeReason: reason || null
+    });
+  } catch (error) {
+    console.error("Error revoking certificate:", error);
+    throw error;
+  }
+};
+
+// Leaderboard (leaderboard/{uid})
+// Written by the onLeaderboardProfileWritten function for donors who opted in
+// from Profile Settings; see src/lib/rewards.js.
+
+/**
+ * Top donors in a city or campus, most donations first.
+ * @param {string} scope - LEADERBOARD_SCOPES.CITY or .CAMPUS
+ * @param {string} value - the city or campus as the donor typed it
+ */
+export const getLeaderboard = async (scope, value) => {
+  const key = getLeaderboardKey(value);
+  if (!key) return [];
+  try {
+    const field = scope === LEADERBOARD_SCOPES.CAMPUS ? 'campusKey' : 'cityKey';
+    const snapshot = await getDocs(query(
+      collection(db, 'leaderboard'),
+      where(field, '==', key),
+      orderBy('totalDonations', 'desc'),
+      limit(LEADERBOARD_SIZE)
+    ));
+    return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+  } catch (error) {
+    console.error("Error getting leaderboard:", error);
+    throw error;
+  }
+};
+
+// Donation Journeys (donationJourneys/{appointmentId})
+// Written by the onBloodUnitWritten function as the hospital moves the donated bag
+// from collected to issued; see functions/shared/bloodUnits.js.
+export const subscribeToDonationJourneys = (donorId, callback) => {
+  const q = query(collection(db, 'donationJourneys'), where('donorId', '==', donorId));
+  return onSnapshot(q, (snapshot) => {
+    const journeys = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+    journeys.sort((a, b) => new Date(b.collectedAt) - new Date(a.collectedAt));
+    callback(journeys);
+  }, (error) => {
+    console.error("Error subscribing to donation journeys:", error);
+  });
+};
+
+// Inter-hospital Transfers (transfers/{transferId}); see functions/shared/transfers.js
+// Each hospital only writes its own units: the supplier reserves and dispatches
+// bags from its stock, the requester registers them in its own on receipt.
+const transferStep = (status, note = null) => ({
+  status,
+  at: new Date().toISOString(),
+  by: auth.currentUser.uid,
+  note: note?.trim() || null
+});
+
+/**
+ * @param {Object} requester - { id, name } the hospital asking
+ * @param {Object} supplier - { id, name } the hospital asked
+ * @param {Object} transferData - { bloodType, componentType, unitsRequested, note }
+ * @returns {Promise<string>} The new transfer ID
+ */
+export const requestTransfer = async (requester, supplier, transferData) => {
+  try {
+    const transferRef = doc(collection(db, 'transfers'));
+    const step = transferStep(TRANSFER_STATUS.REQUESTED, transferData.note);
+    await setDoc(transferRef, {
+      requesterId: requester.id,
+      requesterName: requester.name,
+      supplierId: supplier.id,
+      supplierName: supplier.name,
+      bloodType: transferData.bloodType,
+      componentType: transferData.componentType || DEFAULT_COMPONENT,
+      unitsRequested: Math.min(MAX_TRANSFER_UNITS, Math.max(1, parseInt(transferData.unitsRequested, 10) || 1)),
+      note: step.note,
+      status: TRANSFER_STATUS.REQUESTED,
+      offeredUnits: [],
+      statusHistory: [step],
+      createdAt: step.at,
+      updatedAt: step.at
+    });
+    return transferRef.id;
+  } catch (error) {
+    console.error("Error requesting transfer:", error);
+    throw error;
+  }
+};
+
+// Transfers this hospital asked for and was asked for, newest first
+export const subscribeToTransfers = (hospitalId, callback) => {
+  const sides = { requesterId: [], supplierId: [] };
+  const unsubscribes = Object.keys(sides).map(field => onSnapshot(
+    query(collection(db, 'transfers'), where(field, '==', hospitalId)),
+    (snapshot) => {
+      sides[field] = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+      const transfers = [...sides.requesterId, ...sides.supplierId];
+      transfers.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      callback(transfers);
+    },
+    (error) => {
+      console.error("Error subscribing to transfers:", error);
+    }
+  ));
+  return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+};
+
+// Moves a transfer one step without touching any units
+const updateTransferStatus = async (transferId, status, note = null) => {
+  const step = transferStep(status, note);
+  await updateDoc(doc(db, 'transfers', transferId), {
+    status,
+    updatedAt: step.at,
+    statusHistory: arrayUnion(step)
+  });
+};
+
+/**
+ * Supplier offers the chosen bags. They are reserved for the transfer, so they
+ * leave the supplier's available stock now and cannot be issued meanwhile.
+ */
+export const offerTransfer = async (hospitalId, transferId, unitIds, note = null) => {
+  try {
+    const transferRef = doc(db, 'transfers', transferId);
+    const unitRefs = unitIds.map(id => doc(unitsCollection(hospitalId), id));
+
+    await runTransaction(db, async (transaction) => {
+      const transferSnap = await transaction.get(transferRef);
+      const snaps = await Promise.all(unitRefs.map(ref => transaction.get(ref)));
+      if (!transferSnap.exists()) throw new Error("Transfer not found.");
+
+      const transfer = transferSnap.data();
+      if (transfer.status !== TRANSFER_STATUS.REQUESTED) throw new Error("This transfer has already been answered.");
+      if (unitIds.length === 0 || unitIds.length > transfer.unitsRequested) {
+        throw new Error(`Offer between 1 and ${transfer.unitsRequested} bag(s).`);
+      }
+
+      const step = transferStep(TRANSFER_STATUS.OFFERED, note);
+      const offeredUnits = snaps.map((unitSnap) => {
+        if (!unitSnap.exists()) throw new Error("Blood unit not found.");
+        const unit = unitSnap.data();
+        if (unit.status !== UNIT_STATUS.AVAILABLE) throw new Error(`Bag ${unit.bagId} is no longer available.`);
+        if (isUnitExpired(unit)) throw new Error(`Bag ${unit.bagId} has expired.`);
+        return { unitId: unitSnap.id, ...unit };
+      });
+
+      offeredUnits.forEach((unit, i) => transaction.update(unitRefs[i], {
+        status: UNIT_STATUS.RESERVED,
+        reservedForTransfer: transferId,
+        reservedAt: step.at,
+        updatedAt: step.at
+      }));
+      recordStockChanges(transaction, hospitalId, offeredUnits.map(unit => ({
+        unit, delta: -1, reason: LEDGER_REASONS.TRANSFER_OUT
+      })), { transferId });
+
+      transaction.update(transferRef, {
+        status: TRANSFER_STATUS.OFFERED,
+        offeredUnits: offeredUnits.map(unit => ({
+          unitId: unit.unitId,
+          bagId: unit.bagId,
+          bloodType: unit.bloodType,
+          componentType: unit.componentType,
+          collectionDate: unit.collectionDate || null,
+          expiryDate: unit.expiryDate,
+          donorId: unit.donorId || null,
+          appointmentId: unit.appointmentId || null
+        })),
+        updatedAt: step.at,
+        statusHistory: arrayUnion(step)
+      });
+    });
+  } catch (error) {
+    console.error("Error offering transfer:", error);
+    throw error;
+  }
+};
+
+export const acceptTransfer = async (transferId, note = null) => {
+  try {
+    await updateTransferStatus(transferId, TRANSFER_STATUS.ACCEPTED, note);
+  } catch (error) {
+    console.error("Error accepting transfer:", error);
+    throw error;
+  }
+};
+
+// Supplier declines, or the requester cancels, any time before dispatch.
+// Reserved bags are put back on the supplier's shelf by onTransferWritten.
+export const declineTransfer = async (transferId, note = null) => {
+  try {
+    await updateTransferStatus(transferId, TRANSFER_STATUS.DECLINED, note);
+  } catch (error) {
+    console.error("Error declining transfer:", error);
+    throw error;
+  }
+};
+
+export const cancelTransfer = async (transferId, note = null) => {
+  try {
+    await updateTransferStatus(transferId, TRANSFER_STATUS.CANCELLED, note);
+  } catch (error) {
+    console.error("Error cancelling transfer:", error);
+    throw error;
+  }
+};
+
+// Supplier sends the reserved bags; they already left its available stock on offer
+export const dispatchTransfer = async (hospitalId, transferId, note = null) => {
+  try {
+    const transferRef = doc(db, 'transfers', transferId);
+
+    await runTransaction(db, async (transaction) => {
+      const transferSnap = await transaction.get(transferRef);
+      if (!transferSnap.exists()) throw new Error("Transfer not found.");
+      const transfer = transferSnap.data();
+      if (transfer.status !== TRANSFER_STATUS.ACCEPTED) throw new Error("Only accepted transfers can be dispatched.");
+
+      const unitRefs = transfer.offeredUnits.map(offered => doc(unitsCollection(hospitalId), offered.unitId));
+      const snaps = await Promise.all(unitRefs.map(ref => transaction.get(ref)));
+      const step = transferStep(TRANSFER_STATUS.DISPATCHED, note);
+
+      snaps.forEach((unitSnap, i) => {
+        const unit = unitSnap.data();
+        if (unit?.status !== UNIT_STATUS.RESERVED || unit.reservedForTransfer !== transferId) {
+          throw new Error(`Bag ${transfer.offeredUnits[i].bagId} is no longer reserved for this transfer.`);
+        }
+        transaction.update(unitRefs[i], {
+          status: UNIT_STATUS.TRANSFERRED,
+          transferredTo: transfer.requesterId,
+          transferredAt: step.at,
+          updatedAt: step.at
+        });
+      });
+
+      transaction.update(transferRef, {
+        status: TRANSFER_STATUS.DISPATCHED,
+        updatedAt: step.at,
+        statusHistory: arrayUnion(step)
+      });
+    });
+  } catch (error) {
+    console.error("Error dispatching transfer:", error);
+    throw error;
+  }
+};
+
+/**
+ * Requester registers the dispatched bags in its own stock under the same bag
+ * IDs, keeping the donor and appointment so the donor's journey follows them.
+ * Bags that expired on the way are recorded as discarded.
+ */
+export const receiveTransfer = async (hospitalId, transferId, note = null) => {
+  try {
+    const transferRef = doc(db, 'transfers', transferId);
+    const inventoryRef = doc(db, 'inventory', hospitalId);
+    await migrateLegacyStock(hospitalId); // No-op once the hospital tracks units
+
+    await runTransaction(db, async (transaction) => {
+      const transferSnap = await transaction.get(transferRef);
+      const inventorySnap = await transaction.get(inventoryRef);
+      if (!transferSnap.exists()) throw new Error("Transfer not found.");
+      if (!inventorySnap.exists()) throw new Error("Hospital inventory not found.");
+      const transfer = transferSnap.data();
+      if (transfer.status !== TRANSFER_STATUS.DISPATCHED) throw new Error("Only dispatched transfers can be received.");
+
+      const existing = await Promise.all(transfer.offeredUnits.map(offered =>
+        transaction.get(doc(unitsCollection(hospitalId), offered.bagId))));
+      const step = transferStep(TRANSFER_STATUS.RECEIVED, note);
+
+      const units = transfer.offeredUnits.map((offered, i) => {
+        const expired = isUnitExpired(offered);
+        return {
+          // Placeholder bags (LEGACY-A+-1...) can clash with this hospital's own
+          bagId: existing[i].exists() ? `${offered.bagId}-${transferId.slice(0, 6)}` : offered.bagId,
+          bloodType: offered.bloodType,
+          componentType: offered.componentType,
+          collectionDate: offered.collectionDate,
+          expiryDate: offered.expiryDate,
+          status: expired ? UNIT_STATUS.DISCARDED : UNIT_STATUS.AVAILABLE,
+          ...(expired && { discardedAt: step.at }),
+          donorId: offered.donorId,
+          appointmentId: offered.appointmentId,
+          transferId,
+          receivedFrom: { hospitalId: transfer.supplierId, hospitalName: transfer.supplierName },
+          createdAt: step.at,
+          updatedAt: step.at
+        };
+      });
+
+      units.forEach(unit => transaction.set(doc(unitsCollection(hospitalId), unit.bagId), unit));
+      const stocked = units.filter(unit => unit.status === UNIT_STATUS.AVAILABLE);
+      recordStockChanges(transaction, hospitalId, stocked.map(unit => ({
+        unit, delta: 1, reason: LEDGER_REASONS.TRANSFER_IN
+      })), { transferId });
+
+      transaction.update(transferRef, {
+        status: TRANSFER_STATUS.RECEIVED,
+        updatedAt: step.at,
+        statusHistory: arrayUnion(step)
+      });
+    });
+  } catch (error) {
+    console.error("Error receiving transfer:", error);
+    throw error;
+  }
+};
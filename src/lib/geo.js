@@ -0,0 +1,24 @@
+// Geo Helpers
+// The distance and area checks are shared with the Cloud Functions in
+// functions/shared/geo.js; geocoding a typed place name only happens here.
+import { OpenStreetMapProvider } from 'leaflet-geosearch';
+
+export * from '../../functions/shared/geo.js';
+
+const geocoder = new OpenStreetMapProvider();
+
+/**
+ * Resolves a free-text place name ("Pune", "Brooklyn") to coordinates.
+ * @returns {Promise<{lat: number, lng: number, label: string}|null>}
+ */
+export const geocodePlace = async (place) => {
+  if (!place || !place.trim()) return null;
+  try {
+    const results = await geocoder.search({ query: place.trim() });
+    if (!results || results.length === 0) return null;
+    return { lat: results[0].y, lng: results[0].x, label: results[0].label };
+  } catch (error) {
+    console.error("Error geocoding place:", error);
+    return null;
+  }
+};
@@ -0,0 +1,148 @@
+// Push Notifications
+// Each browser install is one device in users/{uid}/devices, keyed by a random ID
+// kept in localStorage under that uid, so two accounts sharing a browser never share
+// a device. FCM rotates tokens now and then, so the token is re-read on every
+// sign-in and written back to the same device doc when it changes. Signing out
+// deletes the token and the device doc (unregisterDevice).
+import { getToken, deleteToken, onMessage, isSupported } from 'firebase/messaging';
+import { messaging } from './firebase';
+import { saveDevice, touchDevice, removeDevice } from './firestore';
+
+const VAPID_KEY = import.meta.env.VITE_FIREBASE_VAPID_KEY;
+const deviceIdKey = (uid) => `lifeline.deviceId.${uid}`;
+const deviceTokenKey = (uid) => `lifeline.deviceToken.${uid}`;
+
+// Shared by every account before the keys were per uid
+const LEGACY_DEVICE_ID_KEY = 'lifeline.deviceId';
+const LEGACY_DEVICE_TOKEN_KEY = 'lifeline.deviceToken';
+
+export const getDeviceId = (uid) => {
+  let deviceId = localStorage.getItem(deviceIdKey(uid));
+  if (!deviceId) {
+    deviceId = crypto.randomUUID();
+    localStorage.setItem(deviceIdKey(uid), deviceId);
+  }
+  return deviceId;
+};
+
+// Rough platform/browser label shown in the device list, e.g. "Chrome on Android"
+export const getPlatformLabel = (userAgent = navigator.userAgent) => {
+  const os = /android/i.test(userAgent) ? 'Android'
+    : /iphone|ipad|ipod/i.test(userAgent) ? 'iOS'
+      : /windows/i.test(userAgent) ? 'Windows'
+        : /mac os/i.test(userAgent) ? 'macOS'
+          : /linux/i.test(userAgent) ? 'Linux'
+            : 'Unknown OS';
+  const browser = /edg\//i.test(userAgent) ? 'Edge'
+    : /firefox|fxios/i.test(userAgent) ? 'Firefox'
+      : /chrome|crios/i.test(userAgent) ? 'Chrome'
+        : /safari/i.test(userAgent) ? 'Safari'
+          : 'Browser';
+  return `${browser} on ${os}`;
+};
+
+export const isPushSupported = async () => {
+  if (!messaging || !('Notification' in window) || !('serviceWorker' in navigator)) return false;
+  try {
+    return await isSupported();
+  } catch {
+    return false;
+  }
+};
+
+const fetchToken = async () => {
+  const serviceWorkerRegistration = await navigator.serviceWorker.register('/firebase-messaging-sw.js');
+  return getToken(messaging, { vapidKey: VAPID_KEY, serviceWorkerRegistration });
+};
+
+const storeToken = async (uid, token) => {
+  await saveDevice(uid, getDeviceId(uid), {
+    token,
+    platform: getPlatformLabel(),
+    userAgent: navigator.userAgent
+  });
+  localStorage.setItem(deviceTokenKey(uid), token);
+};
+
+// A token from before the keys were per uid may sit on another account's device
+// doc; deleting it makes FCM issue a fresh one and lets the server prune the old doc
+const dropLegacyToken = async () => {
+  if (!localStorage.getItem(LEGACY_DEVICE_TOKEN_KEY)) return;
+  await deleteToken(messaging);
+  localStorage.removeItem(LEGACY_DEVICE_TOKEN_KEY);
+  localStorage.removeItem(LEGACY_DEVICE_ID_KEY);
+};
+
+/**
+ * Asks for notification permission and registers this browser for push.
+ * @returns {Promise<boolean>} True if the device is now registered
+ */
+export const enablePushNotifications = async (uid) => {
+  if (!(await isPushSupported())) {
+    throw new Error("Push notifications are not supported in this browser.");
+  }
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') return false;
+
+  const token = await fetchToken();
+  if (!token) return false;
+  await storeToken(uid, token);
+  return true;
+};
+
+/**
+ * Called after sign-in. Picks up rotated tokens and bumps lastSeenAt, but never
+ * prompts: devices that have not granted permission are left alone.
+ */
+export const syncPushToken = async (uid) => {
+  try {
+    if (!(await isPushSupported()) || Notification.permission !== 'granted') return;
+    await dropLegacyToken();
+
+    const token = await fetchToken();
+    if (!token) return;
+
+    if (token !== localStorage.getItem(deviceTokenKey(uid))) {
+      await storeToken(uid, token);
+    } else {
+      await touchDevice(uid, getDeviceId(uid));
+    }
+  } catch (error) {
+    console.error("Error syncing push token:", error);
+  }
+};
+
+/**
+ * Removes a device from the account. Revoking the current browser also
+ * deletes its FCM token so it stops receiving pushes immediately.
+ */
+export const revokeDevice = async (uid, deviceId) => {
+  if (deviceId === getDeviceId(uid)) {
+    try {
+      if (await isPushSupported()) await deleteToken(messaging);
+    } catch (error) {
+      console.error("Error deleting push token:", error);
+    }
+    localStorage.removeItem(deviceTokenKey(uid));
+  }
+  await removeDevice(uid, deviceId);
+};
+
+/**
+ * Called just before sign-out, while the rules still let the user delete their
+ * device doc, so whoever signs in next on this browser gets none of their pushes.
+ */
+export const unregisterDevice = async (uid) => {
+  try {
+    await revokeDevice(uid, getDeviceId(uid));
+  } catch (error) {
+    console.error("Error unregistering device:", error);
+  }
+};
+
+// Pushes that arrive while a tab is focused do not reach the service worker
+export const listenForForegroundMessages = (callback) => {
+  if (!messaging) return () => {};
+  return onMessage(messaging, callback);
+};
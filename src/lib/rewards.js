@@ -0,0 +1,93 @@
+// Donor Rewards
+// The badge, streak and leaderboard rules live in functions/shared/rewards.js,
+// shared with the onCertificateWritten function that awards them; this file
+// draws the images donors share.
+import { BADGE_INFO } from '../../functions/shared/rewards.js';
+
+export * from '../../functions/shared/rewards.js';
+
+/**
+ * Draws a square badge image for sharing.
+ * @param {string} badge - one of BADGES
+ * @param {string} donorName
+ * @param {string} [earnedAt] - ISO date the badge was earned
+ * @returns {Promise<Blob>} PNG
+ */
+export const createBadgeImage = (badge, donorName, earnedAt = null) => {
+  const { label, description, color } = BADGE_INFO[badge];
+  const size = 1080;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  const center = size / 2;
+
+  ctx.fillStyle = '#f8fafc';
+  ctx.fillRect(0, 0, size, size);
+
+  // Medal
+  ctx.beginPath();
+  ctx.arc(center, 400, 220, 0, Math.PI * 2);
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.lineWidth = 24;
+  ctx.strokeStyle = '#ffffff';
+  ctx.stroke();
+
+  // Blood drop
+  ctx.beginPath();
+  ctx.moveTo(center, 280);
+  ctx.bezierCurveTo(center + 40, 350, center + 100, 400, center + 100, 460);
+  ctx.arc(center, 460, 100, 0, Math.PI);
+  ctx.bezierCurveTo(center - 100, 400, center - 40, 350, center, 280);
+  ctx.fillStyle = '#ffffff';
+  ctx.fill();
+
+  ctx.textAlign = 'center';
+  ctx.fillStyle = '#0f172a';
+  ctx.font = 'bold 84px sans-serif';
+  ctx.fillText(label, center, 740);
+  ctx.fillStyle = '#475569';
+  ctx.font = '40px sans-serif';
+  ctx.fillText(description, center, 810, size - 120);
+  ctx.font = 'bold 44px sans-serif';
+  ctx.fillStyle = color;
+  ctx.fillText(donorName || 'A LifeLine donor', center, 890, size - 120);
+
+  ctx.fillStyle = '#94a3b8';
+  ctx.font = '32px sans-serif';
+  ctx.fillText(`LifeLine blood donation${earnedAt ? ` · ${new Date(earnedAt).toLocaleDateString()}` : ''}`, center, 1000);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not create the badge image'))), 'image/png');
+  });
+};
+
+/**
+ * Opens the system share sheet with the badge image where the browser supports
+ * sharing files, otherwise saves the image.
+ * @returns {Promise<boolean>} false if the image was downloaded instead
+ */
+export const shareBadge = async (badge, donorName, earnedAt = null) => {
+  const blob = await createBadgeImage(badge, donorName, earnedAt);
+  const file = new File([blob], `lifeline-${badge}.png`, { type: 'image/png' });
+  const text = `I earned the ${BADGE_INFO[badge].label} badge for donating blood with LifeLine.`;
+
+  if (navigator.canShare?.({ files: [file] })) {
+    try {
+      await navigator.share({ files: [file], text });
+    } catch (error) {
+      // Closing the share sheet is not a failure
+      if (error.name !== 'AbortError') throw error;
+    }
+    return true;
+  }
+
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = file.name;
+  link.click();
+  URL.revokeObjectURL(url);
+  return false;
+};
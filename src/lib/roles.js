@@ -0,0 +1,30 @@
+// Account Roles
+// The role someone picks at signup is only a request. Access is decided by the
+// `role` custom claim, which the setUserRole Cloud Function sets after verification.
+import { httpsCallable } from 'firebase/functions';
+import { auth, functions } from './firebase';
+
+export const ROLES = ['user', 'organizer', 'hospital', 'admin'];
+
+/**
+ * Role from the signed-in user's ID token claims.
+ * @param {boolean} forceRefresh - Fetch a fresh token so newly assigned claims show up
+ * @returns {Promise<string|null>} null until an admin has verified the account
+ */
+export const getVerifiedRole = async (user, forceRefresh = false) => {
+  if (!user) return null;
+  const { claims } = await user.getIdTokenResult(forceRefresh);
+  return claims.role || null;
+};
+
+// Admin only. The callable re-checks the caller's claims server-side.
+export const assignUserRole = async (uid, role) => {
+  const setUserRole = httpsCallable(functions, 'setUserRole');
+  const { data } = await setUserRole({ uid, role });
+
+  // Pick up our own new claims straight away instead of waiting for token expiry
+  if (auth.currentUser?.uid === uid) {
+    await auth.currentUser.getIdToken(true);
+  }
+  return data;
+};
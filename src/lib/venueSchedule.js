@@ -0,0 +1,136 @@
+// Venue Schedules
+// Hospitals keep a weekly schedule on inventory/{hospitalId}.schedule; camps run on
+// their single date between startTime and endTime, with only the slot settings on
+// donationCamps/{campId}.schedule. Opening hours are cut into slots of slotMinutes,
+// each with bedsPerSlot seats. Times are 'HH:MM' (24h) and dates 'YYYY-MM-DD', both
+// in the venue's local time; appointments keep the slot label, e.g. '01:00 PM'.
+import { parseTimeSlot } from '../../functions/shared/appointments.js';
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+export const WEEKDAY_LABELS = {
+  sun: 'Sunday',
+  mon: 'Monday',
+  tue: 'Tuesday',
+  wed: 'Wednesday',
+  thu: 'Thursday',
+  fri: 'Friday',
+  sat: 'Saturday'
+};
+
+export const SLOT_MINUTE_OPTIONS = [15, 20, 30, 45, 60, 90, 120];
+export const DEFAULT_SLOT_MINUTES = 60;
+export const DEFAULT_BEDS_PER_SLOT = 2;
+
+const WORKDAY = [{ open: '09:00', close: '17:00' }];
+
+// Hospitals that have not set their hours yet: Monday to Saturday, 9 to 5
+export const DEFAULT_HOSPITAL_SCHEDULE = {
+  slotMinutes: DEFAULT_SLOT_MINUTES,
+  bedsPerSlot: DEFAULT_BEDS_PER_SLOT,
+  weeklyHours: {
+    sun: [],
+    mon: WORKDAY,
+    tue: WORKDAY,
+    wed: WORKDAY,
+    thu: WORKDAY,
+    fri: WORKDAY,
+    sat: WORKDAY
+  },
+  blackoutDates: [], // [{ from, to, reason }] one-off closures, inclusive
+  holidays: [] // [{ date: 'MM-DD', name }] closed every year
+};
+
+// '13:30' -> 810
+export const toMinutes = (time) => {
+  const [hours, minutes] = (time || '').split(':').map(Number);
+  return Number.isFinite(hours) && Number.isFinite(minutes) ? hours * 60 + minutes : null;
+};
+
+// 810 -> '01:30 PM', the label stored on appointments
+export const formatSlotLabel = (totalMinutes) => {
+  const hours24 = Math.floor(totalMinutes / 60);
+  const hours12 = hours24 % 12 || 12;
+  const minutes = String(totalMinutes % 60).padStart(2, '0');
+  return `${String(hours12).padStart(2, '0')}:${minutes} ${hours24 < 12 ? 'AM' : 'PM'}`;
+};
+
+/**
+ * The schedule a venue takes bookings on. `venue` is the inventory or camp doc.
+ * Camps get their opening hours from the camp itself.
+ */
+export const getVenueSchedule = (venue, venueType) => {
+  if (venueType === 'camp') {
+    return {
+      slotMinutes: venue?.schedule?.slotMinutes || DEFAULT_SLOT_MINUTES,
+      bedsPerSlot: venue?.schedule?.bedsPerSlot || DEFAULT_BEDS_PER_SLOT,
+      date: venue?.date || null,
+      hours: venue?.startTime && venue?.endTime ? [{ open: venue.startTime, close: venue.endTime }] : WORKDAY
+    };
+  }
+  return { ...DEFAULT_HOSPITAL_SCHEDULE, ...(venue?.schedule || {}) };
+};
+
+const getWeekday = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return WEEKDAYS[new Date(year, month - 1, day).getDay()];
+};
+
+// Why the venue is shut on a date, or null if it is open
+export const getClosureReason = (schedule, date) => {
+  if (schedule.date !== undefined) {
+    return schedule.date === date ? null : `This camp only runs on ${schedule.date}.`;
+  }
+  const blackout = (schedule.blackoutDates || []).find(b => date >= b.from && date <= (b.to || b.from));
+  if (blackout) return blackout.reason || 'Closed on this date.';
+  const holiday = (schedule.holidays || []).find(h => h.date === date.slice(5));
+  if (holiday) return `Closed for ${holiday.name || 'a holiday'}.`;
+  if ((schedule.weeklyHours?.[getWeekday(date)] || []).length === 0) {
+    return `Closed on ${WEEKDAY_LABELS[getWeekday(date)]}s.`;
+  }
+  return null;
+};
+
+/**
+ * Bookable slots on a date, in order. Empty when the venue is closed.
+ * @returns {Array<{timeSlot: string, startMinutes: number, capacity: number}>}
+ */
+export const getSlotsForDate = (schedule, date) => {
+  if (!date || getClosureReason(schedule, date)) return [];
+
+  const hours = schedule.date !== undefined ? schedule.hours : schedule.weeklyHours[getWeekday(date)];
+  const slotMinutes = schedule.slotMinutes || DEFAULT_SLOT_MINUTES;
+  const slots = [];
+  hours.forEach(({ open, close }) => {
+    const end = toMinutes(close);
+    // A slot has to finish before closing time
+    for (let start = toMinutes(open); start !== null && start + slotMinutes <= end; start += slotMinutes) {
+      slots.push({ timeSlot: formatSlotLabel(start), startMinutes: start, capacity: schedule.bedsPerSlot || DEFAULT_BEDS_PER_SLOT });
+    }
+  });
+  return slots.sort((a, b) => a.startMinutes - b.startMinutes);
+};
+
+export const findSlot = (schedule, date, timeSlot) =>
+  getSlotsForDate(schedule, date).find(slot => slot.startMinutes === parseTimeSlot(timeSlot)) || null;
+
+// Returns an error message, or null if the schedule can be saved
+export const validateSchedule = (schedule) => {
+  if (!(Number.isInteger(schedule.slotMinutes) && schedule.slotMinutes > 0)) return 'Slot length must be a whole number of minutes.';
+  if (!(Number.isInteger(schedule.bedsPerSlot) && schedule.bedsPerSlot > 0)) return 'There must be at least one bed per slot.';
+
+  for (const day of WEEKDAYS) {
+    for (const { open, close } of schedule.weeklyHours?.[day] || []) {
+      if (toMinutes(open) === null || toMinutes(close) === null || toMinutes(open) >= toMinutes(close)) {
+        return `${WEEKDAY_LABELS[day]}: closing time must be after opening time.`;
+      }
+    }
+  }
+  for (const blackout of schedule.blackoutDates || []) {
+    if (!blackout.from || (blackout.to && blackout.to < blackout.from)) return 'Every closure needs a start date on or before its end date.';
+  }
+  for (const holiday of schedule.holidays || []) {
+    if (!/^\d{2}-\d{2}$/.test(holiday.date || '')) return 'Holidays need a month and day.';
+  }
+  return null;
+};
@@ -0,0 +1,60 @@
+// Venue Verification
+// Hospitals and organizers sign up as 'pending'. An admin reviews the request in
+// /admin (reviewVerification Cloud Function), which grants the role claim and,
+// for hospitals, flips the inventory doc to 'active' so it shows up publicly.
+import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+import { httpsCallable } from 'firebase/functions';
+import { storage, functions } from './firebase';
+
+export const VERIFICATION_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+// inventory/{hospitalId}.status; only 'active' hospitals are listed anywhere public
+export const VENUE_STATUS = {
+  PENDING: 'pending',
+  ACTIVE: 'active',
+  REJECTED: 'rejected'
+};
+
+export const isVerifiedVenue = (venue) => venue?.status === VENUE_STATUS.ACTIVE;
+
+export const LICENSE_MAX_BYTES = 5 * 1024 * 1024;
+export const LICENSE_CONTENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+// Returns an error message, or null if the file can be uploaded
+export const validateLicenseFile = (file) => {
+  if (!file) return 'Please attach a copy of your license.';
+  if (!LICENSE_CONTENT_TYPES.includes(file.type)) return 'License proof must be a PDF, JPG or PNG file.';
+  if (file.size > LICENSE_MAX_BYTES) return 'License proof must be smaller than 5 MB.';
+  return null;
+};
+
+/**
+ * Uploads license proof to licenses/{uid}/ (readable only by the owner and admins).
+ * @returns {Promise<{path: string, name: string, contentType: string, uploadedAt: string}>}
+ */
+export const uploadLicenseDocument = async (uid, file) => {
+  const error = validateLicenseFile(file);
+  if (error) throw new Error(error);
+
+  const safeName = file.name.replace(/[^\w.-]+/g, '_');
+  const path = `licenses/${uid}/${Date.now()}-${safeName}`;
+  await uploadBytes(ref(storage, path), file, { contentType: file.type });
+  return { path, name: file.name, contentType: file.type, uploadedAt: new Date().toISOString() };
+};
+
+export const getLicenseDocumentUrl = (path) => getDownloadURL(ref(storage, path));
+
+/**
+ * Admin only: approve or reject a pending hospital/organizer.
+ * @param {'approved'|'rejected'} decision
+ * @param {string} notes - Shown to the applicant, required when rejecting
+ */
+export const reviewVerification = async (uid, decision, notes = '') => {
+  const review = httpsCallable(functions, 'reviewVerification');
+  const { data } = await review({ uid, decision, notes });
+  return data;
+};
@@ -0,0 +1,376 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useNavigate } from 'react-router-dom';
+import { Toaster, toast } from 'react-hot-toast';
+import { ShieldCheck, Building, Users, FileText, CheckCircle, XCircle, User, Loader2, Mail, Hash, ClipboardList } from 'lucide-react';
+import { subscribeToVerificationRequests, subscribeToQuestionnaires, publishQuestionnaire } from '../lib/firestore';
+import { DEFAULT_QUESTIONNAIRE, QUESTIONNAIRE_STATUS, validateQuestionnaire } from '../../functions/shared/questionnaire.js';
+import { VERIFICATION_STATUS, getLicenseDocumentUrl, reviewVerification } from '../lib/verification';
+import { assignUserRole, ROLES } from '../lib/roles';
+
+export default function AdminConsole() {
+    const { currentUser, verifiedRole, refreshVerifiedRole } = useAuth();
+    const navigate = useNavigate();
+    const [activeTab, setActiveTab] = useState(VERIFICATION_STATUS.PENDING);
+    const [requests, setRequests] = useState([]);
+    const [claiming, setClaiming] = useState(false);
+
+    const isAdmin = verifiedRole === 'admin';
+
+    useEffect(() => {
+        if (!currentUser) {
+            navigate('/login');
+            return;
+        }
+        if (!isAdmin) return;
+        return subscribeToVerificationRequests(activeTab, setRequests);
+    }, [currentUser, isAdmin, activeTab, navigate]);
+
+    // Bootstrap admins (ADMIN_EMAILS on the functions config) grant themselves the claim once
+    const handleClaimAdmin = async () => {
+        setClaiming(true);
+        try {
+            await assignUserRole(currentUser.uid, 'admin');
+            await refreshVerifiedRole();
+            toast.success("Admin access granted");
+        } catch (error) {
+            console.error(error);
+            toast.error(error.message || "You are not allowed to become an admin");
+        }
+        setClaiming(false);
+    };
+
+    if (!currentUser) return null;
+
+    if (!isAdmin) {
+        return (
+            <div className="min-h-screen flex items-center justify-center bg-slate-50 px-4">
+                <Toaster />
+                <div className="max-w-md text-center bg-white rounded-2xl shadow-sm border border-slate-100 p-8">
+                    <ShieldCheck className="h-12 w-12 text-slate-400 mx-auto mb-4" />
+                    <h2 className="text-2xl font-bold text-slate-900">Admins Only</h2>
+                    <p className="text-slate-600 mt-2">This console is for LifeLine administrators.</p>
+                    <button
+                        onClick={handleClaimAdmin}
+                        disabled={claiming}
+                        className="mt-6 text-sm text-brand-600 font-bold underline disabled:opacity-50"
+                    >
+                        {claiming ? 'Checking...' : 'I am a bootstrap admin'}
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="min-h-screen bg-slate-50 py-12 px-4 sm:px-6 lg:px-8">
+            <Toaster />
+            <div className="max-w-6xl mx-auto">
+                <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-10 gap-4">
+                    <div>
+                        <h1 className="text-3xl font-bold text-slate-900">Admin Console</h1>
+                        <p className="mt-2 text-slate-600">Verify hospitals and organizers before they go live.</p>
+                    </div>
+
+                    <div className="flex bg-slate-200 p-1 rounded-xl">
+                        {[
+                            [VERIFICATION_STATUS.PENDING, 'Pending'],
+                            [VERIFICATION_STATUS.APPROVED, 'Approved'],
+                            [VERIFICATION_STATUS.REJECTED, 'Rejected']
+                        ].map(([status, label]) => (
+                            <button
+                                key={status}
+                                onClick={() => setActiveTab(status)}
+                                className={`px-4 py-2 rounded-lg font-medium transition-all ${activeTab === status ? 'bg-white text-slate-900 shadow-sm' : 'text-slate-600 hover:text-slate-900'}`}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                    <div className="lg:col-span-2 space-y-4">
+                        {requests.length === 0 ? (
+                            <div className="bg-white rounded-2xl border border-slate-100 p-12 text-center text-slate-500">
+                                No {activeTab} requests.
+                            </div>
+                        ) : (
+                            requests.map(request => (
+                                <VerificationRequestCard key={request.id} request={request} />
+                            ))
+                        )}
+                    </div>
+
+                    <RoleAssignmentForm />
+                </div>
+
+                <QuestionnaireManager />
+            </div>
+        </div>
+    );
+}
+
+function VerificationRequestCard({ request }) {
+    const [notes, setNotes] = useState('');
+    const [submitting, setSubmitting] = useState(null); // decision being sent
+    const isPending = request.status === VERIFICATION_STATUS.PENDING;
+    const TypeIcon = request.type === 'hospital' ? Building : Users;
+
+    const handleOpenDocument = async () => {
+        try {
+            window.open(await getLicenseDocumentUrl(request.licenseDocument.path), '_blank', 'noopener');
+        } catch (error) {
+            console.error(error);
+            toast.error("Could not open the license document");
+        }
+    };
+
+    const handleReview = async (decision) => {
+        if (decision === VERIFICATION_STATUS.REJECTED && !notes.trim()) {
+            return toast.error("Add a note explaining the rejection");
+        }
+        setSubmitting(decision);
+        try {
+            await reviewVerification(request.id, decision, notes.trim());
+            toast.success(`${request.name} ${decision}`);
+        } catch (error) {
+            console.error(error);
+            toast.error(error.message || "Failed to save review");
+        }
+        setSubmitting(null);
+    };
+
+    return (
+        <div className="bg-white rounded-2xl shadow-sm border border-slate-100 p-6">
+            <div className="flex justify-between items-start gap-4">
+                <div className="flex items-center gap-3">
+                    <div className="bg-blue-100 p-2 rounded-full">
+                        <TypeIcon className="h-5 w-5 text-blue-600" />
+                    </div>
+                    <div>
+                        <h3 className="font-bold text-slate-900">{request.name}</h3>
+                        <p className="text-xs uppercase tracking-wide text-slate-400 font-semibold">{request.type}</p>
+                    </div>
+                </div>
+                <span className="text-xs text-slate-400">Submitted {new Date(request.submittedAt).toLocaleString()}</span>
+            </div>
+
+            <div className="mt-4 space-y-1 text-sm text-slate-600">
+                <p className="flex items-center gap-2"><Mail className="h-4 w-4 text-slate-400" /> {request.email || 'No email'}</p>
+                {request.licenseId && (
+                    <p className="flex items-center gap-2"><Hash className="h-4 w-4 text-slate-400" /> License {request.licenseId}</p>
+                )}
+                {request.licenseDocument && (
+                    <button onClick={handleOpenDocument} className="flex items-center gap-2 text-brand-600 font-medium hover:underline">
+                        <FileText className="h-4 w-4" /> {request.licenseDocument.name}
+                    </button>
+                )}
+            </div>
+
+            {isPending ? (
+                <div className="mt-4 space-y-3">
+                    <textarea
+                        rows={2}
+                        placeholder="Notes for the applicant (required when rejecting)"
+                        className="w-full px-3 py-2 rounded-xl border border-slate-200 focus:border-brand-500 focus:ring-2 focus:ring-brand-200 outline-none text-sm"
+                        value={notes}
+                        onChange={(e) => setNotes(e.target.value)}
+                    />
+                    <div className="flex gap-3">
+                        <button
+                            onClick={() => handleReview(VERIFICATION_STATUS.APPROVED)}
+                            disabled={!!submitting}
+                            className="flex-1 bg-green-600 hover:bg-green-700 text-white font-bold py-2 rounded-xl flex items-center justify-center gap-2 disabled:opacity-60"
+                        >
+                            {submitting === VERIFICATION_STATUS.APPROVED ? <Loader2 className="h-4 w-4 animate-spin" /> : <CheckCircle className="h-4 w-4" />}
+                            Approve
+                        </button>
+                        <button
+                            onClick={() => handleReview(VERIFICATION_STATUS.REJECTED)}
+                            disabled={!!submitting}
+                            className="flex-1 bg-red-50 hover:bg-red-100 text-red-600 font-bold py-2 rounded-xl flex items-center justify-center gap-2 disabled:opacity-60"
+                        >
+                            {submitting === VERIFICATION_STATUS.REJECTED ? <Loader2 className="h-4 w-4 animate-spin" /> : <XCircle className="h-4 w-4" />}
+                            Reject
+                        </button>
+                    </div>
+                </div>
+            ) : (
+                <div className="mt-4 pt-4 border-t border-slate-100 text-sm text-slate-500">
+                    Reviewed {request.reviewedAt ? new Date(request.reviewedAt).toLocaleString() : ''}
+                    {request.reviewNotes && <p className="mt-1 text-slate-700">“{request.reviewNotes}”</p>}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Manual override, e.g. for accounts created before verification existed
+function RoleAssignmentForm() {
+    const [roleUid, setRoleUid] = useState('');
+    const [role, setRole] = useState('hospital');
+    const [roleMessage, setRoleMessage] = useState('');
+
+    const handleAssignRole = async (e) => {
+        e.preventDefault();
+        try {
+            await assignUserRole(roleUid.trim(), role);
+            setRoleMessage(`Success! ${roleUid.trim()} is now verified as ${role}`);
+            setRoleUid('');
+        } catch (error) {
+            console.error(error);
+            setRoleMessage(`Error: ${error.message}`);
+        }
+    };
+
+    return (
+        <div className="bg-white rounded-2xl shadow-sm border border-slate-100 p-6 h-fit">
+            <h2 className="text-lg font-bold text-slate-900">Assign Role</h2>
+            <p className="text-sm text-slate-500 mt-1 mb-4">Grant a role claim directly, without a verification request.</p>
+
+            {roleMessage && (
+                <div className={`p-3 rounded-xl mb-4 text-center text-sm font-medium ${roleMessage.includes('Error') ? 'bg-red-50 text-red-600' : 'bg-green-50 text-green-600'}`}>
+                    {roleMessage}
+                </div>
+            )}
+
+            <form onSubmit={handleAssignRole} className="space-y-4">
+                <div className="relative">
+                    <input
+                        type="text"
+                        required
+                        placeholder="Firebase Auth UID"
+                        className="w-full pl-10 pr-4 py-3 rounded-xl border border-slate-200 focus:border-brand-500 focus:ring-2 focus:ring-brand-200 outline-none font-mono text-sm"
+                        value={roleUid}
+                        onChange={(e) => setRoleUid(e.target.value)}
+                    />
+                    <User className="absolute left-3 top-3.5 h-5 w-5 text-slate-400" />
+                </div>
+
+                <div className="relative">
+                    <select
+                        className="w-full pl-10 pr-4 py-3 rounded-xl border border-slate-200 focus:border-brand-500 focus:ring-2 focus:ring-brand-200 outline-none appearance-none bg-slate-50"
+                        value={role}
+                        onChange={(e) => setRole(e.target.value)}
+                    >
+                        {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+                    </select>
+                    <ShieldCheck className="absolute left-3 top-3.5 h-5 w-5 text-slate-400" />
+                </div>
+
+                <button
+                    type="submit"
+                    className="w-full bg-slate-900 hover:bg-slate-800 text-white font-bold py-3 rounded-xl shadow-md transition-colors flex items-center justify-center gap-2"
+                >
+                    <ShieldCheck className="h-5 w-5" />
+                    Assign Role
+                </button>
+            </form>
+        </div>
+    );
+}
+
+// Published versions cannot be edited, so changes are made by publishing a new
+// version from a copy of the current one
+function QuestionnaireManager() {
+    const [versions, setVersions] = useState([]);
+    const [draft, setDraft] = useState('');
+    const [publishing, setPublishing] = useState(false);
+
+    useEffect(() => subscribeToQuestionnaires(setVersions), []);
+
+    const active = versions.find(v => v.status === QUESTIONNAIRE_STATUS.ACTIVE) || DEFAULT_QUESTIONNAIRE;
+
+    const handleEdit = () => {
+        const { title, questions, regions } = active;
+        setDraft(JSON.stringify({ title, questions, regions }, null, 2));
+    };
+
+    const handlePublish = async () => {
+        let definition;
+        try {
+            definition = JSON.parse(draft);
+        } catch {
+            return toast.error("The questionnaire is not valid JSON");
+        }
+        const error = validateQuestionnaire(definition);
+        if (error) return toast.error(error);
+
+        setPublishing(true);
+        try {
+            const version = await publishQuestionnaire(definition);
+            toast.success(`Version ${version} is now live`);
+            setDraft('');
+        } catch (err) {
+            toast.error(err.message || "Failed to publish questionnaire");
+        }
+        setPublishing(false);
+    };
+
+    return (
+        <div className="mt-8 bg-white rounded-2xl shadow-sm border border-slate-100 p-6">
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-4">
+                <div>
+                    <h2 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+                        <ClipboardList className="h-5 w-5 text-brand-500" />
+                        Eligibility Questionnaire
+                    </h2>
+                    <p className="text-sm text-slate-500 mt-1">
+                        Live: <strong>{active.title}</strong> (version {active.version}{active.id === DEFAULT_QUESTIONNAIRE.id ? ', built-in' : ''}), {active.questions.length} questions
+                    </p>
+                </div>
+                {!draft && (
+                    <button
+                        onClick={handleEdit}
+                        className="bg-slate-900 hover:bg-slate-800 text-white px-4 py-2 rounded-xl text-sm font-bold transition-colors"
+                    >
+                        New Version
+                    </button>
+                )}
+            </div>
+
+            {draft && (
+                <div className="space-y-3 mb-6">
+                    <textarea
+                        value={draft}
+                        onChange={(e) => setDraft(e.target.value)}
+                        rows={18}
+                        spellCheck={false}
+                        className="w-full p-3 rounded-xl border border-slate-200 focus:border-brand-500 outline-none font-mono text-xs"
+                    />
+                    <div className="flex gap-3 justify-end">
+                        <button
+                            onClick={() => setDraft('')}
+                            className="px-4 py-2 rounded-xl text-sm font-bold text-slate-600 bg-slate-100 hover:bg-slate-200"
+                        >
+                            Discard
+                        </button>
+                        <button
+                            onClick={handlePublish}
+                            disabled={publishing}
+                            className="px-4 py-2 rounded-xl text-sm font-bold text-white bg-brand-500 hover:bg-brand-600 disabled:opacity-50 flex items-center gap-2"
+                        >
+                            {publishing && <Loader2 className="h-4 w-4 animate-spin" />}
+                            Publish
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {versions.length > 0 && (
+                <div className="divide-y divide-slate-100 border-t border-slate-100">
+                    {versions.map(v => (
+                        <div key={v.id} className="py-3 flex justify-between items-center text-sm">
+                            <span className="font-medium text-slate-700">v{v.version} &middot; {v.title}</span>
+                            <span className="text-slate-500">
+                                {v.status === QUESTIONNAIRE_STATUS.ACTIVE ? 'Live' : `Retired ${new Date(v.retiredAt).toLocaleDateString()}`}
+                                {' '}&middot; published {new Date(v.publishedAt).toLocaleDateString()}
+                            </span>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
-import { getDonationCamps, deleteOldCamps } from '../lib/firestore';
-import { MapPin, Calendar, User, Phone, Droplet, Clock, History, Navigation, Search, Filter } from 'lucide-react';
+import { getDonationCamps } from '../lib/firestore';
+import { MapPin, Calendar, CalendarPlus, User, Phone, Droplet, Clock, History, Navigation, Search, Filter } from 'lucide-react';
+import { buildCalendar, getCampEvent, downloadCalendar } from '../lib/calendar';
 
 export default function DonationCampsPage() {
     const [upcomingCamps, setUpcomingCamps] = useState([]);
@@ -11,8 +12,7 @@ export default function DonationCampsPage() {
     const [sortOption, setSortOption] = useState('date'); // 'date' | 'name'
 
     useEffect(() => {
-        // Trigger auto-delete of very old camps
-        deleteOldCamps();
+        // Old camps are archived by the archiveOldCamps scheduled function
         loadCamps();
     }, []);
 
@@ -261,6 +261,15 @@ function CampCard({ camp, isPast }) {
                         </>
                     )}
                 </button>
+                {!isPast && (
+                    <button
+                        onClick={() => downloadCalendar(`camp-${camp.date}.ics`, buildCalendar({ events: [getCampEvent(camp)] }))}
+                        className="w-full mt-2 font-bold py-2.5 rounded-xl border border-slate-200 text-slate-700 hover:bg-white transition-colors flex items-center justify-center gap-2"
+                    >
+                        <CalendarPlus className="h-4 w-4" />
+                        Add to Calendar
+                    </button>
+                )}
             </div>
         </div>
     );
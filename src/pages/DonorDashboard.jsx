@@ -1,28 +1,60 @@
 import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { User, Calendar, Droplet, Clock, ChevronRight, AlertCircle, Plus, CheckCircle, Lock, MessageCircle, MapPin, X, Award, BadgeCheck, Download, RefreshCw } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import {
   getUserProfile,
   subscribeToUserProfile,
   updateDonorStatus,
+  updateDonorLocation,
   subscribeToBloodRequests,
   updateRequestStatus,
   bookAppointment,
   getDonorAppointments,
   cancelAppointment,
-  getVenues
+  getVenues,
+  getSlotAvailability,
+  getCertificate,
+  subscribeToDonorEmergencyResponses,
+  respondToEmergencyRequest
 } from '../lib/firestore';
-import { sendRequestAcceptedNotification } from '../lib/emailService';
+import { EMERGENCY_STATUS, RESPONSE_STATUS, URGENCY_LABELS, URGENCY_LEVELS } from '../../functions/shared/emergency.js';
+import {
+  DONATION_TYPES,
+  DONATION_TYPE_LABELS,
+  DEFAULT_DONATION_TYPE,
+  DONOR_SEX,
+  getNextEligibleDates,
+  getDaysUntil
+} from '../../functions/shared/donationEligibility.js';
+import { getDistanceKm, formatDistance, geocodePlace } from '../lib/geo';
+import { SCREENING_RESULT, isScreeningCurrent } from '../../functions/shared/questionnaire.js';
+import { DAY_OF_CHECK_WINDOW_HOURS, isDayOfCheckOpen } from '../../functions/shared/appointments.js';
+import { buildCalendar, getAppointmentEvent, getGoogleCalendarUrl, downloadCalendar } from '../lib/calendar';
+import { CERTIFICATE_STATUS, getCertificateQrCode, downloadCertificatePdf } from '../lib/certificates';
 import DonorEligibilityQuiz from '../components/DonorEligibilityQuiz';
+import RescheduleAppointmentModal from '../components/RescheduleAppointmentModal';
+import RequestChat, { ChatButton, RelayContact } from '../components/RequestChat';
+import DonorRewards from '../components/DonorRewards';
+import Leaderboard from '../components/Leaderboard';
+import DonationJourney from '../components/DonationJourney';
+import RequestTimeline from '../components/RequestTimeline';
+import { REQUEST_STATUS } from '../../functions/shared/requestLifecycle.js';
 import { Toaster, toast } from 'react-hot-toast';
 
 export default function DonorDashboard() {
   const { currentUser } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [profile, setProfile] = useState(null);
   const [loading, setLoading] = useState(true);
   const [showRegistration, setShowRegistration] = useState(false);
   const [showQuiz, setShowQuiz] = useState(false);
+  const [dayOfAppointment, setDayOfAppointment] = useState(null); // Appointment whose day-of check is open
+  const [reschedulingAppointment, setReschedulingAppointment] = useState(null);
   const [bloodRequests, setBloodRequests] = useState([]);
+  const [acceptedRequests, setAcceptedRequests] = useState([]);
+  const [chatRequestId, setChatRequestId] = useState(null);
+  const [emergencyResponses, setEmergencyResponses] = useState([]);
 
   // Appointment State
   const [showAppointmentModal, setShowAppointmentModal] = useState(false);
@@ -38,9 +70,12 @@ export default function DonorDashboard() {
     venueName: '',
     venueType: '',
     date: '',
-    timeSlot: ''
+    timeSlot: '',
+    donationType: DEFAULT_DONATION_TYPE
   });
   const [isBooking, setIsBooking] = useState(false);
+  const [loadedAvailability, setLoadedAvailability] = useState(null); // { key, closedReason, slots }
+  const [availabilityRefresh, setAvailabilityRefresh] = useState(0); // Bumped to re-read seat counts
 
   // Certificate Modal State
   const [showCertificateModal, setShowCertificateModal] = useState(false);
@@ -50,6 +85,7 @@ export default function DonorDashboard() {
   const [bloodType, setBloodType] = useState('');
   const [phone, setPhone] = useState('');
   const [city, setCity] = useState('');
+  const [sex, setSex] = useState('');
 
   // Get User Location for Proximity Sorting
   useEffect(() => {
@@ -69,24 +105,6 @@ export default function DonorDashboard() {
     }
   }, []);
 
-  // Helper function to calculate distance
-  const getDistanceFromLatLonInKm = (lat1, lon1, lat2, lon2) => {
-    const R = 6371; // Radius of the earth in km
-    const dLat = deg2rad(lat2 - lat1);
-    const dLon = deg2rad(lon2 - lon1);
-    const a =
-      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) *
-      Math.sin(dLon / 2) * Math.sin(dLon / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    const d = R * c; // Distance in km
-    return d.toFixed(1);
-  };
-
-  const deg2rad = (deg) => {
-    return deg * (Math.PI / 180);
-  };
-
   useEffect(() => {
     let unsubscribe;
 
@@ -109,6 +127,16 @@ export default function DonorDashboard() {
     };
   }, [currentUser, showQuiz]); // Refresh when quiz closes (showQuiz changes)
 
+  // Donors registered before radius search have no coordinates; backfill them
+  // from the device location so they show up in nearby searches.
+  const needsLocationBackfill = !!profile?.isDonor && !profile?.donorProfile?.geohash;
+  useEffect(() => {
+    if (currentUser && userLocation && needsLocationBackfill) {
+      updateDonorLocation(currentUser.uid, userLocation)
+        .catch(err => console.error("Error saving donor location:", err));
+    }
+  }, [currentUser, userLocation, needsLocationBackfill]);
+
   // Fetch Appointments & Venues
   useEffect(() => {
     async function loadData() {
@@ -119,13 +147,21 @@ export default function DonorDashboard() {
 
           const venueList = await getVenues();
           setVenues(venueList);
+
+          // No-show follow-up mails link to /dashboard?rebook=<appointmentId>
+          const rebookAppt = appts.find(a => a.id === searchParams.get('rebook'));
+          if (rebookAppt) {
+            setBookingData(getRebookingData(rebookAppt, venueList));
+            setShowAppointmentModal(true);
+            setSearchParams({}, { replace: true });
+          }
         } catch (error) {
           console.error("Error loading dashboard data:", error);
         }
       }
     }
     loadData();
-  }, [currentUser, profile]);
+  }, [currentUser, profile, searchParams, setSearchParams]);
 
   // Filter and Sort Venues
   useEffect(() => {
@@ -143,10 +179,8 @@ export default function DonorDashboard() {
     // Sort by Proximity if User Location is available
     if (userLocation) {
       result = result.map(v => {
-        let distance = null;
-        if (v.location && v.location.lat && v.location.lng) {
-          distance = parseFloat(getDistanceFromLatLonInKm(userLocation.lat, userLocation.lng, v.location.lat, v.location.lng));
-        }
+        const km = getDistanceKm(userLocation, v.location);
+        const distance = km !== null ? parseFloat(formatDistance(km)) : null;
         return { ...v, distance };
       }).sort((a, b) => {
         if (a.distance !== null && b.distance !== null) return a.distance - b.distance;
@@ -187,27 +221,60 @@ export default function DonorDashboard() {
     return () => unsubscribe();
   }, [currentUser, bloodRequests.length]);
 
-  const handleRequestResponse = async (requestId, status) => {
-    try {
-      // If accepting, share phone number (from profile)
-      const donorPhone = status === 'accepted' ? (profile?.donorProfile?.phone || null) : null;
+  // Accepted requests stay listed so the donor can keep chatting with the seeker
+  useEffect(() => {
+    if (!currentUser) return;
+    const unsubscribe = subscribeToBloodRequests(currentUser.uid, setAcceptedRequests, [REQUEST_STATUS.ACCEPTED]);
+    return () => unsubscribe();
+  }, [currentUser]);
 
-      await updateRequestStatus(requestId, status, donorPhone);
+  // Real slots for the picked venue and date, from the venue's schedule
+  const availabilityKey = `${bookingData.venueId}|${bookingData.date}|${availabilityRefresh}`;
+  useEffect(() => {
+    const venue = venues.find(v => v.id === bookingData.venueId);
+    if (!venue || !bookingData.date) return;
+    let cancelled = false;
+    const key = `${venue.id}|${bookingData.date}|${availabilityRefresh}`;
+    getSlotAvailability(venue, bookingData.date)
+      .then(result => { if (!cancelled) setLoadedAvailability({ key, ...result }); })
+      .catch(() => { if (!cancelled) setLoadedAvailability({ key, closedReason: 'Could not load times for this day.', slots: [] }); });
+    return () => { cancelled = true; };
+  }, [venues, bookingData.venueId, bookingData.date, availabilityRefresh]);
+  const availability = loadedAvailability?.key === availabilityKey ? loadedAvailability : null;
+
+  // Emergency requests the escalation function has asked this donor to help with
+  useEffect(() => {
+    if (!currentUser) return;
+    return subscribeToDonorEmergencyResponses(currentUser.uid, setEmergencyResponses);
+  }, [currentUser]);
 
-      if (status === 'accepted') {
-        toast.success(`Request accepted! Seeker will be notified.`);
+  const handleEmergencyResponse = async (response, status) => {
+    try {
+      await respondToEmergencyRequest(response.requestId, currentUser.uid, status);
+      if (status === RESPONSE_STATUS.PLEDGED) {
+        toast.success(`Thank you! Please head to ${response.request.hospitalName || 'the hospital'}.`);
+      } else {
+        toast.success(response.status === RESPONSE_STATUS.PLEDGED ? "Pledge withdrawn" : "Request declined");
+      }
+    } catch (error) {
+      console.error("Error responding to emergency request:", error);
+      toast.error("This request is no longer open");
+    }
+  };
 
-        // Find the request to get Seeker ID
-        const request = bloodRequests.find(r => r.id === requestId);
-        if (request && request.seekerId) {
-          sendRequestAcceptedNotification(request.seekerId, {
-            name: profile.name || 'A Donor',
-            phone: donorPhone,
-            bloodType: profile.donorProfile?.bloodType || 'Unknown'
-          });
-        }
+  const handleRequestResponse = async (requestId, status) => {
+    try {
+      // The donor's number is never shared; accepting assigns a private relay number
+      await updateRequestStatus(requestId, status);
+
+      // The seeker's email is sent by the onBloodRequestWritten Cloud Function
+      if (status === REQUEST_STATUS.ACCEPTED) {
+        toast.success(`Request accepted! Message the seeker to arrange the donation.`);
+        setChatRequestId(requestId);
+      } else if (status === REQUEST_STATUS.DONATED) {
+        toast.success(`Donation recorded. Thank you for helping!`);
       } else {
-        toast.success(`Request rejected.`);
+        toast.success(`Request declined.`);
       }
     } catch (error) {
       console.error("Error updating request:", error);
@@ -221,7 +288,10 @@ export default function DonorDashboard() {
       await updateDonorStatus(currentUser.uid, {
         bloodType,
         phone,
-        city
+        city,
+        sex,
+        // Device location is most precise; otherwise place the donor at their city
+        location: userLocation || await geocodePlace(city)
       });
       // Refresh profile
       const data = await getUserProfile(currentUser.uid);
@@ -232,6 +302,11 @@ export default function DonorDashboard() {
     }
   };
 
+  const handleDayOfCheckComplete = async () => {
+    const appts = await getDonorAppointments(currentUser.uid);
+    setUpcomingAppointments(appts);
+  };
+
   const handleQuizComplete = async (isEligible) => {
     // Profile will be refreshed by the useEffect dependency on showQuiz when it closes
     // But we can also manually refresh here if needed logic requires it immediately
@@ -239,26 +314,11 @@ export default function DonorDashboard() {
     setProfile(data);
   };
 
-  const getGoogleCalendarUrl = (booking) => {
-    // Format the date for Google (Removes dashes from 2026-02-03 to 20260203)
-    const cleanDate = booking.date.replace(/-/g, '');
+  // Calendar event for an appointment, with the venue's address and map pin when listed
+  const getCalendarEvent = (appt) => getAppointmentEvent(appt, venues.find(v => v.id === appt.venueId));
 
-    // Create a start time (Assume 10:00 AM if somehow missing)
-    const timeStr = booking.timeSlot.split(' ')[0].replace(':', '') + '00';
-    const isPM = booking.timeSlot.includes('PM');
-
-    // Simple hour adjustment for PM
-    let startTime = timeStr.padStart(6, '0');
-    if (isPM && !startTime.startsWith('12')) {
-      startTime = (parseInt(startTime.substring(0, 2)) + 12).toString() + startTime.substring(2);
-    }
-
-    const title = encodeURIComponent(`🩸 Blood Donation: ${booking.venueName}`);
-    const details = encodeURIComponent(`Appointment at ${booking.venueName}. Thank you for saving lives with RedLife!`);
-    const location = encodeURIComponent(booking.venueName); // You can add city here if available
-    const dates = `${cleanDate}T${startTime}/${cleanDate}T${parseInt(startTime.substring(0, 2)) + 1}${startTime.substring(2)}`;
-
-    return `https://www.google.com/calendar/render?action=TEMPLATE&text=${title}&dates=${dates}&details=${details}&location=${location}`;
+  const handleDownloadCalendar = (appt) => {
+    downloadCalendar(`donation-${appt.date}.ics`, buildCalendar({ events: [getCalendarEvent(appt)] }));
   };
 
 
@@ -271,14 +331,13 @@ export default function DonorDashboard() {
 
     setIsBooking(true);
     try {
-      await bookAppointment({
+      const appointmentId = await bookAppointment({
         donorId: currentUser.uid,
         donorName: profile.name,
         ...bookingData
       });
-
-      // --- ADD THIS MAGIC PART ---
-      const calendarUrl = getGoogleCalendarUrl(bookingData);
+      const bookedVenue = venues.find(v => v.id === bookingData.venueId);
+      const booked = { id: appointmentId, ...bookingData, slotMinutes: bookedVenue?.schedule?.slotMinutes, status: 'scheduled' };
 
       toast.success((t) => (
         <div className="flex flex-col gap-3 min-w-[250px]">
@@ -288,13 +347,21 @@ export default function DonorDashboard() {
 
           <div className="flex flex-col gap-2 border-t border-slate-100 pt-2">
             <p className="text-xs text-slate-500 italic">Don't forget to save it to your schedule:</p>
+            <button
+              type="button"
+              onClick={() => { handleDownloadCalendar(booked); toast.dismiss(t.id); }}
+              className="flex items-center justify-center gap-2 bg-slate-900 text-white text-xs font-bold py-2 px-4 rounded-lg hover:bg-red-600 transition-all shadow-sm active:scale-95"
+            >
+              <Calendar size={14} className="text-red-400" />
+              Add to Calendar (.ics)
+            </button>
             <a
-              href={getGoogleCalendarUrl(bookingData)}
+              href={getGoogleCalendarUrl(getCalendarEvent(booked))}
               target="_blank"
+              rel="noreferrer"
               onClick={() => toast.dismiss(t.id)}
-              className="flex items-center justify-center gap-2 bg-slate-900 text-white text-xs font-bold py-2 px-4 rounded-lg hover:bg-red-600 transition-all shadow-sm active:scale-95"
+              className="text-center text-xs font-bold text-slate-600 hover:text-red-600"
             >
-              <Calendar size={14} className="text-red-400" />
               Add to Google Calendar
             </a>
           </div>
@@ -323,24 +390,55 @@ export default function DonorDashboard() {
         venueName: '',
         venueType: '',
         date: '',
-        timeSlot: ''
+        timeSlot: '',
+        donationType: DEFAULT_DONATION_TYPE
       });
     } catch (error) {
       toast.error(error.message || "Failed to book appointment");
+      // Someone may have taken the last seat; show the current counts
+      setAvailabilityRefresh(n => n + 1);
     }
     setIsBooking(false);
   };
 
-  const handleCancelAppointment = async (apptId) => {
+  const handleBookAgain = (appt) => {
+    const data = getRebookingData(appt, venues);
+    setBookingData(data);
+    if (data.venueType) setVenueTab(data.venueType);
+    setShowAppointmentModal(true);
+  };
+
+  const handleRescheduled = async () => {
+    setReschedulingAppointment(null);
+    const appts = await getDonorAppointments(currentUser.uid);
+    setUpcomingAppointments(appts);
+  };
+
+  const handleCancelAppointment = async (appt) => {
     if (!window.confirm("Are you sure you want to cancel this appointment?")) return;
     try {
-      await cancelAppointment(apptId);
-      toast.success("Appointment cancelled");
+      await cancelAppointment(appt.id);
+      // Calendar apps remove the event when they open a METHOD:CANCEL file for it
+      toast.success((t) => (
+        <div className="flex flex-col gap-2">
+          <span className="text-sm font-semibold text-slate-800">Appointment cancelled</span>
+          <button
+            type="button"
+            onClick={() => {
+              downloadCalendar(`cancel-donation-${appt.date}.ics`, buildCalendar({ events: [getCalendarEvent(appt)], method: 'CANCEL' }));
+              toast.dismiss(t.id);
+            }}
+            className="text-xs font-bold text-slate-600 hover:text-red-600 text-left"
+          >
+            Remove from my calendar (.ics)
+          </button>
+        </div>
+      ), { duration: 6000 });
       // Refresh list
       const appts = await getDonorAppointments(currentUser.uid);
       setUpcomingAppointments(appts);
     } catch (error) {
-      toast.error("Failed to cancel");
+      toast.error(error.message || "Failed to cancel");
     }
   };
 
@@ -355,6 +453,25 @@ export default function DonorDashboard() {
     </div>
   );
 
+  // Why a donor who has not passed the questionnaire cannot donate yet
+  const getScreeningSubtext = (donor) => {
+    if (donor.questionnaireStatus === SCREENING_RESULT.PERMANENT) return 'Permanently deferred';
+    if (donor.quizPassed && !isScreeningCurrent(donor)) return 'Screening expired, please re-check';
+    if (donor.questionnaireStatus === SCREENING_RESULT.DEFERRED && donor.questionnaireDeferredUntil) {
+      return `Retake the questionnaire from ${new Date(donor.questionnaireDeferredUntil).toLocaleDateString()}`;
+    }
+    return 'Not eligible to donate';
+  };
+
+  // Passed the quiz but still inside the interval after a recorded donation
+  const isDeferred = !!profile?.eligibilityDeferred;
+  const canSchedule = (!!profile?.isEligible || isDeferred) && isScreeningCurrent(profile);
+  const nextEligibleDates = getNextEligibleDates(profile?.donationHistory, profile?.donorProfile?.sex);
+  const daysUntilEligible = getDaysUntil(nextEligibleDates[DEFAULT_DONATION_TYPE]);
+  const today = new Date().toISOString().split('T')[0];
+  const bookingNextDate = nextEligibleDates[bookingData.donationType]?.split('T')[0];
+  const minBookingDate = bookingNextDate && bookingNextDate > today ? bookingNextDate : today;
+
   return (
     <div className="min-h-screen bg-slate-50 py-12 px-4 sm:px-6 lg:px-8">
       {/* Appointment Modal */}
@@ -424,7 +541,10 @@ export default function DonorDashboard() {
                             ...bookingData,
                             venueId: v.id,
                             venueName: v.name,
-                            venueType: v.type
+                            venueType: v.type,
+                            // Camps only run on their own date
+                            date: v.type === 'camp' ? v.date : bookingData.date,
+                            timeSlot: ''
                           });
                         }}
                         className={`p-3 rounded-xl border cursor-pointer transition-all hover:border-brand-300 relative ${bookingData.venueId === v.id
@@ -464,37 +584,74 @@ export default function DonorDashboard() {
 
               {/* Step 2: Date & Time (Only show if venue selected) */}
               <div className={`transition-all duration-300 ${bookingData.venueId ? 'opacity-100' : 'opacity-50 pointer-events-none grayscale'}`}>
-                <div className="grid grid-cols-2 gap-4 mb-4">
-                  <div>
-                    <label className="block text-sm font-medium text-slate-700 mb-1">Date</label>
-                    <input
-                      type="date"
-                      required={!!bookingData.venueId}
-                      min={new Date().toISOString().split('T')[0]}
-                      className="w-full p-2.5 rounded-xl border border-slate-200 focus:border-brand-500 outline-none text-sm"
-                      value={bookingData.date}
-                      onChange={(e) => setBookingData({ ...bookingData, date: e.target.value })}
-                    />
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Donation Type</label>
+                  <div className="grid grid-cols-3 gap-2">
+                    {Object.values(DONATION_TYPES).map(type => (
+                      <button
+                        key={type}
+                        type="button"
+                        onClick={() => setBookingData({ ...bookingData, donationType: type, date: '' })}
+                        className={`py-2 rounded-xl border text-sm font-medium transition-all ${bookingData.donationType === type
+                          ? 'border-brand-500 bg-brand-50 text-brand-700'
+                          : 'border-slate-200 text-slate-600 hover:border-brand-300'
+                          }`}
+                      >
+                        {DONATION_TYPE_LABELS[type]}
+                      </button>
+                    ))}
                   </div>
-                  <div>
+                  {minBookingDate > today && (
+                    <p className="text-xs text-amber-700 mt-2">
+                      After your last donation you can give {DONATION_TYPE_LABELS[bookingData.donationType].toLowerCase()} again from {new Date(nextEligibleDates[bookingData.donationType]).toLocaleDateString()}.
+                    </p>
+                  )}
+                </div>
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Date</label>
+                  <input
+                    type="date"
+                    required={!!bookingData.venueId}
+                    min={minBookingDate}
+                    readOnly={bookingData.venueType === 'camp'}
+                    className="w-full p-2.5 rounded-xl border border-slate-200 focus:border-brand-500 outline-none text-sm"
+                    value={bookingData.date}
+                    onChange={(e) => setBookingData({ ...bookingData, date: e.target.value, timeSlot: '' })}
+                  />
+                </div>
+
+                {availability && (
+                  <div className="mb-4">
                     <label className="block text-sm font-medium text-slate-700 mb-1">Time Slot</label>
-                    <select
-                      className="w-full p-2.5 rounded-xl border border-slate-200 focus:border-brand-500 outline-none text-sm"
-                      value={bookingData.timeSlot}
-                      onChange={(e) => setBookingData({ ...bookingData, timeSlot: e.target.value })}
-                      required={!!bookingData.venueId}
-                    >
-                      <option value="">Select Time</option>
-                      <option value="10:00 AM">10:00 AM</option>
-                      <option value="01:00 PM">01:00 PM</option>
-                      <option value="04:00 PM">04:00 PM</option>
-                    </select>
+                    {availability.closedReason ? (
+                      <p className="text-sm text-red-600 bg-red-50 p-3 rounded-xl">{availability.closedReason}</p>
+                    ) : availability.slots.length === 0 ? (
+                      <p className="text-sm text-slate-500 bg-slate-50 p-3 rounded-xl">No more slots on this day.</p>
+                    ) : (
+                      <div className="grid grid-cols-3 gap-2 max-h-[180px] overflow-y-auto pr-1">
+                        {availability.slots.map(slot => (
+                          <button
+                            key={slot.timeSlot}
+                            type="button"
+                            disabled={slot.remaining === 0}
+                            onClick={() => setBookingData({ ...bookingData, timeSlot: slot.timeSlot })}
+                            className={`py-2 rounded-xl border text-sm transition-all disabled:opacity-40 disabled:cursor-not-allowed ${bookingData.timeSlot === slot.timeSlot
+                              ? 'border-brand-500 bg-brand-50 text-brand-700'
+                              : 'border-slate-200 text-slate-600 hover:border-brand-300'
+                              }`}
+                          >
+                            <span className="block font-bold">{slot.timeSlot}</span>
+                            <span className="block text-xs">{slot.remaining === 0 ? 'Full' : `${slot.remaining} left`}</span>
+                          </button>
+                        ))}
+                      </div>
+                    )}
                   </div>
-                </div>
+                )}
 
                 <button
                   type="submit"
-                  disabled={isBooking || !bookingData.venueId}
+                  disabled={isBooking || !bookingData.venueId || !bookingData.timeSlot}
                   className="w-full py-3 bg-brand-500 hover:bg-brand-600 text-white rounded-xl font-bold shadow-md transition-all disabled:opacity-70 flex items-center justify-center gap-2"
                 >
                   {isBooking ? 'Checking Availability...' : 'Confirm Booking'}
@@ -506,20 +663,41 @@ export default function DonorDashboard() {
       )}
 
       <Toaster />
+      {reschedulingAppointment && (
+        <RescheduleAppointmentModal
+          appointment={reschedulingAppointment}
+          venue={venues.find(v => v.id === reschedulingAppointment.venueId)}
+          minDate={[today, nextEligibleDates[reschedulingAppointment.donationType || DEFAULT_DONATION_TYPE]?.split('T')[0] || today].sort()[1]}
+          onClose={() => setReschedulingAppointment(null)}
+          onRescheduled={handleRescheduled}
+        />
+      )}
+      {dayOfAppointment && (
+        <DonorEligibilityQuiz
+          userId={currentUser.uid}
+          region={profile?.donorProfile?.region}
+          appointment={dayOfAppointment}
+          onComplete={handleDayOfCheckComplete}
+          onClose={() => setDayOfAppointment(null)}
+        />
+      )}
       {showQuiz && (
         <DonorEligibilityQuiz
           userId={currentUser.uid}
+          region={profile?.donorProfile?.region}
           onComplete={handleQuizComplete}
           onClose={() => setShowQuiz(false)}
         />
       )}
 
+      {chatRequestId && (
+        <RequestChat requestId={chatRequestId} onClose={() => setChatRequestId(null)} />
+      )}
+
       {/* Certificate Modal */}
       {showCertificateModal && certificateData && (
         <CertificateModal
-          donorName={profile.name}
-          venueName={certificateData.venueName}
-          date={certificateData.date}
+          donation={certificateData}
           onClose={() => setShowCertificateModal(false)}
         />
       )}
@@ -535,7 +713,7 @@ export default function DonorDashboard() {
           {profile?.isDonor && (
             // ... existing buttons ...
             <div className="flex gap-3">
-              {profile?.isEligible ? (
+              {canSchedule ? (
                 <button
                   onClick={() => setShowAppointmentModal(true)}
                   className="bg-brand-500 hover:bg-brand-600 text-white px-6 py-2.5 rounded-xl font-medium shadow-sm transition-colors flex items-center gap-2"
@@ -554,7 +732,7 @@ export default function DonorDashboard() {
                 </button>
               )}
 
-              {!profile?.isEligible && (
+              {!canSchedule && (
                 <button
                   onClick={() => setShowQuiz(true)}
                   className="bg-white border-2 border-brand-100 text-brand-600 hover:bg-brand-50 px-6 py-2.5 rounded-xl font-bold transition-colors flex items-center gap-2"
@@ -564,7 +742,7 @@ export default function DonorDashboard() {
                 </button>
               )}
 
-              {profile?.isEligible && (
+              {canSchedule && (
                 <button
                   onClick={() => setShowQuiz(true)}
                   className="bg-white border-2 border-brand-100 text-brand-600 hover:bg-brand-50 px-6 py-2.5 rounded-xl font-bold transition-colors flex items-center gap-2"
@@ -582,6 +760,18 @@ export default function DonorDashboard() {
           <MyAppointmentSection
             upcomingAppointments={upcomingAppointments}
             handleCancelAppointment={handleCancelAppointment}
+            onStartDayOfCheck={setDayOfAppointment}
+            onReschedule={setReschedulingAppointment}
+            onBookAgain={handleBookAgain}
+            onAddToCalendar={handleDownloadCalendar}
+          />
+        )}
+
+        {/* Emergency Requests Section */}
+        {profile?.isDonor && (
+          <EmergencyRequestsSection
+            responses={emergencyResponses}
+            onRespond={handleEmergencyResponse}
           />
         )}
 
@@ -601,17 +791,19 @@ export default function DonorDashboard() {
                       <span className="text-slate-400 text-xs">{new Date(request.createdAt).toLocaleTimeString()}</span>
                     </div>
                     <h3 className="font-bold text-lg text-slate-900">{request.seekerName} needs {request.bloodType}</h3>
-                    <p className="text-sm text-slate-500">Please help if you are available.</p>
+                    <p className="text-sm text-slate-500 mb-2">Please help if you are available.</p>
+                    <RequestTimeline request={request} uid={currentUser.uid} />
                   </div>
                   <div className="flex gap-2 w-full sm:w-auto">
+                    <ChatButton request={request} uid={currentUser.uid} onOpen={setChatRequestId} />
                     <button
-                      onClick={() => handleRequestResponse(request.id, 'rejected')}
+                      onClick={() => handleRequestResponse(request.id, REQUEST_STATUS.DECLINED)}
                       className="flex-1 sm:flex-none px-4 py-2 border border-slate-200 text-slate-600 rounded-lg text-sm font-bold hover:bg-slate-50 transition-colors"
                     >
                       Decline
                     </button>
                     <button
-                      onClick={() => handleRequestResponse(request.id, 'accepted')}
+                      onClick={() => handleRequestResponse(request.id, REQUEST_STATUS.ACCEPTED)}
                       className="flex-1 sm:flex-none px-4 py-2 bg-red-600 text-white rounded-lg text-sm font-bold hover:bg-red-700 shadow-md shadow-red-100 transition-colors"
                     >
                       Accept & Help
@@ -623,6 +815,37 @@ export default function DonorDashboard() {
           </div>
         )}
 
+        {/* Accepted requests: keep arranging the donation over chat */}
+        {profile?.isDonor && acceptedRequests.length > 0 && (
+          <div className="mb-8">
+            <h2 className="text-xl font-bold text-slate-900 mb-4 flex items-center gap-2">
+              <MessageCircle className="h-5 w-5 text-green-600" />
+              Accepted Requests ({acceptedRequests.length})
+            </h2>
+            <div className="grid md:grid-cols-2 gap-4">
+              {acceptedRequests.map(request => (
+                <div key={request.id} className="bg-white border-l-4 border-green-500 rounded-xl p-5 shadow-sm space-y-3">
+                  <div>
+                    <h3 className="font-bold text-slate-900">{request.seekerName} needs {request.bloodType}</h3>
+                    <p className="text-sm text-slate-500">Calls go through a private number, so your own stays hidden.</p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <RelayContact request={request} isDonor />
+                    <ChatButton request={request} uid={currentUser.uid} onOpen={setChatRequestId} />
+                    <button
+                      onClick={() => handleRequestResponse(request.id, REQUEST_STATUS.DONATED)}
+                      className="px-3 py-2 border border-green-200 text-green-700 rounded-lg text-sm font-bold hover:bg-green-50 transition-colors flex items-center gap-1"
+                    >
+                      <CheckCircle className="h-4 w-4" /> Donated
+                    </button>
+                  </div>
+                  <RequestTimeline request={request} uid={currentUser.uid} />
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {!profile?.isDonor ? (
           <div className="bg-white rounded-2xl p-8 shadow-sm border border-slate-100 text-center max-w-2xl mx-auto">
             {!showRegistration ? (
@@ -661,6 +884,20 @@ export default function DonorDashboard() {
                     <option value="O-">O-</option>
                   </select>
                 </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Sex</label>
+                  <select
+                    required
+                    className="w-full p-3 rounded-xl border border-slate-200 focus:border-brand-500 focus:ring-2 focus:ring-brand-200 outline-none"
+                    value={sex}
+                    onChange={(e) => setSex(e.target.value)}
+                  >
+                    <option value="">Select Sex</option>
+                    <option value={DONOR_SEX.MALE}>Male</option>
+                    <option value={DONOR_SEX.FEMALE}>Female</option>
+                  </select>
+                  <p className="text-xs text-slate-400 mt-1">Used only to work out the safe gap between whole blood donations.</p>
+                </div>
                 <div>
                   <label className="block text-sm font-medium text-slate-700 mb-1">City</label>
                   <input
@@ -716,19 +953,33 @@ export default function DonorDashboard() {
                 icon={<User className="h-6 w-6 text-white" />}
                 iconBg="bg-blue-500"
                 label="Total Donations"
-                value={profile.donorProfile.totalDonations}
-                subtext={`Lives Saved: ~${profile.donorProfile.totalDonations * 3}`}
+                value={profile.donorProfile.totalDonations || 0}
+                subtext={`Lives Saved: ~${(profile.donorProfile.totalDonations || 0) * 3}`}
               />
               <StatCard
                 icon={<Clock className="h-6 w-6 text-white" />}
                 iconBg="bg-emerald-500"
                 label="Next Eligible"
-                value={profile.isEligible ? 'Now' : 'N/A'}
-                subtext={profile.isEligible ? 'You can donate now' : 'Not eligible to donate'}
-                isHighlight={profile.isEligible ? true : false}
+                value={!canSchedule ? 'N/A' : daysUntilEligible > 0 ? `${daysUntilEligible} day${daysUntilEligible === 1 ? '' : 's'}` : 'Now'}
+                subtext={!canSchedule
+                  ? getScreeningSubtext(profile)
+                  : daysUntilEligible > 0
+                    ? `Whole blood from ${new Date(nextEligibleDates[DEFAULT_DONATION_TYPE]).toLocaleDateString()}`
+                    : 'You can donate now'}
+                isHighlight={canSchedule && daysUntilEligible === 0}
               />
             </div>
 
+            {/* Badges and leaderboard */}
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
+              <div className="lg:col-span-2">
+                <DonorRewards profile={profile} />
+              </div>
+              <Leaderboard uid={currentUser.uid} donorProfile={profile.donorProfile} />
+            </div>
+
+            <DonationJourney donorId={currentUser.uid} />
+
             {/* Donation History */}
             <div className="bg-white rounded-2xl shadow-sm border border-slate-100 overflow-hidden">
               <div className="px-6 py-5 border-b border-slate-100 flex justify-between items-center">
@@ -791,7 +1042,23 @@ export default function DonorDashboard() {
   );
 }
 
-function MyAppointmentSection({ upcomingAppointments, handleCancelAppointment }) {
+// Booking form prefilled with the venue of a missed or cancelled appointment.
+// Camps that have already run are left out, so the donor picks a new venue.
+function getRebookingData(appt, venueList) {
+  const venue = venueList.find(v => v.id === appt.venueId);
+  const today = new Date().toISOString().split('T')[0];
+  const isBookable = venue && (venue.type !== 'camp' || venue.date >= today);
+  return {
+    venueId: isBookable ? venue.id : '',
+    venueName: isBookable ? venue.name : '',
+    venueType: isBookable ? venue.type : '',
+    date: isBookable && venue.type === 'camp' ? venue.date : '',
+    timeSlot: '',
+    donationType: appt.donationType || DEFAULT_DONATION_TYPE
+  };
+}
+
+function MyAppointmentSection({ upcomingAppointments, handleCancelAppointment, onStartDayOfCheck, onReschedule, onBookAgain, onAddToCalendar }) {
   const [activeTab, setActiveTab] = useState('upcoming'); // 'upcoming' or 'cancelled'
 
   // Filter logic
@@ -859,14 +1126,45 @@ function MyAppointmentSection({ upcomingAppointments, handleCancelAppointment })
                 <p className="text-sm text-slate-500 flex items-center gap-1 mt-1">
                   <MapPin className="h-3 w-3" /> {appt.venueType === 'hospital' ? 'Hospital Visit' : 'Donation Camp'}
                 </p>
+                {appt.status === 'scheduled' && <DayOfCheckStatus appt={appt} />}
               </div>
 
               {appt.status === 'scheduled' && (
+                <div className="flex sm:flex-col gap-2">
+                  {!appt.dayOfCheck && isDayOfCheckOpen(appt) && (
+                    <button
+                      onClick={() => onStartDayOfCheck(appt)}
+                      className="px-4 py-2 bg-brand-500 text-white rounded-lg text-sm font-bold hover:bg-brand-600 transition-colors"
+                    >
+                      Pre-donation Check
+                    </button>
+                  )}
+                  <button
+                    onClick={() => onAddToCalendar(appt)}
+                    className="px-4 py-2 border border-slate-200 text-slate-700 rounded-lg text-sm font-bold hover:bg-slate-50 transition-colors"
+                  >
+                    Add to Calendar
+                  </button>
+                  <button
+                    onClick={() => onReschedule(appt)}
+                    className="px-4 py-2 border border-slate-200 text-slate-700 rounded-lg text-sm font-bold hover:bg-slate-50 transition-colors"
+                  >
+                    Reschedule
+                  </button>
+                  <button
+                    onClick={() => handleCancelAppointment(appt)}
+                    className="px-4 py-2 border border-red-200 text-red-600 rounded-lg text-sm font-bold hover:bg-red-50 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              )}
+              {appt.status === 'no-show' && (
                 <button
-                  onClick={() => handleCancelAppointment(appt.id)}
-                  className="px-4 py-2 border border-red-200 text-red-600 rounded-lg text-sm font-bold hover:bg-red-50 transition-colors"
+                  onClick={() => onBookAgain(appt)}
+                  className="px-4 py-2 bg-brand-500 text-white rounded-lg text-sm font-bold hover:bg-brand-600 transition-colors"
                 >
-                  Cancel
+                  Book Again
                 </button>
               )}
             </div>
@@ -877,6 +1175,96 @@ function MyAppointmentSection({ upcomingAppointments, handleCancelAppointment })
   );
 }
 
+// The venue will not take blood until this check has passed
+function DayOfCheckStatus({ appt }) {
+  if (appt.dayOfCheck?.result === SCREENING_RESULT.ELIGIBLE) {
+    return <p className="text-xs font-bold text-green-600 mt-2">Pre-donation check done</p>;
+  }
+  if (appt.dayOfCheck?.result) {
+    return <p className="text-xs font-bold text-red-600 mt-2">Not fit to donate at this appointment</p>;
+  }
+  if (appt.dayOfCheck) {
+    return <p className="text-xs font-bold text-slate-500 mt-2">Checking your pre-donation answers...</p>;
+  }
+  if (isDayOfCheckOpen(appt)) {
+    return <p className="text-xs font-bold text-amber-600 mt-2">Complete your pre-donation check before you go</p>;
+  }
+  return <p className="text-xs text-slate-400 mt-2">Pre-donation check opens {DAY_OF_CHECK_WINDOW_HOURS} hours before</p>;
+}
+
+const URGENCY_STYLES = {
+  [URGENCY_LEVELS.CRITICAL]: 'bg-red-600 text-white',
+  [URGENCY_LEVELS.HIGH]: 'bg-red-100 text-red-700',
+  [URGENCY_LEVELS.MODERATE]: 'bg-amber-100 text-amber-700'
+};
+
+function EmergencyRequestsSection({ responses, onRespond }) {
+  // Pledges stay listed after the request closes so the donor still knows where to go
+  const visible = responses.filter(r => r.request?.status === EMERGENCY_STATUS.OPEN || r.status === RESPONSE_STATUS.PLEDGED);
+  if (visible.length === 0) return null;
+
+  return (
+    <div className="mb-8">
+      <h2 className="text-xl font-bold text-slate-900 mb-4 flex items-center gap-2">
+        <AlertCircle className="h-5 w-5 text-red-600" />
+        Emergency Requests Near You ({visible.length})
+      </h2>
+      <div className="grid md:grid-cols-2 gap-4">
+        {visible.map(response => {
+          const { request } = response;
+          const pledged = response.status === RESPONSE_STATUS.PLEDGED;
+          const isOpen = request.status === EMERGENCY_STATUS.OPEN;
+          return (
+            <div key={response.requestId} className={`bg-white border-l-4 rounded-xl p-5 shadow-sm ${pledged ? 'border-green-500' : 'border-red-500'}`}>
+              <div className="flex items-center gap-2 mb-1 flex-wrap">
+                <span className={`text-xs font-bold px-2 py-0.5 rounded-full ${URGENCY_STYLES[request.urgency] || URGENCY_STYLES[URGENCY_LEVELS.HIGH]}`}>
+                  {(URGENCY_LABELS[request.urgency] || 'Urgent').toUpperCase()}
+                </span>
+                {pledged && <span className="bg-green-100 text-green-700 text-xs font-bold px-2 py-0.5 rounded-full">PLEDGED</span>}
+                {!isOpen && <span className="bg-slate-100 text-slate-600 text-xs font-bold px-2 py-0.5 rounded-full">{request.status.toUpperCase()}</span>}
+              </div>
+              <h3 className="font-bold text-lg text-slate-900">
+                {request.unitsNeeded} unit(s) of {request.bloodType} needed
+              </h3>
+              <p className="text-sm text-slate-600 flex items-center gap-1 mt-1">
+                <MapPin className="h-3 w-3" /> {request.hospitalName}
+                {response.distanceKm !== undefined && ` • ${formatDistance(response.distanceKm)} km away`}
+              </p>
+              <p className="text-sm text-slate-500 flex items-center gap-1 mt-1">
+                <Clock className="h-3 w-3" /> Needed by {new Date(request.deadline).toLocaleString()}
+              </p>
+              {response.matchLabel && (
+                <span className="inline-block mt-2 text-xs font-bold bg-amber-100 text-amber-700 px-2 py-0.5 rounded-full">
+                  {response.matchLabel}
+                </span>
+              )}
+
+              {isOpen && (
+                <div className="flex gap-2 mt-4">
+                  <button
+                    onClick={() => onRespond(response, RESPONSE_STATUS.DECLINED)}
+                    className="flex-1 px-4 py-2 border border-slate-200 text-slate-600 rounded-lg text-sm font-bold hover:bg-slate-50 transition-colors"
+                  >
+                    {pledged ? "Withdraw" : "Can't Help"}
+                  </button>
+                  {!pledged && (
+                    <button
+                      onClick={() => onRespond(response, RESPONSE_STATUS.PLEDGED)}
+                      className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg text-sm font-bold hover:bg-red-700 shadow-md shadow-red-100 transition-colors"
+                    >
+                      I Can Donate
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
 function StatCard({ icon, iconBg, label, value, subtext, isHighlight }) {
   return (
     <div className={`bg-white rounded-2xl p-6 shadow-sm border ${isHighlight ? 'border-emerald-200 ring-2 ring-emerald-50' : 'border-slate-100'}`}>
@@ -914,116 +1302,142 @@ function Heart({ className }) {
   );
 }
 
-function CertificateModal({ donorName, venueName, date, onClose }) {
-  const handleDownload = () => {
-    window.print();
+// Certificate issued for a recorded donation, checked against certificates/{id}
+function CertificateModal({ donation, onClose }) {
+  const [certificate, setCertificate] = useState(undefined); // undefined while loading, null if missing
+  const [qrCode, setQrCode] = useState(null);
+  const [downloading, setDownloading] = useState(false);
+
+  useEffect(() => {
+    if (!donation.certificateId) return;
+    let cancelled = false;
+    getCertificate(donation.certificateId)
+      .then(async (record) => {
+        const qr = record ? await getCertificateQrCode(record.id) : null;
+        if (cancelled) return;
+        setCertificate(record);
+        setQrCode(qr);
+      })
+      .catch(() => { if (!cancelled) setCertificate(null); });
+    return () => { cancelled = true; };
+  }, [donation.certificateId]);
+
+  const isRevoked = certificate?.status === CERTIFICATE_STATUS.REVOKED;
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    try {
+      await downloadCertificatePdf(certificate);
+    } catch (error) {
+      console.error("Error creating certificate PDF:", error);
+      toast.error("Could not create the PDF");
+    }
+    setDownloading(false);
   };
 
+  if (!donation.certificateId || certificate === null) {
+    return (
+      <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-xl shadow-2xl w-full max-w-md p-8 text-center relative">
+          <button onClick={onClose} className="absolute top-4 right-4 text-slate-400 hover:text-slate-600">
+            <X className="h-6 w-6" />
+          </button>
+          <Award className="h-12 w-12 text-slate-300 mx-auto mb-3" />
+          <h3 className="text-lg font-bold text-slate-900 mb-2">No certificate for this donation</h3>
+          <p className="text-sm text-slate-500">
+            Certificates are issued by the venue when it records your donation. Donations recorded before
+            certificates were introduced do not have one.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   return (
-    <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center p-4 print:p-0 print:bg-white print:fixed print:inset-0">
-      <style>
-        {`
-                    @media print {
-                        body * {
-                            visibility: hidden;
-                        }
-                        #certificate-container, #certificate-container * {
-                            visibility: visible;
-                        }
-                        #certificate-container {
-                            position: absolute;
-                            left: 0;
-                            top: 0;
-                            width: 100%;
-                            height: 100%;
-                            margin: 0;
-                            padding: 0;
-                            display: flex;
-                            align-items: center;
-                            justify-content: center;
-                            background: white;
-                            border: none !important;
-                        }
-                        #certificate-content {
-                            border: 4px solid #0f172a !important; 
-                            width: 100%;
-                            max-width: 800px;
-                            margin: 20px;
-                        }
-                        .no-print {
-                            display: none !important;
-                        }
-                    }
-                `}
-      </style>
-
-      <div id="certificate-container" className="bg-white rounded-xl shadow-2xl w-full max-w-2xl relative animate-in zoom-in-95 border-8 border-double border-slate-200 p-2">
+    <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl relative animate-in zoom-in-95 border-8 border-double border-slate-200 p-2 max-h-[95vh] overflow-y-auto">
         <button
           onClick={onClose}
-          className="absolute top-4 right-4 text-slate-400 hover:text-slate-600 z-10 no-print"
+          className="absolute top-4 right-4 text-slate-400 hover:text-slate-600 z-10"
         >
           <X className="h-8 w-8" />
         </button>
 
-        <div id="certificate-content" className="border-4 border-slate-900 p-8 md:p-12 text-center bg-slate-50 relative overflow-hidden">
-          {/* Decorative Elements */}
-          <div className="absolute top-0 left-0 w-32 h-32 border-t-4 border-l-4 border-brand-500 -mt-2 -ml-2"></div>
-          <div className="absolute bottom-0 right-0 w-32 h-32 border-b-4 border-r-4 border-brand-500 -mb-2 -mr-2"></div>
-          <div className="absolute top-0 right-0 w-32 h-32 border-t-4 border-r-4 border-brand-500 -mt-2 -mr-2"></div>
-          <div className="absolute bottom-0 left-0 w-32 h-32 border-b-4 border-l-4 border-brand-500 -mb-2 -ml-2"></div>
-
-          <div className="relative z-10">
-            <div className="flex justify-center mb-4 relative">
-              <Award className="h-20 w-20 text-brand-500" />
-              <BadgeCheck className="h-8 w-8 text-yellow-500 absolute -right-4 top-0 fill-yellow-100" />
-            </div>
+        {certificate === undefined ? (
+          <p className="p-12 text-center text-slate-500">Loading certificate...</p>
+        ) : (
+          <>
+            {isRevoked && (
+              <div className="bg-red-50 border border-red-200 text-red-700 text-sm font-bold p-3 rounded-lg mb-2 text-center">
+                This certificate was revoked by {certificate.venueName}{certificate.revokeReason ? `: ${certificate.revokeReason}` : '.'}
+              </div>
+            )}
+            <div className="border-4 border-slate-900 p-8 md:p-12 text-center bg-slate-50 relative overflow-hidden">
+              {/* Decorative Elements */}
+              <div className="absolute top-0 left-0 w-32 h-32 border-t-4 border-l-4 border-brand-500 -mt-2 -ml-2"></div>
+              <div className="absolute bottom-0 right-0 w-32 h-32 border-b-4 border-r-4 border-brand-500 -mb-2 -mr-2"></div>
+              <div className="absolute top-0 right-0 w-32 h-32 border-t-4 border-r-4 border-brand-500 -mt-2 -mr-2"></div>
+              <div className="absolute bottom-0 left-0 w-32 h-32 border-b-4 border-l-4 border-brand-500 -mb-2 -ml-2"></div>
+
+              <div className="relative z-10">
+                <div className="flex justify-center mb-4 relative">
+                  <Award className="h-20 w-20 text-brand-500" />
+                  <BadgeCheck className="h-8 w-8 text-yellow-500 absolute -right-4 top-0 fill-yellow-100" />
+                </div>
 
-            <h1 className="text-4xl md:text-5xl font-serif font-bold text-slate-900 mb-2 uppercase tracking-wider">
-              Certificate
-            </h1>
-            <h2 className="text-xl md:text-2xl font-serif text-slate-600 mb-8 uppercase tracking-widest">
-              of Appreciation
-            </h2>
+                <h1 className="text-4xl md:text-5xl font-serif font-bold text-slate-900 mb-2 uppercase tracking-wider">
+                  Certificate
+                </h1>
+                <h2 className="text-xl md:text-2xl font-serif text-slate-600 mb-8 uppercase tracking-widest">
+                  of Appreciation
+                </h2>
 
-            <p className="text-lg text-slate-600 mb-2">This certificate is proudly presented to</p>
+                <p className="text-lg text-slate-600 mb-2">This certificate is proudly presented to</p>
 
-            <div className="text-3xl md:text-4xl font-cursive text-brand-600 mb-6 font-bold italic py-2 border-b-2 border-slate-300 inline-block px-8" style={{ fontFamily: "'Dancing Script', cursive" }}>
-              {donorName}
-            </div>
+                <div className="text-3xl md:text-4xl font-cursive text-brand-600 mb-6 font-bold italic py-2 border-b-2 border-slate-300 inline-block px-8" style={{ fontFamily: "'Dancing Script', cursive" }}>
+                  {certificate.donorName}
+                </div>
 
-            <p className="text-lg text-slate-600 mb-12 max-w-lg mx-auto leading-relaxed">
-              For your selfless act of kindness and generosity in donating blood at <strong>{venueName}</strong> on <strong>{new Date(date).toLocaleDateString()}</strong>. Your contribution has helped save lives.
-            </p>
+                <p className="text-lg text-slate-600 mb-12 max-w-lg mx-auto leading-relaxed">
+                  For your selfless act of kindness and generosity in donating blood ({certificate.bloodType}) at <strong>{certificate.venueName}</strong> on <strong>{new Date(certificate.donatedAt).toLocaleDateString()}</strong>. Your contribution has helped save lives.
+                </p>
 
-            <div className="flex flex-col sm:flex-row justify-between items-end gap-8 mt-auto w-full px-8">
-              <div className="text-left">
-                <p className="text-xs text-slate-400 uppercase tracking-wider mb-1">Certificate ID</p>
-                <p className="font-mono text-sm text-slate-600">LF-{Math.random().toString(36).substr(2, 9).toUpperCase()}</p>
-                <p className="text-xs text-slate-400 uppercase tracking-wider mt-2 mb-1">Date of Issue</p>
-                <p className="font-mono text-sm text-slate-600">{new Date().toLocaleDateString()}</p>
-              </div>
+                <div className="flex flex-col sm:flex-row justify-between items-end gap-8 mt-auto w-full px-8">
+                  <div className="text-left">
+                    <p className="text-xs text-slate-400 uppercase tracking-wider mb-1">Certificate ID</p>
+                    <p className="font-mono text-sm text-slate-600">{certificate.id}</p>
+                    <p className="text-xs text-slate-400 uppercase tracking-wider mt-2 mb-1">Date of Issue</p>
+                    <p className="font-mono text-sm text-slate-600">{new Date(certificate.issuedAt).toLocaleDateString()}</p>
+                  </div>
 
-              <div className="text-center">
-                <div className="mb-2">
-                  <div className="font-cursive text-2xl text-slate-800 transform -rotate-6" style={{ fontFamily: "'Dancing Script', cursive" }}>Dr. Sameer Kumar</div>
+                  {qrCode && (
+                    <div className="text-center">
+                      <img src={qrCode} alt="Verification QR code" className="h-24 w-24 mx-auto" />
+                      <p className="text-[10px] text-slate-500 uppercase tracking-wider">Scan to verify</p>
+                    </div>
+                  )}
+
+                  <div className="text-center">
+                    <div className="w-48 border-b border-slate-400 mb-2"></div>
+                    <p className="text-xs font-bold uppercase text-slate-900 tracking-wider">{certificate.venueName}</p>
+                    <p className="text-[10px] text-slate-500 uppercase tracking-wider">Issuing Venue</p>
+                  </div>
                 </div>
-                <div className="w-48 border-b border-slate-400 mb-2"></div>
-                <p className="text-xs font-bold uppercase text-slate-900 tracking-wider">Chief Medical Officer</p>
-                <p className="text-[10px] text-slate-500 uppercase tracking-wider">RedLife Foundation</p>
               </div>
             </div>
-          </div>
-        </div>
 
-        <div className="mt-4 text-center no-print">
-          <button
-            onClick={handleDownload}
-            className="bg-brand-500 hover:bg-brand-600 text-white px-6 py-2.5 rounded-xl font-bold shadow-md transition-colors flex items-center gap-2 mx-auto"
-          >
-            <Download className="h-4 w-4" />
-            Download Certificate
-          </button>
-        </div>
+            <div className="mt-4 text-center">
+              <button
+                onClick={handleDownload}
+                disabled={isRevoked || downloading}
+                className="bg-brand-500 hover:bg-brand-600 text-white px-6 py-2.5 rounded-xl font-bold shadow-md transition-colors flex items-center gap-2 mx-auto disabled:opacity-50"
+              >
+                <Download className="h-4 w-4" />
+                {downloading ? 'Creating PDF...' : 'Download PDF'}
+              </button>
+            </div>
+          </>
+        )}
       </div>
     </div>
   );
@@ -3,21 +3,57 @@ import { useAuth } from '../context/AuthContext';
 import {
   subscribeToHospitalInventory,
   updateHospitalStock,
+  updateInventoryLocation,
+  subscribeToBloodUnits,
+  addBloodUnit,
+  updateBloodUnitStatus,
+  discardExpiredUnits,
+  migrateLegacyStock,
+  subscribeToInventoryLedger,
   getVenueAppointments,
   completeAppointment,
-  markAppointmentNoShow
+  markAppointmentNoShow,
+  subscribeToEmergencyRequests,
+  cancelEmergencyRequest
 } from '../lib/firestore';
-import { Droplet, Plus, Minus, AlertCircle, Building, MapPin, Calendar, Clock, CheckCircle, XCircle, User } from 'lucide-react';
+import { Droplet, Plus, Minus, AlertCircle, Building, MapPin, Calendar, Clock, CheckCircle, XCircle, User, Package, Trash2, History, FlaskConical, Megaphone } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import { Toaster, toast } from 'react-hot-toast';
+import { DONATION_TYPE_LABELS, DEFAULT_DONATION_TYPE } from '../../functions/shared/donationEligibility.js';
+import DayOfCheckBadge from '../components/DayOfCheckBadge';
+import NoShowFollowUp, { NoShowHistoryBadge } from '../components/NoShowFollowUp';
+import CertificateControls from '../components/CertificateControls';
+import VerificationNotice from '../components/VerificationNotice';
+import VenueScheduleEditor from '../components/VenueScheduleEditor';
+import EmergencyRequestModal from '../components/EmergencyRequestModal';
+import EmergencyRequestCard from '../components/EmergencyRequestCard';
+import HospitalTransfers from '../components/HospitalTransfers';
+import { isVerifiedVenue } from '../lib/verification';
+import { BLOOD_TYPES, BLOOD_COMPONENTS, COMPONENT_LABELS } from '../../functions/shared/bloodCompatibility.js';
+import {
+  UNIT_STATUS,
+  UNIT_STATUS_LABELS,
+  PROCESSING_STATUSES,
+  getNextProcessingStatus,
+  LEDGER_REASONS,
+  LEDGER_REASON_LABELS,
+  EXPIRY_WARNING_HOURS,
+  getDefaultExpiryDate,
+  getHoursUntilExpiry,
+  isUnitExpired,
+  isUnitExpiringSoon
+} from '../../functions/shared/bloodUnits.js';
 
 export default function HospitalDashboard() {
-  const { currentUser } = useAuth();
+  const { currentUser, verifiedRole, refreshVerifiedRole } = useAuth();
   const navigate = useNavigate();
   const [inventory, setInventory] = useState(null);
   const [appointments, setAppointments] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [activeTab, setActiveTab] = useState('stock'); // 'stock' or 'schedule'
+  const [units, setUnits] = useState([]);
+  const [processingUnits, setProcessingUnits] = useState([]);
+  const [activeTab, setActiveTab] = useState('stock'); // 'stock', 'units', 'shortages', 'history', 'schedule' or 'hours'
+  const [shortageType, setShortageType] = useState('');
 
   useEffect(() => {
     if (!currentUser) {
@@ -30,12 +66,41 @@ export default function HospitalDashboard() {
       setLoading(false);
     });
 
+    const unsubscribeUnits = subscribeToBloodUnits(currentUser.uid, setUnits);
+    const unsubscribeProcessing = subscribeToBloodUnits(currentUser.uid, setProcessingUnits, PROCESSING_STATUSES);
+
     // Initial fetch of appointments
     loadAppointments();
 
-    return () => unsubscribe();
+    return () => {
+      unsubscribe();
+      unsubscribeUnits();
+      unsubscribeProcessing();
+    };
   }, [currentUser, navigate]);
 
+  // Until an admin approves the license the hospital is hidden and cannot manage stock
+  const isVerified = isVerifiedVenue(inventory) && verifiedRole === 'hospital';
+
+  // Stock counted before unit tracking gets converted into placeholder bags once
+  const needsUnitMigration = isVerified && !inventory.unitsTracked;
+  useEffect(() => {
+    if (currentUser && needsUnitMigration) {
+      migrateLegacyStock(currentUser.uid)
+        .catch(err => console.error("Failed to migrate legacy stock", err));
+    }
+  }, [currentUser, needsUnitMigration]);
+
+  // Inventory created before radius search has no geohash; add it so the
+  // hospital shows up in nearby searches.
+  const needsGeohash = isVerified && !!inventory.location && !inventory.geohash;
+  useEffect(() => {
+    if (currentUser && needsGeohash) {
+      updateInventoryLocation(currentUser.uid, inventory.location)
+        .catch(err => console.error("Failed to backfill inventory location", err));
+    }
+  }, [currentUser, needsGeohash, inventory?.location]);
+
   const loadAppointments = async () => {
     if (currentUser) {
       try {
@@ -53,10 +118,51 @@ export default function HospitalDashboard() {
       toast.success(`Stock updated: ${change > 0 ? '+' : ''}${change} ${bloodType}`);
     } catch (error) {
       console.error("Failed to update stock", error);
-      toast.error("Failed to update stock");
+      toast.error(error.message || "Failed to update stock");
+    }
+  };
+
+  const handleAddUnit = async (unitData) => {
+    try {
+      const bagId = await addBloodUnit(currentUser.uid, unitData);
+      toast.success(`Bag ${bagId} registered`);
+      return true;
+    } catch (error) {
+      console.error("Failed to register unit", error);
+      toast.error(error.message || "Failed to register unit");
+      return false;
+    }
+  };
+
+  const handleUnitStatus = async (unit, status) => {
+    if ((status === UNIT_STATUS.ISSUED || status === UNIT_STATUS.DISCARDED) &&
+      !window.confirm(`Mark bag ${unit.bagId} as ${status}? This cannot be undone.`)) return;
+    try {
+      await updateBloodUnitStatus(currentUser.uid, unit.id, status);
+      toast.success(`Bag ${unit.bagId} marked ${UNIT_STATUS_LABELS[status].toLowerCase()}`);
+    } catch (error) {
+      console.error("Failed to update unit", error);
+      toast.error(error.message || "Failed to update unit");
+    }
+  };
+
+  const handleDiscardExpired = async () => {
+    if (!window.confirm("Discard all expired units?")) return;
+    try {
+      const count = await discardExpiredUnits(currentUser.uid);
+      toast.success(`${count} expired unit${count === 1 ? '' : 's'} discarded`);
+    } catch (error) {
+      console.error("Failed to discard expired units", error);
+      toast.error("Failed to discard expired units");
     }
   };
 
+  // Low stock card: appeal to donors or ask another hospital for that group
+  const handleShortage = (bloodType) => {
+    setShortageType(bloodType);
+    setActiveTab('shortages');
+  };
+
   const handleCompleteAppointment = async (appt, confirmedBloodType) => {
     if (!confirmedBloodType) {
       toast.error("Please select the collected blood type.");
@@ -72,13 +178,14 @@ export default function HospitalDashboard() {
         confirmedBloodType,
         appt.donorId,
         inventory.hospitalName,
-        'hospital'
+        'hospital',
+        appt.donationType
       );
       toast.success("Donation recorded successfully!");
       loadAppointments(); // Refresh list
     } catch (error) {
       console.error("Error completing appointment:", error);
-      toast.error("Failed to complete appointment.");
+      toast.error(error.message || "Failed to complete appointment.");
     }
   };
 
@@ -102,6 +209,18 @@ export default function HospitalDashboard() {
     </div>
   );
 
+  if (!isVerified) return (
+    <div className="min-h-screen bg-slate-50 py-12 px-4">
+      <Toaster />
+      <VerificationNotice
+        uid={currentUser.uid}
+        type="hospital"
+        details={{ name: inventory.hospitalName, email: inventory.email || currentUser.email, licenseId: inventory.licenseId || null }}
+        onApproved={refreshVerifiedRole}
+      />
+    </div>
+  );
+
   return (
     <div className="min-h-screen bg-slate-50 py-12 px-4 sm:px-6 lg:px-8">
       <Toaster />
@@ -129,6 +248,27 @@ export default function HospitalDashboard() {
               >
                 Blood Stock
               </button>
+              <button
+                onClick={() => setActiveTab('units')}
+                className={`px-6 py-2 rounded-lg font-bold text-sm transition-all ${activeTab === 'units' ? 'bg-white text-blue-600 shadow-sm' : 'text-slate-500 hover:text-slate-700'
+                  }`}
+              >
+                Blood Units
+              </button>
+              <button
+                onClick={() => setActiveTab('shortages')}
+                className={`px-6 py-2 rounded-lg font-bold text-sm transition-all ${activeTab === 'shortages' ? 'bg-white text-blue-600 shadow-sm' : 'text-slate-500 hover:text-slate-700'
+                  }`}
+              >
+                Shortages
+              </button>
+              <button
+                onClick={() => setActiveTab('history')}
+                className={`px-6 py-2 rounded-lg font-bold text-sm transition-all ${activeTab === 'history' ? 'bg-white text-blue-600 shadow-sm' : 'text-slate-500 hover:text-slate-700'
+                  }`}
+              >
+                Stock History
+              </button>
               <button
                 onClick={() => setActiveTab('schedule')}
                 className={`px-6 py-2 rounded-lg font-bold text-sm transition-all ${activeTab === 'schedule' ? 'bg-white text-blue-600 shadow-sm' : 'text-slate-500 hover:text-slate-700'
@@ -136,6 +276,13 @@ export default function HospitalDashboard() {
               >
                 Donation Schedule
               </button>
+              <button
+                onClick={() => setActiveTab('hours')}
+                className={`px-6 py-2 rounded-lg font-bold text-sm transition-all ${activeTab === 'hours' ? 'bg-white text-blue-600 shadow-sm' : 'text-slate-500 hover:text-slate-700'
+                  }`}
+              >
+                Opening Hours
+              </button>
             </div>
           </div>
           <div className="flex items-center gap-2 text-sm text-slate-400">
@@ -148,16 +295,37 @@ export default function HospitalDashboard() {
           <>
             <h2 className="text-xl font-bold text-slate-900 mb-6">Manage Blood Stock</h2>
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-              {['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'].map((type) => (
+              {BLOOD_TYPES.map((type) => (
                 <StockCard
                   key={type}
                   type={type}
                   count={inventory.bloodStock[type] || 0}
                   onUpdate={handleUpdateStock}
+                  onShortage={handleShortage}
                 />
               ))}
             </div>
           </>
+        ) : activeTab === 'units' ? (
+          <div className="space-y-8">
+            <ExpiringUnitsPanel
+              units={units}
+              onUpdateStatus={handleUnitStatus}
+              onDiscardExpired={handleDiscardExpired}
+            />
+            <ProcessingUnitsPanel units={processingUnits} onUpdateStatus={handleUnitStatus} />
+            <RegisterUnitForm onSubmit={handleAddUnit} />
+            <UnitsTable units={units} onUpdateStatus={handleUnitStatus} />
+          </div>
+        ) : activeTab === 'shortages' ? (
+          <div className="space-y-8">
+            <ShortageAppeals currentUser={currentUser} hospital={inventory} defaultBloodType={shortageType} />
+            <HospitalTransfers hospital={inventory} units={units} defaultBloodType={shortageType} />
+          </div>
+        ) : activeTab === 'history' ? (
+          <StockHistory hospitalId={currentUser.uid} />
+        ) : activeTab === 'hours' ? (
+          <VenueScheduleEditor hospitalId={currentUser.uid} inventory={inventory} />
         ) : (
           <DonationSchedule
             appointments={appointments}
@@ -297,6 +465,9 @@ function AppointmentCard({ appt, onComplete, onNoShow }) {
             <span className="flex items-center gap-1 font-medium text-slate-700 bg-slate-100 px-2 py-0.5 rounded-md">
               <Clock className="h-3.5 w-3.5" /> {appt.timeSlot}
             </span>
+            <span className="font-medium text-brand-600">
+              {DONATION_TYPE_LABELS[appt.donationType || DEFAULT_DONATION_TYPE]}
+            </span>
 
             {isCompleted && (
               <span className="flex items-center gap-1 text-green-600 font-bold bg-green-100 px-2 py-0.5 rounded-full text-xs">
@@ -313,6 +484,10 @@ function AppointmentCard({ appt, onComplete, onNoShow }) {
                 Scheduled
               </span>
             )}
+            {!isCompleted && !isNoShow && (
+              <DayOfCheckBadge check={appt.dayOfCheck} />
+            )}
+            <NoShowHistoryBadge count={appt.donorNoShowCount} />
           </div>
         </div>
       </div>
@@ -348,11 +523,14 @@ function AppointmentCard({ appt, onComplete, onNoShow }) {
           </button>
         </div>
       )}
+
+      {isNoShow && <NoShowFollowUp appt={appt} />}
+      {isCompleted && <CertificateControls appt={appt} />}
     </div>
   );
 }
 
-function StockCard({ type, count, onUpdate }) {
+function StockCard({ type, count, onUpdate, onShortage }) {
   const isLow = count < 5;
   const isCritical = count === 0;
 
@@ -385,6 +563,464 @@ function StockCard({ type, count, onUpdate }) {
           <Plus className="h-4 w-4" />
         </button>
       </div>
+
+      {isLow && (
+        <button
+          onClick={() => onShortage(type)}
+          className="mt-3 w-full py-2 bg-red-50 hover:bg-red-100 text-red-700 rounded-lg text-xs font-bold flex items-center justify-center gap-1"
+        >
+          <Megaphone className="h-3 w-3" /> Find {type} Units
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Shortage appeals: emergency requests in the hospital's own name, so compatible
+// donors nearby are asked ring by ring to come and donate here
+function ShortageAppeals({ currentUser, hospital, defaultBloodType }) {
+  const [appeals, setAppeals] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+
+  useEffect(() => subscribeToEmergencyRequests(currentUser.uid, setAppeals), [currentUser.uid]);
+
+  const handleCancel = async (requestId) => {
+    if (!window.confirm("Cancel this appeal? Donors who were asked will be told they are no longer needed.")) return;
+    try {
+      await cancelEmergencyRequest(requestId);
+      toast.success("Appeal cancelled.");
+    } catch (error) {
+      console.error("Failed to cancel appeal", error);
+      toast.error("Failed to cancel appeal.");
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-100 p-6">
+      {showModal && (
+        <EmergencyRequestModal
+          currentUser={currentUser}
+          hospitals={[]}
+          origin={hospital.location}
+          defaultBloodType={defaultBloodType}
+          appealFor={hospital}
+          onClose={() => setShowModal(false)}
+        />
+      )}
+      <div className="flex justify-between items-start gap-4 mb-4">
+        <div>
+          <h2 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+            <Megaphone className="h-5 w-5 text-red-600" />
+            Shortage Appeals
+          </h2>
+          <p className="text-sm text-slate-500 mt-1">
+            Ask compatible donors near {hospital.hospitalName} to come in and donate.
+          </p>
+        </div>
+        <button
+          onClick={() => setShowModal(true)}
+          className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg text-sm font-bold shrink-0"
+        >
+          New Appeal
+        </button>
+      </div>
+
+      {appeals.length === 0 ? (
+        <p className="text-sm text-slate-400">No appeals yet.</p>
+      ) : (
+        <div className="grid md:grid-cols-2 gap-4">
+          {appeals.map(appeal => (
+            <EmergencyRequestCard key={appeal.id} request={appeal} onCancel={() => handleCancel(appeal.id)} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ExpiringUnitsPanel({ units, onUpdateStatus, onDiscardExpired }) {
+  const expired = units.filter(unit => isUnitExpired(unit));
+  const expiringSoon = units.filter(unit => isUnitExpiringSoon(unit));
+
+  if (expired.length === 0 && expiringSoon.length === 0) {
+    return (
+      <div className="bg-white rounded-2xl border border-slate-100 p-6 flex items-center gap-3 text-slate-500">
+        <CheckCircle className="h-5 w-5 text-green-500" />
+        No units expiring in the next {EXPIRY_WARNING_HOURS} hours.
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-amber-50 rounded-2xl border border-amber-200 p-6">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-4">
+        <h2 className="text-lg font-bold text-amber-900 flex items-center gap-2">
+          <AlertCircle className="h-5 w-5 text-amber-600" />
+          Expiring in {EXPIRY_WARNING_HOURS}h ({expiringSoon.length})
+        </h2>
+        {expired.length > 0 && (
+          <button
+            onClick={onDiscardExpired}
+            className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg text-sm font-bold flex items-center gap-2"
+          >
+            <Trash2 className="h-4 w-4" />
+            Discard {expired.length} Expired
+          </button>
+        )}
+      </div>
+
+      <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-3">
+        {expiringSoon.map(unit => (
+          <div key={unit.id} className="bg-white rounded-xl border border-amber-100 p-4 flex justify-between items-center">
+            <div>
+              <p className="font-bold text-slate-900">{unit.bloodType} · {COMPONENT_LABELS[unit.componentType]}</p>
+              <p className="text-xs text-slate-500 font-mono">{unit.bagId}</p>
+              <p className="text-xs font-bold text-amber-700 mt-1 flex items-center gap-1">
+                <Clock className="h-3 w-3" /> {Math.floor(getHoursUntilExpiry(unit))}h left
+              </p>
+            </div>
+            {unit.status === UNIT_STATUS.AVAILABLE && (
+              <button
+                onClick={() => onUpdateStatus(unit, UNIT_STATUS.RESERVED)}
+                className="px-3 py-1.5 bg-amber-100 text-amber-800 rounded-lg text-xs font-bold hover:bg-amber-200"
+              >
+                Reserve
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Donated bags on their way to the shelf: each one is tested, then processed,
+// then stocked. The donor follows these steps in their donation journey.
+function ProcessingUnitsPanel({ units, onUpdateStatus }) {
+  if (units.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-100 overflow-hidden">
+      <div className="p-6 border-b border-slate-100">
+        <h2 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+          <FlaskConical className="h-5 w-5 text-purple-600" />
+          Donations in Processing ({units.length})
+        </h2>
+        <p className="text-sm text-slate-500 mt-1">Not counted in stock until moved to the shelf.</p>
+      </div>
+      <div className="divide-y divide-slate-100">
+        {units.map(unit => {
+          const next = getNextProcessingStatus(unit.status);
+          const expired = isUnitExpired(unit);
+          return (
+            <div key={unit.id} className="px-6 py-4 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3">
+              <div>
+                <p className="font-bold text-slate-900">{unit.bloodType} · {COMPONENT_LABELS[unit.componentType] || unit.componentType}</p>
+                <p className="text-xs text-slate-500 font-mono">{unit.bagId}</p>
+                <div className="flex items-center gap-1 mt-2">
+                  {PROCESSING_STATUSES.map(status => (
+                    <span
+                      key={status}
+                      className={`text-[10px] font-bold px-2 py-0.5 rounded-full ${status === unit.status ? 'bg-purple-100 text-purple-700' : 'bg-slate-100 text-slate-400'}`}
+                    >
+                      {UNIT_STATUS_LABELS[status]}
+                    </span>
+                  ))}
+                </div>
+              </div>
+              <div className="flex gap-2">
+                {!expired && next && (
+                  <button onClick={() => onUpdateStatus(unit, next)} className="px-3 py-1.5 rounded-lg text-xs font-bold bg-purple-100 text-purple-700 hover:bg-purple-200">
+                    {next === UNIT_STATUS.AVAILABLE ? 'Move to Stock' : `Mark ${UNIT_STATUS_LABELS[next]}`}
+                  </button>
+                )}
+                <button onClick={() => onUpdateStatus(unit, UNIT_STATUS.DISCARDED)} className="px-3 py-1.5 rounded-lg text-xs font-bold bg-red-100 text-red-700 hover:bg-red-200">
+                  Discard
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+function RegisterUnitForm({ onSubmit }) {
+  const today = new Date().toISOString().split('T')[0];
+  const [bagId, setBagId] = useState('');
+  const [bloodType, setBloodType] = useState('A+');
+  const [componentType, setComponentType] = useState(BLOOD_COMPONENTS.WHOLE_BLOOD);
+  const [collectionDate, setCollectionDate] = useState(today);
+  const [submitting, setSubmitting] = useState(false);
+
+  const collectedAt = new Date(collectionDate).toISOString();
+  const expiryDate = getDefaultExpiryDate(componentType, collectedAt);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    const saved = await onSubmit({ bagId, bloodType, componentType, collectionDate: collectedAt, expiryDate });
+    if (saved) setBagId('');
+    setSubmitting(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-sm border border-slate-100 p-6">
+      <h2 className="text-lg font-bold text-slate-900 mb-4 flex items-center gap-2">
+        <Plus className="h-5 w-5 text-blue-600" />
+        Register Blood Unit
+      </h2>
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+        <div>
+          <label className="block text-xs font-bold text-slate-500 uppercase mb-1">Bag ID</label>
+          <input
+            type="text"
+            value={bagId}
+            onChange={(e) => setBagId(e.target.value)}
+            placeholder="Auto-generate"
+            className="w-full p-2.5 rounded-xl border border-slate-200 outline-none focus:border-blue-500 text-sm font-mono"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-bold text-slate-500 uppercase mb-1">Blood Type</label>
+          <select
+            value={bloodType}
+            onChange={(e) => setBloodType(e.target.value)}
+            className="w-full p-2.5 rounded-xl border border-slate-200 outline-none focus:border-blue-500 text-sm bg-white"
+          >
+            {BLOOD_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-bold text-slate-500 uppercase mb-1">Component</label>
+          <select
+            value={componentType}
+            onChange={(e) => setComponentType(e.target.value)}
+            className="w-full p-2.5 rounded-xl border border-slate-200 outline-none focus:border-blue-500 text-sm bg-white"
+          >
+            {Object.values(BLOOD_COMPONENTS).map(c => <option key={c} value={c}>{COMPONENT_LABELS[c]}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-bold text-slate-500 uppercase mb-1">Collected On</label>
+          <input
+            type="date"
+            required
+            max={today}
+            value={collectionDate}
+            onChange={(e) => setCollectionDate(e.target.value)}
+            className="w-full p-2.5 rounded-xl border border-slate-200 outline-none focus:border-blue-500 text-sm"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={submitting}
+          className="py-2.5 bg-blue-600 hover:bg-blue-700 text-white rounded-xl font-bold text-sm shadow-md shadow-blue-200 disabled:opacity-70"
+        >
+          {submitting ? 'Saving...' : 'Add Unit'}
+        </button>
+      </div>
+      <p className="text-xs text-slate-400 mt-3">
+        Expires {new Date(expiryDate).toLocaleDateString()} based on the standard shelf life for {COMPONENT_LABELS[componentType].toLowerCase()}.
+      </p>
+    </form>
+  );
+}
+
+function UnitsTable({ units, onUpdateStatus }) {
+  const [typeFilter, setTypeFilter] = useState('');
+  const [componentFilter, setComponentFilter] = useState('');
+
+  const displayUnits = units.filter(unit =>
+    (!typeFilter || unit.bloodType === typeFilter) &&
+    (!componentFilter || unit.componentType === componentFilter)
+  );
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-100 overflow-hidden">
+      <div className="p-6 border-b border-slate-100 flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
+        <h2 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+          <Package className="h-5 w-5 text-blue-600" />
+          Units on Shelf ({displayUnits.length})
+        </h2>
+        <div className="flex gap-2">
+          <select
+            value={typeFilter}
+            onChange={(e) => setTypeFilter(e.target.value)}
+            className="p-2 rounded-lg border border-slate-200 text-sm outline-none bg-white"
+          >
+            <option value="">All Types</option>
+            {BLOOD_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+          </select>
+          <select
+            value={componentFilter}
+            onChange={(e) => setComponentFilter(e.target.value)}
+            className="p-2 rounded-lg border border-slate-200 text-sm outline-none bg-white"
+          >
+            <option value="">All Components</option>
+            {Object.values(BLOOD_COMPONENTS).map(c => <option key={c} value={c}>{COMPONENT_LABELS[c]}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {displayUnits.length === 0 ? (
+        <div className="p-8 text-center text-slate-400">No units on the shelf.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-slate-50 text-slate-500 text-xs uppercase tracking-wider">
+              <tr>
+                <th className="text-left px-6 py-3">Bag ID</th>
+                <th className="text-left px-6 py-3">Type</th>
+                <th className="text-left px-6 py-3">Component</th>
+                <th className="text-left px-6 py-3">Collected</th>
+                <th className="text-left px-6 py-3">Expires</th>
+                <th className="text-left px-6 py-3">Status</th>
+                <th className="text-right px-6 py-3">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {displayUnits.map(unit => {
+                const expired = isUnitExpired(unit);
+                return (
+                  <tr key={unit.id} className={expired ? 'bg-red-50/50' : isUnitExpiringSoon(unit) ? 'bg-amber-50/50' : ''}>
+                    <td className="px-6 py-3 font-mono text-slate-700">{unit.bagId}</td>
+                    <td className="px-6 py-3 font-bold text-red-600">{unit.bloodType}</td>
+                    <td className="px-6 py-3 text-slate-600">{COMPONENT_LABELS[unit.componentType]}</td>
+                    <td className="px-6 py-3 text-slate-500">
+                      {unit.collectionDate ? new Date(unit.collectionDate).toLocaleDateString() : 'Unknown'}
+                    </td>
+                    <td className={`px-6 py-3 ${expired ? 'text-red-600 font-bold' : 'text-slate-500'}`}>
+                      {new Date(unit.expiryDate).toLocaleDateString()}{expired && ' (expired)'}
+                    </td>
+                    <td className="px-6 py-3">
+                      <span className={`text-xs font-bold px-2 py-0.5 rounded-full ${unit.status === UNIT_STATUS.AVAILABLE ? 'bg-green-100 text-green-700' : 'bg-blue-100 text-blue-700'
+                        }`}>
+                        {UNIT_STATUS_LABELS[unit.status].toUpperCase()}
+                      </span>
+                    </td>
+                    <td className="px-6 py-3">
+                      {unit.reservedForTransfer ? (
+                        <p className="text-right text-xs font-bold text-blue-600">Held for a transfer</p>
+                      ) : (
+                        <div className="flex justify-end gap-2">
+                          {!expired && unit.status === UNIT_STATUS.AVAILABLE && (
+                            <button onClick={() => onUpdateStatus(unit, UNIT_STATUS.RESERVED)} className="px-2 py-1 rounded-lg text-xs font-bold bg-slate-100 text-slate-700 hover:bg-slate-200">
+                              Reserve
+                            </button>
+                          )}
+                          {!expired && unit.status === UNIT_STATUS.RESERVED && (
+                            <button onClick={() => onUpdateStatus(unit, UNIT_STATUS.AVAILABLE)} className="px-2 py-1 rounded-lg text-xs font-bold bg-slate-100 text-slate-700 hover:bg-slate-200">
+                              Release
+                            </button>
+                          )}
+                          {!expired && (
+                            <button onClick={() => onUpdateStatus(unit, UNIT_STATUS.ISSUED)} className="px-2 py-1 rounded-lg text-xs font-bold bg-green-100 text-green-700 hover:bg-green-200">
+                              Issue
+                            </button>
+                          )}
+                          <button onClick={() => onUpdateStatus(unit, UNIT_STATUS.DISCARDED)} className="px-2 py-1 rounded-lg text-xs font-bold bg-red-100 text-red-700 hover:bg-red-200">
+                            Discard
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const REASON_STYLES = {
+  [LEDGER_REASONS.DONATION]: 'bg-green-100 text-green-700',
+  [LEDGER_REASONS.MANUAL_ADJUST]: 'bg-slate-100 text-slate-700',
+  [LEDGER_REASONS.ISSUE]: 'bg-blue-100 text-blue-700',
+  [LEDGER_REASONS.EXPIRY]: 'bg-red-100 text-red-700',
+  [LEDGER_REASONS.TRANSFER_OUT]: 'bg-purple-100 text-purple-700',
+  [LEDGER_REASONS.TRANSFER_RELEASE]: 'bg-purple-100 text-purple-700',
+  [LEDGER_REASONS.TRANSFER_IN]: 'bg-purple-100 text-purple-700'
+};
+
+function StockHistory({ hospitalId }) {
+  const [bloodType, setBloodType] = useState('');
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToInventoryLedger(hospitalId, setEntries, bloodType || null);
+    return () => unsubscribe();
+  }, [hospitalId, bloodType]);
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-100 overflow-hidden">
+      <div className="p-6 border-b border-slate-100 flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
+        <h2 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+          <History className="h-5 w-5 text-blue-600" />
+          Stock History
+        </h2>
+        <select
+          value={bloodType}
+          onChange={(e) => setBloodType(e.target.value)}
+          className="p-2 rounded-lg border border-slate-200 text-sm outline-none bg-white"
+        >
+          <option value="">All Blood Groups</option>
+          {BLOOD_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+        </select>
+      </div>
+
+      {entries.length === 0 ? (
+        <div className="p-8 text-center text-slate-400">No stock changes recorded yet.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-slate-50 text-slate-500 text-xs uppercase tracking-wider">
+              <tr>
+                <th className="text-left px-6 py-3">When</th>
+                <th className="text-left px-6 py-3">Group</th>
+                <th className="text-right px-6 py-3">Change</th>
+                <th className="text-left px-6 py-3">Reason</th>
+                <th className="text-left px-6 py-3">By</th>
+                <th className="text-left px-6 py-3">Reference</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {entries.map(entry => (
+                <tr key={entry.id}>
+                  <td className="px-6 py-3 text-slate-500 whitespace-nowrap">{new Date(entry.createdAt).toLocaleString()}</td>
+                  <td className="px-6 py-3">
+                    <span className="font-bold text-red-600">{entry.bloodType}</span>
+                    <span className="text-xs text-slate-400 ml-2">{COMPONENT_LABELS[entry.componentType]}</span>
+                  </td>
+                  <td className={`px-6 py-3 text-right font-bold ${entry.delta > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                    {entry.delta > 0 ? `+${entry.delta}` : entry.delta}
+                  </td>
+                  <td className="px-6 py-3">
+                    <span className={`text-xs font-bold px-2 py-0.5 rounded-full ${REASON_STYLES[entry.reason] || REASON_STYLES[LEDGER_REASONS.MANUAL_ADJUST]}`}>
+                      {LEDGER_REASON_LABELS[entry.reason] || entry.reason}
+                    </span>
+                  </td>
+                  <td className="px-6 py-3 text-slate-600">{entry.actorName || entry.actorId || 'System'}</td>
+                  <td className="px-6 py-3 text-xs text-slate-500">
+                    {entry.appointmentId && <div>Appointment <span className="font-mono">{entry.appointmentId}</span></div>}
+                    {entry.requestId && <div>Request <span className="font-mono">{entry.requestId}</span></div>}
+                    {entry.transferId && <div>Transfer <span className="font-mono">{entry.transferId}</span></div>}
+                    {entry.bagIds?.length > 0 && (
+                      <div className="font-mono text-slate-400 truncate max-w-xs" title={entry.bagIds.join(', ')}>
+                        {entry.bagIds.join(', ')}
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
     </div>
   );
 }
@@ -2,7 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { createHospitalProfile } from '../lib/firestore';
-import { Building, MapPin, Mail, Lock, AlertCircle, Activity, Locate, Search, Phone } from 'lucide-react';
+import { uploadLicenseDocument, validateLicenseFile, LICENSE_CONTENT_TYPES } from '../lib/verification';
+import { Building, MapPin, Mail, Lock, AlertCircle, Activity, Locate, Search, Phone, FileText } from 'lucide-react';
 import { MapContainer, TileLayer, Marker, useMapEvents, useMap } from 'react-leaflet';
 import { GeoSearchControl, OpenStreetMapProvider } from 'leaflet-geosearch';
 import 'leaflet/dist/leaflet.css';
@@ -106,6 +107,7 @@ export default function HospitalSignup() {
   const [passwordConfirm, setPasswordConfirm] = useState('');
   const [hospitalName, setHospitalName] = useState('');
   const [licenseId, setLicenseId] = useState('');
+  const [licenseFile, setLicenseFile] = useState(null);
   const [address, setAddress] = useState('');
   const [phoneNumber, setPhoneNumber] = useState('');
   const [location, setLocation] = useState(null); // { lat, lng }
@@ -131,6 +133,11 @@ export default function HospitalSignup() {
       return setError('Phone number must contain only digits and optional + prefix');
     }
 
+    const licenseError = validateLicenseFile(licenseFile);
+    if (licenseError) {
+      return setError(licenseError);
+    }
+
     try {
       setError('');
       setLoading(true);
@@ -138,11 +145,15 @@ export default function HospitalSignup() {
       // Create Auth User
       const userCredential = await signup(email, password);
 
-      // Create Hospital Profile & Inventory
+      // Upload license proof (needs the new account to be signed in)
+      const licenseDocument = await uploadLicenseDocument(userCredential.user.uid, licenseFile);
+
+      // Create Hospital Profile & Inventory (stays pending until an admin approves it)
       await createHospitalProfile(userCredential.user.uid, {
         email,
         hospitalName,
         licenseId,
+        licenseDocument,
         address, // Address from form input (user can edit what was auto-filled)
         phoneNumber,
         location: { lat: location.lat, lng: location.lng }
@@ -218,6 +229,23 @@ export default function HospitalSignup() {
                 </div>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-slate-700">License Proof</label>
+                <div className="mt-1 relative rounded-md shadow-sm">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <FileText className="h-5 w-5 text-slate-400" />
+                  </div>
+                  <input
+                    type="file"
+                    required
+                    accept={LICENSE_CONTENT_TYPES.join(',')}
+                    className="block w-full pl-10 sm:text-sm border border-slate-300 rounded-xl py-2.5 file:mr-3 file:py-1 file:px-3 file:rounded-lg file:border-0 file:bg-blue-50 file:text-blue-700 file:font-medium"
+                    onChange={(e) => setLicenseFile(e.target.files[0] || null)}
+                  />
+                </div>
+                <p className="mt-1 text-xs text-slate-500">PDF, JPG or PNG up to 5 MB. Your hospital appears on LifeLine once an admin has verified it.</p>
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-slate-700">Phone Number</label>
                 <div className="mt-1 relative rounded-md shadow-sm">
@@ -12,9 +12,16 @@ import { MapPin, Calendar, Phone, User, Save, Plus, Clock, CheckCircle, AlertCir
 import { useNavigate } from 'react-router-dom';
 import LocationPickerMap from '../components/LocationPickerMap';
 import { Toaster, toast } from 'react-hot-toast';
+import { DONATION_TYPE_LABELS, DEFAULT_DONATION_TYPE } from '../../functions/shared/donationEligibility.js';
+import DayOfCheckBadge from '../components/DayOfCheckBadge';
+import NoShowFollowUp, { NoShowHistoryBadge } from '../components/NoShowFollowUp';
+import CertificateControls from '../components/CertificateControls';
+import { SLOT_MINUTE_OPTIONS, DEFAULT_SLOT_MINUTES, DEFAULT_BEDS_PER_SLOT, toMinutes } from '../lib/venueSchedule';
+import VerificationNotice from '../components/VerificationNotice';
 
 export default function OrganizerPortal() {
-  const { currentUser } = useAuth();
+  const { currentUser, verifiedRole, refreshVerifiedRole } = useAuth();
+  const isVerified = verifiedRole === 'organizer';
   const navigate = useNavigate();
   const [camps, setCamps] = useState([]); // Stores ONLY my camps for list
   const [allCamps, setAllCamps] = useState([]); // Stores ALL camps for map
@@ -30,15 +37,17 @@ export default function OrganizerPortal() {
   const [date, setDate] = useState('');
   const [startTime, setStartTime] = useState('');
   const [endTime, setEndTime] = useState('');
+  const [slotMinutes, setSlotMinutes] = useState(DEFAULT_SLOT_MINUTES);
+  const [bedsPerSlot, setBedsPerSlot] = useState(DEFAULT_BEDS_PER_SLOT);
   const [coordinates, setCoordinates] = useState({ lat: 40.7128, lng: -74.0060 }); // Default to NY
 
   const [message, setMessage] = useState('');
 
   useEffect(() => {
-    if (currentUser) {
+    if (currentUser && isVerified) {
       loadData();
     }
-  }, [currentUser]);
+  }, [currentUser, isVerified]);
 
   const loadData = async () => {
     if (!currentUser) return;
@@ -75,6 +84,10 @@ export default function OrganizerPortal() {
 
   const handleAddCamp = async (e) => {
     e.preventDefault();
+    if (toMinutes(endTime) - toMinutes(startTime) < slotMinutes) {
+      toast.error('The camp must run for at least one slot.');
+      return;
+    }
     setLoading(true);
 
     try {
@@ -86,6 +99,8 @@ export default function OrganizerPortal() {
         date,
         startTime,
         endTime,
+        // Opening hours come from the camp's date and times
+        schedule: { slotMinutes, bedsPerSlot },
         location: coordinates
       });
 
@@ -100,6 +115,8 @@ export default function OrganizerPortal() {
       setDate('');
       setStartTime('');
       setEndTime('');
+      setSlotMinutes(DEFAULT_SLOT_MINUTES);
+      setBedsPerSlot(DEFAULT_BEDS_PER_SLOT);
 
       // Reload list
       loadData();
@@ -127,13 +144,14 @@ export default function OrganizerPortal() {
         confirmedBloodType,
         appt.donorId,
         appt.venueName,
-        'camp'
+        'camp',
+        appt.donationType
       );
       toast.success("Donation recorded successfully!");
       loadData(); // Refresh
     } catch (error) {
       console.error("Error completing appointment:", error);
-      toast.error("Failed to complete appointment.");
+      toast.error(error.message || "Failed to complete appointment.");
     }
   };
 
@@ -160,6 +178,21 @@ export default function OrganizerPortal() {
     );
   }
 
+  // Camps can only be published once an admin has verified the organization
+  if (!isVerified) {
+    return (
+      <div className="min-h-screen bg-slate-50 py-12 px-4">
+        <Toaster />
+        <VerificationNotice
+          uid={currentUser.uid}
+          type="organizer"
+          details={{ name: currentUser.displayName || currentUser.email, email: currentUser.email }}
+          onApproved={refreshVerifiedRole}
+        />
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-slate-50 py-12 px-4 sm:px-6 lg:px-8">
       <Toaster />
@@ -277,6 +310,30 @@ export default function OrganizerPortal() {
                     </div>
                   </div>
 
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-slate-700 mb-1">Slot Length</label>
+                      <select
+                        className="w-full p-3 rounded-xl border border-slate-200 focus:border-brand-500 focus:ring-2 focus:ring-brand-200 outline-none"
+                        value={slotMinutes}
+                        onChange={(e) => setSlotMinutes(Number(e.target.value))}
+                      >
+                        {SLOT_MINUTE_OPTIONS.map(m => <option key={m} value={m}>{m} minutes</option>)}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-slate-700 mb-1">Beds per Slot</label>
+                      <input
+                        type="number"
+                        required
+                        min={1}
+                        className="w-full p-3 rounded-xl border border-slate-200 focus:border-brand-500 focus:ring-2 focus:ring-brand-200 outline-none"
+                        value={bedsPerSlot}
+                        onChange={(e) => setBedsPerSlot(Number(e.target.value))}
+                      />
+                    </div>
+                  </div>
+
                   <div>
                     <label className="block text-sm font-medium text-slate-700 mb-1">Location / Address</label>
                     <div className="relative">
@@ -379,6 +436,11 @@ export default function OrganizerPortal() {
                                 {camp.startTime} - {camp.endTime}
                               </div>
                             )}
+                            {camp.schedule && (
+                              <p className="text-xs text-slate-500 mt-1">
+                                {camp.schedule.slotMinutes} min slots · {camp.schedule.bedsPerSlot} bed(s)
+                              </p>
+                            )}
                             <p className="text-sm text-slate-400 mt-1">{camp.contact}</p>
                           </div>
                         </div>
@@ -521,6 +583,9 @@ function AppointmentCard({ appt, onComplete, onNoShow }) {
             <span className="flex items-center gap-1 font-medium text-slate-700 bg-slate-100 px-2 py-0.5 rounded-md">
               <Clock className="h-3.5 w-3.5" /> {appt.timeSlot}
             </span>
+            <span className="font-medium text-brand-600">
+              {DONATION_TYPE_LABELS[appt.donationType || DEFAULT_DONATION_TYPE]}
+            </span>
 
             {isCompleted && (
               <span className="flex items-center gap-1 text-green-600 font-bold bg-green-100 px-2 py-0.5 rounded-full text-xs">
@@ -537,6 +602,10 @@ function AppointmentCard({ appt, onComplete, onNoShow }) {
                 Scheduled
               </span>
             )}
+            {!isCompleted && !isNoShow && (
+              <DayOfCheckBadge check={appt.dayOfCheck} />
+            )}
+            <NoShowHistoryBadge count={appt.donorNoShowCount} />
           </div>
         </div>
       </div>
@@ -572,6 +641,9 @@ function AppointmentCard({ appt, onComplete, onNoShow }) {
           </button>
         </div>
       )}
+
+      {isNoShow && <NoShowFollowUp appt={appt} />}
+      {isCompleted && <CertificateControls appt={appt} />}
     </div>
   );
 }
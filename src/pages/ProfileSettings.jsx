@@ -4,8 +4,12 @@ import { db } from '../lib/firebase';
 import { doc, updateDoc, getDoc } from 'firebase/firestore';
 import { updateProfile } from 'firebase/auth';
 import { Toaster, toast } from 'react-hot-toast';
-import { User, Mail, Phone, MapPin, Droplet, Save, Heart, Loader2 } from 'lucide-react';
+import { User, Mail, Phone, MapPin, Droplet, Save, Heart, Loader2, Bell, BellOff, Smartphone, Trash2, CalendarDays, Copy, Link as LinkIcon, GraduationCap, Trophy } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
+import { subscribeToDevices, getCalendarFeedToken, createCalendarFeed, revokeCalendarFeed, getContactPhone, saveContactPhone } from '../lib/firestore';
+import { getCalendarFeedUrls } from '../lib/calendar';
+import { enablePushNotifications, revokeDevice, getDeviceId, isPushSupported } from '../lib/notifications';
+import { DONOR_SEX } from '../../functions/shared/donationEligibility.js';
 
 export default function ProfileSettings() {
     const { currentUser } = useAuth();
@@ -23,6 +27,9 @@ export default function ProfileSettings() {
     const [phone, setPhone] = useState('');
     const [city, setCity] = useState('');
     const [bloodType, setBloodType] = useState('');
+    const [sex, setSex] = useState('');
+    const [campus, setCampus] = useState('');
+    const [leaderboardOptIn, setLeaderboardOptIn] = useState(false);
 
     useEffect(() => {
         async function fetchUserData() {
@@ -41,10 +48,16 @@ export default function ProfileSettings() {
                         // Initialize phone for hospital or user
                         if (data.role === 'hospital') {
                             setPhone(data.phoneNumber || '');
-                        } else if (data.donorProfile) {
-                            setPhone(data.donorProfile.phone || '');
+                        } else {
+                            // Donors and seekers: only used behind the masked call relay, never shown to anyone
+                            setPhone(await getContactPhone(currentUser.uid, data));
+                        }
+                        if (data.role !== 'hospital' && data.donorProfile) {
                             setCity(data.donorProfile.city || '');
                             setBloodType(data.donorProfile.bloodType || '');
+                            setSex(data.donorProfile.sex || '');
+                            setCampus(data.donorProfile.campus || '');
+                            setLeaderboardOptIn(!!data.donorProfile.leaderboardOptIn);
                         }
                     }
                 } catch (error) {
@@ -86,11 +99,16 @@ export default function ProfileSettings() {
 
             // Using dot notation for nested updates to avoid overwriting entire donorProfile
             if (isDonor) {
+                await saveContactPhone(currentUser.uid, phone);
                 await updateDoc(userRef, {
                     name: name,
-                    'donorProfile.phone': phone,
                     'donorProfile.city': city,
-                    'donorProfile.bloodType': bloodType
+                    'donorProfile.bloodType': bloodType,
+                    // Decides the whole blood donation interval
+                    'donorProfile.sex': sex || null,
+                    // Leaderboard listing is opt-in (see onLeaderboardProfileWritten)
+                    'donorProfile.campus': campus.trim() || null,
+                    'donorProfile.leaderboardOptIn': leaderboardOptIn
                 });
             } else if (userRole === 'hospital') {
                 // Update hospital profile including phone
@@ -110,6 +128,7 @@ export default function ProfileSettings() {
                     // Continue even if inventory update fails (might not exist)
                 }
             } else {
+                if (userRole === 'user') await saveContactPhone(currentUser.uid, phone);
                 await updateDoc(userRef, { name: name });
             }
 
@@ -211,6 +230,28 @@ export default function ProfileSettings() {
                                 </div>
                             )}
 
+                            {/* Seeker phone for calls through the masked relay */}
+                            {userRole === 'user' && !isDonor && (
+                                <div>
+                                    <label className="block text-sm font-medium text-slate-700 mb-1">Phone Number</label>
+                                    <div className="relative">
+                                        <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                                            <Phone className="h-5 w-5 text-slate-400" />
+                                        </div>
+                                        <input
+                                            type="tel"
+                                            value={phone}
+                                            onChange={(e) => setPhone(e.target.value)}
+                                            className="block w-full pl-10 pr-3 py-3 border border-slate-200 rounded-xl focus:ring-brand-500 focus:border-brand-500 outline-none"
+                                            placeholder="+1 234 567 8900"
+                                        />
+                                    </div>
+                                    <p className="mt-1 text-xs text-slate-400">
+                                        Lets you call donors who accept your requests. Calls use a private number, so donors never see yours.
+                                    </p>
+                                </div>
+                            )}
+
                             {/* Donor Info - Conditional */}
                             {isDonor ? (
                                 <div className="space-y-4 pt-4">
@@ -260,7 +301,25 @@ export default function ProfileSettings() {
                                             </div>
                                         </div>
 
-                                        <div className="md:col-span-2">
+                                        <div>
+                                            <label className="block text-sm font-medium text-slate-700 mb-1">Sex</label>
+                                            <div className="relative">
+                                                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                                                    <User className="h-5 w-5 text-slate-400" />
+                                                </div>
+                                                <select
+                                                    value={sex}
+                                                    onChange={(e) => setSex(e.target.value)}
+                                                    className="block w-full pl-10 pr-3 py-3 border border-slate-200 rounded-xl focus:ring-brand-500 focus:border-brand-500 outline-none"
+                                                >
+                                                    <option value="">Not specified</option>
+                                                    <option value={DONOR_SEX.MALE}>Male</option>
+                                                    <option value={DONOR_SEX.FEMALE}>Female</option>
+                                                </select>
+                                            </div>
+                                        </div>
+
+                                        <div>
                                             <label className="block text-sm font-medium text-slate-700 mb-1">Phone Number</label>
                                             <div className="relative">
                                                 <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
@@ -275,6 +334,37 @@ export default function ProfileSettings() {
                                                 />
                                             </div>
                                         </div>
+
+                                        <div>
+                                            <label className="block text-sm font-medium text-slate-700 mb-1">Campus / College (optional)</label>
+                                            <div className="relative">
+                                                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                                                    <GraduationCap className="h-5 w-5 text-slate-400" />
+                                                </div>
+                                                <input
+                                                    type="text"
+                                                    value={campus}
+                                                    onChange={(e) => setCampus(e.target.value)}
+                                                    className="block w-full pl-10 pr-3 py-3 border border-slate-200 rounded-xl focus:ring-brand-500 focus:border-brand-500 outline-none"
+                                                    placeholder="e.g. City College"
+                                                />
+                                            </div>
+                                        </div>
+
+                                        <label className="flex items-start gap-3 md:col-span-2 cursor-pointer">
+                                            <input
+                                                type="checkbox"
+                                                checked={leaderboardOptIn}
+                                                onChange={(e) => setLeaderboardOptIn(e.target.checked)}
+                                                className="mt-1 h-4 w-4 rounded border-slate-300 text-brand-600 focus:ring-brand-500"
+                                            />
+                                            <span className="text-sm text-slate-600">
+                                                <span className="font-medium text-slate-700 flex items-center gap-1">
+                                                    <Trophy className="h-4 w-4 text-yellow-500" /> Show me on the leaderboards
+                                                </span>
+                                                Lists your first name, last initial and donation count on your city and campus leaderboards.
+                                            </span>
+                                        </label>
                                     </div>
                                 </div>
                             ) : (
@@ -320,6 +410,224 @@ export default function ProfileSettings() {
                         </form>
                     </div>
                 </div>
+
+                {currentUser && <DevicesSection uid={currentUser.uid} />}
+                {currentUser && isDonor && <CalendarFeedSection uid={currentUser.uid} />}
+            </div>
+        </div>
+    );
+}
+
+function DevicesSection({ uid }) {
+    const [devices, setDevices] = useState([]);
+    const [supported, setSupported] = useState(true);
+    const [enabling, setEnabling] = useState(false);
+    const currentDeviceId = getDeviceId(uid);
+    const permission = 'Notification' in window ? Notification.permission : 'denied';
+    const thisDeviceRegistered = devices.some(device => device.id === currentDeviceId);
+
+    useEffect(() => {
+        isPushSupported().then(setSupported);
+        const unsubscribe = subscribeToDevices(uid, setDevices);
+        return () => unsubscribe();
+    }, [uid]);
+
+    const handleEnable = async () => {
+        setEnabling(true);
+        try {
+            const enabled = await enablePushNotifications(uid);
+            if (enabled) {
+                toast.success("Notifications enabled on this device");
+            } else {
+                toast.error("Notification permission was not granted");
+            }
+        } catch (error) {
+            console.error("Error enabling notifications:", error);
+            toast.error(error.message || "Failed to enable notifications");
+        }
+        setEnabling(false);
+    };
+
+    const handleRevoke = async (device) => {
+        if (!window.confirm(`Stop sending notifications to ${device.platform || 'this device'}?`)) return;
+        try {
+            await revokeDevice(uid, device.id);
+            toast.success("Device removed");
+        } catch (error) {
+            console.error("Error removing device:", error);
+            toast.error("Failed to remove device");
+        }
+    };
+
+    return (
+        <div className="mt-8 bg-white rounded-2xl shadow-sm border border-slate-100 overflow-hidden">
+            <div className="p-8 space-y-4">
+                <h2 className="text-lg font-bold text-slate-900 border-b border-slate-100 pb-2 mb-4 flex items-center gap-2">
+                    <Bell className="h-5 w-5 text-yellow-500" />
+                    Devices & notifications
+                </h2>
+
+                {!supported ? (
+                    <p className="text-sm text-slate-500 flex items-center gap-2">
+                        <BellOff className="h-4 w-4" /> This browser does not support push notifications.
+                    </p>
+                ) : permission === 'denied' ? (
+                    <p className="text-sm text-slate-500 flex items-center gap-2">
+                        <BellOff className="h-4 w-4" /> Notifications are blocked for this site. Allow them in your browser settings to get alerts here.
+                    </p>
+                ) : !thisDeviceRegistered && (
+                    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 p-4 bg-yellow-50 rounded-xl border border-yellow-100">
+                        <p className="text-sm text-slate-700">Get watchlist matches and request updates on this device, even when LifeLine is closed.</p>
+                        <button
+                            type="button"
+                            onClick={handleEnable}
+                            disabled={enabling}
+                            className="bg-slate-900 hover:bg-slate-800 text-white px-4 py-2 rounded-lg font-bold text-sm whitespace-nowrap flex items-center gap-2 disabled:opacity-70"
+                        >
+                            {enabling ? <Loader2 className="h-4 w-4 animate-spin" /> : <Bell className="h-4 w-4" />}
+                            Enable on this device
+                        </button>
+                    </div>
+                )}
+
+                {devices.length === 0 ? (
+                    <p className="text-sm text-slate-400">No devices are registered for notifications.</p>
+                ) : (
+                    <ul className="divide-y divide-slate-100">
+                        {devices.map(device => (
+                            <li key={device.id} className="py-3 flex items-center justify-between gap-4">
+                                <div className="flex items-center gap-3">
+                                    <Smartphone className="h-5 w-5 text-slate-400" />
+                                    <div>
+                                        <p className="font-medium text-slate-900 text-sm">
+                                            {device.platform || 'Unknown device'}
+                                            {device.id === currentDeviceId && (
+                                                <span className="ml-2 text-[10px] font-bold bg-green-100 text-green-700 px-1.5 py-0.5 rounded-full">This device</span>
+                                            )}
+                                        </p>
+                                        <p className="text-xs text-slate-400">
+                                            Last seen {device.lastSeenAt ? new Date(device.lastSeenAt).toLocaleString() : 'never'}
+                                        </p>
+                                    </div>
+                                </div>
+                                <button
+                                    type="button"
+                                    onClick={() => handleRevoke(device)}
+                                    className="p-2 text-slate-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                                    title="Revoke device"
+                                >
+                                    <Trash2 className="h-4 w-4" />
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// Subscribable calendar of the donor's appointments (calendarFeed function)
+function CalendarFeedSection({ uid }) {
+    const [token, setToken] = useState(undefined); // undefined while loading
+    const [busy, setBusy] = useState(false);
+    const urls = token ? getCalendarFeedUrls(token) : null;
+
+    useEffect(() => {
+        getCalendarFeedToken(uid)
+            .then(setToken)
+            .catch(() => setToken(null));
+    }, [uid]);
+
+    const handleCreate = async () => {
+        setBusy(true);
+        try {
+            setToken(await createCalendarFeed(uid));
+        } catch (error) {
+            toast.error(error.message || "Failed to create calendar link");
+        }
+        setBusy(false);
+    };
+
+    const handleRevoke = async () => {
+        if (!window.confirm("Calendars subscribed to this link will stop updating. Continue?")) return;
+        setBusy(true);
+        try {
+            await revokeCalendarFeed(token);
+            setToken(null);
+            toast.success("Calendar link revoked");
+        } catch (error) {
+            toast.error(error.message || "Failed to revoke calendar link");
+        }
+        setBusy(false);
+    };
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(urls.https);
+            toast.success("Link copied");
+        } catch {
+            toast.error("Could not copy, select the link instead");
+        }
+    };
+
+    return (
+        <div className="mt-8 bg-white rounded-2xl shadow-sm border border-slate-100 overflow-hidden">
+            <div className="p-8 space-y-4">
+                <h2 className="text-lg font-bold text-slate-900 border-b border-slate-100 pb-2 mb-4 flex items-center gap-2">
+                    <CalendarDays className="h-5 w-5 text-blue-500" />
+                    Calendar subscription
+                </h2>
+                <p className="text-sm text-slate-600">
+                    Subscribe from Apple Calendar, Outlook or Google Calendar to keep your donation appointments in sync,
+                    including reschedules and cancellations. Anyone with the link can see your appointments.
+                </p>
+
+                {token === undefined ? (
+                    <p className="text-sm text-slate-400 flex items-center gap-2"><Loader2 className="h-4 w-4 animate-spin" /> Loading...</p>
+                ) : !token ? (
+                    <button
+                        type="button"
+                        onClick={handleCreate}
+                        disabled={busy}
+                        className="bg-slate-900 hover:bg-slate-800 text-white px-4 py-2 rounded-lg font-bold text-sm flex items-center gap-2 disabled:opacity-70"
+                    >
+                        <LinkIcon className="h-4 w-4" />
+                        Create calendar link
+                    </button>
+                ) : (
+                    <div className="space-y-3">
+                        <div className="flex gap-2">
+                            <input
+                                type="text"
+                                readOnly
+                                value={urls.https}
+                                onFocus={(e) => e.target.select()}
+                                className="flex-1 p-2 rounded-lg border border-slate-200 text-xs font-mono text-slate-600 bg-slate-50"
+                            />
+                            <button type="button" onClick={handleCopy} className="p-2 border border-slate-200 rounded-lg text-slate-600 hover:bg-slate-50" title="Copy link">
+                                <Copy className="h-4 w-4" />
+                            </button>
+                        </div>
+                        <div className="flex flex-wrap gap-2">
+                            <a
+                                href={urls.webcal}
+                                className="bg-slate-900 hover:bg-slate-800 text-white px-4 py-2 rounded-lg font-bold text-sm flex items-center gap-2"
+                            >
+                                <CalendarDays className="h-4 w-4" />
+                                Subscribe
+                            </a>
+                            <button
+                                type="button"
+                                onClick={handleRevoke}
+                                disabled={busy}
+                                className="px-4 py-2 border border-red-200 text-red-600 rounded-lg text-sm font-bold hover:bg-red-50 disabled:opacity-70"
+                            >
+                                Revoke link
+                            </button>
+                        </div>
+                    </div>
+                )}
             </div>
         </div>
     );
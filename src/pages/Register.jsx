@@ -2,7 +2,7 @@ import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { Heart, Mail, Lock, AlertCircle, User, Building2, Building, Phone } from 'lucide-react';
-import { createUserProfile } from '../lib/firestore';
+import { createUserProfile, submitVerificationRequest } from '../lib/firestore';
 
 export default function Register() {
   const [fullName, setFullName] = useState('');
@@ -54,6 +54,15 @@ export default function Register() {
       // Wait for Firestore write to complete BEFORE navigating
       await createUserProfile(userCredential.user.uid, userData);
 
+      // Organizers can only publish camps once an admin has verified them
+      if (role === 'organizer') {
+        await submitVerificationRequest(userCredential.user.uid, {
+          type: 'organizer',
+          name: organizationName,
+          email
+        });
+      }
+
       // Force a small delay to ensure AuthContext picks up the new role if it re-fetches
       // though our manual navigation below should handle it.
 
@@ -1,32 +1,19 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { Search, MapPin, Filter, Phone, Droplet, AlertCircle, Bell, Trash2, Building, User, Navigation, Heart, CheckCircle, XCircle, Archive, Clock, Share2, Copy, X, Loader2, Mail, Mic, MicOff } from 'lucide-react';
-import { searchDonors, addToWatchlist, getWatchlist, deleteWatchlistItem, markWatchlistNotified, markWatchlistMatchFound, resetWatchlistMatch, subscribeToMatchingInventory, subscribeToAllInventory, subscribeToActiveDonors, requestBlood, subscribeToSentRequests, cancelRequest, archiveRequest, markRequestsFulfilled, getUserProfile } from '../lib/firestore';
-import { sendBloodRequestNotification } from '../lib/emailService';
+import React, { useState, useEffect, useRef } from 'react';
+import { Search, MapPin, Filter, Phone, Droplet, AlertCircle, Bell, Trash2, Building, User, Navigation, Heart, CheckCircle, XCircle, Clock, Share2, Copy, X, Loader2, Mail, Mic, MicOff } from 'lucide-react';
+import { searchDonors, searchNearby, addToWatchlist, subscribeToWatchlist, deleteWatchlistItem, subscribeToMatchingInventory, subscribeToAllInventory, requestBlood, subscribeToSentRequests, cancelRequest, updateRequestStatus, subscribeToCases, createCase, getUserProfile, subscribeToEmergencyRequests, cancelEmergencyRequest } from '../lib/firestore';
+import { BLOOD_COMPONENTS, COMPONENT_LABELS, DEFAULT_COMPONENT, findBestAvailableType, getComponentStock, rankByCompatibility } from '../../functions/shared/bloodCompatibility.js';
 import { useAuth } from '../context/AuthContext';
 import { Toaster, toast } from 'react-hot-toast';
 import { useNavigate, useSearchParams } from 'react-router-dom';
+import { getDistanceKm, formatDistance, geocodePlace, isWithinArea, DEFAULT_SEARCH_RADIUS_KM } from '../lib/geo';
 import GlobalMap from '../components/GlobalMap';
-
-
-// Simple Haversine distance calculator
-function getDistanceFromLatLonInKm(lat1, lon1, lat2, lon2) {
-    if (!lat1 || !lon1 || !lat2 || !lon2) return null;
-    var R = 6371; // Radius of the earth in km
-    var dLat = deg2rad(lat2 - lat1);
-    var dLon = deg2rad(lon2 - lon1);
-    var a =
-        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-        Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) *
-        Math.sin(dLon / 2) * Math.sin(dLon / 2)
-        ;
-    var c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    var d = R * c; // Distance in km
-    return d.toFixed(1);
-}
-
-function deg2rad(deg) {
-    return deg * (Math.PI / 180)
-}
+import EmergencyRequestModal from '../components/EmergencyRequestModal';
+import EmergencyRequestCard from '../components/EmergencyRequestCard';
+import RequestChat, { ChatButton, RelayContact } from '../components/RequestChat';
+import RequestTimeline from '../components/RequestTimeline';
+import RequestCases from '../components/RequestCases';
+import { CASE_STATUS, getCaseLabel } from '../../functions/shared/cases.js';
+import { REQUEST_STATUS, REQUEST_STATUS_LABELS, REQUEST_STATUS_STYLES, isRequestActive } from '../../functions/shared/requestLifecycle.js';
 
 export default function SeekerDashboard() {
     const { currentUser } = useAuth();
@@ -37,10 +24,11 @@ export default function SeekerDashboard() {
     // Search Filters
     const [bloodType, setBloodType] = useState('');
     const [location, setLocation] = useState('');
+    const [component, setComponent] = useState(DEFAULT_COMPONENT);
+    const [searchCenter, setSearchCenter] = useState(null); // {lat, lng} the last search was run around
 
     // Data States
     const [donors, setDonors] = useState([]);
-    const [allActiveDonors, setAllActiveDonors] = useState([]); // Real-time all donors
     const [hospitals, setHospitals] = useState([]);
     const [userLocation, setUserLocation] = useState(null);
     const [selectedHospitalForShare, setSelectedHospitalForShare] = useState(null);
@@ -54,8 +42,13 @@ export default function SeekerDashboard() {
     const [watchlist, setWatchlist] = useState([]);
     const [addingToWatchlist, setAddingToWatchlist] = useState(false);
     const [sentRequests, setSentRequests] = useState([]);
+    const [chatRequestId, setChatRequestId] = useState(null);
     const [requestFilter, setRequestFilter] = useState('active'); // 'active' | 'past'
+    const [cases, setCases] = useState([]);
+    const [selectedCaseId, setSelectedCaseId] = useState(null);
     const [seekerProfile, setSeekerProfile] = useState(null);
+    const [emergencyRequests, setEmergencyRequests] = useState([]);
+    const [showEmergencyModal, setShowEmergencyModal] = useState(false);
 
     // Handle URL Params for Voice Search Auto-Execution
     useEffect(() => {
@@ -111,38 +104,21 @@ export default function SeekerDashboard() {
         return () => unsubscribe();
     }, []);
 
-    // Fetch Real-time Active Donors :Preetika
+    // Real-time watchlist. Matching runs in Cloud Functions (onInventoryWritten /
+    // onDonorWritten), this page only shows the matchFound flags they set.
     useEffect(() => {
-        const unsubscribe = subscribeToActiveDonors((data) => {
-            setAllActiveDonors(data);
-        });
-        return () => unsubscribe();
-    }, []);
-
-
-    const loadWatchlist = useCallback(async () => {
         if (!currentUser) return;
-        try {
-            const list = await getWatchlist(currentUser.uid);
-            setWatchlist(list);
-        } catch (error) {
-            console.error("Error loading watchlist:", error);
-        }
+        const unsubscribe = subscribeToWatchlist(currentUser.uid, setWatchlist);
+        return () => unsubscribe();
     }, [currentUser]);
 
-    useEffect(() => {
-        if (currentUser) {
-            loadWatchlist();
-        }
-    }, [currentUser, loadWatchlist]);
-
     // Listen for status of sent requests
     useEffect(() => {
         if (!currentUser) return;
 
         const unsubscribe = subscribeToSentRequests(currentUser.uid, (requests) => {
             // Check if any request just got accepted (simplified logic for notification)
-            const acceptedReq = requests.find(r => r.status === 'accepted' && !r.notified);
+            const acceptedReq = requests.find(r => r.status === REQUEST_STATUS.ACCEPTED && !r.notified);
 
             // In a real app, we'd mark 'notified' in DB to avoid repeated toasts.
             // Here we just update state. For simplicity, if we see a NEW accepted one in the list compared to prev state...
@@ -154,6 +130,18 @@ export default function SeekerDashboard() {
         return () => unsubscribe();
     }, [currentUser]);
 
+    // Patient cases the seeker's donor requests are grouped by
+    useEffect(() => {
+        if (!currentUser) return;
+        return subscribeToCases(currentUser.uid, setCases);
+    }, [currentUser]);
+
+    // Emergency requests; donor fan-out and pledge counts are updated by Cloud Functions
+    useEffect(() => {
+        if (!currentUser) return;
+        return subscribeToEmergencyRequests(currentUser.uid, setEmergencyRequests);
+    }, [currentUser]);
+
     // Sound notification helper
     const playNotificationSound = () => {
         try {
@@ -164,84 +152,44 @@ export default function SeekerDashboard() {
         }
     };
 
-    // Watchlist Sync Effect: Calculates matches locally and updates Firestore state
+    // In-page alert when the server flags a new match while this tab is open.
+    // Matches that already existed when the page loaded are not re-announced.
+    const announcedMatchesRef = useRef(null);
     useEffect(() => {
-        if (!currentUser || watchlist.length === 0) return;
-        watchlist.forEach(async (item) => {
-            let isMatch = false;
-
-            // 1. Check Hospitals
-            const hospitalMatch = hospitals.find(h => {
-                const hasStock = h.bloodStock && h.bloodStock[item.bloodType] > 0;
-                const matchesLoc = !item.location || (h.address && h.address.toLowerCase().includes(item.location.toLowerCase())) || (h.hospitalName && h.hospitalName.toLowerCase().includes(item.location.toLowerCase()));
-                return hasStock && matchesLoc;
-            });
-
-            // 2. Check Donors
-            const donorMatch = allActiveDonors.find(d => {
-                const isType = d.donorProfile && d.donorProfile.bloodType === item.bloodType;
-                const matchesLoc = !item.location || (d.donorProfile.city && d.donorProfile.city.toLowerCase().includes(item.location.toLowerCase()));
-                return isType && matchesLoc;
-            });
-
-            if (hospitalMatch || donorMatch) {
-                isMatch = true;
-            }
+        const matchedIds = watchlist.filter(item => item.matchFound).map(item => item.id);
+        if (announcedMatchesRef.current === null) {
+            announcedMatchesRef.current = new Set(matchedIds);
+            return;
+        }
 
-            // State Transition Logic
-            if (isMatch) {
-                // If found match but item says not found -> Update Found
-                if (!item.matchFound) {
-                    await markWatchlistMatchFound(item.id);
-                    loadWatchlist(); // Refresh UI
-                }
+        watchlist
+            .filter(item => item.matchFound && !announcedMatchesRef.current.has(item.id))
+            .forEach(item => {
+                const matchSuffix = item.matchLabel ? ` (${item.matchLabel})` : '';
+                playNotificationSound();
 
-                // If found match but hasn't notified -> Notify
-                if (!item.hasNotified) {
-                    playNotificationSound();
-
-                    if (Notification.permission === 'granted') {
-                        new Notification('Blood Type Match Found!', {
-                            body: `${item.bloodType} blood is now available in ${item.location || 'your area'}.`,
-                            icon: '/vite.svg'
-                        });
-                    } else if (Notification.permission !== 'denied') {
-                        Notification.requestPermission().then(permission => {
-                            if (permission === 'granted') {
-                                new Notification('Blood Type Match Found!', {
-                                    body: `${item.bloodType} blood is now available.`,
-                                    icon: '/vite.svg'
-                                });
-                            }
-                        });
-                    }
-
-                    toast.success(`Match Found: ${item.bloodType} is available!`, {
-                        duration: 8000,
-                        icon: '🩸'
+                if (Notification.permission === 'granted') {
+                    new Notification('Blood Type Match Found!', {
+                        body: `${item.bloodType} blood is now available in ${item.location || 'your area'}${matchSuffix}.`,
+                        icon: '/vite.svg'
                     });
-
-                    await markWatchlistNotified(item.id);
-                    loadWatchlist();
                 }
-            } else {
-                // NO Match Found
-                // If it WAS found or notified previously, we need to RESET so we can notify again later
-                if (item.matchFound || item.hasNotified) {
-                    await resetWatchlistMatch(item.id);
-                    loadWatchlist();
-                }
-            }
-        });
 
-    }, [currentUser, watchlist, hospitals, allActiveDonors, loadWatchlist]);
+                toast.success(`Match Found: ${item.bloodType} is available${matchSuffix}!`, {
+                    duration: 8000,
+                    icon: '🩸'
+                });
+            });
+
+        // Forget items that lost their match so a later match is announced again
+        announcedMatchesRef.current = new Set(matchedIds);
+    }, [watchlist]);
 
     const handleDeleteWatchlistItem = async (itemId) => {
         if (!window.confirm("Remove this alert from your watchlist?")) return;
         try {
             await deleteWatchlistItem(itemId);
             toast.success("Alert removed");
-            loadWatchlist();
         } catch (error) {
             console.error("Error deleting watchlist item:", error);
             toast.error("Failed to remove alert");
@@ -260,26 +208,22 @@ export default function SeekerDashboard() {
         }
     };
 
-    const handleArchiveRequest = async (requestId) => {
+    // How an accepted request ended: the donor gave blood or never came
+    const handleRecordOutcome = async (requestId, status) => {
+        if (status === REQUEST_STATUS.NO_SHOW && !window.confirm("Report that the donor did not donate?")) return;
         try {
-            await archiveRequest(requestId);
-            toast.success("Request archived.");
+            await updateRequestStatus(requestId, status);
+            toast.success(status === REQUEST_STATUS.DONATED ? "Donation recorded. Glad you got help!" : "Request closed.");
         } catch (error) {
-            console.error("Error archiving request:", error);
-            toast.error("Failed to archive request.");
+            console.error("Error recording request outcome:", error);
+            toast.error("Failed to update request.");
         }
     };
 
-    const handleMarkFulfilled = async () => {
-        if (!window.confirm("This will close all your pending requests. Are you sure you found a donor?")) return;
-        try {
-            await markRequestsFulfilled(currentUser.uid);
-            toast.success("All pending requests closed! Glad you found help.");
-        } catch (error) {
-            console.error("Error marking fulfilled:", error);
-            toast.error("Failed to update requests.");
-        }
-    };
+    // New requests go to the picked case while it is open, otherwise the newest open one
+    const openCases = cases.filter(c => c.status === CASE_STATUS.OPEN);
+    const activeCase = openCases.find(c => c.id === selectedCaseId) || openCases[0] || null;
+    const casesById = Object.fromEntries(cases.map(c => [c.id, c]));
 
     const [isListening, setIsListening] = useState(false);
 
@@ -389,12 +333,34 @@ export default function SeekerDashboard() {
         const actualLoc = (typeof locOverride === 'string') ? locOverride : location;
 
         try {
-            // Search donors (and hospitals technically, but we filter)
-            const results = await searchDonors(actualType, actualLoc);
-            // Filter to only show individual donors for the 'donors' tab
-            // (Hospitals are handled by the real-time listener)
-            const individualDonors = results.filter(r => r.type === 'donor');
-            setDonors(individualDonors);
+            // Resolve where to search: a typed place wins over the device location
+            let center = null;
+            if (actualLoc) {
+                center = await geocodePlace(actualLoc);
+                if (!center) {
+                    toast.error(`Couldn't find "${actualLoc}" on the map. Try a nearby city.`);
+                    setSearchCenter(null);
+                    setDonors([]);
+                    setLoading(false);
+                    return;
+                }
+            } else if (userLocation) {
+                center = userLocation;
+            }
+            setSearchCenter(center);
+
+            // Hospitals are handled by the real-time listener, so only donors are fetched here
+            const results = center
+                ? await searchNearby({
+                    lat: center.lat,
+                    lng: center.lng,
+                    radiusKm: DEFAULT_SEARCH_RADIUS_KM,
+                    bloodType: actualType,
+                    component,
+                    types: ['donor']
+                })
+                : (await searchDonors(actualType, '', component)).filter(r => r.type === 'donor');
+            setDonors(results);
         } catch (error) {
             console.error("Error searching:", error);
         }
@@ -426,8 +392,7 @@ export default function SeekerDashboard() {
 
         setAddingToWatchlist(true);
         try {
-            await addToWatchlist(currentUser.uid, bloodType, location);
-            await loadWatchlist();
+            await addToWatchlist(currentUser.uid, bloodType, location, component, searchCenter);
             toast.success('Added to watchlist. We will alert you when a donor is found!', {
                 icon: '🔔',
                 duration: 7000
@@ -449,24 +414,21 @@ export default function SeekerDashboard() {
         const loadingToast = toast.loading('Sending request...');
 
         try {
+            // The donor's email goes out from the onBloodRequestWritten Cloud Function
+            const registeredLocation = seekerProfile?.donorProfile?.city || seekerProfile?.address || seekerProfile?.city || location || null;
+            const requestedType = activeCase?.bloodType || bloodType || donor.donorProfile.bloodType;
+            // First request without a case: start one for a single unit
+            const caseId = activeCase?.id || await createCase(currentUser.uid, { bloodType: requestedType, unitsNeeded: 1 });
             await requestBlood(
                 currentUser.uid,
                 currentUser.displayName || currentUser.email.split('@')[0],
                 donor.id,
-                bloodType || donor.donorProfile.bloodType,
-                donor.name || donor.email.split('@')[0]
+                requestedType,
+                donor.name || donor.email.split('@')[0],
+                registeredLocation,
+                caseId
             );
-
-            // Send email notification using registered location
-            const registeredLocation = seekerProfile?.donorProfile?.city || seekerProfile?.address || seekerProfile?.city || location || 'Unknown Location';
-
-            await sendBloodRequestNotification([donor], {
-                bloodType: bloodType || donor.donorProfile.bloodType || 'Any',
-                location: registeredLocation,
-                seekerName: currentUser.displayName || currentUser.email.split('@')[0],
-                urgency: 'High',
-                link: `${window.location.origin}`
-            });
+            setSelectedCaseId(caseId);
 
             toast.success(`Request sent to ${donor.name || donor.email.split('@')[0]}!`, { id: loadingToast });
         } catch (error) {
@@ -476,26 +438,28 @@ export default function SeekerDashboard() {
     };
 
     // Filter sent requests based on tab
-    const filteredRequests = sentRequests.filter(req => {
-        if (requestFilter === 'active') {
-            return req.status === 'pending' || req.status === 'accepted';
-        } else {
-            return req.status === 'cancelled' || req.status === 'rejected' || req.status === 'archived' || req.status === 'closed';
-        }
-    });
+    const filteredRequests = sentRequests.filter(req =>
+        requestFilter === 'active' ? isRequestActive(req) : !isRequestActive(req)
+    );
 
-    const activeCount = sentRequests.filter(r => r.status === 'pending' || r.status === 'accepted').length;
+    const activeCount = sentRequests.filter(isRequestActive).length;
 
     // Filter hospitals based on search criteria
-    const filteredHospitals = hospitals.filter(h => {
-        // Filter by blood type availability if selected
-        const hasStock = !bloodType || (h.bloodStock && h.bloodStock[bloodType] > 0);
-        // Filter by location or hospital name
-        const matchesLocation = !location ||
-            (h.address && h.address.toLowerCase().includes(location.toLowerCase())) ||
-            (h.hospitalName && h.hospitalName.toLowerCase().includes(location.toLowerCase()));
-        return hasStock && matchesLocation;
-    });
+    // Filter by radius around the last searched place (if any)
+    const hospitalsInArea = searchCenter
+        ? hospitals.filter(h => isWithinArea({ center: searchCenter, radiusKm: DEFAULT_SEARCH_RADIUS_KM }, h.location))
+        : hospitals;
+    // Filter by compatible stock if a blood type is selected, exact matches first
+    const distanceOrigin = searchCenter || userLocation;
+    const filteredHospitals = rankByCompatibility(
+        hospitalsInArea,
+        bloodType,
+        h => findBestAvailableType(getComponentStock(h, component), bloodType, component),
+        component
+    ).map(h => ({ ...h, distanceKm: getDistanceKm(distanceOrigin, h.location) }));
+    if (searchCenter) {
+        filteredHospitals.sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity));
+    }
 
     const handleShareDetails = (hospital) => {
         setSelectedHospitalForShare(hospital);
@@ -511,63 +475,42 @@ export default function SeekerDashboard() {
         });
     };
 
-    const handleBroadcastNotification = async () => {
-        if (donors.length === 0) return;
+    const handleStartEmergency = () => {
         if (!currentUser) {
             navigate('/login');
             return;
         }
+        setShowEmergencyModal(true);
+    };
 
-        if (!window.confirm(`Are you sure you want to send an emergency email notification AND blood requests to all ${donors.length} donors in this list?`)) {
-            return;
-        }
-
-        const loadingToast = toast.loading('Processing emergency broadcast...');
-
-        // Determine registered location
-        const registeredLocation = seekerProfile?.donorProfile?.city || seekerProfile?.address || seekerProfile?.city || location || 'Unknown Location';
-        const seekerName = currentUser.displayName || currentUser.email.split('@')[0];
-
+    const handleCancelEmergency = async (requestId) => {
+        if (!window.confirm("Cancel this emergency request? Donors who were asked will be told they are no longer needed.")) return;
         try {
-            // 1. Create database requests for each donor
-            // We handle individual failures so one bad request doesn't stop the whole batch
-            const requestPromises = donors.map(donor =>
-                requestBlood(
-                    currentUser.uid,
-                    seekerName,
-                    donor.id,
-                    bloodType || donor.donorProfile.bloodType,
-                    donor.name || donor.email.split('@')[0]
-                ).catch(err => {
-                    console.error(`Failed to request blood from donor ${donor.id}:`, err);
-                    return null;
-                })
-            );
-
-            // 2. Send email notifications
-            const emailPromise = sendBloodRequestNotification(donors, {
-                bloodType: bloodType || 'Any',
-                location: registeredLocation,
-                seekerName: seekerName,
-                urgency: 'High',
-                link: window.location.origin
-            });
-
-            // Execute all operations
-            await Promise.all([...requestPromises, emailPromise]);
-
-            toast.success(`Broadcast sent! Requests created and emails sent to ${donors.length} donors.`, { id: loadingToast });
+            await cancelEmergencyRequest(requestId);
+            toast.success("Emergency request cancelled.");
         } catch (error) {
-            console.error("Error in broadcast:", error);
-            toast.error("Broadcast completed with some errors. Check console.", { id: loadingToast });
+            console.error("Error cancelling emergency request:", error);
+            toast.error("Failed to cancel emergency request.");
         }
     };
 
-
-
     return (
         <div className="min-h-screen bg-slate-50 py-12 px-4 sm:px-6 lg:px-8">
             <Toaster position="top-center" />
+            {chatRequestId && (
+                <RequestChat requestId={chatRequestId} onClose={() => setChatRequestId(null)} />
+            )}
+
+            {showEmergencyModal && (
+                <EmergencyRequestModal
+                    currentUser={currentUser}
+                    hospitals={hospitals}
+                    origin={searchCenter || userLocation}
+                    defaultBloodType={bloodType}
+                    defaultComponent={component}
+                    onClose={() => setShowEmergencyModal(false)}
+                />
+            )}
 
             {/* Share Details Modal */}
             {selectedHospitalForShare && (
@@ -683,27 +626,47 @@ export default function SeekerDashboard() {
                     </div>
                 </div>
 
+                {/* Emergency Requests Section */}
+                {emergencyRequests.length > 0 && (
+                    <div className="mb-8 bg-white rounded-2xl shadow-sm border border-slate-100 overflow-hidden">
+                        <div className="p-6 border-b border-slate-100">
+                            <h2 className="text-xl font-bold text-slate-900 flex items-center gap-2">
+                                <AlertCircle className="h-5 w-5 text-red-600" />
+                                My Emergency Requests
+                            </h2>
+                            <p className="text-sm text-slate-500 mt-1">Donors are asked ring by ring until enough units are pledged.</p>
+                        </div>
+                        <div className="p-6 grid md:grid-cols-2 gap-4">
+                            {emergencyRequests.map(request => (
+                                <EmergencyRequestCard
+                                    key={request.id}
+                                    request={request}
+                                    onCancel={() => handleCancelEmergency(request.id)}
+                                />
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                {currentUser && (
+                    <RequestCases
+                        seekerId={currentUser.uid}
+                        cases={cases}
+                        selectedCaseId={activeCase?.id || null}
+                        onSelect={setSelectedCaseId}
+                        defaultBloodType={bloodType}
+                    />
+                )}
+
                 {/* Sent Requests Section */}
                 {sentRequests.length > 0 && (
                     <div className="mb-8 bg-white rounded-2xl shadow-sm border border-slate-100 overflow-hidden">
-                        <div className="p-6 border-b border-slate-100 flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
-                            <div>
-                                <h2 className="text-xl font-bold text-slate-900 flex items-center gap-2">
-                                    <Heart className="h-5 w-5 text-red-600" />
-                                    My Sent Requests
-                                </h2>
-                                <p className="text-sm text-slate-500 mt-1">Manage your SOS requests to donors.</p>
-                            </div>
-
-                            {activeCount > 0 && (
-                                <button
-                                    onClick={handleMarkFulfilled}
-                                    className="px-4 py-2 bg-green-100 text-green-700 rounded-lg text-sm font-bold hover:bg-green-200 transition-colors flex items-center gap-2"
-                                >
-                                    <CheckCircle className="h-4 w-4" />
-                                    I Found a Donor (Close All)
-                                </button>
-                            )}
+                        <div className="p-6 border-b border-slate-100">
+                            <h2 className="text-xl font-bold text-slate-900 flex items-center gap-2">
+                                <Heart className="h-5 w-5 text-red-600" />
+                                My Sent Requests
+                            </h2>
+                            <p className="text-sm text-slate-500 mt-1">Manage your SOS requests to donors.</p>
                         </div>
 
                         {/* Request Tabs */}
@@ -720,7 +683,7 @@ export default function SeekerDashboard() {
                                 className={`flex-1 py-3 text-sm font-bold text-center transition-colors ${requestFilter === 'past' ? 'bg-slate-50 text-slate-900 border-b-2 border-slate-900' : 'text-slate-500 hover:bg-slate-50'
                                     }`}
                             >
-                                Past / Archived
+                                Past
                             </button>
                         </div>
 
@@ -732,16 +695,13 @@ export default function SeekerDashboard() {
                             ) : (
                                 <div className="grid md:grid-cols-2 gap-4">
                                     {filteredRequests.map(req => (
-                                        <div key={req.id} className={`p-5 rounded-xl border shadow-sm flex flex-col justify-between gap-4 ${req.status === 'accepted' ? 'border-green-200 bg-green-50' :
-                                            req.status === 'pending' ? 'border-slate-100 bg-white' : 'border-slate-100 bg-slate-50 opacity-75'
+                                        <div key={req.id} className={`p-5 rounded-xl border shadow-sm flex flex-col justify-between gap-4 ${req.status === REQUEST_STATUS.ACCEPTED ? 'border-green-200 bg-green-50' :
+                                            req.status === REQUEST_STATUS.PENDING ? 'border-slate-100 bg-white' : 'border-slate-100 bg-slate-50'
                                             }`}>
                                             <div>
                                                 <div className="flex items-center gap-2 mb-2">
-                                                    <span className={`text-xs font-bold px-2 py-0.5 rounded-full ${req.status === 'accepted' ? 'bg-green-100 text-green-700' :
-                                                        req.status === 'rejected' ? 'bg-red-100 text-red-700' :
-                                                            req.status === 'pending' ? 'bg-yellow-100 text-yellow-700' : 'bg-slate-200 text-slate-600'
-                                                        }`}>
-                                                        {req.status.toUpperCase()}
+                                                    <span className={`text-xs font-bold px-2 py-0.5 rounded-full ${REQUEST_STATUS_STYLES[req.status] || 'bg-slate-200 text-slate-600'}`}>
+                                                        {(REQUEST_STATUS_LABELS[req.status] || req.status).toUpperCase()}
                                                     </span>
                                                     <span className="text-slate-400 text-xs flex items-center gap-1">
                                                         <Clock className="h-3 w-3" />
@@ -751,30 +711,39 @@ export default function SeekerDashboard() {
                                                 <p className="font-bold text-slate-900">
                                                     {req.donorName ? `Request to ${req.donorName}` : `Request for ${req.bloodType}`}
                                                 </p>
-                                                <p className="text-xs text-slate-500 mt-0.5">Blood Type: {req.bloodType}</p>
+                                                <p className="text-xs text-slate-500 mt-0.5 mb-2">
+                                                    Blood Type: {req.bloodType}
+                                                    {casesById[req.caseId] && ` · For ${getCaseLabel(casesById[req.caseId])}`}
+                                                </p>
+                                                <RequestTimeline request={req} uid={currentUser.uid} />
                                             </div>
 
                                             <div className="flex items-center gap-2 pt-2 border-t border-black/5">
-                                                {req.status === 'accepted' ? (
+                                                {req.status === REQUEST_STATUS.ACCEPTED ? (
                                                     <>
-                                                        <a
-                                                            href={`tel:${req.donorPhone}`}
-                                                            className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-bold hover:bg-green-700 shadow-sm flex items-center justify-center gap-2"
+                                                        <div className="flex-1">
+                                                            <RelayContact request={req} isDonor={false} />
+                                                        </div>
+                                                        <ChatButton request={req} uid={currentUser.uid} onOpen={setChatRequestId} />
+                                                        <button
+                                                            onClick={() => handleRecordOutcome(req.id, REQUEST_STATUS.DONATED)}
+                                                            className="p-2 text-green-600 hover:bg-green-100 rounded-lg"
+                                                            title="Donor donated"
                                                         >
-                                                            <Phone className="h-4 w-4" />
-                                                            Call Donor
-                                                        </a>
+                                                            <CheckCircle className="h-4 w-4" />
+                                                        </button>
                                                         <button
-                                                            onClick={() => handleArchiveRequest(req.id)}
-                                                            className="p-2 text-slate-400 hover:text-slate-600 hover:bg-slate-100 rounded-lg"
-                                                            title="Archive"
+                                                            onClick={() => handleRecordOutcome(req.id, REQUEST_STATUS.NO_SHOW)}
+                                                            className="p-2 text-slate-400 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                                                            title="Donor did not show up"
                                                         >
-                                                            <Archive className="h-4 w-4" />
+                                                            <XCircle className="h-4 w-4" />
                                                         </button>
                                                     </>
-                                                ) : req.status === 'pending' ? (
+                                                ) : req.status === REQUEST_STATUS.PENDING ? (
                                                     <>
                                                         <span className="text-sm text-slate-500 italic flex-1">Waiting...</span>
+                                                        <ChatButton request={req} uid={currentUser.uid} onOpen={setChatRequestId} />
                                                         <button
                                                             onClick={() => handleCancelRequest(req.id)}
                                                             className="px-3 py-1.5 border border-red-200 text-red-600 rounded-lg text-xs font-bold hover:bg-red-50"
@@ -783,9 +752,12 @@ export default function SeekerDashboard() {
                                                         </button>
                                                     </>
                                                 ) : (
-                                                    <span className="text-sm text-slate-400 w-full text-center">
-                                                        {req.status === 'rejected' ? 'Donor declined' : 'Request closed'}
-                                                    </span>
+                                                    <>
+                                                        <span className="text-sm text-slate-400 flex-1 text-center">
+                                                            {req.status === REQUEST_STATUS.DONATED ? 'Donation completed' : 'Request closed'}
+                                                        </span>
+                                                        <ChatButton request={req} uid={currentUser.uid} onOpen={setChatRequestId} />
+                                                    </>
                                                 )}
                                             </div>
                                         </div>
@@ -824,7 +796,7 @@ export default function SeekerDashboard() {
 
                 {/* Shared Search Filters */}
                 <div className="bg-white rounded-2xl shadow-sm border border-slate-100 p-6 mb-8">
-                    <div className="grid md:grid-cols-3 gap-4">
+                    <div className="grid md:grid-cols-4 gap-4">
                         <div className="relative">
                             <label className="block text-sm font-medium text-slate-700 mb-1">Blood Type</label>
                             <div className="relative">
@@ -847,6 +819,22 @@ export default function SeekerDashboard() {
                             </div>
                         </div>
 
+                        <div className="relative">
+                            <label className="block text-sm font-medium text-slate-700 mb-1">Component</label>
+                            <div className="relative">
+                                <select
+                                    className="w-full pl-10 pr-4 py-3 rounded-xl border border-slate-200 focus:border-brand-500 focus:ring-2 focus:ring-brand-200 outline-none appearance-none bg-slate-50"
+                                    value={component}
+                                    onChange={(e) => setComponent(e.target.value)}
+                                >
+                                    {Object.values(BLOOD_COMPONENTS).map(c => (
+                                        <option key={c} value={c}>{COMPONENT_LABELS[c]}</option>
+                                    ))}
+                                </select>
+                                <Filter className="absolute left-3 top-3.5 h-5 w-5 text-slate-400" />
+                            </div>
+                        </div>
+
                         <div className="relative">
                             <label className="block text-sm font-medium text-slate-700 mb-1">Location (City)</label>
                             <div className="relative">
@@ -929,9 +917,7 @@ export default function SeekerDashboard() {
 
                         <div className="grid md:grid-cols-2 gap-4">
                             {filteredHospitals.map(hospital => {
-                                const distance = userLocation && hospital.location
-                                    ? getDistanceFromLatLonInKm(userLocation.lat, userLocation.lng, hospital.location.lat, hospital.location.lng)
-                                    : null;
+                                const distance = formatDistance(hospital.distanceKm);
 
                                 const totalStock = hospital.bloodStock ? Object.values(hospital.bloodStock).reduce((a, b) => a + b, 0) : 0;
 
@@ -949,6 +935,11 @@ export default function SeekerDashboard() {
                                                 <span className="flex items-center gap-1 shrink-0">
                                                     <Droplet className="h-3.5 w-3.5 text-red-500" /> {totalStock} units
                                                 </span>
+                                                {hospital.matchLabel && (
+                                                    <span className="text-xs font-bold bg-amber-100 text-amber-700 px-2 py-0.5 rounded-full shrink-0">
+                                                        {hospital.matchLabel}
+                                                    </span>
+                                                )}
                                             </div>
                                             <p className="text-xs text-slate-400 mt-2 line-clamp-3">
                                                 {hospital.address}
@@ -1016,21 +1007,19 @@ export default function SeekerDashboard() {
                             Available Donors {hasSearched && `(${donors.length})`}
                         </h2>
 
-                        {donors.length > 0 && (
-                            <div className="mb-4 p-4 bg-red-50 border border-red-100 rounded-xl flex flex-col sm:flex-row items-center justify-between gap-4">
-                                <div>
-                                    <h3 className="font-bold text-red-800">Emergency Broadcast</h3>
-                                    <p className="text-sm text-red-600">Send an urgent email notification to all {donors.length} donors in this list.</p>
-                                </div>
-                                <button
-                                    onClick={handleBroadcastNotification}
-                                    className="px-6 py-2 bg-red-600 text-white rounded-lg font-bold hover:bg-red-700 transition-colors shadow-lg shadow-red-200 flex items-center gap-2 whitespace-nowrap"
-                                >
-                                    <Bell className="h-4 w-4" />
-                                    Notify All
-                                </button>
+                        <div className="mb-4 p-4 bg-red-50 border border-red-100 rounded-xl flex flex-col sm:flex-row items-center justify-between gap-4">
+                            <div>
+                                <h3 className="font-bold text-red-800">Emergency Request</h3>
+                                <p className="text-sm text-red-600">Ask every compatible donor near the hospital, widening the search until enough units are pledged.</p>
                             </div>
-                        )}
+                            <button
+                                onClick={handleStartEmergency}
+                                className="px-6 py-2 bg-red-600 text-white rounded-lg font-bold hover:bg-red-700 transition-colors shadow-lg shadow-red-200 flex items-center gap-2 whitespace-nowrap"
+                            >
+                                <Bell className="h-4 w-4" />
+                                Request Units
+                            </button>
+                        </div>
 
                         {!hasSearched && donors.length === 0 && (
                             <div className="text-center py-12 bg-white rounded-xl border border-slate-100">
@@ -1051,9 +1040,15 @@ export default function SeekerDashboard() {
                                         </h3>
                                         <div className="flex items-center text-slate-500 text-sm mt-1 gap-4">
                                             <span className="flex items-center gap-1"><MapPin className="h-3 w-3" /> {donor.donorProfile.city}</span>
-                                            {/* Mock Distance for now as donor location isn't lat/lng yet */}
-                                            <span className="flex items-center gap-1 text-slate-400"><Navigation className="h-3 w-3" /> Nearby in {donor.donorProfile.city}</span>
+                                            {donor.distanceKm !== undefined && (
+                                                <span className="flex items-center gap-1 text-blue-600 font-medium"><Navigation className="h-3 w-3" /> {formatDistance(donor.distanceKm)} km away</span>
+                                            )}
                                         </div>
+                                        {donor.matchLabel && (
+                                            <span className="inline-block mt-2 text-xs font-bold bg-amber-100 text-amber-700 px-2 py-0.5 rounded-full">
+                                                {donor.matchLabel}
+                                            </span>
+                                        )}
                                     </div>
                                 </div>
 
@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { ShieldCheck, ShieldX, SearchX, Droplet, MapPin, Calendar } from 'lucide-react';
+import { getCertificate } from '../lib/firestore';
+import { CERTIFICATE_STATUS } from '../lib/certificates';
+import { DONATION_TYPE_LABELS, DEFAULT_DONATION_TYPE } from '../../functions/shared/donationEligibility.js';
+
+// Public page the certificate QR code points to; anyone can confirm a certificate is genuine
+export default function VerifyCertificate() {
+    const { certificateId } = useParams();
+    // Keyed by ID so a new lookup shows as loading without resetting state in the effect
+    const [result, setResult] = useState({ id: null, certificate: null, error: false });
+
+    useEffect(() => {
+        let cancelled = false;
+        getCertificate(certificateId)
+            .then(certificate => { if (!cancelled) setResult({ id: certificateId, certificate, error: false }); })
+            .catch(() => { if (!cancelled) setResult({ id: certificateId, certificate: null, error: true }); });
+        return () => { cancelled = true; };
+    }, [certificateId]);
+
+    const loading = result.id !== certificateId;
+    const certificate = loading ? null : result.certificate;
+    const isRevoked = certificate?.status === CERTIFICATE_STATUS.REVOKED;
+
+    return (
+        <div className="min-h-[calc(100vh-64px)] flex items-center justify-center p-4">
+            <div className="bg-white rounded-2xl shadow-sm border border-slate-200 w-full max-w-lg p-8">
+                <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-1">Certificate verification</p>
+                <p className="font-mono text-slate-600 mb-6">{certificateId}</p>
+
+                {loading ? (
+                    <p className="text-slate-500">Checking certificate...</p>
+                ) : !certificate ? (
+                    <div className="flex items-start gap-3 bg-slate-50 border border-slate-200 rounded-xl p-4">
+                        <SearchX className="h-6 w-6 text-slate-400 flex-shrink-0" />
+                        <div>
+                            <h1 className="font-bold text-slate-900">
+                                {result.error ? 'Could not check this certificate' : 'Certificate not found'}
+                            </h1>
+                            <p className="text-sm text-slate-500">
+                                {result.error
+                                    ? 'Please try again in a moment.'
+                                    : 'No LifeLine certificate has this ID. Check it against the printed certificate.'}
+                            </p>
+                        </div>
+                    </div>
+                ) : (
+                    <>
+                        {isRevoked ? (
+                            <div className="flex items-start gap-3 bg-red-50 border border-red-200 rounded-xl p-4 mb-6">
+                                <ShieldX className="h-6 w-6 text-red-600 flex-shrink-0" />
+                                <div>
+                                    <h1 className="font-bold text-red-700">Certificate revoked</h1>
+                                    <p className="text-sm text-red-600">
+                                        Revoked by the issuing venue on {new Date(certificate.revokedAt).toLocaleDateString()}
+                                        {certificate.revokeReason ? `: ${certificate.revokeReason}` : '.'}
+                                    </p>
+                                </div>
+                            </div>
+                        ) : (
+                            <div className="flex items-start gap-3 bg-green-50 border border-green-200 rounded-xl p-4 mb-6">
+                                <ShieldCheck className="h-6 w-6 text-green-600 flex-shrink-0" />
+                                <div>
+                                    <h1 className="font-bold text-green-700">Valid certificate</h1>
+                                    <p className="text-sm text-green-600">
+                                        Issued by {certificate.venueName} on {new Date(certificate.issuedAt).toLocaleDateString()}.
+                                    </p>
+                                </div>
+                            </div>
+                        )}
+
+                        <h2 className="text-2xl font-bold text-slate-900 mb-4">{certificate.donorName}</h2>
+                        <div className="space-y-2 text-sm text-slate-600">
+                            <p className="flex items-center gap-2">
+                                <Droplet className="h-4 w-4 text-brand-500" />
+                                {DONATION_TYPE_LABELS[certificate.donationType || DEFAULT_DONATION_TYPE]} ({certificate.bloodType})
+                            </p>
+                            <p className="flex items-center gap-2">
+                                <MapPin className="h-4 w-4 text-brand-500" /> {certificate.venueName}
+                            </p>
+                            <p className="flex items-center gap-2">
+                                <Calendar className="h-4 w-4 text-brand-500" /> Donated on {new Date(certificate.donatedAt).toLocaleDateString()}
+                            </p>
+                        </div>
+                    </>
+                )}
+
+                <Link to="/" className="block mt-8 text-sm font-bold text-brand-600 hover:text-brand-700">
+                    About LifeLine
+                </Link>
+            </div>
+        </div>
+    );
+}
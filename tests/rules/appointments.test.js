@@ -0,0 +1,195 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, getDoc, updateDoc, runTransaction } from 'firebase/firestore';
+import { createTestEnv, seed, dbAs } from './helpers.js';
+import { getSlotId } from '../../functions/shared/appointments.js';
+
+const TIME_SLOT = '10:00 AM';
+const CAPACITY = 2;
+
+let testEnv;
+
+before(async () => {
+  testEnv = await createTestEnv('demo-lifeline-appointments');
+});
+
+after(() => testEnv.cleanup());
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seed(testEnv, {
+    'users/alice': {
+      name: 'Alice',
+      isDonor: true,
+      donorProfile: {
+        bloodType: 'O+',
+        totalDonations: 1,
+        nextEligibleDates: { whole_blood: '2026-04-04T09:00:00.000Z', platelets: '2026-01-17T09:00:00.000Z' }
+      },
+      donationHistory: [{ date: '2026-01-10T09:00:00.000Z', venueId: 'hosp1', donationType: 'whole_blood', status: 'Success' }]
+    },
+    'users/bob': { name: 'Bob', isDonor: true, donorProfile: { bloodType: 'A+' } },
+    'users/carol': { name: 'Carol', isDonor: true, donorProfile: { bloodType: 'B+' } },
+    'inventory/hosp1': { hospitalName: 'City Hospital', status: 'active', schedule: { bedsPerSlot: CAPACITY } }
+  });
+});
+
+const slotPath = (date) => `appointmentSlots/${getSlotId('hosp1', date, TIME_SLOT)}`;
+
+// What bookAppointment does: take a seat and create the appointment in one transaction
+const book = (db, donorId, appointmentId, { date = '2026-05-02', donationType = 'whole_blood', slotId = null } = {}) =>
+  runTransaction(db, async (transaction) => {
+    const slotRef = doc(db, slotId ? `appointmentSlots/${slotId}` : slotPath(date));
+    const slotSnap = await transaction.get(slotRef);
+    const booked = slotSnap.exists() ? slotSnap.data().booked : 0;
+    if (booked >= CAPACITY) throw new Error('This time slot is fully booked.');
+    transaction.set(slotRef, {
+      venueId: 'hosp1',
+      venueType: 'hospital',
+      date,
+      timeSlot: TIME_SLOT,
+      capacity: CAPACITY,
+      booked: booked + 1,
+      lastAppointmentId: appointmentId,
+      updatedAt: new Date().toISOString()
+    });
+    transaction.set(doc(db, 'appointments', appointmentId), {
+      donorId,
+      venueId: 'hosp1',
+      venueType: 'hospital',
+      date,
+      timeSlot: TIME_SLOT,
+      donationType,
+      slotId: slotRef.id,
+      status: 'scheduled',
+      createdAt: new Date().toISOString()
+    });
+  });
+
+// What cancelAppointment does: give the seat back (never below 0) with the cancellation
+const cancel = (db, appointmentId) =>
+  runTransaction(db, async (transaction) => {
+    const apptRef = doc(db, 'appointments', appointmentId);
+    const appt = (await transaction.get(apptRef)).data();
+    const slotSnap = await transaction.get(doc(db, 'appointmentSlots', appt.slotId));
+    transaction.update(slotSnap.ref, {
+      booked: Math.max(slotSnap.data().booked - 1, 0),
+      lastAppointmentId: appointmentId,
+      updatedAt: new Date().toISOString()
+    });
+    transaction.update(apptRef, { status: 'cancelled', updatedAt: new Date().toISOString() });
+  });
+
+const slotBooked = async (date = '2026-05-02') => {
+  let booked = null;
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    booked = (await getDoc(doc(context.firestore(), slotPath(date)))).data()?.booked ?? null;
+  });
+  return booked;
+};
+
+describe('appointments donation interval', () => {
+  it('books once the interval has passed', async () => {
+    await assertSucceeds(book(dbAs(testEnv, 'alice'), 'alice', 'appt1', { date: '2026-05-02' }));
+  });
+
+  it('refuses a booking within the interval', async () => {
+    await assertFails(book(dbAs(testEnv, 'alice'), 'alice', 'appt1', { date: '2026-04-01' }));
+  });
+
+  it('applies the interval of the donation type', async () => {
+    await assertSucceeds(book(dbAs(testEnv, 'alice'), 'alice', 'appt1', { date: '2026-04-01', donationType: 'platelets' }));
+  });
+
+  it('cannot be skipped by editing the dates or the history', async () => {
+    const db = dbAs(testEnv, 'alice');
+    await assertFails(updateDoc(doc(db, 'users/alice'), { 'donorProfile.nextEligibleDates': {} }));
+    await assertFails(updateDoc(doc(db, 'users/alice'), { donationHistory: [] }));
+    await assertFails(book(db, 'alice', 'appt1', { date: '2026-04-01' }));
+  });
+});
+
+describe('appointmentSlots seat counts', () => {
+  it('hands out the last seat once when donors book at the same time', async () => {
+    await book(dbAs(testEnv, 'alice'), 'alice', 'appt1');
+    const results = await Promise.allSettled([
+      book(dbAs(testEnv, 'bob'), 'bob', 'appt2'),
+      book(dbAs(testEnv, 'carol'), 'carol', 'appt3')
+    ]);
+    assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+    assert.equal(await slotBooked(), CAPACITY);
+  });
+
+  it('counts every booking when the first ones race to create the slot', async () => {
+    const results = await Promise.allSettled([
+      book(dbAs(testEnv, 'alice'), 'alice', 'appt1'),
+      book(dbAs(testEnv, 'bob'), 'bob', 'appt2'),
+      book(dbAs(testEnv, 'carol'), 'carol', 'appt3')
+    ]);
+    assert.equal(results.filter(r => r.status === 'fulfilled').length, CAPACITY);
+    assert.equal(await slotBooked(), CAPACITY);
+  });
+
+  it('creates a slot with the booking seat only', async () => {
+    const db = dbAs(testEnv, 'alice');
+    await assertFails(runTransaction(db, async (transaction) => {
+      transaction.set(doc(db, slotPath('2026-05-02')), {
+        venueId: 'hosp1', venueType: 'hospital', date: '2026-05-02', timeSlot: TIME_SLOT,
+        capacity: CAPACITY, booked: CAPACITY, lastAppointmentId: 'appt1'
+      });
+      transaction.set(doc(db, 'appointments/appt1'), {
+        donorId: 'alice', venueId: 'hosp1', venueType: 'hospital', date: '2026-05-02', timeSlot: TIME_SLOT,
+        slotId: getSlotId('hosp1', '2026-05-02', TIME_SLOT), status: 'scheduled'
+      });
+    }));
+  });
+
+  it('gives the seat back when an appointment is cancelled', async () => {
+    await book(dbAs(testEnv, 'alice'), 'alice', 'appt1');
+    await assertSucceeds(cancel(dbAs(testEnv, 'alice'), 'appt1'));
+    assert.equal(await slotBooked(), 0);
+  });
+
+  it('still cancels when the count is already at 0', async () => {
+    await book(dbAs(testEnv, 'alice'), 'alice', 'appt1');
+    await testEnv.withSecurityRulesDisabled((context) =>
+      updateDoc(doc(context.firestore(), slotPath('2026-05-02')), { booked: 0 }));
+    await assertSucceeds(cancel(dbAs(testEnv, 'alice'), 'appt1'));
+    assert.equal(await slotBooked(), 0);
+  });
+
+  it('cannot be released without cancelling or moving the appointment', async () => {
+    await book(dbAs(testEnv, 'alice'), 'alice', 'appt1');
+    const db = dbAs(testEnv, 'bob');
+    await assertFails(updateDoc(doc(db, slotPath('2026-05-02')), { booked: 0, lastAppointmentId: 'appt1' }));
+  });
+
+  it('gives back the seat of a cancelled appointment only once', async () => {
+    await book(dbAs(testEnv, 'alice'), 'alice', 'appt1');
+    await book(dbAs(testEnv, 'bob'), 'bob', 'appt2');
+    await cancel(dbAs(testEnv, 'alice'), 'appt1');
+    const db = dbAs(testEnv, 'carol');
+    await assertFails(updateDoc(doc(db, slotPath('2026-05-02')), { booked: 0, lastAppointmentId: 'appt1' }));
+    assert.equal(await slotBooked(), 1);
+  });
+
+  it('refuses a booking on a slot doc other than the one for its venue, day and time', async () => {
+    await book(dbAs(testEnv, 'alice'), 'alice', 'appt1');
+    await book(dbAs(testEnv, 'bob'), 'bob', 'appt2');
+    await assertFails(book(dbAs(testEnv, 'carol'), 'carol', 'appt3', { slotId: 'hosp1_2026-05-02_1000_extra' }));
+  });
+});
+
+describe('appointments reads', () => {
+  beforeEach(() => book(dbAs(testEnv, 'alice'), 'alice', 'appt1'));
+
+  it('are open to the donor and the venue', async () => {
+    await assertSucceeds(getDoc(doc(dbAs(testEnv, 'alice'), 'appointments/appt1')));
+    await assertSucceeds(getDoc(doc(dbAs(testEnv, 'hosp1', 'hospital'), 'appointments/appt1')));
+  });
+
+  it('are closed to other donors, even while scheduled', async () => {
+    await assertFails(getDoc(doc(dbAs(testEnv, 'bob'), 'appointments/appt1')));
+  });
+});
@@ -0,0 +1,21 @@
+// Shared setup for the firestore.rules suites. `npm test` runs them inside
+// `firebase emulators:exec`, which points FIRESTORE_EMULATOR_HOST at the emulator.
+// Each suite uses its own project ID so the files can run side by side.
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+
+export const createTestEnv = (projectId) => initializeTestEnvironment({
+  projectId,
+  firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') }
+});
+
+// Writes fixtures ({ 'users/alice': {...} }) with the rules switched off
+export const seed = (testEnv, docs) => testEnv.withSecurityRulesDisabled(async (context) => {
+  const db = context.firestore();
+  await Promise.all(Object.entries(docs).map(([path, data]) => setDoc(doc(db, path), data)));
+});
+
+// Firestore as a signed-in user; role is the verified custom claim
+export const dbAs = (testEnv, uid, role = null) =>
+  testEnv.authenticatedContext(uid, role ? { role } : {}).firestore();
@@ -0,0 +1,158 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, deleteDoc, writeBatch, arrayUnion } from 'firebase/firestore';
+import { createTestEnv, seed, dbAs } from './helpers.js';
+
+const LAST_DONATION = '2026-01-10T09:00:00.000Z';
+const COMPLETED_AT = '2026-05-02T10:30:00.000Z';
+
+let testEnv;
+
+before(async () => {
+  testEnv = await createTestEnv('demo-lifeline-users');
+});
+
+after(() => testEnv.cleanup());
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seed(testEnv, {
+    'users/alice': {
+      name: 'Alice',
+      isDonor: true,
+      isEligible: false,
+      eligibilityDeferred: true,
+      screeningExpiresAt: '2026-06-01T00:00:00.000Z',
+      donorProfile: {
+        bloodType: 'O+',
+        city: 'Pune',
+        totalDonations: 1,
+        lastDonation: LAST_DONATION,
+        nextEligibleDates: { whole_blood: '2026-04-04T09:00:00.000Z' }
+      },
+      donationHistory: [
+        { date: LAST_DONATION, venueId: 'hosp1', appointmentId: 'old', certificateId: 'LL-OLD', donationType: 'whole_blood', status: 'Success' }
+      ]
+    },
+    'users/alice/private/contact': { phone: '+919800000000' },
+    'donors/alice': { name: 'Alice', donorProfile: { bloodType: 'O+', city: 'Pune' } },
+    'appointments/appt1': { donorId: 'alice', venueId: 'hosp1', venueType: 'hospital', status: 'scheduled', date: '2026-05-02', timeSlot: '10:00 AM' },
+    'appointments/done': { donorId: 'alice', venueId: 'hosp1', venueType: 'hospital', status: 'completed', date: '2026-03-01', timeSlot: '10:00 AM', certificateId: 'LL-DONE' }
+  });
+});
+
+describe('users/{uid} owner', () => {
+  it('edits their name and donor details', async () => {
+    const db = dbAs(testEnv, 'alice');
+    await assertSucceeds(updateDoc(doc(db, 'users/alice'), {
+      name: 'Alice B',
+      'donorProfile.city': 'Mumbai',
+      'donorProfile.leaderboardOptIn': true
+    }));
+  });
+
+  const functionOnly = {
+    isEligible: true,
+    eligibilityDeferred: false,
+    screeningExpiresAt: '2099-01-01T00:00:00.000Z',
+    donationHistory: [],
+    'donorProfile.nextEligibleDates': {},
+    'donorProfile.totalDonations': 10,
+    role: 'admin',
+    noShowCount: 0,
+    'donorProfile.phone': '+919811111111'
+  };
+  Object.entries(functionOnly).forEach(([field, value]) => {
+    it(`cannot write ${field}`, async () => {
+      const db = dbAs(testEnv, 'alice');
+      await assertFails(updateDoc(doc(db, 'users/alice'), { [field]: value }));
+    });
+  });
+
+  it('signs up without screening fields', async () => {
+    const db = dbAs(testEnv, 'bob');
+    await assertSucceeds(setDoc(doc(db, 'users/bob'), { name: 'Bob', email: 'bob@example.com', role: 'user', isDonor: false }));
+  });
+
+  it('cannot sign up already eligible', async () => {
+    const db = dbAs(testEnv, 'bob');
+    await assertFails(setDoc(doc(db, 'users/bob'), { name: 'Bob', role: 'user', isEligible: true }));
+  });
+});
+
+describe('users/{uid} donation recorded by the venue', () => {
+  // What completeAppointment writes: the appointment, and one history entry with the counters
+  const completion = (db, { appointmentId = 'appt1', completeAppointment = true, entries = 1, total = 2, venueId = 'hosp1' } = {}) => {
+    const certificateId = 'LL-NEW';
+    const entry = { date: COMPLETED_AT, venueId, appointmentId, certificateId, donationType: 'whole_blood', status: 'Success' };
+    const batch = writeBatch(db);
+    if (completeAppointment) {
+      batch.update(doc(db, 'appointments', appointmentId), { status: 'completed', completedAt: COMPLETED_AT, certificateId });
+    }
+    batch.update(doc(db, 'users/alice'), {
+      donationHistory: arrayUnion(...Array.from({ length: entries }, (_, i) => ({ ...entry, copy: i }))),
+      'donorProfile.totalDonations': total,
+      'donorProfile.lastDonation': COMPLETED_AT
+    });
+    return batch.commit();
+  };
+
+  it('appends the appointment it completes', async () => {
+    await assertSucceeds(completion(dbAs(testEnv, 'hosp1', 'hospital')));
+  });
+
+  it('appends exactly one entry', async () => {
+    await assertFails(completion(dbAs(testEnv, 'hosp1', 'hospital'), { entries: 2, total: 3 }));
+  });
+
+  it('keeps totalDonations in step', async () => {
+    await assertFails(completion(dbAs(testEnv, 'hosp1', 'hospital'), { total: 5 }));
+  });
+
+  it('needs the appointment completed in the same write', async () => {
+    await assertFails(completion(dbAs(testEnv, 'hosp1', 'hospital'), { completeAppointment: false }));
+  });
+
+  it('cannot record an appointment that was already completed', async () => {
+    await assertFails(completion(dbAs(testEnv, 'hosp1', 'hospital'), { appointmentId: 'done', completeAppointment: false }));
+  });
+
+  it('cannot record a donation at another venue', async () => {
+    await assertFails(completion(dbAs(testEnv, 'hosp2', 'hospital'), { completeAppointment: false }));
+    await assertFails(completion(dbAs(testEnv, 'hosp2', 'hospital'), { completeAppointment: false, venueId: 'hosp2' }));
+  });
+
+  it('cannot be done by the donor', async () => {
+    await assertFails(completion(dbAs(testEnv, 'alice'), { completeAppointment: false }));
+  });
+});
+
+describe('donor contact details', () => {
+  it('are readable by the owner only', async () => {
+    await assertSucceeds(getDoc(doc(dbAs(testEnv, 'alice'), 'users/alice')));
+    await assertSucceeds(getDoc(doc(dbAs(testEnv, 'alice'), 'users/alice/private/contact')));
+    await assertFails(getDoc(doc(dbAs(testEnv, 'bob'), 'users/alice')));
+    await assertFails(getDoc(doc(dbAs(testEnv, 'bob'), 'users/alice/private/contact')));
+  });
+
+  it('are saved by the owner on the private contact doc', async () => {
+    const db = dbAs(testEnv, 'alice');
+    await assertSucceeds(setDoc(doc(db, 'users/alice/private/contact'), { phone: '+919811111111', updatedAt: COMPLETED_AT }));
+    await assertFails(setDoc(doc(db, 'users/alice/private/contact'), { phone: '+919811111111', email: 'alice@example.com' }));
+    await assertFails(setDoc(doc(db, 'users/alice/private/other'), { phone: '+919811111111' }));
+    await assertFails(setDoc(doc(dbAs(testEnv, 'bob'), 'users/alice/private/contact'), { phone: '+919811111111' }));
+  });
+});
+
+describe('donors/{uid} public profile', () => {
+  it('is readable by any signed-in user', async () => {
+    await assertSucceeds(getDoc(doc(dbAs(testEnv, 'bob'), 'donors/alice')));
+    await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), 'donors/alice')));
+  });
+
+  it('is written by functions only', async () => {
+    await assertFails(updateDoc(doc(dbAs(testEnv, 'alice'), 'donors/alice'), { name: 'Alice B' }));
+    await assertFails(setDoc(doc(dbAs(testEnv, 'bob'), 'donors/bob'), { name: 'Bob', donorProfile: { bloodType: 'A+' } }));
+    await assertFails(deleteDoc(doc(dbAs(testEnv, 'alice'), 'donors/alice')));
+  });
+});